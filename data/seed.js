@@ -1,9 +1,10 @@
 // data\seed.js
+import { pathToFileURL } from 'url';
 import { faker } from '@faker-js/faker';
 import mongoConnection from '../src/db/mongodb.js';
 
 // Conversation seeder based on the provided conversation sample structure
-class ConversationSeeder {
+export class ConversationSeeder {
     constructor() {
         this.customerEmails = [];
         this.queues = [
@@ -44,23 +45,11 @@ class ConversationSeeder {
                 await conversations.deleteMany({});
             }
 
-            // Generate consistent customer emails
-            this.generateCustomerEmails(15);
-            
             // Generate conversations
             const conversationCount = 30;
             console.log(`📝 Generating ${conversationCount} conversations...`);
             
-            const conversationDocs = [];
-            
-            for (let i = 0; i < conversationCount; i++) {
-                const conversation = this.generateConversation(i + 1);
-                conversationDocs.push(conversation);
-                
-                if (i % 5 === 0) {
-                    console.log(`Generated ${i + 1}/${conversationCount} conversations...`);
-                }
-            }
+            const conversationDocs = this.generateConversations(conversationCount);
             
             // Insert conversations
             await conversations.insertMany(conversationDocs);
@@ -78,6 +67,21 @@ class ConversationSeeder {
         }
     }
 
+    // Conversations for a consistent set of customers (call faker.seed() first for the same data every run)
+    generateConversations(count, customerCount = 15) {
+        this.generateCustomerEmails(customerCount);
+        
+        const conversationDocs = [];
+        for (let i = 0; i < count; i++) {
+            conversationDocs.push(this.generateConversation(i + 1));
+            
+            if (i % 5 === 0) {
+                console.log(`Generated ${i + 1}/${count} conversations...`);
+            }
+        }
+        return conversationDocs;
+    }
+
     generateCustomerEmails(count) {
         for (let i = 0; i < count; i++) {
             this.customerEmails.push(faker.internet.email().toLowerCase());
@@ -395,13 +399,15 @@ class ConversationSeeder {
     }
 }
 
-// Run the seeder
-const seeder = new ConversationSeeder();
-seeder.seed().then(() => {
-    console.log('🎉 Conversation seeding completed successfully!');
-    console.log('\n🚀 You can now start the server with: npm run dev');
-    process.exit(0);
-}).catch((error) => {
-    console.error('💥 Seeding failed:', error);
-    process.exit(1);
-});
\ No newline at end of file
+// Run the seeder (unless imported, e.g. by the evaluation harness)
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const seeder = new ConversationSeeder();
+    seeder.seed().then(() => {
+        console.log('🎉 Conversation seeding completed successfully!');
+        console.log('\n🚀 You can now start the server with: npm run dev');
+        process.exit(0);
+    }).catch((error) => {
+        console.error('💥 Seeding failed:', error);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,65 @@
+// eval/recordedModel.js - Replays recorded model replies per evaluation case, so the harness runs without Ollama
+import { readFileSync, writeFileSync, existsSync } from 'fs';
+import { RunnableLambda } from "@langchain/core/runnables";
+import { AIMessage } from "@langchain/core/messages";
+
+/**
+ * Recordings are keyed by case id and model role, one reply per call in call order:
+ * { "<caseId>": { "query": ["{\"filter\": ...}"], "conversation": ["..."] } }
+ * A call with no recording gets an empty reply - the code under test then takes its no-model path.
+ */
+export class RecordedModelProvider {
+    constructor({ recordingsPath, record = false }) {
+        this.recordingsPath = recordingsPath;
+        this.record = record;
+        this.recordings = existsSync(recordingsPath) ? JSON.parse(readFileSync(recordingsPath, 'utf8')) : {};
+        this.caseId = null;
+        this.calls = {};
+        this.missing = [];
+    }
+
+    // Start a case: calls are counted per role from zero again
+    startCase(caseId) {
+        this.caseId = caseId;
+        this.calls = {};
+        this.missing = [];
+        if (this.record) {
+            delete this.recordings[caseId];
+        }
+    }
+
+    /**
+     * Stand-in for a chat model
+     * @param {string} role - "conversation" or "query"
+     * @param {Object} liveModel - The real model, only called when recording
+     * @returns {Runnable} - Resolves to an AIMessage like a chat model does
+     */
+    model(role, liveModel) {
+        return RunnableLambda.from(async (input) => {
+            const callIndex = this.calls[role] || 0;
+            this.calls[role] = callIndex + 1;
+
+            if (this.record) {
+                const reply = await liveModel.invoke(input);
+                const text = typeof reply.content === 'string' ? reply.content : JSON.stringify(reply.content);
+                const caseRecordings = this.recordings[this.caseId] ||= {};
+                (caseRecordings[role] ||= [])[callIndex] = text;
+                return new AIMessage(text);
+            }
+
+            const text = this.recordings[this.caseId]?.[role]?.[callIndex];
+            if (text === undefined) {
+                this.missing.push(`${role}#${callIndex + 1}`);
+                return new AIMessage('');
+            }
+            return new AIMessage(text);
+        });
+    }
+
+    save() {
+        if (!this.record) return;
+        writeFileSync(this.recordingsPath, JSON.stringify(this.recordings, null, 2) + '\n');
+    }
+}
+
+export default RecordedModelProvider;
@@ -0,0 +1,349 @@
+// eval/runEval.js - Intent and query regression harness: labeled messages -> decision and Mongo filter, scored
+// A full run seeds and queries a live MongoDB (MONGODB_URI, database EVAL_MONGODB_DATABASE);
+// --plan-only compares planned queries without a database
+import { readFileSync, writeFileSync } from 'fs';
+import { isDeepStrictEqual } from 'util';
+import { faker } from '@faker-js/faker';
+import SuperIntelligentConversationalAI from '../src/ai/SuperIntelligentConversationalAI.js';
+import SuperIntelligentDatabaseQueryAI from '../src/ai/SuperIntelligentDatabaseQueryAI.js';
+import conversationMemory from '../src/services/conversationMemory.js';
+import mongoConnection from '../src/db/mongodb.js';
+import promptRegistry from '../src/services/promptRegistry.js';
+import { ConversationSeeder } from '../data/seed.js';
+import { RecordedModelProvider } from './recordedModel.js';
+
+const DEFAULT_DATASET = new URL('./dataset.jsonl', import.meta.url);
+const DEFAULT_RECORDINGS = new URL('./recordings.json', import.meta.url);
+
+// Same faker seed -> same fixture tickets on every run
+const FIXTURE_SEED = parseInt(process.env.EVAL_SEED || '42');
+const FIXTURE_CONVERSATIONS = 30;
+
+// Share of cases that must pass for a zero exit code (cases marked knownIssue are reported but not counted)
+const MIN_ACCURACY = parseFloat(process.env.EVAL_MIN_ACCURACY || '1');
+
+function parseArgs(argv) {
+    const args = { dataset: DEFAULT_DATASET, recordings: DEFAULT_RECORDINGS, record: false, planOnly: false, report: null, verbose: false, prompts: [] };
+    for (const arg of argv) {
+        const [flag, value] = arg.split('=');
+        if (flag === '--dataset') args.dataset = value;
+        else if (flag === '--recordings') args.recordings = value;
+        else if (flag === '--record') args.record = true;
+        else if (flag === '--plan-only') args.planOnly = true;
+        else if (flag === '--report') args.report = value;
+        else if (flag === '--verbose') args.verbose = true;
+        else if (flag === '--prompt') args.prompts.push(value);
+    }
+    return args;
+}
+
+/**
+ * Read the labeled cases
+ * @param {string|URL} path - JSONL file, one { id, message, context?, knownIssue?, expected: { action, intent?, slots?, filter?, pipeline?, minResults? } } per line
+ * @returns {Object[]}
+ */
+function loadDataset(path) {
+    return readFileSync(path, 'utf8')
+        .split('\n')
+        .map(line => line.trim())
+        .filter(line => line && !line.startsWith('//'))
+        .map((line, i) => {
+            const testCase = JSON.parse(line);
+            if (!testCase.message || !testCase.expected?.action) {
+                throw new Error(`Dataset line ${i + 1} needs a message and expected.action`);
+            }
+            return { id: testCase.id || `case-${i + 1}`, ...testCase };
+        });
+}
+
+// Dates differ between runs, so both sides compare them as "<date>"
+function normalizeDates(value) {
+    if (value instanceof Date) return '<date>';
+    if (Array.isArray(value)) return value.map(normalizeDates);
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, normalizeDates(item)]));
+    }
+    return value;
+}
+
+// Every key the expectation names must match; extra keys in the actual value are ignored
+function matchesSubset(actual, expected) {
+    if (expected && typeof expected === 'object' && !Array.isArray(expected)) {
+        return Boolean(actual) && typeof actual === 'object' &&
+            Object.entries(expected).every(([key, value]) => matchesSubset(actual[key], value));
+    }
+    return isDeepStrictEqual(normalizeDates(actual), expected);
+}
+
+// Slots are looked up in decision.slots first, then on the decision itself (e.g. clarification)
+function slotValue(decision, key) {
+    return decision.slots && key in decision.slots ? decision.slots[key] : decision[key];
+}
+
+class IntentEvaluator {
+    constructor(options) {
+        this.options = options;
+        this.provider = new RecordedModelProvider({ recordingsPath: options.recordings, record: options.record });
+
+        this.conversationalAI = new SuperIntelligentConversationalAI();
+        this.databaseQueryAI = new SuperIntelligentDatabaseQueryAI();
+
+        // Every model call goes through the recorded provider (the intent classifier holds its own reference)
+        this.conversationalAI.model = this.provider.model('conversation', this.conversationalAI.model);
+        if (this.conversationalAI.intentClassifier.llm) {
+            this.conversationalAI.intentClassifier.llm.model = this.conversationalAI.model;
+        }
+        this.databaseQueryAI.model = this.provider.model('query', this.databaseQueryAI.model);
+    }
+
+    // Fresh fixture tickets in a separate database - never the one the app uses
+    async seedDatabase() {
+        if (!process.env.MONGODB_URI) {
+            throw new Error('MONGODB_URI is not set - a full run seeds and queries MongoDB (docker compose up -d mongodb); use --plan-only (npm run eval:plan) without a database');
+        }
+        const appDatabase = process.env.MONGODB_DATABASE || 'conversations';
+        const evalDatabase = process.env.EVAL_MONGODB_DATABASE || 'conversations_eval';
+        if (evalDatabase === appDatabase) {
+            throw new Error(`EVAL_MONGODB_DATABASE must differ from the application database "${appDatabase}" - it is cleared on every run`);
+        }
+        process.env.MONGODB_DATABASE = evalDatabase;
+
+        const db = await mongoConnection.connect();
+        const conversations = db.collection('conversations');
+        await conversations.deleteMany({});
+
+        faker.seed(FIXTURE_SEED);
+        const fixtures = new ConversationSeeder().generateConversations(FIXTURE_CONVERSATIONS);
+        await conversations.insertMany(fixtures);
+        console.log(`🌱 Seeded ${fixtures.length} fixture conversations into "${evalDatabase}" (seed ${FIXTURE_SEED})`);
+    }
+
+    buildContext(testCase) {
+        return { ...conversationMemory.createSession(`eval-${testCase.id}`), ...structuredClone(testCase.context || {}) };
+    }
+
+    /**
+     * Run one case and score it
+     * @param {Object} testCase - Labeled case from the dataset
+     * @returns {Promise<Object>} - { id, message, expected, actual, checks, passed, errors, knownIssue, unrecordedCalls }
+     */
+    async evaluateCase(testCase) {
+        const { expected } = testCase;
+        const debugLog = this.options.verbose ? (...args) => console.log(`   [${testCase.id}]`, ...args) : () => {};
+        const context = this.buildContext(testCase);
+        const checks = {};
+        const errors = [];
+        let decision = null;
+        let plan = null;
+        let execution = null;
+
+        this.provider.startCase(testCase.id);
+
+        try {
+            decision = await this.conversationalAI.analyzeUserRequest(testCase.message, context, debugLog);
+            checks.action = decision.action === expected.action;
+            if (!checks.action) errors.push(`action ${decision.action} (expected ${expected.action})`);
+
+            if (expected.intent !== undefined) {
+                checks.intent = decision.intent === expected.intent;
+                if (!checks.intent) errors.push(`intent ${decision.intent} (expected ${expected.intent})`);
+            }
+
+            if (expected.slots) {
+                const wrongSlots = Object.entries(expected.slots).filter(([key, value]) => !matchesSubset(slotValue(decision, key), value));
+                checks.slots = wrongSlots.length === 0;
+                wrongSlots.forEach(([key, value]) => {
+                    errors.push(`slot ${key} = ${JSON.stringify(slotValue(decision, key))} (expected ${JSON.stringify(value)})`);
+                });
+            }
+
+            // The filter under test: the planned query for query decisions, the merged constraint for refinements
+            if (decision.action === 'query' && decision.needsData) {
+                if (this.options.planOnly) {
+                    plan = await this.databaseQueryAI.planQuery(decision.queryInstruction, testCase.message, context, debugLog);
+                } else {
+                    execution = await this.databaseQueryAI.buildPerfectQuery(decision.queryInstruction, testCase.message, context, debugLog);
+                    plan = execution.query || null;
+                    if (!execution.success) errors.push(`query failed: ${execution.error || execution.explanation}`);
+                }
+            } else if (decision.action === 'refine_query') {
+                plan = { filter: decision.refinement?.filter, sort: decision.refinement?.sort };
+            }
+
+            if (expected.filter !== undefined) {
+                checks.filter = Boolean(plan) && isDeepStrictEqual(normalizeDates(plan.filter), expected.filter);
+                if (!checks.filter) errors.push(`filter ${JSON.stringify(normalizeDates(plan?.filter))} (expected ${JSON.stringify(expected.filter)})`);
+            }
+
+            if (expected.pipeline !== undefined) {
+                checks.filter = Boolean(plan) && isDeepStrictEqual(normalizeDates(plan.pipeline), expected.pipeline);
+                if (!checks.filter) errors.push(`pipeline ${JSON.stringify(normalizeDates(plan?.pipeline))} (expected ${JSON.stringify(expected.pipeline)})`);
+            }
+
+            if (expected.minResults !== undefined && !this.options.planOnly) {
+                const resultCount = execution?.resultCount || 0;
+                checks.results = resultCount >= expected.minResults;
+                if (!checks.results) errors.push(`${resultCount} results (expected at least ${expected.minResults})`);
+            }
+        } catch (error) {
+            checks.action = false;
+            errors.push(`threw ${error.message}`);
+        }
+
+        return {
+            id: testCase.id,
+            message: testCase.message,
+            expected,
+            actual: {
+                action: decision?.action || 'error',
+                intent: decision?.intent ?? null,
+                classifier: decision?.classifier || null,
+                confidence: decision?.confidence ?? null,
+                filter: normalizeDates(plan?.filter ?? plan?.pipeline ?? null),
+                planSource: plan?.source || null
+            },
+            checks,
+            passed: errors.length === 0,
+            errors,
+            knownIssue: testCase.knownIssue || null,
+            unrecordedCalls: [...this.provider.missing]
+        };
+    }
+
+    /**
+     * Accuracy per check, action confusion and failures grouped by expected intent
+     * @param {Object[]} results - From evaluateCase
+     * @returns {Object}
+     */
+    summarize(results) {
+        const rate = (check) => {
+            const scored = results.filter(result => check in result.checks);
+            const passed = scored.filter(result => result.checks[check]).length;
+            return { passed, total: scored.length, accuracy: scored.length ? passed / scored.length : null };
+        };
+
+        const confusion = {};
+        results.forEach(result => {
+            const row = confusion[result.expected.action] ||= {};
+            row[result.actual.action] = (row[result.actual.action] || 0) + 1;
+        });
+
+        const failuresByIntent = {};
+        results.filter(result => !result.passed).forEach(result => {
+            (failuresByIntent[result.expected.intent || result.expected.action] ||= []).push(result);
+        });
+
+        const passed = results.filter(result => result.passed).length;
+        const gated = results.filter(result => !result.knownIssue);
+        return {
+            cases: results.length,
+            passed,
+            accuracy: results.length ? passed / results.length : 0,
+            gatedAccuracy: gated.length ? gated.filter(result => result.passed).length / gated.length : 1,
+            fixedKnownIssues: results.filter(result => result.knownIssue && result.passed).map(result => result.id),
+            checks: { action: rate('action'), intent: rate('intent'), slots: rate('slots'), filter: rate('filter'), results: rate('results') },
+            confusion,
+            failuresByIntent,
+            unrecordedCases: results.filter(result => result.unrecordedCalls.length > 0).map(result => result.id),
+            // Prompt versions that produced the model calls, with call counts
+            prompts: promptRegistry.getUsage()
+        };
+    }
+
+    printReport(summary) {
+        const percent = (value) => value === null ? 'n/a' : `${(value * 100).toFixed(1)}%`;
+
+        console.log(`\n📊 Evaluation: ${summary.passed}/${summary.cases} cases passed (${percent(summary.accuracy)})`);
+        Object.entries(summary.checks)
+            .filter(([, rate]) => rate.total > 0)
+            .forEach(([check, rate]) => console.log(`   ${check.padEnd(8)} ${rate.passed}/${rate.total} (${percent(rate.accuracy)})`));
+
+        const actions = [...new Set(Object.values(summary.confusion).flatMap(row => Object.keys(row)))].sort();
+        const expectedActions = Object.keys(summary.confusion).sort();
+        const labelWidth = Math.max(...expectedActions.map(action => action.length), 'expected'.length) + 2;
+        console.log('\n🔀 Action confusion (rows expected, columns actual):');
+        console.log(`   ${'expected'.padEnd(labelWidth)}${actions.map(action => action.padStart(action.length + 2)).join('')}`);
+        expectedActions.forEach(expected => {
+            const row = summary.confusion[expected];
+            console.log(`   ${expected.padEnd(labelWidth)}${actions.map(actual => String(row[actual] || '.').padStart(actual.length + 2)).join('')}`);
+        });
+
+        const failing = Object.entries(summary.failuresByIntent);
+        if (failing.length > 0) {
+            console.log('\n❌ Failures by intent:');
+            failing.forEach(([intent, failures]) => {
+                console.log(`   ${intent} (${failures.length})`);
+                failures.forEach(failure => {
+                    const known = failure.knownIssue ? ` (known issue: ${failure.knownIssue})` : '';
+                    console.log(`     - ${failure.id} "${failure.message}" [${failure.actual.classifier || 'none'}]: ${failure.errors.join('; ')}${known}`);
+                });
+            });
+        }
+
+        const prompts = Object.entries(summary.prompts);
+        if (prompts.length > 0) {
+            console.log(`\n📝 Prompt versions used: ${prompts.map(([id, count]) => `${id} (${count})`).join(', ')}`);
+        }
+
+        if (summary.fixedKnownIssues.length > 0) {
+            console.log(`\n✅ Known issues now passing - drop their knownIssue label: ${summary.fixedKnownIssues.join(', ')}`);
+        }
+
+        if (summary.unrecordedCases.length > 0) {
+            console.log(`\n⚠️ Model calls without a recording (answered empty): ${summary.unrecordedCases.join(', ')}`);
+            console.log('   Record them against a running Ollama with: npm run eval -- --record');
+        }
+    }
+
+    // --prompt=name@version runs the cases with that prompt version instead of the active one
+    pinPromptVersions() {
+        for (const pin of this.options.prompts) {
+            const [name, version] = (pin || '').split('@');
+            if (!name || !version) {
+                throw new Error(`--prompt expects name@version, got "${pin}"`);
+            }
+            promptRegistry.setActiveVersion(name, parseInt(version.replace(/^v/, '')));
+            console.log(`📝 Using prompt ${name}@v${promptRegistry.getActiveVersion(name)}`);
+        }
+
+        if (this.options.prompts.length > 0 && !this.options.record) {
+            console.log('⚠️ Replayed replies may have been recorded with other prompt versions - add --record to compare versions against a live model');
+        }
+        promptRegistry.resetUsage();
+    }
+
+    async run(dataset) {
+        this.pinPromptVersions();
+        if (!this.options.planOnly) {
+            await this.seedDatabase();
+        }
+
+        const results = [];
+        for (const testCase of dataset) {
+            results.push(await this.evaluateCase(testCase));
+        }
+
+        this.provider.save();
+        const summary = this.summarize(results);
+        this.printReport(summary);
+
+        if (this.options.report) {
+            writeFileSync(this.options.report, JSON.stringify({ summary, results }, null, 2));
+            console.log(`\n📝 Report written to ${this.options.report}`);
+        }
+
+        return summary;
+    }
+}
+
+const options = parseArgs(process.argv.slice(2));
+const evaluator = new IntentEvaluator(options);
+
+evaluator.run(loadDataset(options.dataset)).then(async (summary) => {
+    if (!options.planOnly) await mongoConnection.close();
+    process.exit(summary.gatedAccuracy >= MIN_ACCURACY ? 0 : 1);
+}).catch(async (error) => {
+    console.error('💥 Evaluation failed:', error.message);
+    await mongoConnection.close().catch(() => {});
+    process.exit(1);
+});
@@ -1,25 +1,15 @@
 // src/agents/conversationAgent.js - TRUE CONVERSATIONAL AI
-import { ChatOllama } from "@langchain/ollama";
-import { ChatPromptTemplate } from "@langchain/core/prompts";
 import { StringOutputParser } from "@langchain/core/output_parsers";
 import mongoConnection from '../db/mongodb.js';
 import { summarizationAgent } from './summarizationAgent.js';
 import conversationMemory from '../services/conversationMemory.js';
+import { createChatModel } from '../services/modelProvider.js';
+import promptRegistry from '../services/promptRegistry.js';
 
 // Use a capable model
-const conversationModel = new ChatOllama({
-    temperature: 0.7,
-    maxRetries: 2,
-    model: process.env.CONVERSATION_MODEL || 'llama2:7b',
-    baseURL: process.env.OLLAMA_BASE_URL,
-});
-
-const queryModel = new ChatOllama({
-    temperature: 0.1,
-    maxRetries: 2,
-    model: process.env.QUERY_MODEL || 'deepseek-coder:6.7b',
-    baseURL: process.env.OLLAMA_BASE_URL,
-});
+const conversationModel = createChatModel('conversation', { temperature: 0.7 });
+
+const queryModel = createChatModel('query');
 
 class ConversationAgent {
     constructor() {
@@ -68,7 +58,7 @@ class ConversationAgent {
         
         try {
             // Get conversation history
-            const history = conversationMemory.getConversationSummary(sessionId);
+            const history = await conversationMemory.getConversationSummary(sessionId);
             
             // Step 1: Understand what the user REALLY wants
             const understanding = await this.understandUserIntent(message, history, debugLog);
@@ -107,7 +97,7 @@ class ConversationAgent {
             }
             
             // Store interaction
-            conversationMemory.addInteraction(sessionId, {
+            await conversationMemory.addInteraction(sessionId, {
                 userMessage: message,
                 intent: understanding,
                 response: response.response,
@@ -128,56 +118,7 @@ class ConversationAgent {
     }
     
     async understandUserIntent(message, history, debugLog) {
-        const understandingPrompt = ChatPromptTemplate.fromTemplate(`
-You are having a conversation about a ticket/conversation database. Understand what the user wants.
-
-User said: "{message}"
-Previous context: {history}
-
-The database contains:
-- Tickets with IDs, customer info, status, priority, queues
-- Articles (messages) in conversations
-- Attachments on messages
-
-Analyze the user's message and determine:
-{{
-  "primaryIntent": "how_to|show_data|explain|summarize|analyze|clarification_needed|general",
-  "confidence": 0.0-1.0,
-  "reasoning": "Why you chose this intent",
-  "specificRequest": {{
-    "wantsToKnow": "What specifically they want to know",
-    "needsClarification": boolean,
-    "clarificationReason": "Why clarification is needed if true"
-  }},
-  "entities": {{
-    "ticketId": null or number,
-    "ticketNumber": null or string,
-    "customer": null or email,
-    "status": null or string,
-    "keywords": [] or ["search", "terms"]
-  }},
-  "responseType": "explanation|list|details|help|conversation"
-}}
-
-Intent types:
-- how_to: User asking HOW to do something ("how can I see", "how do I find")
-- show_data: User wants to see actual data ("show me", "list", "find")
-- explain: User wants explanation of structure/fields ("what fields", "explain structure")
-- summarize: User wants a summary of specific ticket
-- analyze: User wants statistics/analysis
-- clarification_needed: Genuinely unclear what they want
-- general: General conversation/question
-
-Examples:
-"How can I see the conversation?" → how_to (they want to know HOW to view conversations)
-"Show me all tickets" → show_data (they want to see actual tickets)
-"What fields are in tickets?" → explain (they want structure explanation)
-"I want to see ticket 123" → show_data (specific data request)
-
-BE INTELLIGENT. If someone asks "how can I see" they want instructions, not empty search results!
-
-Return ONLY the JSON.
-`);
+        const understandingPrompt = promptRegistry.template('agent.understand-intent', debugLog);
 
         try {
             const chain = understandingPrompt.pipe(conversationModel).pipe(new StringOutputParser());
@@ -488,22 +429,7 @@ Just tell me naturally what you need!`,
     async handleGeneralConversation(message, understanding, sessionId, debugLog) {
         debugLog("💬 General conversation");
         
-        const conversationalPrompt = ChatPromptTemplate.fromTemplate(`
-You're a helpful assistant for a ticket/conversation database. Respond naturally to the user.
-
-User said: "{message}"
-Understanding: {understanding}
-
-You can:
-- Show tickets/conversations
-- Search by various criteria
-- Summarize conversations
-- Explain the system
-- Analyze data
-
-Be conversational, helpful, and guide them to what they need. If unsure, ask clarifying questions.
-Don't just return empty results - help them get what they need!
-`);
+        const conversationalPrompt = promptRegistry.template('agent.general-conversation', debugLog);
 
         try {
             const chain = conversationalPrompt.pipe(conversationModel).pipe(new StringOutputParser());
@@ -1,20 +1,38 @@
 // src\agents\summarizationAgent.js
-import { ChatOllama } from "@langchain/ollama";
-import { ChatPromptTemplate } from "@langchain/core/prompts";
 import { StringOutputParser } from "@langchain/core/output_parsers";
+import { createHash } from 'crypto';
+import { estimateTokens, mapWithConcurrency } from '../utils/helpers.js';
+import { createChatModel } from '../services/modelProvider.js';
+import promptRegistry from '../services/promptRegistry.js';
 
-// Initialize Ollama model for summarization
+// Model for summarization
 // 🔄 SWAP MODEL: Change SUMMARIZATION_MODEL in .env to use different model (e.g., 'mistral:7b', 'llama2:7b')
-const summarizationModel = new ChatOllama({
-    temperature: 0.3, // Lower temperature for more focused summaries
-    maxRetries: 2,
-    model: process.env.SUMMARIZATION_MODEL || 'mistral:7b',
-    baseURL: process.env.OLLAMA_BASE_URL,
-});
+const summarizationModel = createChatModel('summarization');
+
+// Structured JSON extraction (SCHEMA_MODEL, defaults to the summarization model)
+const schemaModel = createChatModel('schema');
+
+// Model context the chunk prompts must fit into, and room kept for instructions and the answer
+const CONTEXT_TOKENS = parseInt(process.env.SUMMARY_CONTEXT_TOKENS || '4096');
+const RESERVED_TOKENS = 1024;
+const CHUNK_CACHE_LIMIT = 500;
 
 class SummarizationAgent {
+    constructor() {
+        this.chunkTokenBudget = Math.max(CONTEXT_TOKENS - RESERVED_TOKENS, 512);
+        this.concurrency = parseInt(process.env.SUMMARY_CONCURRENCY || '2');
+        // sha1(model + chunk text) -> chunk summary
+        this.chunkCache = new Map();
+    }
     
-    async summarize(conversation, debugLog = () => {}) {
+    /**
+     * Summarize one conversation with the LLM
+     * @param {Object} conversation - Conversation document
+     * @param {Function} debugLog - Debug logger
+     * @param {Object} options - { strict: true } rethrows model errors instead of returning a fallback text
+     * @returns {Promise<string>} - Markdown summary
+     */
+    async summarize(conversation, debugLog = () => {}, options = {}) {
         debugLog("📝 Starting conversation summarization");
         
         if (!conversation || !conversation.data) {
@@ -30,13 +48,13 @@ class SummarizationAgent {
         // Prepare conversation text for summarization
         const conversationText = this.prepareConversationText(ticket, articles, attachments);
         
-        // Use different summarization approaches based on conversation complexity
-        if (conversationText.length > 8000 || articles.length > 10) {
+        // Threads that do not fit the model context are summarized with map-reduce
+        if (estimateTokens(conversationText) > this.chunkTokenBudget) {
             debugLog("📚 Complex conversation detected, using multi-step summarization");
-            return await this.generateComplexSummary(ticket, articles, attachments, debugLog);
+            return await this.generateComplexSummary(ticket, articles, attachments, debugLog, options);
         } else {
             debugLog("📄 Standard conversation, using single-step summarization");
-            return await this.generateStandardSummary(conversationText, ticket, debugLog);
+            return await this.generateStandardSummary(conversationText, ticket, debugLog, options);
         }
     }
 
@@ -74,42 +92,8 @@ class SummarizationAgent {
         return text;
     }
 
-    async generateStandardSummary(conversationText, ticket, debugLog) {
-        const summaryPrompt = ChatPromptTemplate.fromTemplate(`
-You are an expert at summarizing customer support conversations. Create a comprehensive but concise summary.
-
-CONVERSATION DATA:
-{conversationText}
-
-Create a well-structured summary with these sections:
-
-**Issue Summary:**
-- What was the main issue or request?
-- Who was the customer and what did they need?
-
-**Key Events:**
-- Important messages and actions taken
-- Significant responses from support agents
-- Any escalations or complications
-
-**Resolution:**
-- How was the issue resolved (if it was)?
-- What was the final outcome?
-- Current status of the ticket
-
-**Participants:**
-- Customer and support team members involved
-- Any external parties mentioned
-
-**Files & Attachments:**
-- List any files shared during the conversation
-
-**Next Steps:** (if applicable)
-- Any follow-up actions needed
-- Outstanding issues or pending items
-
-Keep the summary factual, concise, and focus on actionable information. Use bullet points where appropriate for clarity.
-`);
+    async generateStandardSummary(conversationText, ticket, debugLog, options = {}) {
+        const summaryPrompt = promptRegistry.template('summarization.standard', debugLog);
 
         try {
             const summaryChain = summaryPrompt.pipe(summarizationModel).pipe(new StringOutputParser());
@@ -119,103 +103,180 @@ Keep the summary factual, concise, and focus on actionable information. Use bull
             return summary;
         } catch (error) {
             debugLog("❌ Error generating summary:", error);
+            if (options.strict) throw error;
             return this.generateFallbackSummary(ticket, conversationText);
         }
     }
 
-    async generateComplexSummary(ticket, articles, attachments, debugLog) {
-        debugLog("🔄 Generating multi-step summary for complex conversation");
+    async generateComplexSummary(ticket, articles, attachments, debugLog, options = {}) {
+        debugLog("🔄 Generating map-reduce summary for complex conversation");
         
-        // Step 1: Summarize articles in chunks
-        const chunkSize = 5; // Process 5 articles at a time
-        const articleSummaries = [];
+        // Map: summarize token-budgeted chunks in parallel, reusing cached chunk summaries
+        const chunks = this.buildChunks(ticket, articles);
+        debugLog(`🧩 Split ${articles.length} articles into ${chunks.length} chunks (budget ${this.chunkTokenBudget} tokens)`);
         
-        for (let i = 0; i < articles.length; i += chunkSize) {
-            const chunk = articles.slice(i, i + chunkSize);
-            const chunkSummary = await this.summarizeArticleChunk(chunk, i, debugLog);
-            articleSummaries.push(chunkSummary);
+        const articleSummaries = await mapWithConcurrency(chunks, this.concurrency, chunk =>
+            this.summarizeArticleChunk(chunk, debugLog, options)
+        );
+
+        // Reduce: fold section summaries together until they fit one prompt
+        const sections = await this.collapseSummaries(articleSummaries, debugLog, options);
+        return await this.createFinalSummary(ticket, sections, attachments, debugLog, options);
+    }
+
+    // One text block per article; articles bigger than the budget are split into parts
+    renderArticleBlocks(ticket, articles) {
+        const sorted = [...articles].sort((a, b) => new Date(a.CreateTime) - new Date(b.CreateTime));
+        const blocks = [];
+
+        sorted.forEach((article, index) => {
+            const number = index + 1;
+            const header = `[Message ${number}] ${article.CreateTime}\nFrom: ${article.From} (${article.SenderType})\n` +
+                (article.Subject && article.Subject !== ticket.Title ? `Subject: ${article.Subject}\n` : '');
+            const body = article.Body || '';
+            const bodyBudget = Math.max(this.chunkTokenBudget - estimateTokens(header) - 20, 100);
+
+            if (estimateTokens(body) <= bodyBudget) {
+                blocks.push({ number, text: `${header}Content: ${body}\n` });
+                return;
+            }
+
+            const parts = this.splitText(body, bodyBudget * 4);
+            parts.forEach((part, i) => {
+                blocks.push({
+                    number,
+                    text: `${header}Content (part ${i + 1}/${parts.length}): ${part}\n`
+                });
+            });
+        });
+
+        return blocks;
+    }
+
+    // Split on paragraph, then sentence, then word boundaries so no piece exceeds maxChars
+    splitText(text, maxChars) {
+        const pieces = [];
+        let remaining = text.trim();
+
+        while (remaining.length > maxChars) {
+            const window = remaining.slice(0, maxChars);
+            let cut = window.lastIndexOf('\n\n');
+            if (cut < maxChars / 2) cut = Math.max(window.lastIndexOf('. '), window.lastIndexOf('\n'));
+            if (cut < maxChars / 2) cut = window.lastIndexOf(' ');
+            if (cut <= 0) cut = maxChars;
+
+            pieces.push(remaining.slice(0, cut + 1).trim());
+            remaining = remaining.slice(cut + 1).trim();
         }
 
-        // Step 2: Create comprehensive summary from chunks
-        return await this.createFinalSummary(ticket, articleSummaries, attachments, debugLog);
+        if (remaining) pieces.push(remaining);
+        return pieces;
     }
 
-    async summarizeArticleChunk(articles, startIndex, debugLog) {
-        const chunkPrompt = ChatPromptTemplate.fromTemplate(`
-Summarize this section of a conversation, focusing on key points and developments:
+    // Greedily pack blocks in chronological order; a new article only changes the last chunk
+    buildChunks(ticket, articles) {
+        const chunks = [];
+        let current = null;
 
-CONVERSATION SECTION (Messages {startIndex}-{endIndex}):
-{articles}
+        for (const block of this.renderArticleBlocks(ticket, articles)) {
+            const blockTokens = estimateTokens(block.text);
 
-Provide a concise summary highlighting:
-- Main topics discussed in this section
-- Any important decisions or actions taken
-- Key information shared between participants
-- Problems identified or progress made
+            if (!current || current.tokens + blockTokens > this.chunkTokenBudget) {
+                current = { index: chunks.length, startMessage: block.number, endMessage: block.number, text: '', tokens: 0 };
+                chunks.push(current);
+            }
+
+            current.text += `${block.text}\n`;
+            current.tokens += blockTokens;
+            current.endMessage = block.number;
+        }
+
+        return chunks;
+    }
 
-Keep it brief but capture the essential information from this section.
-`);
+    async summarizeArticleChunk(chunk, debugLog, options = {}) {
+        // A new prompt version must not reuse summaries written by the old one
+        const promptId = promptRegistry.get('summarization.chunk').id;
+        const cacheKey = createHash('sha1').update(`${summarizationModel.model}\n${promptId}\n${chunk.text}`).digest('hex');
+        const label = chunk.startMessage === chunk.endMessage
+            ? `Message ${chunk.startMessage}`
+            : `Messages ${chunk.startMessage}-${chunk.endMessage}`;
+
+        if (this.chunkCache.has(cacheKey)) {
+            debugLog(`♻️ Reusing cached summary for ${label}`);
+            return `${label}:\n${this.chunkCache.get(cacheKey)}`;
+        }
 
-        const articlesText = articles.map((article, index) => {
-            return `[${startIndex + index + 1}] ${article.CreateTime}
-From: ${article.From} (${article.SenderType})
-Subject: ${article.Subject}
-Content: ${article.Body}
-`;
-        }).join('\n\n');
+        const chunkPrompt = promptRegistry.template('summarization.chunk', debugLog);
 
         try {
             const chunkChain = chunkPrompt.pipe(summarizationModel).pipe(new StringOutputParser());
-            return await chunkChain.invoke({
-                startIndex: startIndex + 1,
-                endIndex: startIndex + articles.length,
-                articles: articlesText
-            });
+            const summary = await chunkChain.invoke({ label, articles: chunk.text });
+            this.cacheChunkSummary(cacheKey, summary);
+            return `${label}:\n${summary}`;
         } catch (error) {
             debugLog("❌ Error summarizing article chunk:", error);
-            return `Section ${startIndex + 1}-${startIndex + articles.length}: Error processing this section.`;
+            if (options.strict) throw error;
+            return `${label}: Error processing this section.`;
         }
     }
 
-    async createFinalSummary(ticket, articleSummaries, attachments, debugLog) {
-        const finalPrompt = ChatPromptTemplate.fromTemplate(`
-Create a comprehensive summary from these conversation sections:
-
-TICKET: {ticketTitle}
-Customer: {customer}
-Queue: {queue}
-Status: {status}
-Created: {created}
-
-CONVERSATION SECTIONS:
-{summaries}
-
-ATTACHMENTS: {attachments}
+    cacheChunkSummary(key, summary) {
+        // Map keeps insertion order, so the first key is the oldest entry
+        if (this.chunkCache.size >= CHUNK_CACHE_LIMIT) {
+            this.chunkCache.delete(this.chunkCache.keys().next().value);
+        }
+        this.chunkCache.set(key, summary);
+    }
 
-Create a complete summary with:
+    // Section summaries of very long threads can overflow the final prompt - merge neighbours until they fit
+    async collapseSummaries(summaries, debugLog, options = {}) {
+        let current = summaries;
+
+        while (current.length > 1 && estimateTokens(current.join('\n\n')) > this.chunkTokenBudget) {
+            const groups = [];
+            let group = [];
+            let groupTokens = 0;
+
+            for (const summary of current) {
+                const tokens = estimateTokens(summary);
+                if (group.length > 0 && groupTokens + tokens > this.chunkTokenBudget) {
+                    groups.push(group);
+                    group = [];
+                    groupTokens = 0;
+                }
+                group.push(summary);
+                groupTokens += tokens;
+            }
+            if (group.length > 0) groups.push(group);
 
-**Overview:**
-- What this conversation was about
-- Main issue or request from the customer
+            // Every group holds a single summary - merging cannot shrink the input any further
+            if (groups.length === current.length) break;
 
-**Conversation Flow:**
-- Key developments and interactions
-- Important decisions made
-- Any problems encountered and how they were addressed
+            debugLog(`🧩 Collapsing ${current.length} section summaries into ${groups.length}`);
+            current = await mapWithConcurrency(groups, this.concurrency, group =>
+                group.length === 1 ? group[0] : this.combineSectionSummaries(group, debugLog, options)
+            );
+        }
 
-**Current Status:**
-- Resolution status and outcome
-- Current state of the ticket
+        return current;
+    }
 
-**Participants:**
-- Who was involved in this conversation
+    async combineSectionSummaries(sections, debugLog, options = {}) {
+        const combinePrompt = promptRegistry.template('summarization.combine-sections', debugLog);
 
-**Attachments:** (if any)
-- Files shared during the conversation
+        try {
+            const combineChain = combinePrompt.pipe(summarizationModel).pipe(new StringOutputParser());
+            return await combineChain.invoke({ sections: sections.join('\n\n') });
+        } catch (error) {
+            debugLog("❌ Error combining section summaries:", error);
+            if (options.strict) throw error;
+            return sections.join('\n\n');
+        }
+    }
 
-**Summary:**
-- Brief overall summary of the entire conversation and its outcome
-`);
+    async createFinalSummary(ticket, articleSummaries, attachments, debugLog, options = {}) {
+        const finalPrompt = promptRegistry.template('summarization.final', debugLog);
 
         const attachmentList = attachments.length > 0 
             ? attachments.map(att => `${att.Filename} (${att.ContentType})`).join(', ')
@@ -234,6 +295,7 @@ Create a complete summary with:
             });
         } catch (error) {
             debugLog("❌ Error creating final summary:", error);
+            if (options.strict) throw error;
             return this.generateFallbackSummary(ticket, articleSummaries.join(' '));
         }
     }
@@ -258,6 +320,38 @@ ${truncatedContent}
 **Note:** This is a basic summary (${wordCount} words processed). For a more detailed analysis, please try again or check the conversation manually.`;
     }
 
+    /**
+     * Ask the model for the structured summary fields as JSON
+     * @param {Object} conversation - Conversation document
+     * @param {Function} debugLog - Debug logger
+     * @returns {Promise<Object>} - Parsed (not yet validated) JSON object
+     */
+    async extractStructuredSummary(conversation, debugLog = () => {}) {
+        const ticket = conversation.data.ticket;
+        const articles = conversation.data.article || [];
+        const attachments = conversation.data.attachment || [];
+
+        let conversationText = this.prepareConversationText(ticket, articles, attachments);
+        if (estimateTokens(conversationText) > this.chunkTokenBudget) {
+            // Too long for one prompt - extract from the map-reduce summary instead
+            debugLog("📚 Long conversation, extracting structure from the map-reduce summary");
+            conversationText = await this.generateComplexSummary(ticket, articles, attachments, debugLog, { strict: true });
+        }
+
+        const structurePrompt = promptRegistry.template('summarization.structured', debugLog);
+
+        const structureChain = structurePrompt.pipe(schemaModel).pipe(new StringOutputParser());
+        const response = await structureChain.invoke({ conversationText });
+
+        const jsonMatch = response.match(/\{[\s\S]*\}/);
+        if (!jsonMatch) {
+            throw new Error("Model did not return a JSON object");
+        }
+
+        debugLog("✅ Structured summary extracted");
+        return JSON.parse(jsonMatch[0]);
+    }
+
     // Generate a quick summary for search results
     async generateQuickSummary(conversation, debugLog = () => {}) {
         const ticket = conversation.data.ticket;
@@ -278,36 +372,7 @@ ${truncatedContent}
     async analyzeConversationPatterns(conversations, debugLog = () => {}) {
         debugLog(`📊 Analyzing patterns across ${conversations.length} conversations`);
         
-        const analysisPrompt = ChatPromptTemplate.fromTemplate(`
-Analyze these conversations to identify patterns, trends, and insights:
-
-CONVERSATIONS SUMMARY:
-{conversationSummaries}
-
-Provide analysis including:
-
-**Common Issues:**
-- Most frequent types of problems or requests
-- Recurring themes across conversations
-
-**Customer Behavior Patterns:**
-- Common customer communication patterns
-- Typical conversation flows
-
-**Resolution Trends:**
-- How issues are typically resolved
-- Average resolution times and patterns
-
-**Queue Analysis:**
-- Which queues handle what types of issues
-- Queue performance observations
-
-**Recommendations:**
-- Suggestions for improving customer service
-- Identified areas for process improvement
-
-Focus on actionable insights and patterns that could help improve customer service.
-`);
+        const analysisPrompt = promptRegistry.template('summarization.pattern-analysis', debugLog);
 
         const conversationSummaries = conversations.map(conv => {
             const ticket = conv.data.ticket;
@@ -1,15 +1,12 @@
 // src/ai/FormatterSummarizerAI.js - Dynamic Response Formatting & Intelligent Summarization
-import { ChatOllama } from "@langchain/ollama";
-import { ChatPromptTemplate } from "@langchain/core/prompts";
 import { StringOutputParser } from "@langchain/core/output_parsers";
+import { createChatModel } from '../services/modelProvider.js';
+import promptRegistry from '../services/promptRegistry.js';
 
 class FormatterSummarizerAI {
     constructor() {
-        this.model = new ChatOllama({
-            temperature: 0.5, // Balanced creativity for formatting and summarization
-            model: process.env.SUMMARIZATION_MODEL || 'mistral:7b',
-            baseURL: process.env.OLLAMA_BASE_URL || 'http://localhost:11434',
-        });
+        // Balanced creativity for formatting and summarization
+        this.model = createChatModel('summarization', { temperature: 0.5 });
         
         // Deep understanding of data structure for intelligent formatting
         this.structureKnowledge = `
@@ -52,116 +49,47 @@ class FormatterSummarizerAI {
         `;
     }
 
-    async formatQueryResults(queryResults, userMessage, formatInstruction, conversationContext, debugLog = () => {}) {
+    /**
+     * Run a prompt chain, streaming the output through onToken when a caller is listening
+     * @param {Object} chain - Prompt | model | string parser chain
+     * @param {Object} input - Prompt variables
+     * @param {Object} stream - Optional { onToken(chunk) for each text chunk as it is generated,
+     *   onStreamEnd() once the whole output has been streamed }
+     * @returns {Promise<string>} - The complete output
+     */
+    async runChain(chain, input, { onToken, onStreamEnd } = {}) {
+        if (!onToken) {
+            return await chain.invoke(input);
+        }
+
+        let output = '';
+        for await (const chunk of await chain.stream(input)) {
+            output += chunk;
+            onToken(chunk);
+        }
+        // Not reached when the stream breaks off - the caller then has only part of the output
+        if (onStreamEnd) onStreamEnd();
+        return output;
+    }
+
+    async formatQueryResults(queryResults, userMessage, formatInstruction, conversationContext, debugLog = () => {}, options = {}) {
         debugLog("🎨 FormatterSummarizerAI formatting query results");
         
-        const formatPrompt = ChatPromptTemplate.fromTemplate(`
-        You are an expert at presenting data in exactly the way users want to see it.
-        
-        USER'S ORIGINAL MESSAGE: "{userMessage}"
-        FORMAT INSTRUCTION: "{formatInstruction}"
-        
-        QUERY RESULTS:
-        - Result Count: {resultCount}
-        - Sample Data: {sampleData}
-        
-        CONVERSATION CONTEXT: {conversationContext}
-        
-        DATA STRUCTURE KNOWLEDGE:
-        {structureKnowledge}
-        
-        YOUR TASK: Format the results EXACTLY as the user expects based on their request.
-        
-        INTELLIGENT FORMATTING RULES:
-        
-        1. ANALYZE WHAT USER WANTS:
-        - "show all ticket IDs" → List just the TicketID numbers
-        - "list tickets" → Show TicketID, Title, Customer, Status in clean format
-        - "find tickets by email" → Show relevant tickets with customer focus
-        - "show recent tickets" → Show with dates, newest first
-        - "get ticket details" → Comprehensive information
-        
-        2. DYNAMIC PRESENTATION:
-        - For 1 result: Show detailed information
-        - For 2-10 results: Show key details in list format
-        - For 10+ results: Show summarized list + offer to show more details
-        - For 100+ results: Show stats + sample + suggest filtering
-        
-        3. USER-FRIENDLY FORMAT:
-        - Use clear headers and structure
-        - Bold important information like ticket numbers
-        - Include relevant context (dates, status, priority)
-        - Make it scannable and easy to read
-        - Always include total count
-        
-        4. BE CONVERSATIONAL:
-        - Don't just dump data
-        - Explain what you're showing
-        - Offer helpful next steps
-        - Be natural and helpful
-        
-        5. HANDLE SPECIAL CASES:
-        - No results: Be helpful, suggest alternatives
-        - Too many results: Summarize and offer refinement
-        - Single result: Show comprehensive details
-        
-        FORMATTING EXAMPLES:
-        
-        For "show all ticket IDs":
-        "Here are all 25 Ticket IDs in your database:
-        13001952, 13001953, 13001954, 13001955...
-        
-        Would you like details about any specific ticket?"
-        
-        For "list recent tickets":
-        "Here are the 8 most recent tickets:
-        
-        1. **Ticket 13001952** (2025010610000001)
-           📧 Customer: john@email.com
-           📝 Issue: Login problems with new system
-           ✅ Status: Open | 🔴 Priority: High
-           📅 Created: Jan 6, 2025
-        
-        2. **Ticket 13001951** (2025010510000002)
-           📧 Customer: jane@company.com
-           📝 Issue: Password reset not working
-           ✅ Status: Closed | 🟡 Priority: Normal
-           📅 Created: Jan 5, 2025"
-        
-        For stats/counts:
-        "Found 156 tickets total:
-        - 45 Open (29%)
-        - 89 Closed (57%) 
-        - 22 Pending (14%)
-        
-        Top 3 customers by ticket count:
-        1. support@bigcorp.com (12 tickets)
-        2. admin@startup.com (8 tickets)
-        3. help@agency.com (6 tickets)"
-        
-        CRITICAL:
-        - Match user's expectation exactly
-        - Don't show unnecessary fields unless requested
-        - Use emojis and formatting for better readability
-        - Always end with helpful next steps
-        - Be natural and conversational
-        
-        Format the results:
-        `);
+        const formatPrompt = promptRegistry.template('formatter.query-results', debugLog);
         
         try {
             const sampleData = this.prepareSampleData(queryResults.results);
             
             const chain = formatPrompt.pipe(this.model).pipe(new StringOutputParser());
             
-            const formattedResponse = await chain.invoke({
+            const formattedResponse = await this.runChain(chain, {
                 userMessage,
                 formatInstruction,
                 resultCount: queryResults.resultCount,
                 sampleData: JSON.stringify(sampleData, null, 2),
                 conversationContext: JSON.stringify(conversationContext),
                 structureKnowledge: this.structureKnowledge
-            });
+            }, options);
             
             return {
                 success: true,
@@ -176,83 +104,10 @@ class FormatterSummarizerAI {
         }
     }
 
-    async createIntelligentSummary(summaryInstruction, tickets, userMessage, conversationContext, debugLog = () => {}) {
+    async createIntelligentSummary(summaryInstruction, tickets, userMessage, conversationContext, debugLog = () => {}, options = {}) {
         debugLog("📋 FormatterSummarizerAI creating intelligent summary");
         
-const summaryPrompt = ChatPromptTemplate.fromTemplate(`
-You are an expert at creating comprehensive, intelligent summaries of support tickets and conversations.
-
-USER'S REQUEST: "{userMessage}"
-SUMMARY INSTRUCTION: "{summaryInstruction}"
-
-TICKET DATA TO SUMMARIZE:
-{ticketData}
-
-CONVERSATION CONTEXT: {conversationContext}
-
-DATA STRUCTURE KNOWLEDGE:
-{structureKnowledge}
-
-IMPORTANT: 
-- Create the summary strictly based on provided ticket data.
-- Do NOT include any example tickets, placeholder information, or fabricated content.
-- Avoid hallucinating details not found in the data.
-- Match the user's request clearly and accurately.
-
-SUMMARY TYPES:
-
-1. SINGLE TICKET SUMMARY:
-- Issue overview and context
-- Customer and ticket details
-- Complete conversation flow (who said what, when)
-- Current status and resolution
-- Key decisions and actions taken
-- Timeline of events
-- Attachments mentioned
-- Next steps if still open
-
-2. MULTIPLE TICKETS SUMMARY:
-- Overall patterns and trends
-- Common issues identified
-- Customer satisfaction indicators
-- Resolution times and efficiency
-- Agent performance insights
-- Priority distribution
-- Status breakdown
-
-3. CUSTOMER SUMMARY:
-- Customer interaction history
-- Common issues for this customer
-- Resolution patterns
-- Communication preferences
-- Overall relationship health
-
-4. TOPIC/KEYWORD SUMMARY:
-- Thematic analysis of issues
-- Frequency of specific problems
-- Resolution strategies that work
-- Time-to-resolution trends
-
-SUMMARY QUALITY STANDARDS:
-
-✅ COMPREHENSIVE: Cover all important aspects
-✅ NARRATIVE: Tell the story, don't just list facts
-✅ ACTIONABLE: Include insights and recommendations
-✅ STRUCTURED: Use clear sections and headers
-✅ CONTEXTUAL: Relate to user's specific request
-✅ PROFESSIONAL: Business-appropriate tone
-✅ ACCESSIBLE: Easy to understand and scan
-
-FORMATTING GUIDELINES:
-- Use markdown headers (##, ###) for structure
-- Use bullet points for key facts
-- Use **bold** for important information
-- Include dates and times in context
-- Use clear section breaks
-- End with summary of key takeaways
-
-Create the intelligent summary:
-`);
+        const summaryPrompt = promptRegistry.template('formatter.ticket-summary', debugLog);
 
         
         try {
@@ -260,13 +115,13 @@ Create the intelligent summary:
             
             const chain = summaryPrompt.pipe(this.model).pipe(new StringOutputParser());
             
-            const summary = await chain.invoke({
+            const summary = await this.runChain(chain, {
                 userMessage,
                 summaryInstruction,
                 ticketData: JSON.stringify(ticketData, null, 2),
                 conversationContext: JSON.stringify(conversationContext),
                 structureKnowledge: this.structureKnowledge
-            });
+            }, options);
             
             return {
                 success: true,
@@ -284,25 +139,7 @@ Create the intelligent summary:
     async detectAndCorrectFormatting(formattingResult, correctionInstructions, debugLog = () => {}) {
         debugLog("🔧 FormatterSummarizerAI correcting formatting");
         
-        const correctionPrompt = ChatPromptTemplate.fromTemplate(`
-        Fix the formatting based on correction instructions.
-        
-        ORIGINAL FORMATTING:
-        {originalFormatting}
-        
-        CORRECTION INSTRUCTIONS:
-        {correctionInstructions}
-        
-        STRUCTURE KNOWLEDGE:
-        {structureKnowledge}
-        
-        Apply the corrections and improve the formatting:
-        {{
-            "correctedFormatting": "improved formatted response",
-            "changesApplied": ["list of changes made"],
-            "explanation": "why these changes improve the response"
-        }}
-        `);
+        const correctionPrompt = promptRegistry.template('formatter.format-correction', debugLog);
         
         try {
             const chain = correctionPrompt.pipe(this.model).pipe(new StringOutputParser());
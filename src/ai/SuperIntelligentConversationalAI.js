@@ -1,177 +1,112 @@
 // src/ai/SuperIntelligentConversationalAI-FIXED.js
-import { ChatOllama } from "@langchain/ollama";
+import { StringOutputParser } from "@langchain/core/output_parsers";
+import IntentClassifier from '../intents/intentClassifier.js';
+import { findMissingSlot, clarificationGuidelines } from '../services/clarification.js';
+import { createChatModel } from '../services/modelProvider.js';
+import promptRegistry from '../services/promptRegistry.js';
 
 class SuperIntelligentConversationalAI {
     constructor() {
-        this.model = new ChatOllama({
-            temperature: 0.3,
-            model: process.env.CONVERSATION_MODEL || 'llama2:7b',
-            baseURL: process.env.OLLAMA_BASE_URL || 'http://localhost:11434',
-        });
+        this.model = createChatModel('conversation');
+        // Rules, then nearest examples, then (INTENT_LLM_CLASSIFIER=true) this model
+        this.intentClassifier = new IntentClassifier({ model: this.model });
         console.log('🗣️ SuperIntelligent ConversationalAI initialized');
     }
 
-    async analyzeUserRequest(message, conversationContext, debugLog = () => {}) {
+    /**
+     * Decide what to do with a message
+     * @param {string} message - User message
+     * @param {Object} conversationContext - Session context
+     * @param {Function} debugLog - Debug logger
+     * @param {Object} options - { clarificationAttempts } questions already asked for this request
+     * @returns {Promise<Object>} - Decision
+     */
+    async analyzeUserRequest(message, conversationContext, debugLog = () => {}, options = {}) {
         debugLog("🧠 Analyzing user request with enhanced intelligence and memory");
         
-        // Use enhanced pattern detection with memory awareness
-        const patterns = this.detectObviousPatterns(message, conversationContext, debugLog);
-        if (patterns) {
-            debugLog(`🎯 Pattern detected: ${patterns.action}`);
-            return patterns;
-        }
-        
-        // Fallback analysis with memory context
-        debugLog("🔄 Using fallback analysis with memory context");
-        return this.intelligentFallback(message, conversationContext, debugLog);
-    }
-
-    detectObviousPatterns(message, conversationContext, debugLog = () => {}) {
-        const lowerMessage = message.toLowerCase();
-        
-        // *** PRIORITY 1: CONTINUATION REQUESTS (FIXED!) ***
-        const continuationPatterns = [
-            /\b(see more|show more|more|continue|next|show rest|show all|display more)\b/,
-            /\b(show.*rest|display.*rest|get.*rest|list.*rest)\b/,
-            /\b(show.*remaining|display.*remaining|get.*remaining)\b/,
-            /\b(more.*result|more.*ticket|more.*data)\b/,
-            /\b(continue.*list|continue.*show)\b/
-        ];
-        
-        if (continuationPatterns.some(pattern => pattern.test(lowerMessage))) {
-            // Check if we have previous results to continue from
-            if (conversationContext.lastResults && conversationContext.lastResults.length > 0) {
-                debugLog(`🔄 Continuation request detected with ${conversationContext.lastResults.length} previous results`);
-                return {
-                    action: "continue_query",
-                    reasoning: "User wants to see more results from previous query",
-                    needsData: true,
-                    queryInstruction: "Continue showing results from previous query",
-                    continuationData: {
-                        lastResults: conversationContext.lastResults,
-                        lastQuery: conversationContext.lastQuery,
-                        offset: conversationContext.lastOffset || 20 // Default offset from where we left off
-                    },
-                    confidence: 0.98
-                };
-            } else {
-                // No previous results to continue from
-                return {
-                    action: "chat",
-                    reasoning: "User asked for more but no previous results available",
-                    needsData: false,
-                    conversationResponse: "I don't have any previous results to show more of. Please ask me to find some data first, like 'list all tickets' or 'show open tickets'.",
-                    confidence: 0.9
-                };
-            }
-        }
-        
-        // *** PRIORITY 2: SPECIFIC FIELD EXPLANATIONS (NEW!) ***
-        const specificFieldPatterns = [
-            /\bexplain.*\b(for me|to me)?\s*(what is|what's)\s*(a\s+)?(ticketid|ticket id)\b/i,
-            /\bwhat is\s*(a\s+)?(ticketid|ticket id)\b/i,
-            /\btell me about\s*(the\s+)?(ticketid|ticket id)\b/i,
-            /\bexplain.*\b(ticketid|ticket id)\b/i,
-            /\b(ticketid|ticket id)\s*explain\b/i
-        ];
-        
-        if (specificFieldPatterns.some(pattern => pattern.test(lowerMessage))) {
-            debugLog("🎯 Specific TicketID explanation requested");
-            return {
-                action: "explain",
-                reasoning: "User requesting specific explanation of TicketID field",
-                needsData: false,
-                conversationResponse: this.generateSpecificFieldExplanation("TicketID"),
-                confidence: 0.95
-            };
-        }
-        
-        // Check for other specific field requests
-        if (/\bwhat is\s*(a\s+)?(ticketnumber|ticket number)\b/i.test(lowerMessage)) {
-            return {
-                action: "explain",
-                reasoning: "User requesting specific explanation of TicketNumber field",
-                needsData: false,
-                conversationResponse: this.generateSpecificFieldExplanation("TicketNumber"),
-                confidence: 0.95
-            };
-        }
-        
-        if (/\bwhat is\s*(a\s+)?(customerid|customer id)\b/i.test(lowerMessage)) {
-            return {
-                action: "explain",
-                reasoning: "User requesting specific explanation of CustomerID field",
-                needsData: false,
-                conversationResponse: this.generateSpecificFieldExplanation("CustomerID"),
-                confidence: 0.95
-            };
-        }
-        
-        // *** PRIORITY 3: GENERAL STRUCTURE EXPLANATIONS ***
-        const generalExplanationPatterns = [
-            /\b(explain|how does|how do|describe)\b.*\b(structure|data|database|work|system)\b/,
-            /\bshow me.*\b(structure|schema|format|fields)\b/,
-            /\bhow.*\b(organize|structure|store|data|work)\b/,
-            /\bcan you.*\b(explain|describe|tell|show)\b.*\b(structure|schema|field)\b/
-        ];
-        
-        if (generalExplanationPatterns.some(pattern => pattern.test(lowerMessage))) {
-            return {
-                action: "explain",
-                reasoning: "User requesting general explanation/description of system",
-                needsData: false,
-                conversationResponse: this.generateDatabaseStructureExplanation(),
-                confidence: 0.95
-            };
+        // Classify against the intent registry; keyword fallback when no intent matches
+        const classification = await this.intentClassifier.classify(message, conversationContext, debugLog);
+        let decision;
+        if (classification) {
+            decision = this.buildDecision(classification, message, conversationContext);
+        } else {
+            debugLog("🔄 Using fallback analysis with memory context");
+            decision = { ...this.intelligentFallback(message, conversationContext, debugLog), intent: null, classifier: 'fallback' };
         }
         
-        // *** PRIORITY 4: GREETING PATTERNS ***
-        if (/^(hi|hello|hey|good morning|good afternoon|good evening)$/i.test(lowerMessage.trim())) {
+        // Ask instead of guessing when a required detail is missing or the decision is a weak guess
+        const missingSlot = findMissingSlot(decision, message, conversationContext, options.clarificationAttempts || 0);
+        if (missingSlot) {
+            debugLog(`❓ Clarification needed (${missingSlot}) for ${decision.action} at confidence ${decision.confidence}`);
             return {
-                action: "chat",
-                reasoning: "Simple greeting detected",
+                action: "clarify",
+                reasoning: `Missing ${missingSlot} for ${decision.action}`,
                 needsData: false,
-                conversationResponse: "Hello! I'm your ticket database assistant. I can help you find tickets, search by customer, analyze data, or explain the system. What would you like to do?",
-                confidence: 0.95
+                clarification: {
+                    slot: missingSlot,
+                    originalMessage: message,
+                    originalAction: decision.action
+                },
+                intent: 'clarify',
+                confidence: decision.confidence,
+                classifier: decision.classifier
             };
         }
         
-        // *** PRIORITY 5: SUMMARIZATION PATTERNS ***
-            if (/\b(summarize|summary)\b.*\b(ticket|conversation)\b/i.test(lowerMessage)) {
-        // Extract potential TicketID from message (e.g., "summarize the Ticket 13000030")
-            const ticketIdMatch = message.match(/\b(\d{7,})\b/); // Matches 7+ digit numbers like TicketIDs
-            const extractedTicketId = ticketIdMatch ? ticketIdMatch[1] : null;
+        return decision;
+    }
 
-            return {
-                action: "summarize",
-                reasoning: "Summarization request detected",
-                needsData: true,
-                summaryInstruction: `Summarize based on request: ${message}`,
-                ticketId: extractedTicketId,  // NEW: Attach extracted TicketID for precise lookup
-                confidence: 0.9
-            };
-            }
-        
-        // *** PRIORITY 6: DATA REQUEST PATTERNS ***
-        const dataRequestPatterns = [
-            /\b(list|show|get|find|search|display)\b.*\b(all|ticket|id|customer|email)\b/,
-            /\ball\b.*\b(ticket|id|customer)\b/,
-            /\bticket.*\b(id|number|list)\b/,
-            /\bhow many\b.*\b(ticket|customer)\b/,
-            /\bcan you.*\b(list|show|find)\b.*\b(ticket|customer|data)\b/
-        ];
-        
-        if (dataRequestPatterns.some(pattern => pattern.test(lowerMessage))) {
-            return {
-                action: "query",
-                reasoning: "Data request detected",
-                needsData: true,
-                queryInstruction: this.generateQueryInstruction(lowerMessage),
-                confidence: 0.9
-            };
+    /**
+     * Turn a classified intent into a decision for the coordinator
+     * @param {Object} classification - { intent, slots, confidence, classifier } from the intent classifier
+     * @param {string} message - User message
+     * @param {Object} conversationContext - Session context
+     * @returns {Object} - Decision; every decision carries its confidence and classifier
+     */
+    buildDecision(classification, message, conversationContext) {
+        const { intent, slots, confidence, classifier } = classification;
+        const fields = intent.buildDecision(slots, {
+            message,
+            lowerMessage: message.toLowerCase(),
+            context: conversationContext,
+            responder: this
+        });
+
+        return {
+            action: intent.action,
+            ...fields,
+            intent: intent.name,
+            slots,
+            confidence,
+            classifier
+        };
+    }
+
+    /**
+     * Phrase a clarifying question following prompts/ClarificationRquestPrompts.md
+     * @param {string} originalMessage - Request being clarified
+     * @param {string} slot - Missing slot (ticket, timeRange, intent)
+     * @param {string} fallbackQuestion - Used when the model is disabled or fails
+     * @param {Function} debugLog - Debug logger
+     * @returns {Promise<string>} - Question (options are listed separately)
+     */
+    async generateClarificationQuestion(originalMessage, slot, fallbackQuestion, debugLog = () => {}) {
+        if ((process.env.CLARIFICATION_MODE || 'ai') !== 'ai') {
+            return fallbackQuestion;
         }
         
-        return null; // No obvious pattern
+        try {
+            const chain = promptRegistry.template('clarification.question', debugLog).pipe(this.model).pipe(new StringOutputParser());
+            const question = (await chain.invoke({
+                guidelines: clarificationGuidelines,
+                message: originalMessage,
+                slot: { ticket: 'which ticket or customer', timeRange: 'which time period', intent: 'what the user wants to do' }[slot] || slot
+            })).trim();
+            return question || fallbackQuestion;
+        } catch (error) {
+            debugLog(`⚠️ Clarification question fell back to template: ${error.message}`);
+            return fallbackQuestion;
+        }
     }
 
     generateSpecificFieldExplanation(fieldName) {
@@ -262,8 +197,12 @@ CustomerID connects tickets to real people! 👥`
     }
 
     generateQueryInstruction(lowerMessage) {
-        if (/ticket.*id|list.*ticket.*id|all.*ticket.*id/i.test(lowerMessage)) {
+        if (/\b(how many|count|average|avg|mean|breakdown|distribution|per|grouped by)\b/i.test(lowerMessage)) {
+            return "Aggregate ticket statistics (counts, group-bys or averages) for the request";
+        } else if (/ticket.*id|list.*ticket.*id|all.*ticket.*id/i.test(lowerMessage)) {
             return "Get all tickets and return only their TicketID values";
+        } else if (/[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}/i.test(lowerMessage)) {
+            return "Find tickets for the customer email in the request";
         } else if (/customer|email/i.test(lowerMessage)) {
             return "Get all unique customer emails from tickets";
         } else if (/open.*ticket/i.test(lowerMessage)) {
@@ -278,23 +217,8 @@ CustomerID connects tickets to real people! 👥`
     intelligentFallback(message, conversationContext, debugLog = () => {}) {
         const lowerMessage = message.toLowerCase();
         
-        // Check if this might be a continuation request that wasn't caught
-        if (/\b(more|next|continue|show|list|see)\b/.test(lowerMessage)) {
-            if (conversationContext.lastResults && conversationContext.lastResults.length > 0) {
-                return {
-                    action: "continue_query",
-                    reasoning: "Fallback detected possible continuation request with available previous results",
-                    needsData: true,
-                    queryInstruction: "Continue showing results from previous query",
-                    continuationData: {
-                        lastResults: conversationContext.lastResults,
-                        lastQuery: conversationContext.lastQuery,
-                        offset: conversationContext.lastOffset || 20
-                    },
-                    confidence: 0.7
-                };
-            }
-        }
+        // Continuation is left to the continue_query intent - "more" inside a request ("tickets with more
+        // than 3 messages") is not a request for the next page
         
         // Check for explanation keywords
         if (/\b(what|how|explain|help|describe|tell|structure|schema|field|database|work)\b/.test(lowerMessage)) {
@@ -322,10 +246,10 @@ CustomerID connects tickets to real people! 👥`
         let contextualResponse = "I'm your ticket database assistant. I can help you find tickets, search by customer, analyze data, or explain the system. What would you like to do?";
         
         // Add context if we have previous results
-        if (conversationContext.lastResults && conversationContext.lastResults.length > 0) {
+        if (conversationContext.lastResultIds && conversationContext.lastResultIds.length > 0) {
             contextualResponse = `I'm your ticket database assistant. I can help you find tickets, search by customer, analyze data, or explain the system. 
 
-I still have ${conversationContext.lastResults.length} results from your last query if you'd like to see more. What would you like to do?`;
+I still have ${conversationContext.lastResultIds.length} results from your last query if you'd like to see more. What would you like to do?`;
         }
         
         return {
@@ -421,7 +345,9 @@ I can help you with:
 • "find tickets from john@email.com" - Search by customer
 • "show open tickets" - Filter by status
 • "search for login issues" - Full-text search
+• "customers complaining the app keeps crashing" - Search by meaning
 • "how many tickets" - Count queries
+• "just the billing ones" / "sort by priority" - Refine the previous results
 
 📊 **Database Knowledge**:
 • **Tickets**: ID, Number, Title, Customer, Status, Priority, Queue, Dates
@@ -430,6 +356,7 @@ I can help you with:
 
 📋 **Summarization**:
 • "summarize ticket 12345" - Detailed ticket analysis
+• "tickets like 13000030" - How similar issues were resolved
 
 🗄️ **Structure Explanations**:
 • "explain how my data structure works" - Complete schema overview
@@ -454,8 +381,12 @@ Just ask me naturally! I understand database requests with super intelligence an
                 return processingResults.data.response || `Here are more results from your previous query.`;
             } else if (processingResults.data?.type === 'conversation') {
                 return processingResults.data.response;
+            } else if (processingResults.data?.type === 'query_explanation') {
+                return processingResults.data.response;
             } else if (processingResults.data?.type === 'summary') {
                 return processingResults.data.response;
+            } else if (processingResults.data?.type === 'clarification') {
+                return processingResults.data.response;
             } else if (processingResults.data?.type === 'error') {
                 return processingResults.data.response;
             } else {
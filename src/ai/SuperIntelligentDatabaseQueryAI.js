@@ -1,38 +1,197 @@
 // src/ai/SuperIntelligentDatabaseQueryAI.js - WORKING MONGODB QUERY EXPERT
-import { ChatOllama } from "@langchain/ollama";
-import { ChatPromptTemplate } from "@langchain/core/prompts";
+import { readFileSync } from 'fs';
 import { StringOutputParser } from "@langchain/core/output_parsers";
 import mongoConnection from '../db/mongodb.js';
+import schemaKnowledge from '../services/schemaKnowledge.js';
+import { validateQueryPlan, ALLOWED_PIPELINE_STAGES, MAX_AGGREGATION_ROWS } from '../services/queryPlanSchema.js';
+import { QueryValidationError, validateFind, validatePipeline } from '../services/queryValidator.js';
+import { summarizeExplainOutput, buildPlanWarnings } from '../services/queryExplain.js';
+import { extractMetadataFilters } from '../services/queryConstraints.js';
+import { parseTemporalExpression, buildDateFilter, mergeDateFilter, getDateStorage, toStoredDate } from '../services/temporalParser.js';
+import { createChatModel } from '../services/modelProvider.js';
+import promptRegistry from '../services/promptRegistry.js';
+
+// The markdown prompt escapes braces for LangChain templates; it is passed in as a value, so unescape it
+const queryGenerationInstructions = readFileSync(new URL('../../prompts/mongoQueryGeneration.md', import.meta.url), 'utf8')
+    .replace(/\{\{/g, '{')
+    .replace(/\}\}/g, '}');
+
+// Words that mean the request has constraints the direct patterns cannot express (a parsed date range is removed first)
+const QUALIFIER_PATTERN = /\b(priority|urgent|important|high|low|queue|billing|technical|sales|helpdesk|account|product|closed|pending|new|resolved|today|yesterday|week|month|year|last|since|before|after|between|during|owner|owned|assigned|agent|attachments?|about|containing|mentioning|title|subject)\b/;
+
+// Find plans without options run with these
+const DEFAULT_FIND_OPTIONS = { limit: 100, sort: { "data.ticket.Created": -1 } };
+
+// Counting / grouping / averaging requests are answered with an aggregation pipeline
+const AGGREGATION_CUE_PATTERN = /\b(how many|count|number of|per|breakdown|distribution|grouped? by|average|avg|mean)\b/;
+
+// "how many customers", "number of unique customers" - a count of distinct CustomerIDs, not of tickets
+const CUSTOMER_COUNT_PATTERN = /\b(?:how many|count|number of)\s+(?:(?:the|of|unique|distinct|different)\s+)*customers?\b/;
+
+// "per queue", "by status", "for each priority" -> field to group on
+const GROUP_BY_FIELDS = {
+    queue: { path: 'data.ticket.Queue', label: 'Queue' },
+    status: { path: 'data.ticket.StateType', label: 'Status' },
+    state: { path: 'data.ticket.State', label: 'State' },
+    priority: { path: 'data.ticket.Priority', label: 'Priority' },
+    customer: { path: 'data.ticket.CustomerID', label: 'Customer' },
+    owner: { path: 'data.ticket.Owner', label: 'Owner' },
+    agent: { path: 'data.ticket.Owner', label: 'Owner' }
+};
+
+// Numeric measures people ask averages for
+const AVERAGE_MEASURES = [
+    { pattern: /\b(solution|resolution|resolve|solutioninmin)\b/, expression: '$data.ticket.SolutionInMin', name: 'avgSolutionInMin', label: 'Avg SolutionInMin' },
+    { pattern: /\bage\b/, expression: '$data.ticket.Age', name: 'avgAgeSeconds', label: 'Avg Age (s)' },
+    { pattern: /\b(messages?|articles?)\b/, expression: { $size: { $ifNull: ['$data.article', []] } }, name: 'avgMessages', label: 'Avg Messages' }
+];
 
 class SuperIntelligentDatabaseQueryAI {
     constructor() {
-        this.model = new ChatOllama({
-            temperature: 0.1,
-            model: process.env.QUERY_MODEL || 'deepseek-coder:6.7b',
-            baseURL: process.env.OLLAMA_BASE_URL || 'http://localhost:11434',
-        });
+        this.model = createChatModel('query');
         console.log('🔍 SuperIntelligent DatabaseQueryAI initialized');
     }
 
     async buildPerfectQuery(queryInstruction, userMessage, conversationContext, debugLog = () => {}) {
         debugLog("🔍 Building perfect query with intelligence");
         
+        const queryPlan = await this.planQuery(queryInstruction, userMessage, conversationContext, debugLog);
+        if (!queryPlan) {
+            return this.createUnplannedQueryResult(userMessage);
+        }
+        return await this.executeQuery(queryPlan, debugLog);
+    }
+
+    // Decide which query to run without executing it
+    async planQuery(queryInstruction, userMessage, conversationContext = {}, debugLog = () => {}) {
+        // Dates are resolved once, here, so every kind of plan filters the same range
+        const dateRange = parseTemporalExpression(userMessage);
+        if (dateRange) {
+            debugLog(`📅 Date range: ${dateRange.label} ("${dateRange.expression}")`);
+        }
+
+        // Counts, group-bys and averages compile to an aggregation pipeline
+        const directAggregation = this.buildDirectAggregation(userMessage, debugLog, dateRange);
+        if (directAggregation) {
+            debugLog("📊 Using direct pattern-matched aggregation");
+            return { ...directAggregation, source: 'pattern' };
+        }
+
         // First try direct pattern matching for common queries
-        const directQuery = this.buildDirectQuery(queryInstruction, userMessage, debugLog);
+        const directQuery = this.buildDirectQuery(queryInstruction, userMessage, debugLog, dateRange);
         if (directQuery) {
             debugLog("🎯 Using direct pattern-matched query");
-            return await this.executeQuery(directQuery, debugLog);
+            return { ...directQuery, source: 'pattern' };
         }
         
-        // If no direct pattern, create simple fallback query
+        // Then ask the query model for a validated plan
+        const generatedQuery = await this.generateQueryPlan(queryInstruction, userMessage, conversationContext, debugLog, dateRange);
+        if (generatedQuery) {
+            debugLog("🤖 Using model-generated query plan");
+            return generatedQuery;
+        }
+        
+        // If generation fails, fall back to the qualifiers read straight off the message (null when there are none)
         debugLog("🔧 Using intelligent fallback query");
-        return await this.createSimpleQuery(queryInstruction, userMessage, debugLog);
+        return this.createSimpleQuery(queryInstruction, userMessage, debugLog, dateRange);
+    }
+
+    buildDirectAggregation(userMessage, debugLog, dateRange = parseTemporalExpression(userMessage)) {
+        const lowerMessage = userMessage.toLowerCase();
+        if (!AGGREGATION_CUE_PATTERN.test(lowerMessage)) return null;
+
+        // A parsed date range goes into the $match; other date wording is left to the query model
+        const undatedMessage = dateRange ? lowerMessage.replace(dateRange.expression, ' ') : lowerMessage;
+        if (/\b(today|yesterday|week|month|year|last|since|before|after|between|during)\b/.test(undatedMessage)) {
+            return null;
+        }
+
+        const groupMatch = lowerMessage.match(/\b(?:per|by|for each|each)\s+(queue|status|state|priority|customer|owner|agent)\b/);
+        const group = groupMatch ? GROUP_BY_FIELDS[groupMatch[1]] : null;
+        const wantsAverage = /\b(average|avg|mean)\b/.test(lowerMessage);
+        const measure = wantsAverage ? AVERAGE_MEASURES.find(m => m.pattern.test(lowerMessage)) : null;
+        const wantsCount = /\b(how many|count|number of)\b/.test(lowerMessage);
+        const countsCustomers = CUSTOMER_COUNT_PATTERN.test(lowerMessage);
+
+        // "average of what?", grouping on something we don't know, or customers per group - let the model decide
+        if ((wantsAverage && !measure) || (!group && !measure && !wantsCount) || (countsCustomers && (group || measure))) {
+            return null;
+        }
+
+        let { filter, criteria } = extractMetadataFilters(userMessage);
+        if (dateRange) {
+            filter = mergeDateFilter(filter, dateRange);
+            criteria = [...criteria, dateRange.label];
+        }
+        const pipeline = Object.keys(filter).length > 0 ? [{ $match: filter }] : [];
+        const scope = criteria.length > 0 ? ` (${criteria.join(', ')})` : '';
+
+        if (countsCustomers) {
+            debugLog("🎯 Aggregation pattern: customer count");
+            pipeline.push({ $group: { _id: '$data.ticket.CustomerID' } }, { $count: 'count' });
+            return {
+                type: 'aggregate',
+                pipeline,
+                labels: { count: 'Customers' },
+                explanation: `Count distinct customers${scope}`
+            };
+        }
+
+        if (!group && !measure) {
+            debugLog("🎯 Aggregation pattern: ticket count");
+            pipeline.push({ $count: 'count' });
+            return {
+                type: 'aggregate',
+                pipeline,
+                labels: { count: 'Tickets' },
+                explanation: `Count tickets${scope}`
+            };
+        }
+
+        const groupStage = { _id: group ? `$${group.path}` : null, count: { $sum: 1 } };
+        const labels = { _id: group ? group.label : 'Scope', count: 'Tickets' };
+        if (measure) {
+            groupStage[measure.name] = { $avg: measure.expression };
+            labels[measure.name] = measure.label;
+        }
+
+        pipeline.push(
+            { $group: groupStage },
+            { $sort: measure && !group ? { [measure.name]: -1 } : { count: -1 } },
+            { $limit: 50 }
+        );
+
+        debugLog(`🎯 Aggregation pattern: ${measure ? measure.label : 'count'}${group ? ` per ${group.label}` : ''}`);
+        return {
+            type: 'aggregate',
+            pipeline,
+            labels,
+            explanation: `${measure ? measure.label : 'Ticket count'}${group ? ` per ${group.label.toLowerCase()}` : ''}${scope}`
+        };
     }
 
-    buildDirectQuery(queryInstruction, userMessage, debugLog) {
+    buildDirectQuery(queryInstruction, userMessage, debugLog, dateRange = parseTemporalExpression(userMessage)) {
+        const plan = this.matchDirectPattern(queryInstruction, userMessage, debugLog, dateRange);
+        if (!plan || !dateRange) return plan;
+
+        return {
+            ...this.applyDateRange(plan, dateRange),
+            explanation: `${plan.explanation} (${dateRange.label})`
+        };
+    }
+
+    matchDirectPattern(queryInstruction, userMessage, debugLog, dateRange) {
         const lowerInstruction = queryInstruction.toLowerCase();
         const lowerMessage = userMessage.toLowerCase();
-        
+
+        // Plain requests only - qualified ones ("high priority billing tickets closed last week") go to the query model
+        let messageWithoutEmails = lowerMessage.replace(/[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}/g, '');
+        if (dateRange) messageWithoutEmails = messageWithoutEmails.replace(dateRange.expression, ' ');
+        if (QUALIFIER_PATTERN.test(messageWithoutEmails)) {
+            debugLog("🧩 Request has qualifiers, skipping direct patterns");
+            return null;
+        }
+
         // Match pattern: user wants ticket IDs
         if ((lowerInstruction.includes('ticket') && lowerInstruction.includes('id')) || 
             (lowerMessage.includes('ticketid') || lowerMessage.includes('ticket id'))) {
@@ -48,20 +207,20 @@ class SuperIntelligentDatabaseQueryAI {
             };
         }
         
-        // Match pattern: user wants all tickets
-        if (lowerInstruction.includes('all') && lowerInstruction.includes('ticket')) {
-            debugLog("🎯 Pattern match: All tickets requested");
+        // Match pattern: open tickets (before "all tickets" - the instruction reads "Find all open tickets")
+        if (lowerMessage.includes('open') && lowerMessage.includes('ticket')) {
+            debugLog("🎯 Pattern match: Open tickets");
             return {
-                filter: {},
+                filter: {"data.ticket.StateType": {"$in": ["open", "new", "pending"]}},
                 options: {
                     sort: {"data.ticket.Created": -1},
                     limit: 100
                 },
-                explanation: "Get all tickets with basic information"
+                explanation: "Find all open tickets"
             };
         }
         
-        // Match pattern: customer email search
+        // Match pattern: customer email search (before "all tickets" - "show all tickets from x@y.com")
         const emailMatch = userMessage.match(/([a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,})/);
         if (emailMatch) {
             debugLog("🎯 Pattern match: Customer email search");
@@ -75,106 +234,382 @@ class SuperIntelligentDatabaseQueryAI {
             };
         }
         
-        // Match pattern: open tickets
-        if (lowerMessage.includes('open') && lowerMessage.includes('ticket')) {
-            debugLog("🎯 Pattern match: Open tickets");
+        // Match pattern: user wants all tickets
+        if (lowerInstruction.includes('all') && lowerInstruction.includes('ticket')) {
+            debugLog("🎯 Pattern match: All tickets requested");
             return {
-                filter: {"data.ticket.StateType": {"$in": ["open", "new", "pending"]}},
+                filter: {},
                 options: {
                     sort: {"data.ticket.Created": -1},
                     limit: 100
                 },
-                explanation: "Find all open tickets"
+                explanation: "Get all tickets with basic information"
             };
         }
         
         return null; // No pattern matched
     }
 
-    async createSimpleQuery(queryInstruction, userMessage, debugLog) {
+    async generateQueryPlan(queryInstruction, userMessage, conversationContext = {}, debugLog = () => {}, dateRange = parseTemporalExpression(userMessage)) {
+        debugLog("🤖 Generating query plan with the query model");
+
+        try {
+            const chain = promptRegistry.template('query.plan', debugLog).pipe(this.model).pipe(new StringOutputParser());
+            const response = await chain.invoke({
+                instructions: queryGenerationInstructions,
+                fieldReference: schemaKnowledge.getQueryGenerationContext(),
+                currentDate: new Date().toISOString(),
+                queryInstruction,
+                previousQuery: conversationContext.lastQuery ? JSON.stringify(conversationContext.lastQuery) : 'none',
+                allowedStages: ALLOWED_PIPELINE_STAGES.join(', '),
+                maxAggregationRows: MAX_AGGREGATION_ROWS,
+                dateRange: dateRange ? `${JSON.stringify(buildDateFilter(dateRange))} (${dateRange.label})` : 'none',
+                userMessage
+            });
+
+            const validation = validateQueryPlan(this.parsePlanResponse(response));
+            if (!validation.success) {
+                debugLog("⚠️ Generated plan rejected:", validation.errors.join('; '));
+                return null;
+            }
+
+            // The model is told the range, but the parsed one is what runs
+            const plan = this.toQueryPlan(validation.plan, 'llm');
+            return dateRange ? this.applyDateRange(plan, dateRange) : plan;
+
+        } catch (error) {
+            debugLog("❌ Query plan generation failed:", error.message);
+            return null;
+        }
+    }
+
+    // Executable plan from a schema-validated model plan
+    toQueryPlan(plan, source) {
+        if (plan.type === 'aggregate') {
+            return {
+                type: 'aggregate',
+                pipeline: this.normalizeDateValues(plan.pipeline),
+                labels: plan.labels,
+                explanation: plan.explanation,
+                source
+            };
+        }
+
+        return {
+            type: 'find',
+            filter: this.normalizeDateValues(plan.filter),
+            options: plan.options,
+            explanation: plan.explanation,
+            source
+        };
+    }
+
+    // Extract the JSON object from a model response (code fences, leading chatter, etc.)
+    parsePlanResponse(response) {
+        const cleaned = response.replace(/```json|```/g, '').trim();
+        const start = cleaned.indexOf('{');
+        const end = cleaned.lastIndexOf('}');
+
+        if (start === -1 || end <= start) {
+            throw new Error('Query model did not return a JSON object');
+        }
+
+        return JSON.parse(cleaned.slice(start, end + 1));
+    }
+
+    // Put a parsed date range into a plan's filter, or into the first $match of a pipeline
+    applyDateRange(plan, dateRange) {
+        if (plan.type !== 'aggregate') {
+            return { ...plan, filter: mergeDateFilter(plan.filter, dateRange) };
+        }
+
+        const pipeline = [...plan.pipeline];
+        if (pipeline[0]?.$match) {
+            pipeline[0] = { $match: mergeDateFilter(pipeline[0].$match, dateRange) };
+        } else {
+            pipeline.unshift({ $match: buildDateFilter(dateRange) });
+        }
+        return { ...plan, pipeline };
+    }
+
+    // Turn ISO strings (or {"$date": ...}) into Date values for fields stored as Date,
+    // and into "YYYY-MM-DD HH:MM:SS.sss" text for the date fields stored as strings
+    normalizeDateValues(value, fieldPath = null) {
+        if (Array.isArray(value)) {
+            return value.map(item => this.normalizeDateValues(item, fieldPath));
+        }
+
+        if (value && typeof value === 'object' && !(value instanceof Date)) {
+            if (typeof value.$date === 'string' && Object.keys(value).length === 1) {
+                return this.normalizeDateValues(value.$date, fieldPath);
+            }
+
+            const normalized = {};
+            for (const [key, nested] of Object.entries(value)) {
+                normalized[key] = this.normalizeDateValues(nested, key.startsWith('$') ? fieldPath : key);
+            }
+            return normalized;
+        }
+
+        const storage = fieldPath ? getDateStorage(fieldPath) : null;
+        if (storage === 'date' && typeof value === 'string') {
+            const date = new Date(value);
+            return isNaN(date.getTime()) ? value : date;
+        }
+        // Text already in the stored format compares as it is; ISO strings and Dates are converted
+        if (storage === 'string' && (value instanceof Date || (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T/.test(value)))) {
+            const date = new Date(value);
+            return isNaN(date.getTime()) ? value : toStoredDate(fieldPath, date);
+        }
+
+        return value;
+    }
+
+    createSimpleQuery(queryInstruction, userMessage, debugLog, dateRange = parseTemporalExpression(userMessage)) {
         debugLog("🔧 Creating simple query");
-        
-        // Default: get all tickets
-        const queryPlan = {
-            filter: {},
+
+        // Status, queue, priority, customer and date qualifiers the message names outright
+        let { filter, criteria } = extractMetadataFilters(userMessage);
+        if (dateRange) {
+            filter = mergeDateFilter(filter, dateRange);
+            criteria = [...criteria, dateRange.label];
+        }
+
+        // Without any qualifier the newest tickets would be presented as matches for an unrelated request
+        if (criteria.length === 0) {
+            debugLog("⚠️ No qualifiers to fall back on - no query built");
+            return null;
+        }
+
+        return {
+            filter,
             options: {
                 sort: {"data.ticket.Created": -1},
                 limit: 50
             },
-            explanation: "Simple query to get recent tickets"
+            explanation: `Query plan could not be generated - matching only ${criteria.join(', ')}`,
+            source: 'fallback'
+        };
+    }
+
+    // Neither the patterns, the query model nor the fallback produced a plan
+    createUnplannedQueryResult(userMessage) {
+        return {
+            success: false,
+            query: null,
+            error: `Couldn't build a query for "${userMessage}"`,
+            validationErrors: null,
+            correctable: false,
+            unplanned: true,
+            results: [],
+            resultCount: 0,
+            explanation: "No query plan could be built",
+            needsCorrection: false
         };
-        
-        return await this.executeQuery(queryPlan, debugLog);
     }
 
     async executeQuery(queryPlan, debugLog) {
         try {
-            debugLog("⚡ Executing query:", JSON.stringify(queryPlan.filter));
-            
-            const results = await mongoConnection.findConversations(
-                queryPlan.filter || {},
-                queryPlan.options || { limit: 100, sort: { "data.ticket.Created": -1 } }
-            );
-            
-            debugLog(`✅ Query executed successfully: ${results.length} results found`);
-            
+            return await this.runPlan(queryPlan, debugLog);
+        } catch (error) {
+            debugLog("❌ Query execution failed:", error.message);
+            return this.createFailedQueryResult(queryPlan, error);
+        }
+    }
+
+    // Run a plan; throws QueryValidationError when the validator rejects it, or MongoDB's error
+    async runPlan(queryPlan, debugLog) {
+        if (queryPlan.type === 'aggregate') {
+            debugLog("⚡ Executing aggregation:", JSON.stringify(queryPlan.pipeline));
+
+            const rows = await mongoConnection.executeAggregation(queryPlan.pipeline);
+
+            debugLog(`✅ Aggregation executed successfully: ${rows.length} rows`);
+
             return {
                 success: true,
                 query: queryPlan,
-                results,
-                resultCount: results.length,
-                explanation: queryPlan.explanation || "Query executed successfully"
+                results: rows,
+                resultCount: rows.length,
+                resultType: 'aggregate',
+                explanation: queryPlan.explanation || "Aggregation executed successfully"
             };
-            
-        } catch (error) {
-            debugLog("❌ Query execution failed:", error.message);
-            
-            // Try the simplest possible fallback query
-            return await this.createFallbackQuery(debugLog);
         }
+
+        debugLog("⚡ Executing query:", JSON.stringify(queryPlan.filter));
+
+        const results = await mongoConnection.findConversations(
+            queryPlan.filter || {},
+            queryPlan.options || DEFAULT_FIND_OPTIONS
+        );
+
+        debugLog(`✅ Query executed successfully: ${results.length} results found`);
+
+        return {
+            success: true,
+            query: queryPlan,
+            results,
+            resultCount: results.length,
+            explanation: queryPlan.explanation || "Query executed successfully"
+        };
     }
 
-    async createFallbackQuery(debugLog) {
-        debugLog("🚨 Creating ultimate fallback query");
-        
+    /**
+     * Dry run: validate a plan and ask MongoDB how it would execute it, without fetching documents
+     * @param {Object} queryPlan - Plan from planQuery()
+     * @param {Function} debugLog - Debug logger
+     * @returns {Object} - { type, filter, options | pipeline, explanation, source, valid, validationErrors,
+     *                       indexes, collectionScan, docsExamined, keysExamined, returned, executionTimeMillis, warnings }
+     */
+    async explainPlan(queryPlan, debugLog = () => {}) {
+        const isAggregate = queryPlan.type === 'aggregate';
+        const plan = isAggregate
+            ? { type: 'aggregate', pipeline: queryPlan.pipeline }
+            : { type: 'find', filter: queryPlan.filter || {}, options: queryPlan.options || DEFAULT_FIND_OPTIONS };
+        const validation = isAggregate ? validatePipeline(plan.pipeline) : validateFind(plan.filter, plan.options);
+
+        const explained = {
+            ...plan,
+            explanation: queryPlan.explanation || null,
+            source: queryPlan.source || null,
+            valid: validation.valid,
+            validationErrors: validation.reasons,
+            indexes: [],
+            collectionScan: null,
+            docsExamined: null,
+            keysExamined: null,
+            returned: null,
+            executionTimeMillis: null,
+            warnings: []
+        };
+
+        if (!validation.valid) {
+            debugLog("🛡️ Plan would be rejected:", validation.reasons.join('; '));
+            explained.warnings = ['The query validator would reject this plan, so it would be sent back to the query model for correction'];
+            return explained;
+        }
+
+        let stats = null;
         try {
-            // Simplest possible query
-            const results = await mongoConnection.findConversations({}, { limit: 20 });
-            
-            return {
-                success: false,
-                fallbackResults: results,
-                resultCount: results.length,
-                explanation: "Used fallback query - original query failed",
-                needsCorrection: true
-            };
-            
+            debugLog("🔬 Explaining plan:", JSON.stringify(isAggregate ? plan.pipeline : plan.filter));
+            const output = isAggregate
+                ? await mongoConnection.explainAggregation(plan.pipeline)
+                : await mongoConnection.explainFind(plan.filter, plan.options);
+            stats = summarizeExplainOutput(output);
+            Object.assign(explained, stats);
         } catch (error) {
-            debugLog("💥 Even fallback query failed:", error.message);
-            return {
-                success: false,
-                error: error.message,
-                fallbackResults: [],
-                resultCount: 0,
-                explanation: "Database connection completely failed",
-                needsCorrection: true
-            };
+            debugLog("❌ explain() failed:", error.message);
+            explained.warnings.push(`MongoDB could not explain the plan (${error.message}); index use and document estimates are unavailable`);
         }
+
+        explained.warnings.push(...buildPlanWarnings(plan, stats));
+        return explained;
     }
 
-    async correctFailedQuery(originalQuery, errorMessage, correctionInstructions, debugLog = () => {}) {
-        debugLog("🔧 Correcting failed query");
-        
-        // Simple correction: remove problematic parts
-        const correctedQuery = {
-            filter: {},
-            options: {
-                limit: 100,
-                sort: { "data.ticket.Created": -1 }
+    // The failed plan and what went wrong - the input correctFailedQuery works from
+    createFailedQueryResult(queryPlan, error) {
+        const validationErrors = error instanceof QueryValidationError ? error.reasons : null;
+
+        return {
+            success: false,
+            query: queryPlan,
+            error: error.message,
+            validationErrors,
+            // Rejected plans and MongoDB query errors can be fixed by rewriting the plan; connection problems cannot
+            correctable: Boolean(validationErrors) || error.name === 'MongoServerError',
+            results: [],
+            resultCount: 0,
+            explanation: validationErrors ? "Query rejected by the query validator" : "Query failed",
+            needsCorrection: true
+        };
+    }
+
+    /**
+     * Ask the query model to fix a failed plan. Each attempt sees the failed plan, why it failed
+     * and the earlier attempts, and is validated and run like a generated plan.
+     * @param {Object} failure - Failed result from executeQuery ({ query, error, validationErrors })
+     * @param {Object} request - { queryInstruction, userMessage, maxAttempts }
+     * @param {Function} debugLog - Debug logger
+     * @returns {Object} - executeQuery result plus { corrected, attempt, correction, failedAttempts },
+     *                     or { success: false, error, failedAttempts } when no attempt worked
+     */
+    async correctFailedQuery(failure, request, debugLog = () => {}) {
+        const { maxAttempts = 3 } = request;
+        const failedAttempts = [];
+        let failedPlan = failure.query;
+        let errors = failure.validationErrors || [failure.error];
+
+        for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+            debugLog(`🔧 Correcting failed query (attempt ${attempt}/${maxAttempts}): ${errors.join('; ')}`);
+
+            let candidate;
+            try {
+                candidate = await this.requestCorrectedPlan(failedPlan, errors, failedAttempts, request, debugLog);
+            } catch (error) {
+                debugLog("❌ Query correction failed:", error.message);
+                failedAttempts.push({ plan: null, errors: [`no usable plan from the query model (${error.message})`] });
+                continue;
+            }
+
+            const validation = validateQueryPlan(candidate);
+            if (!validation.success) {
+                debugLog("⚠️ Corrected plan rejected:", validation.errors.join('; '));
+                failedAttempts.push({ plan: candidate, errors: validation.errors });
+                failedPlan = candidate;
+                errors = validation.errors;
+                continue;
+            }
+
+            const plan = this.toQueryPlan(validation.plan, 'correction');
+            try {
+                const result = await this.runPlan(plan, debugLog);
+                debugLog(`✅ Corrected query worked on attempt ${attempt}`);
+                return {
+                    ...result,
+                    corrected: true,
+                    attempt,
+                    correction: typeof candidate.correction === 'string' ? candidate.correction : null,
+                    failedAttempts
+                };
+            } catch (error) {
+                const failed = this.createFailedQueryResult(plan, error);
+                debugLog("❌ Corrected query failed:", error.message);
+                failedAttempts.push({ plan, errors: failed.validationErrors || [failed.error] });
+                if (!failed.correctable) break;
+
+                failedPlan = plan;
+                errors = failed.validationErrors || [failed.error];
             }
+        }
+
+        return {
+            success: false,
+            query: failure.query,
+            error: `No corrected query worked after ${failedAttempts.length} attempt(s)`,
+            failedAttempts,
+            results: [],
+            resultCount: 0
         };
-        
-        return await this.executeQuery(correctedQuery, debugLog);
+    }
+
+    async requestCorrectedPlan(failedPlan, errors, failedAttempts, request, debugLog) {
+        const previousAttempts = failedAttempts.map((attempt, index) =>
+            `${index + 1}. ${attempt.plan ? JSON.stringify(attempt.plan) : '(no plan)'} -> ${attempt.errors.join('; ')}`);
+
+        const chain = promptRegistry.template('query.correct', debugLog).pipe(this.model).pipe(new StringOutputParser());
+        const response = await chain.invoke({
+            fieldReference: schemaKnowledge.getQueryGenerationContext(),
+            currentDate: new Date().toISOString(),
+            queryInstruction: request.queryInstruction || request.userMessage,
+            userMessage: request.userMessage,
+            failedPlan: JSON.stringify(failedPlan, null, 2),
+            errors: errors.map(error => `- ${error}`).join('\n'),
+            previousAttempts: previousAttempts.length > 0 ? previousAttempts.join('\n') : 'none',
+            allowedStages: ALLOWED_PIPELINE_STAGES.join(', '),
+            maxAggregationRows: MAX_AGGREGATION_ROWS
+        });
+
+        return this.parsePlanResponse(response);
     }
 
     // Simple validation method
@@ -6,6 +6,13 @@ import FormatterSummarizerAI from '../ai/FormatterSummarizerAI.js';
 import conversationMemory from '../services/conversationMemory.js';
 import mongoConnection from '../db/mongodb.js';
 import summarizationService from '../routes/summarization.js';  // NEW: Import the precise summarization module
+import hybridRetriever from '../services/hybridRetriever.js';
+import responseCache from '../services/responseCache.js';
+import similarTicketsService from '../routes/similarTickets.js';
+import { applyRefinement, describePlanCriteria } from '../services/queryRefinement.js';
+import { resolveReferences, describeInterpretations, extractFocusEntities } from '../services/referenceResolver.js';
+import intentRegistry from '../intents/intentRegistry.js';
+import { mergeClarificationReply, buildClarificationOptions, defaultClarificationQuestion, formatClarification } from '../services/clarification.js';
 
 class SuperIntelligentCoordinator {
   constructor() {
@@ -17,23 +24,74 @@ class SuperIntelligentCoordinator {
     console.log('🧠 SuperIntelligent Coordinator initialized - WITH MEMORY CONTINUATION SUPPORT');
   }
 
-  async processUserMessage(message, sessionId, debugLog = console.log) {
+  /**
+   * Process one chat message end to end
+   * @param {string} message - User message
+   * @param {string} sessionId - Conversation session
+   * @param {Function} debugLog - Debug logger
+   * @param {Object} options - { onEvent(event, data) } receives progress events while the request runs:
+   *   decision, query (with resultCount), pagination (when continuing results),
+   *   token (response text as it is generated) and replace (the full response text, when a
+   *   model stream broke off and its tokens must be discarded)
+   * @returns {Promise<Object>} - Chat result
+   */
+  async processUserMessage(message, sessionId, debugLog = console.log, options = {}) {
     if (this.debugMode) debugLog(`🧠 SuperIntelligent processing: "${message}"`);
     const startTime = Date.now();
+    const emit = options.onEvent || (() => {});
+    // A streamed answer only stands when its stream ran to the end
+    let streamedTokens = false;
+    let streamCompleted = false;
+    const onToken = (text) => {
+      streamedTokens = true;
+      emit('token', { text });
+    };
+    const onStreamEnd = () => {
+      streamCompleted = true;
+    };
     try {
       // Initialize database connection
       await mongoConnection.connect();
 
       // Get conversation context and memory
-      const conversationContext = conversationMemory.getContext(sessionId);
+      const conversationContext = await conversationMemory.getContext(sessionId);
+
+      // Step 0a: A reply to a clarifying question completes the request that asked it
+      const { request, clarificationAttempts, merged } = this.applyClarificationReply(message, conversationContext, debugLog);
+
+      // Step 0b: Rewrite "it", "that customer", "his tickets" into the entities this session was looking at
+      const resolution = resolveReferences(request, conversationContext);
+      const resolvedMessage = resolution.message;
+      if (resolution.resolved) {
+        debugLog(`🔗 Resolved references: "${request}" -> "${resolvedMessage}"`);
+      }
+      const notes = [];
+      if (merged) notes.push(`Continuing your earlier request: "${request}"`);
+      if (resolution.resolved) notes.push(describeInterpretations(resolution.interpretations));
+      const interpretationNote = notes.map(note => `_${note}._\n\n`).join('');
+
+      // Step 0c: A repeated question is answered from the response cache while its tickets are unchanged
+      const cacheRequest = responseCache.describeRequest(resolvedMessage, conversationContext);
+      const cached = await responseCache.lookup(cacheRequest, debugLog);
+      if (cached) {
+        return await this.replayCachedResponse(cached, {
+          message, sessionId, conversationContext, resolution, interpretationNote, emit, startTime, debugLog
+        });
+      }
 
       // Step 1: SuperIntelligent ConversationalAI analyzes the user message
       const decision = await this.conversationalAI.analyzeUserRequest(
-        message,
+        resolvedMessage,
         conversationContext,
-        debugLog
+        debugLog,
+        { clarificationAttempts }
       );
       if (this.debugMode) debugLog("🎯 SuperIntelligent Decision:", decision);
+      emit('decision', this.describeDecision(decision));
+      if (resolution.resolved) {
+        emit('reference', { message: request, resolvedMessage, interpretations: resolution.interpretations });
+      }
+      if (interpretationNote) emit('token', { text: interpretationNote });
       let processingResults = {
         decision,
         success: true,
@@ -41,66 +99,80 @@ class SuperIntelligentCoordinator {
         error: null
       };
 
-      // Step 2: Execute based on intelligent decision
-      if (decision.action === 'chat' || decision.action === 'explain') {
-        // Direct conversational response
-        processingResults.data = {
-          type: 'conversation',
-          response: decision.conversationResponse || this.generateExplanationResponse(),
-          success: true
-        };
-      } else if (decision.action === 'continue_query') {
-        // *** NEW: Handle continuation requests ***
-        debugLog("🔄 Processing continuation request");
-        processingResults.data = await this.executeContinuation(
+      // Step 2: Run the handler the intent registry names for this action
+      const handler = intentRegistry.getHandler(decision.action);
+      if (handler && typeof this[handler] === 'function') {
+        processingResults.data = await this[handler](
           decision,
-          message,
-          conversationContext,
-          debugLog
-        );
-      } else if (decision.action === 'query' && decision.needsData) {
-        // Execute super intelligent database query
-        debugLog("🔍 Executing database query with FIXED AI");
-        processingResults.data = await this.executeSuperIntelligentQuery(
-          decision.queryInstruction,
-          message,
-          conversationContext,
-          debugLog
-        );
-      } else if (decision.action === 'summarize') {
-        // Execute intelligent summarization (UPDATED: Pass full decision)
-        processingResults.data = await this.executeSummarization(
-          decision,  // UPDATED: Pass full decision object
-          message,
+          resolvedMessage,
           conversationContext,
-          debugLog
+          debugLog,
+          { onToken, onStreamEnd, clarificationAttempts }
         );
+      } else {
+        debugLog(`⚠️ No handler registered for action "${decision.action}"`);
       }
 
+      this.emitProcessingEvents(emit, decision, processingResults.data);
+
       // Step 3: Generate super intelligent final response
-      const finalResponse = await this.conversationalAI.generateFinalResponse(
-        message,
+      const generatedResponse = await this.conversationalAI.generateFinalResponse(
+        resolvedMessage,
         processingResults,
         conversationContext,
         debugLog
       );
 
+      // Responses built without a model arrive in one piece; a stream that broke off and fell
+      // back to a template is replaced as a whole, so clients don't keep half a model answer
+      const finalResponse = interpretationNote + generatedResponse;
+      if (!streamedTokens) {
+        emit('token', { text: generatedResponse });
+      } else if (!streamCompleted) {
+        debugLog("⚠️ Response stream interrupted, replacing streamed text with the final response");
+        emit('replace', { text: finalResponse });
+      }
+
       // Step 4: Update conversation memory with intelligence
-      this.updateConversationMemory(
+      await this.updateConversationMemory(
         sessionId,
         message,
         decision,
         processingResults,
-        finalResponse
+        finalResponse,
+        conversationContext
       );
 
+      // Step 5: Remember the answer for the next time it is asked
+      await responseCache.store(cacheRequest, {
+        decision: conversationMemory.compactIntent(decision),
+        response: generatedResponse,
+        success: processingResults.success,
+        data: processingResults.data && {
+          type: processingResults.data.type,
+          resultType: processingResults.data.resultType,
+          resultCount: processingResults.data.resultCount,
+          ticketCount: processingResults.data.ticketCount,
+          pagination: processingResults.data.pagination,
+          clarification: processingResults.data.clarification,
+          query: processingResults.data.query,
+          success: processingResults.data.success,
+          focus: processingResults.data.focus || extractFocusEntities(decision, conversationContext.lastResults)
+        }
+      }, conversationContext, debugLog);
+
       const processingTime = Date.now() - startTime;
       if (this.debugMode) debugLog(`✅ SuperIntelligent processing completed in ${processingTime}ms`);
       return {
         response: finalResponse,
+        resolvedMessage: resolution.resolved ? resolvedMessage : undefined,
         sessionId,
         processingTime,
         resultCount: processingResults.data?.resultCount || 0,
+        pagination: processingResults.data?.pagination,
+        clarification: processingResults.data?.clarification,
+        queryExplanation: processingResults.data?.queryExplanation,
+        intent: { name: decision.intent, action: decision.action, confidence: decision.confidence, classifier: decision.classifier },
         intelligenceLevel: 'Super',
         debug: this.debugMode ? {
           decision,
@@ -113,13 +185,264 @@ class SuperIntelligentCoordinator {
     }
   }
 
+  // Progress events for what a handler produced - the same for live and cached answers
+  emitProcessingEvents(emit, decision, data) {
+    if (data && !['conversation', 'clarification'].includes(data.type)) {
+      emit('query', {
+        action: decision.action,
+        type: data.type,
+        resultType: data.resultType,
+        resultCount: data.resultCount ?? data.ticketCount ?? 0,
+        success: data.success !== false
+      });
+    }
+    if (data?.pagination) {
+      emit('pagination', data.pagination);
+    }
+    if (data?.clarification) {
+      emit('clarification', data.clarification);
+    }
+  }
+
+  /**
+   * Answer from the response cache: emit the events a live answer would, and point the session
+   * at the results the cached answer was built from so follow-ups ("show more", "it") still work
+   * @param {Object} cached - { entry, match, similarity } from responseCache.lookup()
+   * @param {Object} request - State of the request being answered
+   * @returns {Promise<Object>} - Chat result, with cached: true
+   */
+  async replayCachedResponse(cached, { message, sessionId, conversationContext, resolution, interpretationNote, emit, startTime, debugLog }) {
+    const { entry } = cached;
+    const decision = entry.decision;
+
+    emit('decision', this.describeDecision(decision));
+    if (resolution.resolved) {
+      emit('reference', { message: resolution.originalMessage, resolvedMessage: resolution.message, interpretations: resolution.interpretations });
+    }
+    if (interpretationNote) emit('token', { text: interpretationNote });
+    this.emitProcessingEvents(emit, decision, entry.data);
+    emit('token', { text: entry.response });
+
+    Object.assign(conversationContext, entry.sessionState);
+    const finalResponse = interpretationNote + entry.response;
+    await this.updateConversationMemory(
+      sessionId,
+      message,
+      decision,
+      { decision, success: true, data: entry.data },
+      finalResponse,
+      conversationContext
+    );
+
+    return {
+      response: finalResponse,
+      resolvedMessage: resolution.resolved ? resolution.message : undefined,
+      sessionId,
+      processingTime: Date.now() - startTime,
+      resultCount: entry.data?.resultCount || 0,
+      pagination: entry.data?.pagination,
+      intent: { name: decision.intent, action: decision.action, confidence: decision.confidence, classifier: decision.classifier },
+      cached: true,
+      cacheMatch: cached.match,
+      cacheSimilarity: cached.match === 'semantic' ? cached.similarity : undefined,
+      cachedAt: new Date(entry.createdAt).toISOString(),
+      intelligenceLevel: 'Super',
+      debug: this.debugMode ? { decision, cached: { match: cached.match, similarity: cached.similarity, hits: entry.hits } } : undefined
+    };
+  }
+
+  /**
+   * Merge a reply into the request that is waiting for clarification. Any reply ends the pending state:
+   * one that does not answer the question is treated as a new request.
+   * @returns {Object} - { request, clarificationAttempts, merged }
+   */
+  applyClarificationReply(message, conversationContext, debugLog) {
+    const pending = conversationContext.clarificationState;
+    if (!pending) {
+      return { request: message, clarificationAttempts: 0, merged: false };
+    }
+
+    conversationContext.clarificationState = null;
+    const reply = mergeClarificationReply(pending, message);
+    if (!reply.merged) {
+      debugLog(`❓ Reply does not answer the pending ${pending.slot} question - treating it as a new request`);
+      return { request: message, clarificationAttempts: 0, merged: false };
+    }
+
+    debugLog(`❓ Clarified request: "${reply.message}"`);
+    return { request: reply.message, clarificationAttempts: pending.attempts || 1, merged: true };
+  }
+
+  // Handler for chat and explain decisions - the response was written while deciding
+  async respondConversationally(decision) {
+    return {
+      type: 'conversation',
+      response: decision.conversationResponse || this.generateExplanationResponse(),
+      success: true
+    };
+  }
+
+  async executeQueryDecision(decision, userMessage, conversationContext, debugLog) {
+    debugLog("🔍 Executing database query with FIXED AI");
+    return await this.executeSuperIntelligentQuery(decision.queryInstruction, userMessage, conversationContext, debugLog);
+  }
+
+  /**
+   * Dry run: the plan a message would run and how MongoDB would execute it, without returning documents
+   * @param {string} message - Request to explain, with or without the "explain query:" prefix
+   * @param {Object} conversationContext - Session context (previous query, results, focus)
+   * @param {Function} debugLog - Debug logger
+   * @returns {Object} - { success, request, intent, ...explainPlan() } or { success: false, error }
+   */
+  async explainQuery(message, conversationContext, debugLog = () => {}) {
+    await mongoConnection.connect();
+    const resolution = resolveReferences(message, conversationContext);
+    const decision = await this.conversationalAI.analyzeUserRequest(resolution.message, conversationContext, debugLog);
+    if (decision.action === 'explain_query') {
+      return await this.explainQuery(decision.explainRequest, conversationContext, debugLog);
+    }
+
+    const intent = { name: decision.intent, action: decision.action, confidence: decision.confidence, classifier: decision.classifier };
+    let plan = null;
+    if (decision.action === 'query') {
+      plan = await this.databaseQueryAI.planQuery(decision.queryInstruction, resolution.message, conversationContext, debugLog);
+    } else if (decision.action === 'refine_query') {
+      plan = applyRefinement(conversationContext.lastQuery, decision.refinement, conversationContext.lastResultIds || []);
+      if (plan?.filter) plan.filter = this.databaseQueryAI.normalizeDateValues(plan.filter);
+      if (plan?.pipeline) plan.pipeline = this.databaseQueryAI.normalizeDateValues(plan.pipeline);
+    }
+
+    if (!plan) {
+      return {
+        success: false,
+        request: resolution.message,
+        intent,
+        error: decision.action === 'refine_query'
+          ? 'There are no previous results to refine in this session'
+          : decision.action === 'query'
+            ? `No query could be built for "${resolution.message}"`
+            : `"${resolution.message}" is not answered with a database query (understood as ${decision.intent})`
+      };
+    }
+
+    return {
+      success: true,
+      request: resolution.message,
+      intent,
+      ...await this.databaseQueryAI.explainPlan(plan, debugLog)
+    };
+  }
+
+  async executeQueryExplain(decision, userMessage, conversationContext, debugLog) {
+    const explained = await this.explainQuery(decision.explainRequest, conversationContext, debugLog);
+    if (!explained.success) {
+      return {
+        type: 'error',
+        response: `I can't explain a query for that: ${explained.error}.`,
+        success: false,
+        intelligenceLevel: 'Super'
+      };
+    }
+
+    return {
+      type: 'query_explanation',
+      response: this.formatQueryExplanation(explained),
+      queryExplanation: explained,
+      resultCount: 0,
+      success: true,
+      intelligenceLevel: 'Super'
+    };
+  }
+
+  formatQueryExplanation(explained) {
+    const query = explained.type === 'aggregate'
+      ? { pipeline: explained.pipeline }
+      : { filter: explained.filter, options: explained.options };
+
+    let response = `**Query plan for "${explained.request}"** (not run - no tickets returned)\n\n`;
+    response += `${explained.explanation || 'No explanation'} _(${explained.source || 'unknown'} plan, ${explained.type})_\n\n`;
+    response += `\`\`\`json\n${JSON.stringify(query, null, 2)}\n\`\`\`\n\n`;
+
+    if (!explained.valid) {
+      response += `**Rejected by the query validator:**\n${explained.validationErrors.map(reason => `- ${reason}`).join('\n')}\n\n`;
+    } else if (explained.docsExamined !== null) {
+      const indexes = explained.indexes.length > 0 ? explained.indexes.map(index => index.name).join(', ') : 'none';
+      response += `**Indexes:** ${indexes}${explained.collectionScan ? ' (collection scan)' : ''}\n`;
+      response += `**Documents examined:** ${explained.docsExamined} (index keys: ${explained.keysExamined}, matching: ${explained.returned})\n\n`;
+    }
+
+    if (explained.warnings.length > 0) {
+      response += `**Warnings:**\n${explained.warnings.map(warning => `- ${warning}`).join('\n')}`;
+    }
+    return response.trim();
+  }
+
+  // Ask for the missing detail and remember the request until the answer arrives
+  async executeClarification(decision, userMessage, conversationContext, debugLog, options = {}) {
+    const { slot, originalMessage } = decision.clarification;
+    const clarificationAttempts = options.clarificationAttempts || 0;
+
+    // The ticket question offers the tickets the user just saw, or the most recently updated ones
+    let candidates = [];
+    if (slot === 'ticket') {
+      try {
+        candidates = (conversationContext.lastResultIds || []).length > 0
+          ? await conversationMemory.loadResults(conversationContext.lastResultIds.slice(0, 3))
+          : await mongoConnection.findConversations({}, { sort: { 'data.ticket.Changed': -1 }, limit: 3 });
+      } catch (error) {
+        debugLog(`⚠️ Could not load example tickets for clarification: ${error.message}`);
+      }
+    }
+
+    const choices = buildClarificationOptions(slot, originalMessage, candidates);
+    const question = await this.conversationalAI.generateClarificationQuestion(
+      originalMessage,
+      slot,
+      defaultClarificationQuestion(slot, originalMessage),
+      debugLog
+    );
+
+    conversationContext.clarificationState = {
+      originalMessage,
+      originalAction: decision.clarification.originalAction,
+      slot,
+      question,
+      options: choices,
+      attempts: clarificationAttempts + 1,
+      askedAt: Date.now()
+    };
+
+    return {
+      type: 'clarification',
+      response: formatClarification(question, choices),
+      clarification: { slot, question, options: choices },
+      success: true,
+      intelligenceLevel: 'Super'
+    };
+  }
+
+  // The parts of a decision worth showing a client - continuation data carries whole result sets
+  describeDecision(decision) {
+    return {
+      action: decision.action,
+      intent: decision.intent,
+      confidence: decision.confidence,
+      classifier: decision.classifier,
+      needsData: Boolean(decision.needsData),
+      reasoning: decision.reasoning,
+      queryInstruction: decision.queryInstruction,
+      searchQuery: decision.searchQuery,
+      ticketId: decision.ticketId
+    };
+  }
+
   // *** NEW METHOD: Handle continuation requests ***
   async executeContinuation(decision, userMessage, conversationContext, debugLog) {
     debugLog("🔄 Executing continuation request");
     const continuationData = decision.continuationData;
-    const lastResults = continuationData.lastResults || [];
+    const lastResultIds = continuationData.lastResultIds || [];
     const currentOffset = continuationData.offset || 20;
-    if (lastResults.length === 0) {
+    if (lastResultIds.length === 0) {
       return {
         type: 'error',
         response: "I don't have any previous results to continue from. Please ask me to find some data first.",
@@ -130,29 +453,31 @@ class SuperIntelligentCoordinator {
 
     // Determine how many more results to show
     const pageSize = 20; // Show 20 more results at a time
-    const remainingResults = lastResults.slice(currentOffset);
-    const nextBatch = remainingResults.slice(0, pageSize);
-    if (nextBatch.length === 0) {
+    const nextIds = lastResultIds.slice(currentOffset, currentOffset + pageSize);
+    if (nextIds.length === 0) {
       return {
         type: 'continuation_results',
-        response: `You've seen all ${lastResults.length} results! There are no more tickets to display.`,
+        response: `You've seen all ${lastResultIds.length} results! There are no more tickets to display.`,
         resultCount: 0,
         success: true,
         intelligenceLevel: 'Super'
       };
     }
 
+    // Only the page being shown is read back from the database
+    const nextBatch = await conversationMemory.loadResults(nextIds);
+
     // Create continuation response showing more results
     const continuationResponse = this.createContinuationResponse(
       nextBatch,
       currentOffset,
-      lastResults.length,
+      lastResultIds.length,
       userMessage,
       debugLog
     );
 
     // Update the conversation context with new offset
-    conversationContext.lastOffset = currentOffset + nextBatch.length;
+    conversationContext.lastOffset = currentOffset + nextIds.length;
     return continuationResponse;
   }
 
@@ -195,7 +520,7 @@ class SuperIntelligentCoordinator {
 
     return {
       type: 'continuation_results',
-      response: response,
+      response,
       resultCount: results.length,
       success: true,
       intelligenceLevel: 'Super',
@@ -223,8 +548,14 @@ class SuperIntelligentCoordinator {
         // Create response directly here instead of using FormatterSummarizerAI
         const directResponse = this.createDirectQueryResponse(queryResult, userMessage, debugLog);
         if (directResponse) {
+          // The fallback only applied the qualifiers it could read off the message - say so
+          if (queryResult.query?.source === 'fallback') {
+            const criteria = describePlanCriteria(queryResult.query);
+            directResponse.response = `⚠️ I couldn't build a full query for this request, so these results only match: ${criteria.join('; ')}.\n\n${directResponse.response}`;
+          }
           // *** IMPORTANT: Store results AND reset offset for new queries ***
-          conversationContext.lastResults = queryResult.results;
+          // Aggregation rows are statistics, not tickets - there is nothing to page through
+          conversationContext.lastResults = queryResult.resultType === 'aggregate' ? [] : queryResult.results;
           conversationContext.lastQuery = queryResult.query;
           conversationContext.lastOffset = 0; // Reset offset for new query
           return directResponse;
@@ -234,7 +565,7 @@ class SuperIntelligentCoordinator {
         }
       } else {
         // Query failed, try intelligent correction
-        return await this.handleQueryErrorIntelligently(queryResult, queryInstruction, userMessage, conversationContext, debugLog, retryCount);
+        return await this.handleQueryErrorIntelligently(queryResult, queryInstruction, userMessage, conversationContext, debugLog);
       }
     } catch (error) {
       if (retryCount < this.maxRetries) {
@@ -252,8 +583,235 @@ class SuperIntelligentCoordinator {
     }
   }
 
+  async executeRefinement(decision, userMessage, conversationContext, debugLog) {
+    const plan = applyRefinement(conversationContext.lastQuery, decision.refinement, conversationContext.lastResultIds || []);
+    if (!plan) {
+      return {
+        type: 'error',
+        response: "I don't have previous results to refine. Ask me to find some tickets first, then narrow them down.",
+        success: false,
+        intelligenceLevel: 'Super'
+      };
+    }
+
+    // Stored plans come back from the session store as JSON - restore Date values before querying
+    if (plan.filter) plan.filter = this.databaseQueryAI.normalizeDateValues(plan.filter);
+    if (plan.pipeline) plan.pipeline = this.databaseQueryAI.normalizeDateValues(plan.pipeline);
+    if (this.debugMode) debugLog("🔧 Refined query plan:", JSON.stringify(plan));
+
+    const queryResult = await this.databaseQueryAI.executeQuery(plan, debugLog);
+    if (!queryResult.success) {
+      return {
+        type: 'error',
+        response: `I couldn't run the refined query (${queryResult.error || queryResult.explanation}). Try rephrasing the refinement.`,
+        success: false,
+        error: queryResult.error,
+        intelligenceLevel: 'Super'
+      };
+    }
+
+    // Present the results the way the original request asked for them (e.g. only ticket IDs)
+    const originalRequest = [...(conversationContext.history || [])].reverse()
+      .find(entry => entry.intent?.action !== 'refine_query')?.userMessage || userMessage;
+    const directResponse = this.createDirectQueryResponse(queryResult, originalRequest, debugLog);
+    conversationContext.lastResults = queryResult.resultType === 'aggregate' ? [] : queryResult.results;
+    conversationContext.lastQuery = queryResult.query;
+    conversationContext.lastOffset = 0;
+
+    const added = [...decision.refinement.criteria, decision.refinement.sortLabel].filter(Boolean);
+    const criteria = describePlanCriteria(plan);
+    let header = `**Refined ${plan.refinedFrom ? `"${plan.refinedFrom}"` : 'your previous results'}** with ${added.join(', ')}.\n`;
+    header += `Criteria used: ${criteria.length > 0 ? criteria.join('; ') : 'none'}\n\n`;
+
+    return {
+      ...directResponse,
+      response: header + directResponse.response,
+      refinement: { added, criteria }
+    };
+  }
+
+  async executeSemanticSearch(decision, userMessage, conversationContext, debugLog) {
+    const searchQuery = decision.searchQuery || userMessage;
+    if (this.debugMode) debugLog(`🧭 Hybrid search for: "${searchQuery}"`);
+
+    // Metadata constraints (status, queue, priority, customer) come from the message around the topic,
+    // so "closed tickets about double billing" filters on closed but not on the Billing queue
+    const filterSource = searchQuery === userMessage ? userMessage : userMessage.toLowerCase().replace(searchQuery.toLowerCase(), ' ');
+    const searchResult = await hybridRetriever.retrieve(searchQuery, { k: 20, filterSource }, debugLog);
+
+    if (!searchResult.success) {
+      return {
+        type: 'error',
+        response: `I couldn't search for "${searchQuery}" right now (${searchResult.error}). Please try again later.`,
+        success: false,
+        error: searchResult.error,
+        intelligenceLevel: 'Super'
+      };
+    }
+
+    const results = searchResult.results;
+    const scope = searchResult.criteria.length > 0 ? ` (${searchResult.criteria.join(', ')})` : '';
+    if (results.length === 0) {
+      return {
+        type: 'query_results',
+        response: `I couldn't find any tickets related to "${searchQuery}"${scope}.`,
+        resultCount: 0,
+        resultType: 'semantic',
+        success: true,
+        intelligenceLevel: 'Super'
+      };
+    }
+
+    conversationContext.lastResults = results.map(r => r.conversation);
+    conversationContext.lastQuery = { hybridSearch: searchQuery, criteria: searchResult.criteria };
+    conversationContext.lastOffset = results.length;
+
+    let response = `**Found ${results.length} ticket(s) related to "${searchQuery}"${scope}:**\n\n`;
+    results.forEach((r, i) => {
+      const ticket = r.conversation.data?.ticket || {};
+      response += `${i + 1}. **Ticket ${ticket.TicketID}** (${ticket.TicketNumber || 'No Number'})\n`;
+      response += ` 📝 ${ticket.Title || 'No Title'}\n`;
+      if (r.signals.vector?.matchedText) {
+        const snippet = r.signals.vector.matchedText;
+        response += ` 💬 "${snippet.length > 160 ? `${snippet.substring(0, 157)}...` : snippet}"\n`;
+      }
+      response += ` 🔎 Matched by: ${this.describeMatchSignals(r.signals)}\n`;
+      response += ` ✅ ${ticket.State || 'Unknown Status'}\n\n`;
+    });
+
+    const failedSignals = Object.keys(searchResult.signalErrors);
+    if (failedSignals.length > 0) {
+      response += `_Note: ${failedSignals.join(' and ')} search was unavailable, so these results use the remaining signals._\n`;
+    }
+
+    return {
+      type: 'query_results',
+      response: response.trim(),
+      resultCount: results.length,
+      resultType: 'semantic',
+      query: conversationContext.lastQuery,
+      reranked: searchResult.reranked,
+      success: true,
+      intelligenceLevel: 'Super'
+    };
+  }
+
+  async executeFindSimilar(decision, userMessage, conversationContext, debugLog) {
+    const result = await similarTicketsService.findSimilarTickets(decision.ticketId, { limit: 5 }, debugLog);
+
+    if (!result.success) {
+      return {
+        type: 'error',
+        response: result.message,
+        success: false,
+        error: result.error,
+        intelligenceLevel: 'Super'
+      };
+    }
+
+    if (result.similar.length === 0) {
+      return {
+        type: 'query_results',
+        response: `I couldn't find any resolved tickets similar to ticket ${result.ticket.ticketID}.`,
+        resultCount: 0,
+        success: true,
+        intelligenceLevel: 'Super'
+      };
+    }
+
+    conversationContext.lastResults = result.conversations;
+    conversationContext.lastQuery = { similarTo: result.ticket.ticketID };
+    conversationContext.lastOffset = result.conversations.length;
+
+    let response = `**Resolved tickets similar to ${result.ticket.ticketID}** (${result.ticket.title || 'No Title'}):\n\n`;
+    result.similar.forEach((t, i) => {
+      const similarity = result.method === 'semantic' ? `similarity ${t.similarity.toFixed(2)}` : `text score ${t.similarity.toFixed(2)}`;
+      response += `${i + 1}. **Ticket ${t.ticketID}** (${t.ticketNumber || 'No Number'}) - ${similarity}\n`;
+      response += ` 📝 ${t.title || 'No Title'}\n`;
+      response += ` ⏱️ Solved in ${t.solutionInMin !== null ? `${t.solutionInMin} minutes` : 'unknown time'}\n`;
+      response += ` ✅ Resolution: ${t.resolutionSummary}\n\n`;
+    });
+
+    return {
+      type: 'query_results',
+      response: response.trim(),
+      resultCount: result.similar.length,
+      query: conversationContext.lastQuery,
+      success: true,
+      intelligenceLevel: 'Super'
+    };
+  }
+
+  async executeLastMessage(decision, userMessage, conversationContext, debugLog) {
+    const filter = decision.ticketId
+      ? { $or: [{ 'data.ticket.TicketID': parseInt(decision.ticketId) }, { 'data.ticket.TicketNumber': decision.ticketId }] }
+      : { 'data.ticket.CustomerID': decision.customer };
+    const subject = decision.ticketId ? `ticket ${decision.ticketId}` : `customer ${decision.customer}`;
+    debugLog(`💬 Looking up the last message for ${subject}`);
+
+    const [conversation] = await mongoConnection.findConversations(filter, {
+      sort: { 'data.ticket.Changed': -1 },
+      limit: 1
+    });
+    if (!conversation) {
+      return {
+        type: 'error',
+        response: `I couldn't find any tickets for ${subject}.`,
+        success: false,
+        intelligenceLevel: 'Super'
+      };
+    }
+
+    const ticket = conversation.data.ticket;
+    const articles = [...(conversation.data.article || [])]
+      .sort((a, b) => String(a.CreateTime).localeCompare(String(b.CreateTime)));
+    const customerArticles = articles.filter(article => article.SenderType === 'customer');
+    const article = (customerArticles.length > 0 ? customerArticles : articles).pop();
+
+    // The ticket becomes the session focus, so "summarize it" works next
+    conversationContext.lastResults = [conversation];
+    conversationContext.lastQuery = { type: 'find', filter: { 'data.ticket.TicketID': ticket.TicketID }, explanation: `Ticket ${ticket.TicketID}` };
+    conversationContext.lastOffset = 1;
+
+    if (!article) {
+      return {
+        type: 'query_results',
+        response: `Ticket ${ticket.TicketID} (${ticket.Title || 'No Title'}) has no messages yet.`,
+        resultCount: 1,
+        success: true,
+        intelligenceLevel: 'Super'
+      };
+    }
+
+    let response = `**Last message from ${article.From || article.SenderType}** on ticket ${ticket.TicketID} (${ticket.TicketNumber || 'No Number'}) - ${article.CreateTime}\n`;
+    response += ` 📝 ${ticket.Title || 'No Title'} · ✅ ${ticket.State || 'Unknown Status'}\n\n`;
+    response += `> **${article.Subject || 'No Subject'}**\n> ${(article.Body || '').trim().replace(/\n/g, '\n> ')}`;
+
+    return {
+      type: 'query_results',
+      response,
+      resultCount: 1,
+      query: conversationContext.lastQuery,
+      success: true,
+      intelligenceLevel: 'Super'
+    };
+  }
+
+  describeMatchSignals(signals) {
+    const parts = [];
+    if (signals.exact) parts.push(signals.exact.matched.length > 0 ? `exact match (${signals.exact.matched.join(', ')})` : 'exact match');
+    if (signals.text) parts.push(`keywords (text score ${signals.text.score.toFixed(2)})`);
+    if (signals.vector) parts.push(`meaning (similarity ${signals.vector.score.toFixed(2)})`);
+    if (signals.rerank) parts.push(`reranked #${signals.rerank.rank}`);
+    return parts.join(', ');
+  }
+
   // *** ENHANCED: Show limited results with continuation option ***
   createDirectQueryResponse(queryResult, userMessage, debugLog) {
+    if (queryResult.resultType === 'aggregate') {
+      return this.createAggregationResponse(queryResult, debugLog);
+    }
+
     const results = queryResult.results || [];
     const resultCount = queryResult.resultCount || results.length;
     debugLog(`📊 Creating direct response for ${resultCount} results`);
@@ -319,7 +877,7 @@ class SuperIntelligentCoordinator {
 
     return {
       type: 'query_results',
-      response: response,
+      response,
       resultCount: resultCount,
       query: queryResult.query,
       success: true,
@@ -327,60 +885,149 @@ class SuperIntelligentCoordinator {
     };
   }
 
-  async handleQueryErrorIntelligently(queryResult, queryInstruction, userMessage, conversationContext, debugLog, retryCount) {
-    if (retryCount >= this.maxRetries) {
-      // If we have fallback results, use them
-      if (queryResult.fallbackResults && queryResult.fallbackResults.length > 0) {
-        return this.createSimpleQueryResponse({
-          results: queryResult.fallbackResults,
-          resultCount: queryResult.fallbackResults.length,
-          success: true
-        }, userMessage, true);
+  // Render aggregation rows as a markdown table using the plan's column labels
+  createAggregationResponse(queryResult, debugLog) {
+    const rows = queryResult.results || [];
+    const labels = queryResult.query?.labels || {};
+    debugLog(`📊 Creating aggregation response for ${rows.length} row(s)`);
+
+    if (rows.length === 0) {
+      return {
+        type: 'query_results',
+        response: "No tickets matched your criteria, so there is nothing to aggregate.",
+        resultCount: 0,
+        resultType: 'aggregate',
+        query: queryResult.query,
+        success: true,
+        intelligenceLevel: 'Super'
+      };
+    }
+
+    // Grouping by several fields produces an _id object - give each part its own column
+    const flattenRow = (row) => {
+      const flat = {};
+      for (const [key, value] of Object.entries(row)) {
+        if (key === '_id' && value && typeof value === 'object' && !(value instanceof Date)) {
+          Object.assign(flat, value);
+        } else {
+          flat[key] = value;
+        }
       }
+      return flat;
+    };
+
+    const formatCell = (key, value) => {
+      if (key === '_id' && value === null) return 'All matching tickets';
+      if (value === null || value === undefined) return '-';
+      if (typeof value === 'number') return Number.isInteger(value) ? String(value) : value.toFixed(2);
+      if (value instanceof Date) return value.toISOString();
+      return String(value).replace(/\|/g, '\\|');
+    };
+
+    const flatRows = rows.map(flattenRow);
+    const columns = [...new Set(flatRows.flatMap(row => Object.keys(row)))];
+    const header = columns.map(column => labels[column] || column);
 
+    let response = `**${queryResult.explanation || 'Aggregation results'}:**\n\n`;
+    response += `| ${header.join(' | ')} |\n`;
+    response += `| ${columns.map(() => '---').join(' | ')} |\n`;
+    flatRows.forEach(row => {
+      response += `| ${columns.map(column => formatCell(column, row[column])).join(' | ')} |\n`;
+    });
+
+    return {
+      type: 'query_results',
+      response: response.trim(),
+      resultCount: rows.length,
+      resultType: 'aggregate',
+      query: queryResult.query,
+      success: true,
+      intelligenceLevel: 'Super'
+    };
+  }
+
+  async handleQueryErrorIntelligently(queryResult, queryInstruction, userMessage, conversationContext, debugLog) {
+    const reason = queryResult.validationErrors?.join('; ') || queryResult.error || 'unknown error';
+
+    // No plan at all - there is nothing to run or correct
+    if (queryResult.unplanned) {
       return {
         type: 'error',
-        response: "I've tried multiple intelligent approaches but couldn't execute your query. Please try rephrasing your request.",
+        response: `I couldn't build a query for "${userMessage}". Could you rephrase it, naming what to filter on - e.g. a status, queue, priority, customer or date range?`,
         success: false,
+        error: queryResult.error,
         intelligenceLevel: 'Super'
       };
     }
 
-    if (this.debugMode) debugLog("🔧 Handling query error with super intelligence...");
-
-    // Try correction using the fixed AI
-    try {
-      const correctedResult = await this.databaseQueryAI.correctFailedQuery(
-        queryResult.query || {},
-        queryResult.error || "Unknown error",
-        "Simplify query and remove problematic operators",
-        debugLog
-      );
-      if (correctedResult.success) {
-        return this.createSimpleQueryResponse(correctedResult, userMessage, false, true);
-      }
-    } catch (correctionError) {
-      debugLog("Query correction also failed:", correctionError);
+    // Rewriting the query does not help when the database itself is unreachable
+    if (!queryResult.correctable || !queryResult.query) {
+      return {
+        type: 'error',
+        response: `I couldn't run the query for "${userMessage}" (${reason}). The database might be temporarily unavailable - please try again in a moment.`,
+        success: false,
+        error: queryResult.error,
+        intelligenceLevel: 'Super'
+      };
     }
 
-    // If we have fallback results, use them
-    if (queryResult.fallbackResults && queryResult.fallbackResults.length > 0) {
-      return this.createSimpleQueryResponse({
-        results: queryResult.fallbackResults,
-        resultCount: queryResult.fallbackResults.length,
-        success: true
-      }, userMessage, true);
+    if (this.debugMode) debugLog(`🔧 Query failed (${reason}), asking the query model to correct it`);
+
+    const corrected = await this.databaseQueryAI.correctFailedQuery(
+      queryResult,
+      { queryInstruction, userMessage, maxAttempts: this.maxRetries },
+      debugLog
+    );
+
+    if (!corrected.success) {
+      const tried = corrected.failedAttempts.length;
+      const lastProblem = corrected.failedAttempts[tried - 1]?.errors.join('; ');
+      return {
+        type: 'error',
+        response: `I couldn't build a working query for "${userMessage}". The first query failed (${reason})` +
+          (tried > 0 ? `, and ${tried} corrected version${tried === 1 ? '' : 's'} failed too (last problem: ${lastProblem}).` : '.') +
+          ' Could you rephrase the request, e.g. naming the field or value you mean?',
+        success: false,
+        error: queryResult.error,
+        correctionAttempts: tried,
+        intelligenceLevel: 'Super'
+      };
     }
 
+    const response = this.createDirectQueryResponse(corrected, userMessage, debugLog) ||
+      this.createSimpleQueryResponse(corrected, userMessage);
+    conversationContext.lastResults = corrected.resultType === 'aggregate' ? [] : corrected.results;
+    conversationContext.lastQuery = corrected.query;
+    conversationContext.lastOffset = 0;
+
     return {
-      type: 'error',
-      response: "I couldn't execute your query with super intelligence. Could you try rephrasing it?",
-      success: false,
-      intelligenceLevel: 'Super'
+      ...response,
+      response: `${this.describeCorrection(queryResult, corrected, reason)}\n\n${response.response}`,
+      correction: {
+        reason,
+        attempts: corrected.attempt,
+        correction: corrected.correction
+      }
     };
   }
 
-  createSimpleQueryResponse(queryResult, userMessage, wasFallback = false, wasCorrected = false) {
+  // "What changed" note shown above the results of a corrected query
+  describeCorrection(failure, corrected, reason) {
+    const before = describePlanCriteria(failure.query);
+    const after = describePlanCriteria(corrected.query);
+    const changes = [
+      ...before.filter(criterion => !after.includes(criterion)).map(criterion => `removed ${criterion}`),
+      ...after.filter(criterion => !before.includes(criterion)).map(criterion => `added ${criterion}`)
+    ];
+
+    let note = `_My first query failed (${reason}), so I corrected it`;
+    if (corrected.attempt > 1) note += ` on attempt ${corrected.attempt}`;
+    if (changes.length > 0) note += `: ${changes.join('; ')}`;
+    else if (corrected.correction) note += `: ${corrected.correction.replace(/\.$/, '')}`;
+    return `${note}._`;
+  }
+
+  createSimpleQueryResponse(queryResult, userMessage) {
     const results = queryResult.results || [];
     const resultCount = queryResult.resultCount || results.length;
     if (resultCount === 0) {
@@ -397,15 +1044,11 @@ class SuperIntelligentCoordinator {
     if (userMessage.toLowerCase().includes('ticketid') || userMessage.toLowerCase().includes('ticket id')) {
       const ticketIds = results.map(r => r.data?.ticket?.TicketID).filter(id => id);
       if (ticketIds.length > 0) {
-        const prefix = wasFallback ? "Using intelligent fallback, here are the " :
-          wasCorrected ? "After intelligent correction, here are the " :
-          "Here are all the ";
-
         // Show ALL ticket IDs - NO TRUNCATION
         const allTicketIds = ticketIds.join(', ');
         return {
           type: 'query_results',
-          response: `${prefix}**Ticket IDs (${ticketIds.length} total):**\n\n${allTicketIds}\n\nWould you like details about any specific tickets?`,
+          response: `Here are all the **Ticket IDs (${ticketIds.length} total):**\n\n${allTicketIds}\n\nWould you like details about any specific tickets?`,
           resultCount: ticketIds.length,
           success: true,
           intelligenceLevel: 'Super'
@@ -428,18 +1071,16 @@ class SuperIntelligentCoordinator {
       response += `... and ${resultCount - 10} more results.`;
     }
 
-    const prefix = wasFallback ? "Using intelligent fallback:\n\n" :
-      wasCorrected ? "After intelligent correction:\n\n" : "";
     return {
       type: 'query_results',
-      response: prefix + response,
+      response,
       resultCount: resultCount,
       success: true,
       intelligenceLevel: 'Super'
     };
   }
 
-  async executeSummarization(decision, userMessage, conversationContext, debugLog) {  // UPDATED: Accept full decision
+  async executeSummarization(decision, userMessage, conversationContext, debugLog, options = {}) {  // UPDATED: Accept full decision
     if (this.debugMode) debugLog(`📋 Executing super intelligent summarization: ${decision.summaryInstruction}`);
 
     try {
@@ -452,10 +1093,18 @@ class SuperIntelligentCoordinator {
         const summaryResult = await summarizationService.summarizeByIdentifier(specificTicketId, debugLog);
 
         if (summaryResult.success) {
+          const summarized = summaryResult.summary.data?.ticket;
           return {
             type: 'summary',
             response: summaryResult.summary.summary,  // Real, template-based summary
             ticketCount: 1,
+            // The summarized ticket (and its customer) become what "it" and "that customer" refer to
+            focus: summarized ? {
+              ticketId: String(summarized.id),
+              ticketNumber: summarized.number || null,
+              customer: summarized.customer,
+              queue: summarized.queue
+            } : undefined,
             success: true,
             intelligenceLevel: 'Super'
           };
@@ -491,8 +1140,8 @@ class SuperIntelligentCoordinator {
             debugLog("Error finding ticket for summarization:", error);
           }
         }
-      } else if (conversationContext.lastResults && conversationContext.lastResults.length > 0) {
-        ticketsToSummarize = conversationContext.lastResults.slice(0, 3);
+      } else if (conversationContext.lastResultIds && conversationContext.lastResultIds.length > 0) {
+        ticketsToSummarize = await conversationMemory.loadResults(conversationContext.lastResultIds.slice(0, 3));
       }
 
       if (ticketsToSummarize.length === 0) {
@@ -510,7 +1159,8 @@ class SuperIntelligentCoordinator {
         ticketsToSummarize,
         userMessage,
         conversationContext,
-        debugLog
+        debugLog,
+        { onToken: options.onToken, onStreamEnd: options.onStreamEnd }
       );
 
       if (summaryResult.success) {
@@ -600,21 +1250,9 @@ Just ask me anything naturally! I'll handle it with super intelligence.`;
     };
   }
 
-  updateConversationMemory(sessionId, userMessage, decision, processingResults, finalResponse) {
+  async updateConversationMemory(sessionId, userMessage, decision, processingResults, finalResponse, context) {
     try {
-      conversationMemory.addInteraction(sessionId, {
-        userMessage,
-        intent: decision,
-        response: finalResponse,
-        queryExecuted: processingResults.data?.query || null,
-        resultsFound: processingResults.data?.resultCount || 0,
-        timestamp: new Date(),
-        success: processingResults.success,
-        intelligenceLevel: 'Super'
-      });
-
       // Store last results for intelligent follow-up queries
-      const context = conversationMemory.getContext(sessionId);
       if (processingResults.data?.results) {
         context.lastResults = processingResults.data.results;
         context.lastQuery = processingResults.data.query;
@@ -624,24 +1262,37 @@ Just ask me anything naturally! I'll handle it with super intelligence.`;
       // Update context for next intelligent interaction
       context.lastAction = decision.action;
       context.lastIntelligenceLevel = 'Super';
+
+      // Saves the whole context, including results and offsets set while processing
+      await conversationMemory.addInteraction(sessionId, {
+        userMessage,
+        // filters carry the ticket/customer/queue this request was about, for "it" and "that customer" next time
+        intent: { ...decision, filters: processingResults.data?.focus || extractFocusEntities(decision, context.lastResults) },
+        response: finalResponse,
+        queryExecuted: processingResults.data?.query || null,
+        resultsFound: processingResults.data?.resultCount || 0,
+        timestamp: new Date(),
+        success: processingResults.success,
+        intelligenceLevel: 'Super'
+      }, context);
     } catch (error) {
       if (this.debugMode) console.log("Memory update error:", error);
     }
   }
 
   // Method to clear session memory
-  clearSession(sessionId) {
-    conversationMemory.conversations.delete(sessionId);
+  async clearSession(sessionId) {
+    await conversationMemory.clearSession(sessionId);
   }
 
   // Method to get session status with intelligence info
-  getSessionStatus(sessionId) {
-    const context = conversationMemory.getContext(sessionId);
+  async getSessionStatus(sessionId) {
+    const context = await conversationMemory.getContext(sessionId);
     return {
       sessionId,
       messageCount: context.history.length,
       lastActivity: context.lastActivity,
-      hasResults: (context.lastResults || []).length > 0,
+      hasResults: (context.lastResultIds || []).length > 0,
       lastAction: context.lastAction,
       intelligenceLevel: context.lastIntelligenceLevel || 'Super'
     };
@@ -1,10 +1,14 @@
 // src/core/SuperIntelligentRAGSystem.js - SUPER INTELLIGENT RAG SYSTEM
 import SuperIntelligentCoordinator from './SuperIntelligentCoordinator.js';
+import conversationMemory from '../services/conversationMemory.js';
+import { getModelUsage } from '../services/modelProvider.js';
+import promptRegistry from '../services/promptRegistry.js';
+import responseCache from '../services/responseCache.js';
 
 class SuperIntelligentRAGSystem {
     constructor() {
         this.coordinator = new SuperIntelligentCoordinator();
-        this.sessions = new Map(); // Track active sessions
+        // Session statistics live with the conversation memory so they survive restarts
         this.debugMode = process.env.DEBUG_ENABLED === 'true';
         
         console.log('🧠 SUPER INTELLIGENT RAG SYSTEM INITIALIZED 🧠');
@@ -16,7 +20,14 @@ class SuperIntelligentRAGSystem {
         console.log('🚀 Can handle ANY database request with super intelligence!');
     }
 
-    async chat(message, sessionId = 'default') {
+    /**
+     * Chat with the system
+     * @param {string} message - User message
+     * @param {string} sessionId - Conversation session
+     * @param {Object} options - { onEvent } progress callback for streaming transports
+     * @returns {Promise<Object>} - Chat result
+     */
+    async chat(message, sessionId = 'default', options = {}) {
         // Create debug logger with intelligence
         const debugLog = this.debugMode ? 
             (msg, ...args) => console.log(`[SI-${sessionId}] ${msg}`, ...args) : 
@@ -27,25 +38,14 @@ class SuperIntelligentRAGSystem {
         
         try {
             // Track session with intelligence
-            if (!this.sessions.has(sessionId)) {
-                this.sessions.set(sessionId, {
-                    createdAt: new Date(),
-                    messageCount: 0,
-                    lastActivity: new Date(),
-                    intelligenceLevel: 'Super'
-                });
-            }
-            
-            const session = this.sessions.get(sessionId);
-            session.messageCount++;
-            session.lastActivity = new Date();
-            session.intelligenceLevel = 'Super';
+            await conversationMemory.recordMessage(sessionId);
             
             // Process through super intelligent coordinator
             const result = await this.coordinator.processUserMessage(
                 message, 
                 sessionId, 
-                debugLog
+                debugLog,
+                options
             );
             
             debugLog(`✅ Super Intelligence applied successfully!`);
@@ -68,13 +68,31 @@ class SuperIntelligentRAGSystem {
         }
     }
 
+    /**
+     * Dry run of a chat message: the query it would run and MongoDB's plan for it, without results.
+     * The session is read (previous query, "those" results) but not changed.
+     * @param {string} message - Request, e.g. "show open billing tickets"
+     * @param {string} sessionId - Conversation session
+     * @returns {Promise<Object>} - Plan, explanation, indexes, documents examined and warnings
+     */
+    async explainQuery(message, sessionId = 'default') {
+        const debugLog = this.debugMode ?
+            (msg, ...args) => console.log(`[EXPLAIN-${sessionId}] ${msg}`, ...args) :
+            () => {};
+
+        const conversationContext = await conversationMemory.getContext(sessionId);
+        return await this.coordinator.explainQuery(message, conversationContext, debugLog);
+    }
+
     // Get session information with intelligence metrics
-    getSessionInfo(sessionId) {
-        const sessionData = this.sessions.get(sessionId);
-        const coordinatorStatus = this.coordinator.getSessionStatus(sessionId);
+    async getSessionInfo(sessionId) {
+        const { createdAt, messageCount, lastActivity } = await conversationMemory.getContext(sessionId);
+        const coordinatorStatus = await this.coordinator.getSessionStatus(sessionId);
         
         return {
-            ...sessionData,
+            createdAt,
+            messageCount,
+            lastActivity,
             ...coordinatorStatus,
             systemStatus: 'Super Intelligent',
             aiModels: {
@@ -98,9 +116,8 @@ class SuperIntelligentRAGSystem {
     }
 
     // Clear specific session
-    clearSession(sessionId) {
-        this.sessions.delete(sessionId);
-        this.coordinator.clearSession(sessionId);
+    async clearSession(sessionId) {
+        await this.coordinator.clearSession(sessionId);
         return { 
             success: true, 
             message: `Super Intelligent Session ${sessionId} cleared`,
@@ -109,11 +126,12 @@ class SuperIntelligentRAGSystem {
     }
 
     // Get super intelligent system status
-    getSystemStatus() {
+    async getSystemStatus() {
         return {
             systemType: 'Super Intelligent RAG System',
             intelligenceLevel: 'Super',
-            activeSessions: this.sessions.size,
+            activeSessions: await conversationMemory.countSessions(),
+            memoryStore: conversationMemory.store.type,
             aiModels: {
                 conversational: {
                     model: process.env.CONVERSATION_MODEL || 'llama2:7b',
@@ -190,20 +208,12 @@ class SuperIntelligentRAGSystem {
     }
 
     // Clean up old sessions with intelligence
-    cleanupSessions(maxAge = 2 * 60 * 60 * 1000) { // 2 hours default
-        const now = Date.now();
-        let cleaned = 0;
-        
-        for (const [sessionId, session] of this.sessions.entries()) {
-            if (now - session.lastActivity.getTime() > maxAge) {
-                this.clearSession(sessionId);
-                cleaned++;
-            }
-        }
+    async cleanupSessions(maxAge = 2 * 60 * 60 * 1000) { // 2 hours default
+        const cleaned = await conversationMemory.cleanup(maxAge);
         
         return { 
             cleaned, 
-            remaining: this.sessions.size,
+            remaining: await conversationMemory.countSessions(),
             intelligenceLevel: 'Super',
             message: `Super Intelligence cleaned ${cleaned} old sessions`
         };
@@ -277,8 +287,8 @@ class SuperIntelligentRAGSystem {
     }
 
     // Get super intelligent system metrics
-    getIntelligenceMetrics() {
-        const sessions = Array.from(this.sessions.values());
+    async getIntelligenceMetrics() {
+        const sessions = await conversationMemory.listSessionStats();
         const totalMessages = sessions.reduce((sum, session) => sum + session.messageCount, 0);
         const avgMessagesPerSession = sessions.length > 0 ? totalMessages / sessions.length : 0;
 
@@ -290,12 +300,18 @@ class SuperIntelligentRAGSystem {
                 totalMessages: totalMessages,
                 averageMessagesPerSession: Math.round(avgMessagesPerSession * 100) / 100,
                 oldestSession: sessions.length > 0 ? 
-                    Math.min(...sessions.map(s => s.createdAt.getTime())) : null,
+                    Math.min(...sessions.map(s => s.createdAt)) : null,
                 newestSession: sessions.length > 0 ? 
-                    Math.max(...sessions.map(s => s.createdAt.getTime())) : null,
+                    Math.max(...sessions.map(s => s.createdAt)) : null,
                 mostActiveSession: sessions.reduce((max, session) => 
                     session.messageCount > (max?.messageCount || 0) ? session : max, null)?.messageCount || 0
             },
+            // Model calls and tokens per role since start
+            modelUsage: getModelUsage(),
+            // Times each prompt version was used since start
+            promptUsage: promptRegistry.getUsage(),
+            // Chat answers reused for repeated questions
+            responseCache: responseCache.getStats(),
             capabilities: {
                 naturalLanguageProcessing: 'Super',
                 databaseQuerying: 'Super', 
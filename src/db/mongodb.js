@@ -1,5 +1,6 @@
 // src\db\mongodb.js
 import { MongoClient } from 'mongodb';
+import { assertValidFind, assertValidPipeline } from '../services/queryValidator.js';
 
 class MongoDBConnection {
     constructor() {
@@ -38,6 +39,7 @@ class MongoDBConnection {
             
             // Create indexes for common queries based on your conversation schema
             await conversations.createIndex({ 'key': 1 }, { unique: true });
+            await conversations.createIndex({ 'data.ticket.TicketID': 1 });
             await conversations.createIndex({ 'data.ticket.TicketNumber': 1 });
             await conversations.createIndex({ 'data.ticket.CustomerID': 1 });
             await conversations.createIndex({ 'data.ticket.State': 1 });
@@ -54,6 +56,15 @@ class MongoDBConnection {
                 'data.article.From': 'text'
             });
 
+            // Summary cache: one entry per ticket, mode and model
+            const summaries = this.db.collection('summaries');
+            await summaries.createIndex({ ticketId: 1, mode: 1, model: 1 }, { unique: true });
+            await summaries.createIndex({ queue: 1 });
+
+            // Conversation sessions: MongoDB removes each one once its expiresAt passes
+            const sessions = this.db.collection('sessions');
+            await sessions.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
             console.log('✅ MongoDB indexes created');
         } catch (error) {
             console.error('❌ Error creating indexes:', error);
@@ -77,7 +88,10 @@ class MongoDBConnection {
     }
 
     // Utility methods for conversation operations
+    // Filters and options are checked against the field / operator / limit allowlists first;
+    // a rejected query throws QueryValidationError with the reasons
     async findConversations(filter = {}, options = {}) {
+        assertValidFind(filter, options);
         const conversations = this.db.collection('conversations');
         return await conversations.find(filter, options).toArray();
     }
@@ -101,7 +115,9 @@ class MongoDBConnection {
             ...filters
         };
 
+        // Expose the relevance score as `score` so callers can rank or fuse it
         return await conversations.find(searchFilter)
+            .project({ score: { $meta: 'textScore' } })
             .sort({ score: { $meta: 'textScore' } })
             .limit(limit)
             .toArray();
@@ -131,12 +147,13 @@ class MongoDBConnection {
         }).sort({ 'data.ticket.Created': -1 }).toArray();
     }
 
-    async findConversationsByQueue(queueName) {
+    async findConversationsByQueue(queueName, limit = 0) {
         const conversations = this.db.collection('conversations');
         
+        // A limit of 0 returns the whole queue
         return await conversations.find({
             'data.ticket.Queue': queueName
-        }).sort({ 'data.ticket.Created': -1 }).toArray();
+        }).sort({ 'data.ticket.Created': -1 }).limit(limit).toArray();
     }
 
     async getRecentConversations(limit = 10) {
@@ -180,12 +197,27 @@ class MongoDBConnection {
         };
     }
 
-    // Execute custom aggregation pipeline
+    // Execute custom aggregation pipeline - validated like findConversations
     async executeAggregation(pipeline) {
+        assertValidPipeline(pipeline);
         const conversations = this.db.collection('conversations');
         return await conversations.aggregate(pipeline).toArray();
     }
 
+    // How MongoDB would run a find or an aggregation: explain('executionStats') runs the plan on the
+    // server but returns the planner's statistics instead of documents. Validated like the queries.
+    async explainFind(filter = {}, options = {}) {
+        assertValidFind(filter, options);
+        const conversations = this.db.collection('conversations');
+        return await conversations.find(filter, options).explain('executionStats');
+    }
+
+    async explainAggregation(pipeline) {
+        assertValidPipeline(pipeline);
+        const conversations = this.db.collection('conversations');
+        return await conversations.aggregate(pipeline).explain('executionStats');
+    }
+
     // Get distinct values for a field
     async getDistinctValues(field, filter = {}) {
         const conversations = this.db.collection('conversations');
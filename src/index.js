@@ -2,14 +2,57 @@
 import express from 'express';
 import cors from 'cors';
 import superIntelligentRAGSystem from './core/SuperIntelligentRAGSystem.js';
-import summarizationService from './routes/summarization.js';
+import summarizationService, { SUMMARY_MODES, SUMMARY_FORMATS } from './routes/summarization.js';
+import similarTicketsService from './routes/similarTickets.js';
+import chatSocketServer, { CHAT_SOCKET_PATH } from './routes/chatSocket.js';
+import semanticRetriever from './services/semanticRetriever.js';
+import summaryCache from './services/summaryCache.js';
+import responseCache from './services/responseCache.js';
+import mongoConnection from './db/mongodb.js';
+import { sanitizeMongoQuery } from './utils/helpers.js';
+import { wantsEventStream, openEventStream } from './utils/sse.js';
 
 const app = express();
 app.use(cors());
 app.use(express.json());
 
+// Streamed chat - progress events (decision, query, token) followed by done with the full result
+async function streamChat(req, res) {
+    const { message, sessionId = 'default' } = req.body;
+
+    if (!message) {
+        return res.status(400).json({
+            error: 'Message required',
+            example: { message: "list all ticket IDs", sessionId: "user123" },
+            systemType: 'Super Intelligent RAG System'
+        });
+    }
+
+    const stream = openEventStream(res);
+    try {
+        const response = await superIntelligentRAGSystem.chat(message, sessionId, {
+            onEvent: (event, data) => stream.send(event, data)
+        });
+        stream.send('done', response);
+    } catch (error) {
+        console.error('❌ Super Intelligent Stream Error:', error);
+        stream.send('error', {
+            error: error.message,
+            response: "I encountered an error while applying super intelligence. Please try again."
+        });
+    } finally {
+        stream.close();
+    }
+}
+
+app.post('/chat/stream', streamChat);
+
 // Main chat endpoint - Enhanced with smarter pattern recognition
 app.post('/chat', async (req, res) => {
+    if (wantsEventStream(req)) {
+        return streamChat(req, res);
+    }
+
     try {
         const { message, sessionId = 'default' } = req.body;
         
@@ -34,26 +77,84 @@ app.post('/chat', async (req, res) => {
     }
 });
 
+// Dry run - the query a message would run and how MongoDB would execute it, without the tickets
+app.post('/query/explain', async (req, res) => {
+    try {
+        const { message, sessionId = 'default' } = req.body || {};
+
+        if (!message) {
+            return res.status(400).json({
+                error: 'Message required',
+                example: { message: "show open billing tickets", sessionId: "user123" },
+                systemType: 'Super Intelligent RAG System'
+            });
+        }
+
+        const result = await superIntelligentRAGSystem.explainQuery(message, sessionId);
+        res.status(result.success ? 200 : 422).json({
+            ...result,
+            timestamp: new Date().toISOString(),
+            systemType: 'Super Intelligent RAG System'
+        });
+
+    } catch (error) {
+        console.error('❌ Query Explain Error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            message: "Failed to explain the query. Please try again.",
+            systemType: 'Super Intelligent RAG System'
+        });
+    }
+});
+
 // *** NEW: Dedicated Summarization Endpoint ***
 app.get('/summarize/:identifier', async (req, res) => {
     try {
         const { identifier } = req.params;
+        const { mode = 'template', format = 'markdown' } = req.query;
+        const refresh = req.query.refresh === 'true';
         const debugMode = req.query.debug === 'true';
         
+        if (!SUMMARY_MODES.includes(mode)) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid mode "${mode}"`,
+                allowedModes: SUMMARY_MODES,
+                systemType: 'Super Intelligent Summarization'
+            });
+        }
+        
+        if (!SUMMARY_FORMATS.includes(format)) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid format "${format}"`,
+                allowedFormats: SUMMARY_FORMATS,
+                systemType: 'Super Intelligent Summarization'
+            });
+        }
+        
         const debugLog = debugMode ? 
             (msg, ...args) => console.log(`[SUMMARIZE] ${msg}`, ...args) : 
             () => {};
             
         debugLog(`📋 Summarization request for: ${identifier}`);
         
-        const result = await summarizationService.summarizeByIdentifier(identifier, debugLog);
+        const result = await summarizationService.summarizeByIdentifier(identifier, debugLog, { mode, refresh, format });
         
         if (result.success) {
             res.json({
                 success: true,
                 identifier,
                 ticket: result.ticket,
-                summary: result.summary.summary,
+                ...(format !== 'json' && { summary: result.summary.summary }),
+                ...(format !== 'markdown' && { structured: result.summary.structured }),
+                format,
+                mode: result.summary.mode,
+                generatedBy: result.summary.generatedBy,
+                ...(result.summary.fallbackReason && { fallbackReason: result.summary.fallbackReason }),
+                cached: result.cached,
+                cachedAt: result.cachedAt,
                 conversationLength: result.conversationLength,
                 attachmentCount: result.attachmentCount,
                 timestamp: new Date().toISOString(),
@@ -86,12 +187,20 @@ app.get('/summarize/:identifier', async (req, res) => {
 // *** NEW: Batch Summarization Endpoint ***
 app.post('/summarize/batch', async (req, res) => {
     try {
-        const { identifiers } = req.body;
+        const { identifiers, mode = 'template' } = req.body;
         
         if (!identifiers || !Array.isArray(identifiers)) {
             return res.status(400).json({
                 error: 'identifiers array required',
-                example: { identifiers: ["13000020", "13000021", "13000022"] },
+                example: { identifiers: ["13000020", "13000021", "13000022"], mode: "template" },
+                systemType: 'Super Intelligent Summarization'
+            });
+        }
+        
+        if (!SUMMARY_MODES.includes(mode)) {
+            return res.status(400).json({
+                error: `Invalid mode "${mode}"`,
+                allowedModes: SUMMARY_MODES,
                 systemType: 'Super Intelligent Summarization'
             });
         }
@@ -101,11 +210,13 @@ app.post('/summarize/batch', async (req, res) => {
         
         const results = [];
         for (const identifier of identifiers) {
-            const result = await summarizationService.summarizeByIdentifier(identifier, debugLog);
+            const result = await summarizationService.summarizeByIdentifier(identifier, debugLog, { mode });
             results.push({
                 identifier,
                 success: result.success,
                 summary: result.success ? result.summary.summary : null,
+                generatedBy: result.success ? result.summary.generatedBy : null,
+                cached: result.success ? result.cached : false,
                 error: result.success ? null : result.error
             });
         }
@@ -134,16 +245,167 @@ app.post('/summarize/batch', async (req, res) => {
     }
 });
 
+// Resolved tickets similar to a given ticket
+app.get('/tickets/:identifier/similar', async (req, res) => {
+    try {
+        const { identifier } = req.params;
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 5, 1), 20);
+        const debugMode = req.query.debug === 'true';
+
+        const debugLog = debugMode ?
+            (msg, ...args) => console.log(`[SIMILAR] ${msg}`, ...args) :
+            () => {};
+
+        const result = await similarTicketsService.findSimilarTickets(identifier, { limit }, debugLog);
+
+        if (result.success) {
+            res.json({
+                success: true,
+                identifier,
+                ticket: result.ticket,
+                method: result.method,
+                similar: result.similar,
+                timestamp: new Date().toISOString(),
+                systemType: 'Super Intelligent RAG System'
+            });
+        } else {
+            res.status(result.error === 'Ticket not found' ? 404 : 500).json({
+                success: false,
+                error: result.error,
+                message: result.message,
+                identifier,
+                timestamp: new Date().toISOString(),
+                systemType: 'Super Intelligent RAG System'
+            });
+        }
+
+    } catch (error) {
+        console.error('❌ Similar Tickets Error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            message: "Failed to find similar tickets. Please try again.",
+            identifier: req.params.identifier,
+            timestamp: new Date().toISOString(),
+            systemType: 'Super Intelligent RAG System'
+        });
+    }
+});
+
+// *** Customer-level summary across all of a customer's tickets ***
+app.post('/summarize/customer/:customerId', async (req, res) => {
+    try {
+        const { customerId } = req.params;
+        const { mode = 'template' } = req.body || {};
+
+        if (!SUMMARY_MODES.includes(mode)) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid mode "${mode}"`,
+                allowedModes: SUMMARY_MODES,
+                systemType: 'Super Intelligent Summarization'
+            });
+        }
+
+        const debugLog = req.query.debug === 'true' ?
+            (msg, ...args) => console.log(`[CUSTOMER-SUMMARY] ${msg}`, ...args) :
+            () => {};
+
+        const result = await summarizationService.summarizeCustomer(customerId, { mode }, debugLog);
+
+        if (result.success) {
+            res.json({
+                ...result,
+                timestamp: new Date().toISOString(),
+                systemType: 'Super Intelligent Summarization'
+            });
+        } else {
+            res.status(result.error === 'Customer not found' ? 404 : 500).json({
+                ...result,
+                timestamp: new Date().toISOString(),
+                systemType: 'Super Intelligent Summarization'
+            });
+        }
+    } catch (error) {
+        console.error('❌ Customer Summarization Error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            message: "Failed to create customer summary. Please try again.",
+            systemType: 'Super Intelligent Summarization'
+        });
+    }
+});
+
+// *** Summary of every ticket matching a MongoDB filter ***
+app.post('/summarize/query', async (req, res) => {
+    try {
+        const { filter, mode = 'template', limit = 200 } = req.body || {};
+
+        if (!filter || typeof filter !== 'object' || Array.isArray(filter)) {
+            return res.status(400).json({
+                success: false,
+                error: 'filter object required',
+                example: { filter: { "data.ticket.Queue": "Billing Support", "data.ticket.StateType": "closed" }, mode: "hybrid", limit: 100 },
+                systemType: 'Super Intelligent Summarization'
+            });
+        }
+
+        if (!SUMMARY_MODES.includes(mode)) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid mode "${mode}"`,
+                allowedModes: SUMMARY_MODES,
+                systemType: 'Super Intelligent Summarization'
+            });
+        }
+
+        const debugLog = req.query.debug === 'true' ?
+            (msg, ...args) => console.log(`[QUERY-SUMMARY] ${msg}`, ...args) :
+            () => {};
+
+        const result = await summarizationService.summarizeQuery(
+            sanitizeMongoQuery(filter),
+            { mode, limit: Math.min(Math.max(parseInt(limit) || 200, 1), 500) },
+            debugLog
+        );
+
+        if (result.success) {
+            res.json({
+                ...result,
+                timestamp: new Date().toISOString(),
+                systemType: 'Super Intelligent Summarization'
+            });
+        } else {
+            const status = result.validationErrors ? 400 : result.error === 'No matching tickets' ? 404 : 500;
+            res.status(status).json({
+                ...result,
+                timestamp: new Date().toISOString(),
+                systemType: 'Super Intelligent Summarization'
+            });
+        }
+    } catch (error) {
+        console.error('❌ Query Summarization Error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            message: "Failed to summarize the matching tickets. Please try again.",
+            systemType: 'Super Intelligent Summarization'
+        });
+    }
+});
+
 // Health check endpoint
 app.get('/health', async (req, res) => {
     try {
-        const systemStatus = superIntelligentRAGSystem.getSystemStatus();
+        const systemStatus = await superIntelligentRAGSystem.getSystemStatus();
         const healthCheck = await superIntelligentRAGSystem.performIntelligenceHealthCheck();
         
         res.json({
             status: 'ok',
             ...systemStatus,
             healthCheck,
+            chatSocket: chatSocketServer.getStatus(),
             timestamp: new Date().toISOString()
         });
     } catch (error) {
@@ -157,9 +419,9 @@ app.get('/health', async (req, res) => {
 });
 
 // Super intelligent system metrics
-app.get('/intelligence-metrics', (req, res) => {
+app.get('/intelligence-metrics', async (req, res) => {
     try {
-        const metrics = superIntelligentRAGSystem.getIntelligenceMetrics();
+        const metrics = await superIntelligentRAGSystem.getIntelligenceMetrics();
         res.json(metrics);
     } catch (error) {
         res.status(500).json({
@@ -170,9 +432,9 @@ app.get('/intelligence-metrics', (req, res) => {
 });
 
 // Session management endpoints
-app.get('/session/:sessionId', (req, res) => {
+app.get('/session/:sessionId', async (req, res) => {
     try {
-        const sessionInfo = superIntelligentRAGSystem.getSessionInfo(req.params.sessionId);
+        const sessionInfo = await superIntelligentRAGSystem.getSessionInfo(req.params.sessionId);
         res.json(sessionInfo);
     } catch (error) {
         res.status(404).json({
@@ -182,9 +444,9 @@ app.get('/session/:sessionId', (req, res) => {
     }
 });
 
-app.delete('/session/:sessionId', (req, res) => {
+app.delete('/session/:sessionId', async (req, res) => {
     try {
-        const result = superIntelligentRAGSystem.clearSession(req.params.sessionId);
+        const result = await superIntelligentRAGSystem.clearSession(req.params.sessionId);
         res.json(result);
     } catch (error) {
         res.status(500).json({
@@ -195,10 +457,10 @@ app.delete('/session/:sessionId', (req, res) => {
 });
 
 // System management
-app.post('/admin/cleanup', (req, res) => {
+app.post('/admin/cleanup', async (req, res) => {
     try {
         const { maxAge } = req.body;
-        const result = superIntelligentRAGSystem.cleanupSessions(maxAge);
+        const result = await superIntelligentRAGSystem.cleanupSessions(maxAge);
         res.json(result);
     } catch (error) {
         res.status(500).json({
@@ -208,6 +470,111 @@ app.post('/admin/cleanup', (req, res) => {
     }
 });
 
+// Summary cache management - purge by queue/ticket/mode, or pre-compute a queue's summaries
+app.post('/admin/summary-cache/purge', async (req, res) => {
+    try {
+        const { queue, ticketId, mode } = req.body || {};
+        await mongoConnection.connect();
+        const purged = await summaryCache.purge({ queue, ticketId, mode });
+        res.json({
+            success: true,
+            purged,
+            scope: { queue: queue || 'all', ticketId: ticketId ?? 'all', mode: mode || 'all' },
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error('❌ Summary Cache Purge Error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            systemType: 'Super Intelligent Summarization'
+        });
+    }
+});
+
+app.post('/admin/summary-cache/warm', async (req, res) => {
+    try {
+        const { queue, mode = 'template', limit } = req.body || {};
+
+        if (!queue) {
+            return res.status(400).json({
+                error: 'queue required',
+                example: { queue: "Technical Support", mode: "hybrid", limit: 50 },
+                systemType: 'Super Intelligent Summarization'
+            });
+        }
+
+        if (!SUMMARY_MODES.includes(mode)) {
+            return res.status(400).json({
+                error: `Invalid mode "${mode}"`,
+                allowedModes: SUMMARY_MODES,
+                systemType: 'Super Intelligent Summarization'
+            });
+        }
+
+        const debugLog = (msg, ...args) => console.log(`[CACHE-WARM] ${msg}`, ...args);
+        const stats = await summarizationService.warmCache(queue, { mode, limit }, debugLog);
+        if (!stats.success) {
+            return res.status(400).json({
+                error: stats.error,
+                systemType: 'Super Intelligent Summarization'
+            });
+        }
+
+        res.json({
+            ...stats,
+            cacheEntries: await summaryCache.getStats(),
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error('❌ Summary Cache Warm Error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            systemType: 'Super Intelligent Summarization'
+        });
+    }
+});
+
+// Chat response cache - drop every cached answer, or only those built from one ticket
+app.post('/admin/response-cache/purge', (req, res) => {
+    const { ticketId } = req.body || {};
+    const purged = responseCache.purge({ ticketId });
+    res.json({
+        success: true,
+        purged,
+        scope: { ticketId: ticketId ?? 'all' },
+        cache: responseCache.getStats(),
+        timestamp: new Date().toISOString()
+    });
+});
+
+// Rebuild the vector index used by semantic search
+app.post('/admin/reindex', async (req, res) => {
+    try {
+        const { full = false } = req.body || {};
+        const debugLog = (msg, ...args) => console.log(`[REINDEX] ${msg}`, ...args);
+        const stats = await semanticRetriever.reindex({ full }, debugLog);
+        res.json({
+            ...stats,
+            status: semanticRetriever.getStatus(),
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error('❌ Reindex Error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            status: semanticRetriever.getStatus(),
+            systemType: 'Super Intelligent RAG System'
+        });
+    }
+});
+
+app.get('/admin/index-status', (req, res) => {
+    res.json(semanticRetriever.getStatus());
+});
+
 // Intelligence test endpoint
 app.post('/test-intelligence', async (req, res) => {
     try {
@@ -231,17 +598,26 @@ app.post('/test-intelligence', async (req, res) => {
 });
 
 const PORT = process.env.PORT || 3002;
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
     console.log(`\n🧠 ENHANCED SUPER INTELLIGENT RAG SYSTEM API RUNNING ON PORT ${PORT} 🧠`);
     console.log(`\n🌐 Enhanced Endpoints:`);
     console.log(` POST /chat - Main super intelligent conversation endpoint`);
-    console.log(` GET /summarize/:identifier - Dedicated ticket summarization`);
+    console.log(` POST /chat/stream - Streamed chat via Server-Sent Events (or /chat with Accept: text/event-stream)`);
+    console.log(` WS ${CHAT_SOCKET_PATH}?sessionId=... - Persistent chat socket with tokens, pagination and ticket updates`);
+    console.log(` GET /summarize/:identifier?mode=template|ai|hybrid&format=markdown|json|both - Dedicated ticket summarization`);
     console.log(` POST /summarize/batch - Batch ticket summarization`);
+    console.log(` POST /summarize/customer/:customerId - Summary across a customer's tickets`);
+    console.log(` POST /summarize/query - Summary of all tickets matching a filter`);
+    console.log(` GET /tickets/:identifier/similar - Resolved tickets similar to a ticket`);
     console.log(` GET /health - Super intelligent system status and health`);
     console.log(` GET /intelligence-metrics - System intelligence metrics`);
     console.log(` GET /session/:id - Get session info with intelligence data`);
     console.log(` DELETE /session/:id - Clear session with super intelligence`);
     console.log(` POST /admin/cleanup - Clean old sessions intelligently`);
+    console.log(` POST /admin/summary-cache/purge - Purge cached summaries (by queue, ticket or mode)`);
+    console.log(` POST /admin/summary-cache/warm - Pre-compute summaries for a queue`);
+    console.log(` POST /admin/reindex - Rebuild the semantic vector index`);
+    console.log(` GET /admin/index-status - Vector index status`);
     console.log(` POST /test-intelligence - Test system intelligence capabilities`);
     
     console.log(`\n🚀 ENHANCED SUPER INTELLIGENT FEATURES:`);
@@ -260,14 +636,20 @@ app.listen(PORT, () => {
     console.log(` "find tickets from john@email.com" → ✅ Smart customer search`);
     console.log(` "show open tickets" → ✅ Intelligent status filtering`);
     console.log(` "search for login issues" → ✅ Full-text search`);
+    console.log(` "customers complaining the app keeps crashing" → ✅ Semantic search`);
     console.log(` "summarize ticket 12345" → ✅ Comprehensive analysis`);
+    console.log(` "tickets like 13000030" → ✅ Similar resolved tickets`);
     
     console.log(`\n📋 DEDICATED SUMMARIZATION ENDPOINTS:`);
     console.log(` GET /summarize/13000020 → ✅ Precise ticket summary`);
     console.log(` GET /summarize/2025090610000020 → ✅ By ticket number`);
+    console.log(` GET /summarize/13000020?mode=hybrid → ✅ LLM narrative + factual sections`);
     console.log(` POST /summarize/batch → ✅ Multiple tickets at once`);
     
     console.log(`\n🧠 YOUR RAG SYSTEM IS NOW SUPER INTELLIGENT WITH ENHANCED CAPABILITIES! 🧠`);
 });
 
+// Agent desktops keep one socket open per agent on the same port
+chatSocketServer.attach(server);
+
 export default app;
\ No newline at end of file
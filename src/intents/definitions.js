@@ -0,0 +1,333 @@
+// src/intents/definitions.js - Built-in intents: fast-path rules, examples, slot extractors and handlers
+import { isRefinementRequest, extractRefinement } from '../services/queryRefinement.js';
+
+const TICKET_ID_PATTERN = /\b(\d{7,})\b/;
+const EMAIL_PATTERN = /([a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,})/;
+
+// Only a bare request for the next page is pagination - "show next week's tickets" is a new query
+const CONTINUATION_PATTERNS = [
+    /^(?:(?:ok(?:ay)?|please|yes),?\s+)?(?:(?:see|show|display|give|load|get|list)\s+(?:me\s+)?)?(?:the\s+)?(?:more|next|rest|remaining)(?:\s+(?:page|batch|\d+))?(?:\s+(?:of them|of the results|results?|tickets?|ones))?(?:,?\s+please)?[.!?]*$/,
+    /^(?:continue|keep going|go on|carry on)(?:\s+(?:the list|listing|showing))?(?:,?\s+please)?[.!?]*$/
+];
+
+const SEMANTIC_SEARCH_PATTERNS = [
+    /\b(customers?|users?|people|clients?|tickets?|conversations?)\b.*?\b(complain(?:s|ing|ed)?(?: about| that)?|reporting|reported|mention(?:s|ing|ed)?|talking about|about|related to|regarding|describing|saying)\b\s+(.+)/,
+    /\b(search|look|find)\b(?: for)?\s+.*?\b(complaints?|issues?|problems?|errors?|reports?)\b(?:\s+(?:about|with|regarding))?\s*(.*)/,
+    /\bsemantic(?:ally)?\s+search\b(?:\s+for)?\s+(.+)/
+];
+
+// "explain query: show open tickets" / "dry run: show open tickets"
+const EXPLAIN_QUERY_PATTERN = /^(?:explain(?:\s+the)?\s+query|dry[\s-]run)\s*:\s*(\S.*)$/is;
+
+const SIMILAR_PATTERNS = [
+    /\b(?:tickets?|issues?|cases?|problems?)\s+(?:like|similar to)\s+(?:ticket\s+)?#?(\d{7,})\b/,
+    /\bsimilar\b.*?\b(\d{7,})\b/
+];
+
+function hasPreviousResults(context) {
+    return (context.lastResultIds || []).length > 0;
+}
+
+export const DEFAULT_INTENTS = [
+    {
+        // Explicit prefix, checked first so the wrapped request is not classified on its own
+        name: 'explain_query',
+        action: 'explain_query',
+        handler: 'executeQueryExplain',
+        description: 'Show the database query a request would run, without running it ("explain query: ...")',
+        confidence: 0.99,
+        cacheable: false,
+        rules: [EXPLAIN_QUERY_PATTERN],
+        extractSlots: (message) => {
+            const match = message.trim().match(EXPLAIN_QUERY_PATTERN);
+            return match ? { request: match[1].trim() } : null;
+        },
+        buildDecision: ({ request }) => ({
+            reasoning: "User wants to see the query plan for a request without its results",
+            needsData: true,
+            explainRequest: request
+        })
+    },
+    {
+        name: 'refine_query',
+        action: 'refine_query',
+        handler: 'executeRefinement',
+        description: 'Narrow, re-sort or re-date the previous results ("just the billing ones", "sort by priority")',
+        confidence: 0.9,
+        when: (context) => Boolean(context.lastQuery) || hasPreviousResults(context),
+        sessionDependent: true,
+        rules: [(message) => isRefinementRequest(message)],
+        examples: [
+            'just the billing ones',
+            'only the high priority ones',
+            'of those, only the closed tickets',
+            'sort them by priority',
+            'order the results by newest first',
+            'of those, only the ones from last week',
+            'exclude the closed ones'
+        ],
+        extractSlots: (message) => {
+            const refinement = extractRefinement(message);
+            return refinement ? { refinement } : null;
+        },
+        buildDecision: ({ refinement }) => ({
+            reasoning: "User is narrowing or re-sorting the previous results",
+            needsData: true,
+            refinement
+        })
+    },
+    {
+        name: 'continue_query',
+        action: 'continue_query',
+        handler: 'executeContinuation',
+        description: 'Show the next page of the previous results ("show more", "next")',
+        confidence: 0.98,
+        sessionDependent: true,
+        rules: CONTINUATION_PATTERNS,
+        examples: [
+            'show more',
+            'see more results',
+            'next page',
+            'show me the rest',
+            'continue',
+            'more please',
+            'load the next batch',
+            'could you show a few more'
+        ],
+        buildDecision: (slots, { context }) => {
+            if (!hasPreviousResults(context)) {
+                return {
+                    action: "chat",
+                    reasoning: "User asked for more but no previous results available",
+                    needsData: false,
+                    conversationResponse: "I don't have any previous results to show more of. Please ask me to find some data first, like 'list all tickets' or 'show open tickets'."
+                };
+            }
+            return {
+                reasoning: "User wants to see more results from previous query",
+                needsData: true,
+                queryInstruction: "Continue showing results from previous query",
+                continuationData: {
+                    lastResultIds: context.lastResultIds,
+                    lastQuery: context.lastQuery,
+                    offset: context.lastOffset || 20 // Default offset from where we left off
+                }
+            };
+        }
+    },
+    {
+        name: 'explain_field',
+        action: 'explain',
+        handler: 'respondConversationally',
+        description: 'Explain what a ticket field means (TicketID, TicketNumber, CustomerID)',
+        confidence: 0.95,
+        rules: [
+            /\bexplain.*\b(for me|to me)?\s*(what is|what's)\s*(a\s+)?(ticketid|ticket id)\b/,
+            /\bwhat is\s*(a\s+)?(ticketid|ticket id)\b/,
+            /\btell me about\s*(the\s+)?(ticketid|ticket id)\b/,
+            /\bexplain.*\b(ticketid|ticket id)\b/,
+            /\b(ticketid|ticket id)\s*explain\b/,
+            /\bwhat is\s*(a\s+)?(ticketnumber|ticket number)\b/,
+            /\bwhat is\s*(a\s+)?(customerid|customer id)\b/
+        ],
+        examples: [
+            'what is a ticket id',
+            'explain the TicketID field',
+            'what is a ticket number',
+            'what does CustomerID mean'
+        ],
+        extractSlots: (message) => {
+            const lowerMessage = message.toLowerCase();
+            if (/\bticket ?number\b/.test(lowerMessage)) return { field: 'TicketNumber' };
+            if (/\bcustomer ?id\b/.test(lowerMessage)) return { field: 'CustomerID' };
+            if (/\bticket ?id\b/.test(lowerMessage)) return { field: 'TicketID' };
+            return null;
+        },
+        buildDecision: ({ field }, { responder }) => ({
+            reasoning: `User requesting specific explanation of ${field} field`,
+            needsData: false,
+            conversationResponse: responder.generateSpecificFieldExplanation(field)
+        })
+    },
+    {
+        name: 'explain_structure',
+        action: 'explain',
+        handler: 'respondConversationally',
+        description: 'Explain how the ticket data, schema or system is structured',
+        confidence: 0.95,
+        rules: [
+            /\b(explain|how does|how do|describe)\b.*\b(structure|data|database|work|system)\b/,
+            /\bshow me.*\b(structure|schema|format|fields)\b/,
+            /\bhow.*\b(organize|structure|store|data|work)\b/,
+            /\bcan you.*\b(explain|describe|tell|show)\b.*\b(structure|schema|field)\b/
+        ],
+        examples: [
+            'explain how my data structure works',
+            'describe the database',
+            'show me the schema',
+            'how is the data organized'
+        ],
+        buildDecision: (slots, { responder }) => ({
+            reasoning: "User requesting general explanation/description of system",
+            needsData: false,
+            conversationResponse: responder.generateDatabaseStructureExplanation()
+        })
+    },
+    {
+        name: 'greeting',
+        action: 'chat',
+        handler: 'respondConversationally',
+        description: 'Say hello',
+        confidence: 0.95,
+        rules: [/^(hi|hello|hey|good morning|good afternoon|good evening)$/],
+        examples: ['hi', 'hello there', 'good morning'],
+        buildDecision: () => ({
+            reasoning: "Simple greeting detected",
+            needsData: false,
+            conversationResponse: "Hello! I'm your ticket database assistant. I can help you find tickets, search by customer, analyze data, or explain the system. What would you like to do?"
+        })
+    },
+    {
+        name: 'summarize',
+        action: 'summarize',
+        handler: 'executeSummarization',
+        description: 'Summarize a ticket conversation (by TicketID or number) or the previous results',
+        confidence: 0.9,
+        // Without a TicketID the previous results are summarized
+        sessionDependent: (decision) => !decision.ticketId,
+        rules: [/\b(summarize|summary)\b.*\b(ticket|conversation)\b/],
+        examples: [
+            'summarize ticket 13000030',
+            'give me a summary of this ticket',
+            'summarize the conversation',
+            'what happened in ticket 13000030'
+        ],
+        // e.g. "summarize the Ticket 13000030" - TicketIDs are 7+ digits
+        extractSlots: (message) => ({ ticketId: message.match(TICKET_ID_PATTERN)?.[1] || null }),
+        buildDecision: ({ ticketId }, { message }) => ({
+            reasoning: "Summarization request detected",
+            needsData: true,
+            summaryInstruction: `Summarize based on request: ${message}`,
+            ticketId
+        })
+    },
+    {
+        name: 'last_message',
+        action: 'last_message',
+        handler: 'executeLastMessage',
+        description: 'Show the latest customer message on a ticket or from a customer',
+        confidence: 0.88,
+        rules: [
+            /\bwhat did\b.*\b(say|said|write|ask|send|reply)\b/,
+            /\b(last|latest|most recent)\s+(message|reply|email)\b/
+        ],
+        examples: [
+            'what did customer jane@example.com say last',
+            'latest message on ticket 13000030',
+            'what did the customer write in ticket 13000030'
+        ],
+        // Without a ticket or customer the clarification step asks which one is meant
+        extractSlots: (message) => ({
+            ticketId: message.match(TICKET_ID_PATTERN)?.[1] || null,
+            customer: message.match(EMAIL_PATTERN)?.[1].toLowerCase() || null
+        }),
+        buildDecision: ({ ticketId, customer }) => ({
+            reasoning: "User wants the most recent customer message",
+            needsData: true,
+            ticketId,
+            customer
+        })
+    },
+    {
+        name: 'find_similar',
+        action: 'find_similar',
+        handler: 'executeFindSimilar',
+        description: 'Find resolved tickets similar to a given ticket',
+        confidence: 0.92,
+        rules: SIMILAR_PATTERNS,
+        examples: [
+            'tickets like 13000030',
+            'find issues similar to ticket 13000030',
+            'how were problems like 13000030 solved'
+        ],
+        extractSlots: (message) => {
+            const lowerMessage = message.toLowerCase();
+            const match = SIMILAR_PATTERNS.map(pattern => lowerMessage.match(pattern)).find(Boolean) ||
+                lowerMessage.match(TICKET_ID_PATTERN);
+            return match ? { ticketId: match[1] } : null;
+        },
+        buildDecision: ({ ticketId }) => ({
+            reasoning: "User wants resolved tickets similar to a specific ticket",
+            needsData: true,
+            ticketId
+        })
+    },
+    {
+        name: 'semantic_search',
+        action: 'semantic_search',
+        handler: 'executeSemanticSearch',
+        description: 'Find tickets about a topic described in words, matched by meaning',
+        confidence: 0.85,
+        rules: SEMANTIC_SEARCH_PATTERNS,
+        examples: [
+            'customers complaining the app keeps crashing',
+            'tickets about double billing',
+            'search for login issues',
+            'people reporting slow page loads',
+            'conversations mentioning refunds'
+        ],
+        // Ticket numbers, error codes and emails inside the topic are matched exactly by the hybrid retriever
+        extractSlots: (message) => {
+            const lowerMessage = message.toLowerCase();
+            const match = SEMANTIC_SEARCH_PATTERNS.map(pattern => lowerMessage.match(pattern)).find(Boolean);
+            const topic = match ? (match[match.length - 1] || '').replace(/[?.!]+$/, '').trim() : '';
+            return { searchQuery: topic.length >= 3 ? topic : message };
+        },
+        buildDecision: ({ searchQuery }) => ({
+            reasoning: "Topic description detected - searching by meaning",
+            needsData: true,
+            searchQuery
+        })
+    },
+    {
+        name: 'query',
+        action: 'query',
+        handler: 'executeQueryDecision',
+        description: 'List, filter, count or aggregate tickets and customers',
+        confidence: 0.9,
+        rules: [
+            /\b(list|show|get|find|search|display)\b.*\b(all|tickets?|id|customers?|email)\b/,
+            /\ball\b.*\b(ticket|id|customer)\b/,
+            /\bticket.*\b(id|number|list)\b/,
+            /\b(how many|number of)\b.*\b(tickets?|customers?)\b/,
+            /\bcan you.*\b(list|show|find)\b.*\b(ticket|customer|data)\b/,
+            /\b(average|avg|mean|count|breakdown|distribution)\b.*\b(ticket|solution|resolution|solutioninmin|age|queue|priority|status|customer|message)s?\b/,
+            /\btickets?\b.*\b(per|grouped by|for each)\b/
+        ],
+        examples: [
+            'list all ticket ids',
+            'show open tickets',
+            'show next week\'s tickets',
+            'find tickets from jane@example.com',
+            'how many tickets per queue',
+            'number of tickets by status',
+            'average resolution time by priority',
+            'closed billing tickets from last month',
+            'problems reported last week'
+        ],
+        buildDecision: (slots, { lowerMessage, responder }) => ({
+            reasoning: "Data request detected",
+            needsData: true,
+            queryInstruction: responder.generateQueryInstruction(lowerMessage)
+        })
+    },
+    {
+        // Produced by the clarification step, never by a classifier
+        name: 'clarify',
+        action: 'clarify',
+        handler: 'executeClarification',
+        description: 'Ask the user for a missing detail'
+    }
+];
+
+export default DEFAULT_INTENTS;
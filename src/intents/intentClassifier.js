@@ -0,0 +1,217 @@
+// src/intents/intentClassifier.js - Rule, nearest-example and LLM intent classifiers, tried in that order
+import { StringOutputParser } from "@langchain/core/output_parsers";
+import intentRegistry from './intentRegistry.js';
+import { createEmbedder, cosineSimilarity } from '../services/embeddings.js';
+import promptRegistry from '../services/promptRegistry.js';
+
+// Nearest examples below this similarity are not treated as a match at all
+const MIN_EXAMPLE_SIMILARITY = parseFloat(process.env.INTENT_MIN_SIMILARITY || '0.45');
+// Example matches at or above this confidence are not second-guessed by the LLM classifier
+const CONFIDENT_EXAMPLE_SIMILARITY = 0.65;
+
+// Words every intent's examples share ("show me the ...") - left in, they make unrelated requests look alike
+const FILLER_WORDS = new Set(['a', 'an', 'the', 'me', 'my', 'i', 'you', 'please', 'can', 'could', 'would', 'will',
+    'show', 'give', 'get', 'display', 'list', 'see', 'tell', 'some', 'of', 'to', 'for', 'in', 'on', 'with', 'and']);
+
+function contentWords(text) {
+    const words = (text.toLowerCase().match(/[a-z0-9@.']+/g) || []).filter(word => !FILLER_WORDS.has(word));
+    // A request made only of filler ("show me") is compared as written
+    return words.length > 0 ? words.join(' ') : text.toLowerCase();
+}
+
+/**
+ * The slots an intent needs, or null when it cannot apply to this message in this session
+ * @param {Object} intent - Registered intent
+ * @param {string} message - User message
+ * @param {Object} context - Session context
+ * @returns {Object|null}
+ */
+function acceptIntent(intent, message, context) {
+    if (intent.when && !intent.when(context)) return null;
+    return intent.extractSlots(message, context);
+}
+
+// Fast path: the registry's rules in priority order
+export class RuleClassifier {
+    constructor(registry = intentRegistry) {
+        this.name = 'rules';
+        this.registry = registry;
+    }
+
+    classify(message, context) {
+        const lowerMessage = message.toLowerCase().trim();
+
+        for (const intent of this.registry.classifiable()) {
+            const matched = intent.rules.some(rule => typeof rule === 'function' ? rule(message, context) : rule.test(lowerMessage));
+            if (!matched) continue;
+
+            const slots = acceptIntent(intent, message, context);
+            if (slots) {
+                return { intent, slots, confidence: intent.confidence, classifier: this.name };
+            }
+        }
+
+        return null;
+    }
+}
+
+// Nearest registered example by embedding similarity - catches paraphrases the rules miss
+export class ExampleClassifier {
+    constructor(registry = intentRegistry, embedder = null) {
+        this.name = 'examples';
+        this.registry = registry;
+        this.embedder = embedder;
+        this.index = null;
+        this.indexVersion = -1;
+    }
+
+    // Runs on every message, so the offline hashing embedder is the default rather than an Ollama call
+    getEmbedder() {
+        if (!this.embedder) {
+            this.embedder = createEmbedder(process.env.INTENT_EMBEDDING_PROVIDER || 'local');
+        }
+        return this.embedder;
+    }
+
+    async buildIndex() {
+        if (this.index && this.indexVersion === this.registry.version) return this.index;
+
+        const entries = this.registry.classifiable()
+            .flatMap(intent => intent.examples.map(text => ({ intentName: intent.name, text })));
+        const vectors = await this.getEmbedder().embedDocuments(entries.map(entry => contentWords(entry.text)));
+
+        this.index = entries.map((entry, i) => ({ ...entry, vector: vectors[i] }));
+        this.indexVersion = this.registry.version;
+        return this.index;
+    }
+
+    /**
+     * Best similarity per intent, highest first
+     * @param {string} message - User message
+     * @returns {Promise<Object[]>} - [{ intent, similarity, example }]
+     */
+    async rank(message) {
+        const index = await this.buildIndex();
+        const vector = await this.getEmbedder().embedQuery(contentWords(message));
+        const best = new Map();
+
+        for (const entry of index) {
+            const similarity = cosineSimilarity(vector, entry.vector);
+            if (!best.has(entry.intentName) || best.get(entry.intentName).similarity < similarity) {
+                best.set(entry.intentName, { intent: this.registry.get(entry.intentName), similarity, example: entry.text });
+            }
+        }
+
+        return [...best.values()].sort((a, b) => b.similarity - a.similarity);
+    }
+
+    async classify(message, context) {
+        const ranked = await this.rank(message);
+
+        for (const candidate of ranked) {
+            if (candidate.similarity < MIN_EXAMPLE_SIMILARITY) break;
+
+            const slots = acceptIntent(candidate.intent, message, context);
+            if (slots) {
+                return {
+                    intent: candidate.intent,
+                    slots,
+                    confidence: Math.round(candidate.similarity * 100) / 100,
+                    classifier: this.name,
+                    matchedExample: candidate.example
+                };
+            }
+        }
+
+        return null;
+    }
+}
+
+// Asks the conversation model to pick an intent - optional, enabled with INTENT_LLM_CLASSIFIER=true
+export class LlmClassifier {
+    constructor(model, registry = intentRegistry) {
+        this.name = 'llm';
+        this.model = model;
+        this.registry = registry;
+    }
+
+    async classify(message, context, debugLog = () => {}) {
+        const intents = this.registry.classifiable();
+        const catalog = intents
+            .map(intent => `- ${intent.name}: ${intent.description || intent.action} (e.g. "${intent.examples.slice(0, 2).join('", "')}")`)
+            .join('\n');
+
+        const prompt = promptRegistry.template('intents.classify', debugLog);
+
+        try {
+            const chain = prompt.pipe(this.model).pipe(new StringOutputParser());
+            const output = await chain.invoke({ catalog, message });
+            const parsed = JSON.parse(output.match(/\{[\s\S]*\}/)?.[0] || '{}');
+            const intent = this.registry.get(parsed.intent);
+            if (!intent || !intents.includes(intent)) return null;
+
+            const slots = acceptIntent(intent, message, context);
+            if (!slots) return null;
+
+            const confidence = Math.min(Math.max(Number(parsed.confidence) || 0.5, 0), 1);
+            return { intent, slots, confidence, classifier: this.name };
+        } catch (error) {
+            debugLog(`⚠️ LLM intent classifier failed: ${error.message}`);
+            return null;
+        }
+    }
+}
+
+/**
+ * Rules first, then nearest examples, then (optionally) the LLM. A weak example match is still
+ * returned when nothing better is found - its low confidence lets the clarification step ask.
+ */
+export class IntentClassifier {
+    constructor({ registry = intentRegistry, model = null, embedder = null } = {}) {
+        this.registry = registry;
+        this.rules = new RuleClassifier(registry);
+        this.examples = new ExampleClassifier(registry, embedder);
+        this.llm = model ? new LlmClassifier(model, registry) : null;
+    }
+
+    llmEnabled() {
+        return Boolean(this.llm) && process.env.INTENT_LLM_CLASSIFIER === 'true';
+    }
+
+    /**
+     * @param {string} message - User message
+     * @param {Object} context - Session context
+     * @param {Function} debugLog - Debug logger
+     * @returns {Promise<Object|null>} - { intent, slots, confidence, classifier } or null when nothing matched
+     */
+    async classify(message, context = {}, debugLog = () => {}) {
+        const ruleMatch = this.rules.classify(message, context);
+        if (ruleMatch) {
+            debugLog(`🎯 Intent ${ruleMatch.intent.name} (rules)`);
+            return ruleMatch;
+        }
+
+        let exampleMatch = null;
+        try {
+            exampleMatch = await this.examples.classify(message, context);
+        } catch (error) {
+            debugLog(`⚠️ Example intent classifier failed: ${error.message}`);
+        }
+        if (exampleMatch) {
+            debugLog(`🧭 Intent ${exampleMatch.intent.name} (nearest example "${exampleMatch.matchedExample}", ${exampleMatch.confidence})`);
+            if (exampleMatch.confidence >= CONFIDENT_EXAMPLE_SIMILARITY) return exampleMatch;
+        }
+
+        if (this.llmEnabled()) {
+            const llmMatch = await this.llm.classify(message, context, debugLog);
+            if (llmMatch && (!exampleMatch || llmMatch.confidence > exampleMatch.confidence)) {
+                debugLog(`🤖 Intent ${llmMatch.intent.name} (llm, ${llmMatch.confidence})`);
+                return llmMatch;
+            }
+        }
+
+        return exampleMatch;
+    }
+}
+
+export default IntentClassifier;
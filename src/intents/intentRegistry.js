@@ -0,0 +1,99 @@
+// src/intents/intentRegistry.js - Registry of the intents the assistant understands
+import { DEFAULT_INTENTS } from './definitions.js';
+
+/**
+ * Intents in priority order. Each intent is:
+ * {
+ *   name,          // unique id, e.g. "summarize"
+ *   action,        // decision action the coordinator dispatches on (several intents may share one)
+ *   handler,       // coordinator method that executes the action
+ *   description,   // one line, shown to the LLM classifier
+ *   confidence,    // confidence reported when a fast-path rule matches
+ *   rules,         // fast-path rules: regexes tested on the lower-cased message, or (message, context) => boolean
+ *   examples,      // example messages for the nearest-example classifier
+ *   when,          // optional (context) => boolean, e.g. continuation needs previous results
+ *   sessionDependent, // optional boolean or (decision) => boolean - the answer reads the previous results,
+ *                     // so the response cache only reuses it while the session points at the same ones
+ *   cacheable,     // optional, default true - false keeps the answer out of the response cache
+ *   extractSlots,  // optional (message, context) => slots, or null when the intent cannot apply
+ *   buildDecision  // (slots, { message, lowerMessage, context, responder }) => decision fields
+ * }
+ */
+class IntentRegistry {
+    constructor(intents = []) {
+        this.intents = [];
+        // Bumped on every change so classifiers know to rebuild their example index
+        this.version = 0;
+        intents.forEach(intent => this.register(intent));
+    }
+
+    /**
+     * Add an intent, or replace the one with the same name (keeping its priority)
+     * @param {Object} intent - Intent definition
+     * @param {Object} options - { before } name of an intent this one should take priority over
+     * @returns {Object} - The registered intent
+     */
+    register(intent, options = {}) {
+        if (!intent?.name || !intent.action) {
+            throw new Error('Intents need a name and an action');
+        }
+
+        const normalized = {
+            rules: [],
+            examples: [],
+            confidence: 0.9,
+            extractSlots: () => ({}),
+            buildDecision: () => ({}),
+            ...intent
+        };
+
+        const existing = this.intents.findIndex(candidate => candidate.name === intent.name);
+        if (existing !== -1) {
+            this.intents[existing] = normalized;
+        } else {
+            const beforeIndex = options.before ? this.intents.findIndex(candidate => candidate.name === options.before) : -1;
+            if (beforeIndex !== -1) {
+                this.intents.splice(beforeIndex, 0, normalized);
+            } else {
+                this.intents.push(normalized);
+            }
+        }
+
+        this.version++;
+        return normalized;
+    }
+
+    unregister(name) {
+        const before = this.intents.length;
+        this.intents = this.intents.filter(intent => intent.name !== name);
+        if (this.intents.length !== before) this.version++;
+        return this.intents.length !== before;
+    }
+
+    get(name) {
+        return this.intents.find(intent => intent.name === name) || null;
+    }
+
+    list() {
+        return [...this.intents];
+    }
+
+    // Intents a classifier can pick (some, like clarify, are only produced by the pipeline itself)
+    classifiable() {
+        return this.intents.filter(intent => intent.rules.length > 0 || intent.examples.length > 0);
+    }
+
+    /**
+     * Coordinator method that executes a decision action
+     * @param {string} action - Decision action
+     * @returns {string|null} - Method name
+     */
+    getHandler(action) {
+        return this.intents.find(intent => intent.action === action && intent.handler)?.handler || null;
+    }
+}
+
+// Export singleton instance with the built-in intents
+const intentRegistry = new IntentRegistry(DEFAULT_INTENTS);
+export { IntentRegistry };
+export default intentRegistry;
@@ -0,0 +1,301 @@
+// src/routes/chatSocket.js - WebSocket chat transport bound to conversation sessions
+import { WebSocketServer } from 'ws';
+import superIntelligentRAGSystem from '../core/SuperIntelligentRAGSystem.js';
+import conversationMemory from '../services/conversationMemory.js';
+import mongoConnection from '../db/mongodb.js';
+import { ticketVersion } from '../utils/helpers.js';
+
+export const CHAT_SOCKET_PATH = '/ws';
+
+// Events kept per session so a reconnecting client can replay what it missed
+const OUTBOX_LIMIT = 500;
+// How long a session's outbox survives without any connected socket
+const DETACHED_SESSION_TTL_MS = 15 * 60 * 1000;
+const HEARTBEAT_INTERVAL_MS = 30000;
+// Only the first page or so of results is worth watching for changes
+const MAX_WATCHED_TICKETS = 200;
+
+class ChatSocketServer {
+    constructor() {
+        this.sessions = new Map(); // sessionId -> { sockets, outbox, nextEventId, watched, detachedAt, queue }
+        this.watchIntervalMs = parseInt(process.env.TICKET_WATCH_INTERVAL_MS || '30000', 10);
+        this.wss = null;
+        this.timers = [];
+    }
+
+    /**
+     * Accept WebSocket upgrades on the HTTP server
+     * @param {Object} server - Node HTTP server returned by app.listen
+     * @returns {WebSocketServer}
+     */
+    attach(server) {
+        this.wss = new WebSocketServer({ server, path: CHAT_SOCKET_PATH });
+        this.wss.on('connection', (socket, req) => this.handleConnection(socket, req));
+
+        this.timers.push(setInterval(() => this.checkHeartbeats(), HEARTBEAT_INTERVAL_MS));
+        if (this.watchIntervalMs > 0) {
+            this.timers.push(setInterval(() => this.pollTicketUpdates(), this.watchIntervalMs));
+        }
+
+        console.log(`🔌 Chat WebSocket listening on ${CHAT_SOCKET_PATH}`);
+        return this.wss;
+    }
+
+    close() {
+        this.timers.forEach(timer => clearInterval(timer));
+        this.timers = [];
+        this.wss?.close();
+    }
+
+    handleConnection(socket, req) {
+        socket.isAlive = true;
+        socket.on('pong', () => { socket.isAlive = true; });
+
+        // ?sessionId=...&lastEventId=... binds immediately; otherwise the client sends a hello
+        const params = new URL(req.url, 'http://localhost').searchParams;
+        if (params.get('sessionId')) {
+            this.bind(socket, params.get('sessionId'), params.get('lastEventId')).catch(error => {
+                this.sendDirect(socket, { type: 'error', data: { error: error.message } });
+            });
+        }
+
+        socket.on('message', (raw) => {
+            let message;
+            try {
+                message = JSON.parse(raw.toString());
+            } catch {
+                return this.sendDirect(socket, { type: 'error', data: { error: 'Messages must be JSON' } });
+            }
+            this.handleMessage(socket, message).catch(error => {
+                console.error('❌ Chat socket error:', error);
+                this.sendDirect(socket, { type: 'error', requestId: message.requestId, data: { error: error.message } });
+            });
+        });
+
+        socket.on('close', () => this.unbind(socket));
+    }
+
+    async handleMessage(socket, message) {
+        if (message.type === 'hello') {
+            if (!message.sessionId) {
+                return this.sendDirect(socket, { type: 'error', data: { error: 'sessionId required' } });
+            }
+            return this.bind(socket, message.sessionId, message.lastEventId);
+        }
+
+        if (message.type === 'ping') {
+            return this.sendDirect(socket, { type: 'pong' });
+        }
+
+        if (!socket.sessionId) {
+            return this.sendDirect(socket, {
+                type: 'error',
+                data: { error: 'Send { "type": "hello", "sessionId": "..." } before chatting' }
+            });
+        }
+
+        if (message.type === 'chat') {
+            const sessionId = socket.sessionId;
+            return this.enqueue(sessionId, () => this.chat(sessionId, message));
+        }
+
+        return this.sendDirect(socket, { type: 'error', data: { error: `Unknown message type: ${message.type}` } });
+    }
+
+    /**
+     * Bind a socket to a session, replaying events newer than lastEventId
+     * @param {Object} socket - WebSocket
+     * @param {string} sessionId - Conversation session
+     * @param {string|number} lastEventId - Last event the client saw before reconnecting
+     */
+    async bind(socket, sessionId, lastEventId) {
+        if (socket.sessionId && socket.sessionId !== sessionId) this.unbind(socket);
+
+        const session = this.getSession(sessionId);
+        session.sockets.add(socket);
+        session.detachedAt = null;
+        socket.sessionId = sessionId;
+
+        const resumeFrom = lastEventId !== undefined && lastEventId !== null ? Number(lastEventId) : null;
+        const missed = resumeFrom !== null ? session.outbox.filter(event => event.id > resumeFrom) : [];
+
+        this.sendDirect(socket, {
+            type: 'session',
+            data: {
+                sessionId,
+                resumed: resumeFrom !== null,
+                replayed: missed.length,
+                lastEventId: session.nextEventId - 1,
+                status: await superIntelligentRAGSystem.getSessionInfo(sessionId)
+            }
+        });
+        missed.forEach(event => this.sendDirect(socket, event));
+    }
+
+    unbind(socket) {
+        const session = this.sessions.get(socket.sessionId);
+        if (!session) return;
+
+        session.sockets.delete(socket);
+        // Conversation memory is untouched - the session is only detached until the client reconnects
+        if (session.sockets.size === 0) session.detachedAt = Date.now();
+    }
+
+    getSession(sessionId) {
+        if (!this.sessions.has(sessionId)) {
+            this.sessions.set(sessionId, {
+                sockets: new Set(),
+                outbox: [],
+                nextEventId: 1,
+                watched: new Map(),
+                detachedAt: null,
+                queue: Promise.resolve()
+            });
+        }
+        return this.sessions.get(sessionId);
+    }
+
+    // Chats in a session run one at a time, even across sockets, so memory and events stay in order
+    enqueue(sessionId, task) {
+        const session = this.getSession(sessionId);
+        const run = session.queue.then(task);
+        // A failed chat must not block the ones queued behind it
+        session.queue = run.catch(() => {});
+        return run;
+    }
+
+    async chat(sessionId, { message, requestId = null }) {
+        if (!message) {
+            return this.publish(sessionId, 'error', { error: 'Message required' }, requestId);
+        }
+
+        // Events go through the session, not the socket, so a reconnect mid-answer still receives them
+        const result = await superIntelligentRAGSystem.chat(message, sessionId, {
+            onEvent: (event, data) => this.publish(sessionId, event, data, requestId)
+        });
+
+        this.publish(sessionId, 'done', result, requestId);
+        await this.watchResults(sessionId).catch(error => {
+            console.error('❌ Could not watch session results:', error.message);
+        });
+    }
+
+    /**
+     * Record an event in the session outbox and deliver it to every bound socket
+     * @param {string} sessionId - Conversation session
+     * @param {string} type - Event type (decision, query, pagination, token, replace, done, ticket_updated, error)
+     * @param {Object} data - Event body
+     * @param {string} requestId - Client id of the chat message the event belongs to
+     */
+    publish(sessionId, type, data, requestId = null) {
+        const session = this.getSession(sessionId);
+        const event = { id: session.nextEventId++, type, requestId, data };
+
+        session.outbox.push(event);
+        if (session.outbox.length > OUTBOX_LIMIT) session.outbox.shift();
+
+        session.sockets.forEach(socket => this.sendDirect(socket, event));
+        return event;
+    }
+
+    sendDirect(socket, payload) {
+        if (socket.readyState === socket.OPEN) {
+            socket.send(JSON.stringify(payload));
+        }
+    }
+
+    // Remember the current version of each ticket the session is looking at
+    async watchResults(sessionId) {
+        const session = this.getSession(sessionId);
+        const context = await conversationMemory.getContext(sessionId);
+        const ticketIds = (context.lastResultIds || []).slice(0, MAX_WATCHED_TICKETS);
+
+        if (ticketIds.length === 0) {
+            session.watched = new Map();
+            return;
+        }
+
+        const current = await mongoConnection.findConversations(
+            { 'data.ticket.TicketID': { $in: ticketIds } },
+            { projection: { 'data.ticket.TicketID': 1, 'data.ticket.Changed': 1, updatedAt: 1 } }
+        );
+        session.watched = new Map(current.map(conversation => [conversation.data.ticket.TicketID, ticketVersion(conversation)]));
+    }
+
+    // Push a ticket_updated event for every watched ticket whose version moved on
+    async pollTicketUpdates() {
+        this.dropDetachedSessions();
+
+        const watching = [...this.sessions.entries()].filter(([, session]) => session.watched.size > 0);
+        if (watching.length === 0) return;
+
+        try {
+            await mongoConnection.connect();
+            const ticketIds = [...new Set(watching.flatMap(([, session]) => [...session.watched.keys()]))];
+            const current = await mongoConnection.findConversations(
+                { 'data.ticket.TicketID': { $in: ticketIds } },
+                {
+                    projection: {
+                        'data.ticket.TicketID': 1,
+                        'data.ticket.TicketNumber': 1,
+                        'data.ticket.Title': 1,
+                        'data.ticket.State': 1,
+                        'data.ticket.Changed': 1,
+                        updatedAt: 1
+                    }
+                }
+            );
+            const byId = new Map(current.map(conversation => [conversation.data.ticket.TicketID, conversation]));
+
+            for (const [sessionId, session] of watching) {
+                for (const [ticketId, version] of session.watched) {
+                    const conversation = byId.get(ticketId);
+                    if (!conversation || ticketVersion(conversation) === version) continue;
+
+                    session.watched.set(ticketId, ticketVersion(conversation));
+                    const ticket = conversation.data.ticket;
+                    this.publish(sessionId, 'ticket_updated', {
+                        ticketId,
+                        ticketNumber: ticket.TicketNumber,
+                        title: ticket.Title,
+                        state: ticket.State,
+                        changed: ticketVersion(conversation)
+                    });
+                }
+            }
+        } catch (error) {
+            console.error('❌ Ticket update poll failed:', error.message);
+        }
+    }
+
+    dropDetachedSessions() {
+        const cutoff = Date.now() - DETACHED_SESSION_TTL_MS;
+        for (const [sessionId, session] of this.sessions.entries()) {
+            if (session.detachedAt !== null && session.detachedAt < cutoff) {
+                this.sessions.delete(sessionId);
+            }
+        }
+    }
+
+    // Terminate sockets that stopped answering pings so their sessions become detached
+    checkHeartbeats() {
+        this.wss?.clients.forEach(socket => {
+            if (!socket.isAlive) return socket.terminate();
+            socket.isAlive = false;
+            socket.ping();
+        });
+    }
+
+    getStatus() {
+        return {
+            path: CHAT_SOCKET_PATH,
+            sessions: this.sessions.size,
+            connectedSockets: this.wss?.clients.size || 0,
+            watchedTickets: [...this.sessions.values()].reduce((sum, session) => sum + session.watched.size, 0)
+        };
+    }
+}
+
+// Export singleton instance
+const chatSocketServer = new ChatSocketServer();
+export default chatSocketServer;
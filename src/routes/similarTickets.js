@@ -0,0 +1,138 @@
+// src/routes/similarTickets.js - Find resolved tickets similar to a given ticket
+import mongoConnection from '../db/mongodb.js';
+import summarizationService from './summarization.js';
+import semanticRetriever from '../services/semanticRetriever.js';
+
+// How much of the source ticket is embedded as the similarity query
+const QUERY_TEXT_LIMIT = 1500;
+const RESOLUTION_PREVIEW_LENGTH = 300;
+
+class SimilarTicketsService {
+    constructor() {
+        console.log('🔗 Similar Tickets Service initialized');
+    }
+
+    async findSimilarTickets(identifier, options = {}, debugLog = () => {}) {
+        const { limit = 5 } = options;
+        debugLog(`🔗 Finding tickets similar to: ${identifier}`);
+
+        try {
+            await mongoConnection.connect();
+
+            const source = await summarizationService.findTicketByIdentifier(String(identifier), debugLog);
+            if (!source) {
+                return {
+                    success: false,
+                    error: "Ticket not found",
+                    message: `No ticket found with identifier: ${identifier}. Please check the TicketID, TicketNumber, or EntityKey.`,
+                    identifier
+                };
+            }
+
+            const sourceTicket = source.data.ticket;
+            const queryText = this.buildQueryText(source);
+
+            // Only resolved tickets are useful as a reference for how to fix the issue
+            const closedTickets = await mongoConnection.findConversations(
+                { 'data.ticket.StateType': 'closed', 'data.ticket.TicketID': { $ne: sourceTicket.TicketID } },
+                { projection: { 'data.ticket.TicketID': 1 } }
+            );
+            const closedIds = closedTickets.map(c => c.data?.ticket?.TicketID).filter(id => id !== undefined);
+
+            let method = 'semantic';
+            let matches = [];
+
+            if (closedIds.length > 0) {
+                // Nearest neighbours with any positive similarity - the caller sees the score of each one
+                const searchResult = await semanticRetriever.search(queryText, { k: limit, threshold: 0, ticketIds: closedIds }, debugLog);
+
+                if (searchResult.success) {
+                    matches = searchResult.results.map(r => ({ conversation: r.conversation, similarity: r.score, matchedText: r.matchedText }));
+                } else {
+                    // The embedder is unavailable - fall back to the Mongo text score on the title
+                    debugLog(`⚠️ Semantic search unavailable (${searchResult.error}), using text search`);
+                    method = 'text';
+                    const textResults = await mongoConnection.searchConversationsByText(
+                        sourceTicket.Title || queryText,
+                        { 'data.ticket.StateType': 'closed', 'data.ticket.TicketID': { $ne: sourceTicket.TicketID } },
+                        limit
+                    );
+                    matches = textResults.map(conversation => ({ conversation, similarity: conversation.score, matchedText: null }));
+                }
+            }
+
+            return {
+                success: true,
+                identifier,
+                ticket: {
+                    ticketID: sourceTicket.TicketID,
+                    ticketNumber: sourceTicket.TicketNumber,
+                    title: sourceTicket.Title,
+                    stateType: sourceTicket.StateType
+                },
+                method,
+                similar: matches.map(match => this.describeMatch(match)),
+                conversations: matches.map(match => match.conversation)
+            };
+
+        } catch (error) {
+            debugLog("❌ Similar tickets error:", error);
+            return {
+                success: false,
+                error: error.message,
+                message: "Failed to find similar tickets. Please try again.",
+                identifier
+            };
+        }
+    }
+
+    // Title plus the opening customer messages describe the problem best
+    buildQueryText(conversation) {
+        const ticket = conversation.data.ticket;
+        const articles = conversation.data.article || [];
+        const customerText = articles
+            .filter(article => article.SenderType === 'customer')
+            .map(article => article.Body || '')
+            .join(' ');
+
+        return `${ticket.Title || ''}. ${customerText || articles[0]?.Body || ''}`.substring(0, QUERY_TEXT_LIMIT);
+    }
+
+    describeMatch({ conversation, similarity, matchedText }) {
+        const ticket = conversation.data?.ticket || {};
+
+        return {
+            ticketID: ticket.TicketID,
+            ticketNumber: ticket.TicketNumber,
+            title: ticket.Title,
+            queue: ticket.Queue,
+            state: ticket.State,
+            closed: ticket.Closed,
+            solutionInMin: ticket.SolutionInMin ?? null,
+            similarity: typeof similarity === 'number' ? Math.round(similarity * 1000) / 1000 : null,
+            resolutionSummary: this.summarizeResolution(conversation),
+            matchedText
+        };
+    }
+
+    // The last agent reply on a closed ticket is normally the fix that was applied
+    summarizeResolution(conversation) {
+        const articles = [...(conversation.data?.article || [])]
+            .sort((a, b) => new Date(a.CreateTime) - new Date(b.CreateTime));
+        const agentReplies = articles.filter(article => article.SenderType === 'agent');
+        const resolution = agentReplies[agentReplies.length - 1] || articles[articles.length - 1];
+
+        if (!resolution || !resolution.Body) {
+            return 'No resolution message recorded.';
+        }
+
+        const body = resolution.Body.replace(/\s+/g, ' ').trim();
+        return body.length > RESOLUTION_PREVIEW_LENGTH
+            ? `${body.substring(0, RESOLUTION_PREVIEW_LENGTH - 3)}...`
+            : body;
+    }
+}
+
+// Export singleton instance
+const similarTicketsService = new SimilarTicketsService();
+export default similarTicketsService;
@@ -2,16 +2,39 @@
 import SuperIntelligentDatabaseQueryAI from '../ai/SuperIntelligentDatabaseQueryAI.js';
 import FormatterSummarizerAI from '../ai/FormatterSummarizerAI.js';
 import mongoConnection from '../db/mongodb.js';
+import summarizationAgent from '../agents/summarizationAgent.js';
+import summaryCache from '../services/summaryCache.js';
+import { QueryValidationError } from '../services/queryValidator.js';
+import { summaryContentSchema, validateStructuredSummary } from '../services/summarySchema.js';
+import { withTimeout, extractKeywords } from '../utils/helpers.js';
+
+// template: formatted fields only, ai: LLM summary, hybrid: LLM narrative on top of the template
+export const SUMMARY_MODES = ['template', 'ai', 'hybrid'];
+export const SUMMARY_FORMATS = ['markdown', 'json', 'both'];
+
+// Customer and query summaries send at most this many tickets to the model
+const MAX_NARRATIVE_TICKETS = 15;
+
+// Tickets a cache warm-up covers, newest first
+const WARM_CACHE_DEFAULT_LIMIT = 100;
+const WARM_CACHE_MAX_LIMIT = 500;
+
+const SENTIMENT_WORDS = {
+    negative: /\b(angry|frustrat\w*|unacceptable|terrible|awful|disappoint\w*|annoy\w*|worst|still not|cancel\w*|complain\w*|broken|useless)\b/gi,
+    positive: /\b(thanks?|thank you|great|appreciate\w*|perfect|excellent|works now|resolved|happy|helpful)\b/gi
+};
 
 class SummarizationService {
     constructor() {
         this.databaseQueryAI = new SuperIntelligentDatabaseQueryAI();
         this.formatterSummarizerAI = new FormatterSummarizerAI();
+        this.aiTimeoutMs = parseInt(process.env.SUMMARY_TIMEOUT_MS || '60000');
         console.log('📋 Dedicated Summarization Service initialized');
     }
 
-    async summarizeByIdentifier(identifier, debugLog = () => {}) {
-        debugLog(`📋 Summarizing by identifier: ${identifier}`);
+    async summarizeByIdentifier(identifier, debugLog = () => {}, options = {}) {
+        const { mode = 'template', refresh = false, format = 'markdown' } = options;
+        debugLog(`📋 Summarizing by identifier: ${identifier} (mode: ${mode})`);
         
         try {
             // Initialize database connection
@@ -29,8 +52,25 @@ class SummarizationService {
                 };
             }
             
-            // Step 2: Create precise summary
-            const summary = await this.createPreciseSummary(ticket, identifier, debugLog);
+            // Step 2: Reuse the cached summary while the ticket is unchanged
+            const cached = refresh ? null : await this.getCachedSummary(ticket, mode, debugLog);
+            
+            // Step 3: Create precise summary
+            let summary = cached ? cached.summary : await this.createPreciseSummary(ticket, identifier, debugLog, mode);
+            let changed = !cached;
+            
+            // Step 4: Structured output is only built when a JSON format asks for it
+            if (format !== 'markdown' && !summary.structured) {
+                summary = { ...summary, structured: await this.createStructuredSummary(ticket, summary.data, mode, debugLog) };
+                changed = true;
+            }
+            
+            // AI fallbacks are not cached - the next request should try the model again
+            const usedModel = summary.generatedBy === mode &&
+                (mode === 'template' || !summary.structured || summary.structured.generatedBy === 'ai');
+            if (changed && usedModel) {
+                await this.cacheSummary(ticket, mode, summary, debugLog);
+            }
             
             return {
                 success: true,
@@ -41,6 +81,8 @@ class SummarizationService {
                     entityKey: ticket.entityKey
                 },
                 summary,
+                cached: Boolean(cached),
+                cachedAt: cached ? cached.cachedAt : null,
                 conversationLength: (ticket.data.article || []).length,
                 attachmentCount: (ticket.data.attachment || []).length
             };
@@ -56,6 +98,356 @@ class SummarizationService {
         }
     }
 
+    // Cache problems must never block a summary - treat them as a miss
+    async getCachedSummary(ticket, mode, debugLog) {
+        try {
+            return await summaryCache.get(ticket, mode, debugLog);
+        } catch (error) {
+            debugLog(`⚠️ Summary cache read failed: ${error.message}`);
+            return null;
+        }
+    }
+
+    async cacheSummary(ticket, mode, summary, debugLog) {
+        try {
+            await summaryCache.set(ticket, mode, summary);
+        } catch (error) {
+            debugLog(`⚠️ Summary cache write failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Pre-compute summaries for every ticket in a queue
+     * @param {string} queue - Queue name
+     * @param {Object} options - { mode, limit } - limit is the number of newest tickets, 100 by default and at most 500
+     * @param {Function} debugLog - Debug logger
+     * @returns {Promise<Object>} - Counts of generated, already fresh and failed summaries,
+     *                              or { success: false, error } when the limit is not a positive whole number
+     */
+    async warmCache(queue, options = {}, debugLog = () => {}) {
+        const { mode = 'template', limit: requestedLimit = WARM_CACHE_DEFAULT_LIMIT } = options;
+        const limit = Number(requestedLimit);
+        if (!Number.isInteger(limit) || limit < 1) {
+            return {
+                success: false,
+                error: `Invalid limit "${requestedLimit}" - use a positive whole number (at most ${WARM_CACHE_MAX_LIMIT})`
+            };
+        }
+
+        await mongoConnection.connect();
+
+        const tickets = await mongoConnection.findConversationsByQueue(queue, Math.min(limit, WARM_CACHE_MAX_LIMIT));
+        debugLog(`🔥 Warming ${mode} summaries for ${tickets.length} tickets in "${queue}"`);
+
+        const stats = { success: true, queue, mode, tickets: tickets.length, generated: 0, alreadyCached: 0, failed: 0 };
+        for (const ticket of tickets) {
+            const result = await this.summarizeByIdentifier(String(ticket.data.ticket.TicketID), debugLog, { mode });
+            if (!result.success) {
+                stats.failed++;
+            } else if (result.cached) {
+                stats.alreadyCached++;
+            } else if (result.summary.generatedBy === mode) {
+                stats.generated++;
+            } else {
+                // The model fell back to the template, so nothing was cached
+                stats.failed++;
+            }
+        }
+
+        return stats;
+    }
+
+    async summarizeCustomer(customerId, options = {}, debugLog = () => {}) {
+        debugLog(`👤 Summarizing customer: ${customerId}`);
+
+        try {
+            await mongoConnection.connect();
+            const tickets = await mongoConnection.findConversationsByCustomer(customerId);
+
+            if (tickets.length === 0) {
+                return {
+                    success: false,
+                    error: "Customer not found",
+                    message: `No tickets found for customer: ${customerId}.`,
+                    customerId
+                };
+            }
+
+            return await this.summarizeTicketSet(tickets, { type: 'customer', customerId }, options, debugLog);
+        } catch (error) {
+            debugLog("❌ Customer summarization error:", error);
+            return {
+                success: false,
+                error: error.message,
+                message: "Failed to create customer summary. Please try again.",
+                customerId
+            };
+        }
+    }
+
+    async summarizeQuery(filter, options = {}, debugLog = () => {}) {
+        const { limit = 200 } = options;
+        debugLog(`📚 Summarizing tickets matching: ${JSON.stringify(filter)}`);
+
+        try {
+            await mongoConnection.connect();
+            const tickets = await mongoConnection.findConversations(filter, {
+                sort: { 'data.ticket.Created': -1 },
+                limit
+            });
+
+            if (tickets.length === 0) {
+                return {
+                    success: false,
+                    error: "No matching tickets",
+                    message: "No tickets matched the filter.",
+                    filter
+                };
+            }
+
+            return await this.summarizeTicketSet(tickets, { type: 'query', filter, limit }, options, debugLog);
+        } catch (error) {
+            debugLog("❌ Query summarization error:", error);
+            return {
+                success: false,
+                error: error.message,
+                message: "Failed to summarize the matching tickets. Please check the filter and try again.",
+                ...(error instanceof QueryValidationError && { validationErrors: error.reasons }),
+                filter
+            };
+        }
+    }
+
+    // Shared by the customer and query summaries: statistics always, plus an LLM narrative in ai/hybrid mode
+    async summarizeTicketSet(tickets, scope, options, debugLog) {
+        const { mode = 'template' } = options;
+        const stats = this.buildPortfolioStats(tickets, scope);
+        let aiNarrative = null;
+        let fallbackReason = null;
+
+        if (mode !== 'template') {
+            const instruction = scope.type === 'customer'
+                ? `Customer summary for ${scope.customerId}: interaction history, recurring issues, resolution patterns, open items and overall relationship health`
+                : `Multiple tickets summary: recurring issues, resolution patterns, open items and customer relationship health across ${tickets.length} tickets`;
+
+            try {
+                // The most recent tickets carry the story; the statistics cover the rest
+                const sample = tickets.slice(0, MAX_NARRATIVE_TICKETS);
+                const result = await withTimeout(
+                    this.formatterSummarizerAI.createIntelligentSummary(instruction, sample, instruction, {}, debugLog),
+                    this.aiTimeoutMs,
+                    'Multi-ticket summarization'
+                );
+
+                // createIntelligentSummary swallows model errors and returns a basic fallback instead
+                if (result.type !== 'intelligent_summary') {
+                    throw new Error('model summary unavailable');
+                }
+                aiNarrative = result.summary;
+            } catch (error) {
+                debugLog(`⚠️ AI multi-ticket summary failed, using template: ${error.message}`);
+                fallbackReason = error.message;
+            }
+        }
+
+        const summary = mode === 'ai' && aiNarrative
+            ? `${this.getPortfolioTitle(scope)}\n\n${aiNarrative.trim()}\n`
+            : this.generatePortfolioSummary(stats, scope, aiNarrative);
+
+        return {
+            success: true,
+            scope,
+            ticketCount: tickets.length,
+            summary,
+            stats,
+            mode,
+            generatedBy: aiNarrative ? mode : 'template',
+            ...(fallbackReason && { fallbackReason })
+        };
+    }
+
+    buildPortfolioStats(tickets, scope) {
+        const countBy = getter => tickets.reduce((counts, conversation) => {
+            const value = getter(conversation.data.ticket) ?? 'Unknown';
+            counts[value] = (counts[value] || 0) + 1;
+            return counts;
+        }, {});
+
+        const closed = tickets.filter(c => c.data.ticket.StateType === 'closed');
+        const open = tickets.filter(c => c.data.ticket.StateType !== 'closed');
+        const solutionTimes = closed
+            .map(c => c.data.ticket.SolutionInMin)
+            .filter(value => typeof value === 'number')
+            .sort((a, b) => a - b);
+
+        // Title keywords shared by several tickets point at recurring problems
+        const keywordTickets = new Map();
+        for (const conversation of tickets) {
+            for (const keyword of new Set(extractKeywords(conversation.data.ticket.Title || ''))) {
+                if (!keywordTickets.has(keyword)) keywordTickets.set(keyword, []);
+                keywordTickets.get(keyword).push(conversation.data.ticket.TicketID);
+            }
+        }
+        const recurringIssues = [...keywordTickets.entries()]
+            .filter(([, ids]) => ids.length > 1)
+            .sort((a, b) => b[1].length - a[1].length)
+            .slice(0, 8)
+            .map(([keyword, ids]) => ({ keyword, ticketCount: ids.length, ticketIds: ids.slice(0, 10) }));
+
+        const customerText = tickets.flatMap(c => (c.data.article || [])
+            .filter(a => a.SenderType === 'customer')
+            .map(a => a.Body || ''));
+        const sentiments = customerText.map(text => this.detectSentiment(text));
+        const negativeShare = sentiments.length > 0
+            ? sentiments.filter(s => s === 'negative' || s === 'mixed').length / sentiments.length
+            : 0;
+
+        const created = tickets.map(c => new Date(c.data.ticket.Created)).filter(d => !isNaN(d.getTime())).sort((a, b) => a - b);
+
+        const stats = {
+            totalTickets: tickets.length,
+            byStatus: countBy(t => t.StateType),
+            byQueue: countBy(t => t.Queue),
+            byPriority: countBy(t => t.Priority),
+            customers: scope.type === 'customer' ? 1 : new Set(tickets.map(c => c.data.ticket.CustomerID)).size,
+            firstTicket: created.length > 0 ? created[0].toISOString() : null,
+            lastTicket: created.length > 0 ? created[created.length - 1].toISOString() : null,
+            recurringIssues,
+            resolution: {
+                closed: closed.length,
+                resolutionRate: Math.round((closed.length / tickets.length) * 100),
+                avgSolutionInMin: solutionTimes.length > 0
+                    ? Math.round(solutionTimes.reduce((sum, value) => sum + value, 0) / solutionTimes.length)
+                    : null,
+                medianSolutionInMin: solutionTimes.length > 0
+                    ? (solutionTimes[Math.floor((solutionTimes.length - 1) / 2)] + solutionTimes[Math.ceil((solutionTimes.length - 1) / 2)]) / 2
+                    : null,
+                fastestSolutionInMin: solutionTimes.length > 0 ? solutionTimes[0] : null,
+                slowestSolutionInMin: solutionTimes.length > 0 ? solutionTimes[solutionTimes.length - 1] : null
+            },
+            openItems: open.slice(0, 20).map(c => {
+                const t = c.data.ticket;
+                const articles = c.data.article || [];
+                return {
+                    ticketID: t.TicketID,
+                    title: t.Title,
+                    state: t.State,
+                    priority: t.Priority,
+                    created: t.Created,
+                    awaiting: articles.length > 0 && articles[articles.length - 1].SenderType === 'customer' ? 'agent' : 'customer'
+                };
+            }),
+            openCount: open.length,
+            negativeMessageShare: Math.round(negativeShare * 100)
+        };
+
+        stats.relationshipHealth = this.assessRelationshipHealth(stats);
+        return stats;
+    }
+
+    // A simple traffic light from open backlog, unanswered customers and negative tone
+    assessRelationshipHealth(stats) {
+        const reasons = [];
+        let score = 0;
+
+        const openShare = stats.openCount / stats.totalTickets;
+        if (openShare > 0.5) {
+            score += 2;
+            reasons.push(`${stats.openCount} of ${stats.totalTickets} tickets are still open`);
+        } else if (openShare > 0.25) {
+            score += 1;
+            reasons.push(`${stats.openCount} open ticket(s)`);
+        }
+
+        const awaitingAgent = stats.openItems.filter(item => item.awaiting === 'agent').length;
+        if (awaitingAgent > 0) {
+            score += awaitingAgent > 2 ? 2 : 1;
+            reasons.push(`${awaitingAgent} ticket(s) waiting for an agent reply`);
+        }
+
+        if (stats.negativeMessageShare >= 40) {
+            score += 2;
+            reasons.push(`${stats.negativeMessageShare}% of customer messages sound negative`);
+        } else if (stats.negativeMessageShare >= 20) {
+            score += 1;
+            reasons.push(`${stats.negativeMessageShare}% of customer messages sound negative`);
+        }
+
+        if (stats.recurringIssues.some(issue => issue.ticketCount >= 3)) {
+            score += 1;
+            reasons.push('the same issue keeps coming back');
+        }
+
+        const rating = score >= 4 ? 'at risk' : score >= 2 ? 'fair' : 'good';
+        return { rating, reasons: reasons.length > 0 ? reasons : ['no open problems detected'] };
+    }
+
+    getPortfolioTitle(scope) {
+        return scope.type === 'customer'
+            ? `# 👤 Customer Summary: ${scope.customerId}`
+            : `# 📚 Multi-Ticket Summary`;
+    }
+
+    generatePortfolioSummary(stats, scope, aiNarrative = null) {
+        const formatCounts = counts => Object.entries(counts)
+            .sort((a, b) => b[1] - a[1])
+            .map(([name, count]) => `${name}: ${count}`)
+            .join(', ');
+
+        let summary = `${this.getPortfolioTitle(scope)}\n\n`;
+
+        if (aiNarrative) {
+            summary += `## 🧠 Narrative\n${aiNarrative.trim()}\n\n`;
+        }
+
+        summary += `## 📊 Overview\n`;
+        summary += `- **Tickets**: ${stats.totalTickets}${scope.type === 'query' ? ` from ${stats.customers} customer(s)` : ''}\n`;
+        summary += `- **Status**: ${formatCounts(stats.byStatus)}\n`;
+        summary += `- **Queues**: ${formatCounts(stats.byQueue)}\n`;
+        summary += `- **Priorities**: ${formatCounts(stats.byPriority)}\n`;
+        if (stats.firstTicket) {
+            summary += `- **Period**: ${stats.firstTicket.substring(0, 10)} to ${stats.lastTicket.substring(0, 10)}\n`;
+        }
+
+        summary += `\n## 🔁 Recurring Issues\n`;
+        if (stats.recurringIssues.length === 0) {
+            summary += `- No recurring topics across ticket titles\n`;
+        } else {
+            stats.recurringIssues.forEach(issue => {
+                summary += `- **${issue.keyword}** in ${issue.ticketCount} tickets (${issue.ticketIds.join(', ')})\n`;
+            });
+        }
+
+        const r = stats.resolution;
+        summary += `\n## ✅ Resolution Patterns\n`;
+        summary += `- **Closed**: ${r.closed} of ${stats.totalTickets} (${r.resolutionRate}%)\n`;
+        if (r.avgSolutionInMin !== null) {
+            summary += `- **Resolution Time**: average ${r.avgSolutionInMin} min, median ${r.medianSolutionInMin} min (fastest ${r.fastestSolutionInMin}, slowest ${r.slowestSolutionInMin})\n`;
+        }
+
+        summary += `\n## 📌 Open Items\n`;
+        if (stats.openCount === 0) {
+            summary += `- Nothing open\n`;
+        } else {
+            stats.openItems.forEach(item => {
+                summary += `- **Ticket ${item.ticketID}**: ${item.title} (${item.state}, ${item.priority}) - waiting for ${item.awaiting}\n`;
+            });
+            if (stats.openCount > stats.openItems.length) {
+                summary += `- ...and ${stats.openCount - stats.openItems.length} more\n`;
+            }
+        }
+
+        const health = stats.relationshipHealth;
+        const healthEmoji = health.rating === 'good' ? '🟢' : health.rating === 'fair' ? '🟡' : '🔴';
+        summary += `\n## 🤝 Relationship Health\n`;
+        summary += `- **Rating**: ${healthEmoji} ${health.rating}\n`;
+        health.reasons.forEach(reason => {
+            summary += `- ${reason}\n`;
+        });
+
+        return summary;
+    }
+
     async findTicketByIdentifier(identifier, debugLog) {
         debugLog(`🔍 Searching for ticket with identifier: ${identifier}`);
         
@@ -119,8 +511,8 @@ class SummarizationService {
         return null;
     }
 
-    async createPreciseSummary(ticket, originalIdentifier, debugLog) {
-        debugLog("📝 Creating precise summary");
+    async createPreciseSummary(ticket, originalIdentifier, debugLog, mode = 'template') {
+        debugLog(`📝 Creating precise summary (${mode})`);
         
         const ticketData = ticket.data.ticket;
         const articles = ticket.data.article || [];
@@ -172,15 +564,193 @@ class SummarizationService {
             analysis: this.analyzeTicket(ticketData, articles, attachments)
         };
         
-        // Generate intelligent narrative summary
-        const narrative = this.generateNarrativeSummary(summaryData);
-        
+        if (mode === 'template') {
+            return {
+                summary: this.generateNarrativeSummary(summaryData),
+                data: summaryData,
+                mode,
+                generatedBy: 'template'
+            };
+        }
+
+        // AI modes fall back to the template whenever the model fails or is too slow
+        try {
+            const aiSummary = await withTimeout(
+                summarizationAgent.summarize(ticket, debugLog, { strict: true }),
+                this.aiTimeoutMs,
+                'AI summarization'
+            );
+
+            const summary = mode === 'ai'
+                ? `# 📋 Ticket Summary: ${summaryData.ticket.title}\n\n${aiSummary.trim()}\n`
+                : this.generateNarrativeSummary(summaryData, aiSummary);
+
+            return {
+                summary,
+                data: summaryData,
+                mode,
+                generatedBy: mode
+            };
+        } catch (error) {
+            debugLog(`⚠️ AI summary failed, using template: ${error.message}`);
+            return {
+                summary: this.generateNarrativeSummary(summaryData),
+                data: summaryData,
+                mode,
+                generatedBy: 'template',
+                fallbackReason: error.message
+            };
+        }
+    }
+
+    /**
+     * Build the machine-readable summary: ticket facts from the database plus the
+     * conversation content from the model (ai/hybrid) or the rule-based extractor (template)
+     * @returns {Promise<Object>} - Summary matching structuredSummarySchema
+     */
+    async createStructuredSummary(ticket, summaryData, mode, debugLog) {
+        const facts = this.getTicketFacts(summaryData);
+        let content = null;
+        let generatedBy = 'template';
+
+        if (mode !== 'template') {
+            try {
+                const candidate = await withTimeout(
+                    summarizationAgent.extractStructuredSummary(ticket, debugLog),
+                    this.aiTimeoutMs,
+                    'Structured summarization'
+                );
+                const validation = validateStructuredSummary(candidate, summaryContentSchema);
+                if (validation.success) {
+                    content = validation.summary;
+                    generatedBy = 'ai';
+                } else {
+                    debugLog(`⚠️ Model summary failed validation: ${validation.errors.join('; ')}`);
+                }
+            } catch (error) {
+                debugLog(`⚠️ Structured AI summary failed, using template extraction: ${error.message}`);
+            }
+        }
+
+        if (!content) {
+            content = this.extractTemplateContent(summaryData);
+        }
+
+        const validation = validateStructuredSummary({ ...content, ticket: facts, generatedBy });
+        if (!validation.success) {
+            throw new Error(`Structured summary is invalid: ${validation.errors.join('; ')}`);
+        }
+        return validation.summary;
+    }
+
+    getTicketFacts(summaryData) {
+        const t = summaryData.ticket;
+        const toText = value => value === undefined || value === null || value === ''
+            ? null
+            : (value instanceof Date ? value.toISOString() : String(value));
+
         return {
-            summary: narrative,
-            data: summaryData
+            id: typeof t.id === 'number' ? t.id : (t.id ? Number(t.id) : null),
+            number: toText(t.number),
+            title: toText(t.title),
+            customer: toText(t.customer),
+            status: toText(t.state),
+            stateType: toText(t.stateType),
+            priority: toText(t.priority),
+            queue: toText(t.queue),
+            owner: toText(t.owner),
+            created: toText(t.created),
+            closed: toText(t.closed),
+            solutionInMin: typeof t.solutionTime === 'number' ? t.solutionTime : null,
+            messageCount: summaryData.conversation.messageCount
         };
     }
 
+    // Rule-based extraction used for template mode and whenever the model is unavailable
+    extractTemplateContent(summaryData) {
+        const t = summaryData.ticket;
+        const analysis = summaryData.analysis;
+        const messages = [...summaryData.conversation.messages]
+            .sort((a, b) => new Date(a.createTime) - new Date(b.createTime));
+        const customerMessages = messages.filter(m => m.senderType === 'customer');
+        const agentMessages = messages.filter(m => m.senderType === 'agent');
+        const firstCustomer = customerMessages[0];
+        const lastAgent = agentMessages[agentMessages.length - 1];
+
+        const sentences = text => (text || '').replace(/\s+/g, ' ').match(/[^.!?]+[.!?]?/g) || [];
+        const firstSentence = (text, max = 200) => {
+            const sentence = (sentences(text)[0] || '').trim();
+            return sentence.length > max ? `${sentence.substring(0, max - 3)}...` : sentence;
+        };
+
+        const requestSentence = customerMessages
+            .flatMap(m => sentences(m.body))
+            .find(s => /\b(please|need|want|would like|can you|could you|help)\b/i.test(s));
+
+        const stepsTaken = messages.map((m, index) => ({
+            by: m.from || m.senderType || 'unknown',
+            action: `${m.senderType === 'customer' ? (m === firstCustomer ? 'Reported' : 'Followed up') : m.senderType === 'agent' ? 'Replied' : 'System update'}: ${firstSentence(m.body, 160) || m.subject || `message ${index + 1}`}`,
+            time: m.createTime ? String(m.createTime) : null
+        }));
+
+        const isClosed = analysis.status.isClosed;
+        const lastAgentIndex = lastAgent ? messages.indexOf(lastAgent) : -1;
+        const openQuestions = isClosed ? [] : messages
+            .slice(lastAgentIndex + 1)
+            .filter(m => m.senderType === 'customer')
+            .flatMap(m => sentences(m.body).map(s => s.trim()).filter(s => s.endsWith('?')));
+
+        let nextAction = 'Review the ticket';
+        if (isClosed) {
+            nextAction = 'None - the ticket is closed';
+        } else if (analysis.interaction.lastSender === 'customer') {
+            nextAction = 'Agent should respond to the customer';
+        } else if (analysis.interaction.lastSender === 'agent') {
+            nextAction = "Wait for the customer's reply";
+        }
+
+        return {
+            issue: firstCustomer ? `${t.title}: ${firstSentence(firstCustomer.body)}` : (t.title || 'No description'),
+            customerIntent: requestSentence ? requestSentence.trim() : `Get help with "${t.title || 'their request'}"`,
+            stepsTaken,
+            resolution: isClosed
+                ? (lastAgent ? firstSentence(lastAgent.body, 300) : `Closed as "${t.state}"`)
+                : null,
+            openQuestions,
+            nextAction,
+            sentiment: this.detectSentiment(customerMessages.map(m => m.body).join(' ')),
+            keyEntities: this.extractKeyEntities(summaryData)
+        };
+    }
+
+    detectSentiment(text) {
+        const negative = (text.match(SENTIMENT_WORDS.negative) || []).length;
+        const positive = (text.match(SENTIMENT_WORDS.positive) || []).length;
+
+        if (negative > 0 && positive > 0) return 'mixed';
+        if (negative > 0) return 'negative';
+        if (positive > 0) return 'positive';
+        return 'neutral';
+    }
+
+    extractKeyEntities(summaryData) {
+        const t = summaryData.ticket;
+        const text = summaryData.conversation.messages.map(m => `${m.subject || ''} ${m.body || ''}`).join(' ');
+        const entities = new Map();
+        const add = (type, value) => {
+            if (value) entities.set(`${type}:${String(value).toLowerCase()}`, { type, value: String(value) });
+        };
+
+        add('email', t.customer);
+        (text.match(/[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/g) || []).forEach(email => add('email', email));
+        (text.match(/\b\d{7,16}\b/g) || []).forEach(id => add('ticket', id));
+        (text.match(/\b(?:[A-Z]{2,}[-_]?\d{2,}|0x[0-9a-fA-F]{4,})\b/g) || []).forEach(code => add('error_code', code));
+        summaryData.attachments.files.forEach(file => add('file', file.filename));
+        add('person', t.owner);
+
+        return [...entities.values()];
+    }
+
     createTimeline(articles) {
         return articles
             .sort((a, b) => new Date(a.CreateTime) - new Date(b.CreateTime))
@@ -230,13 +800,19 @@ class SummarizationService {
         };
     }
 
-    generateNarrativeSummary(data) {
+    generateNarrativeSummary(data, aiNarrative = null) {
         const t = data.ticket;
         const conv = data.conversation;
         const analysis = data.analysis;
         
         let summary = `# 📋 Ticket Summary: ${t.title}\n\n`;
         
+        // Hybrid mode: the model's issue/resolution story comes first, the facts below it
+        if (aiNarrative) {
+            summary += `## 🧠 Issue & Resolution Narrative\n`;
+            summary += `${aiNarrative.trim()}\n\n`;
+        }
+        
         // Header with key info
         summary += `## 🎫 Ticket Information\n`;
         summary += `- **Ticket ID**: ${t.id}\n`;
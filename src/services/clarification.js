@@ -0,0 +1,179 @@
+// src/services/clarification.js - When to ask a clarifying question, what to offer, and how the answer completes the request
+import { readFileSync } from 'fs';
+import { parseTemporalExpression } from './temporalParser.js';
+
+// Guidelines for phrasing questions (used as the system prompt when the model writes the question)
+export const clarificationGuidelines = readFileSync(new URL('../../prompts/ClarificationRquestPrompts.md', import.meta.url), 'utf8');
+
+// Decisions below this confidence are confirmed with the user instead of guessed
+export const CLARIFICATION_CONFIDENCE_THRESHOLD = parseFloat(process.env.CLARIFICATION_CONFIDENCE_THRESHOLD || '0.65');
+
+// After this many questions in a row the request is answered with the best guess
+export const MAX_CLARIFICATION_ATTEMPTS = 2;
+
+const TICKET_ID_PATTERN = /\b(\d{7,})\b/;
+const EMAIL_PATTERN = /([a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,})/;
+const VAGUE_TIME_PATTERN = /\b(recent(?:ly)?|lately|the other day|a while (?:ago|back)|some time ago)\b/i;
+
+// Actions that work on the previous results already know what they refer to
+const SLOT_CHECKED_ACTIONS = ['query', 'semantic_search', 'summarize', 'last_message', 'find_similar'];
+
+const TIME_RANGE_OPTIONS = [
+    { label: 'Today', value: 'today' },
+    { label: 'Yesterday', value: 'yesterday' },
+    { label: 'This week', value: 'this week' },
+    { label: 'Last week', value: 'last week' },
+    { label: 'Last month', value: 'last month' }
+];
+
+/**
+ * The piece of information a decision cannot do without
+ * @param {Object} decision - Decision from analyzeUserRequest
+ * @param {string} message - User message (after reference resolution)
+ * @param {Object} conversationContext - Context from conversationMemory.getContext
+ * @param {number} attempts - Questions already asked for this request
+ * @returns {string|null} - "ticket", "timeRange", "intent" or null when nothing is missing
+ */
+export function findMissingSlot(decision, message, conversationContext = {}, attempts = 0) {
+    if (attempts >= MAX_CLARIFICATION_ATTEMPTS) return null;
+    if (!SLOT_CHECKED_ACTIONS.includes(decision.action)) return null;
+
+    const hasPreviousResults = (conversationContext.lastResultIds || []).length > 0;
+
+    // "what did he say?" / "summarize the ticket" with nothing to point at
+    if (decision.action === 'last_message' && !decision.ticketId && !decision.customer) {
+        return 'ticket';
+    }
+    if (decision.action === 'summarize' && !decision.ticketId && !TICKET_ID_PATTERN.test(message) && !hasPreviousResults) {
+        return 'ticket';
+    }
+
+    // "recently" / "the other day" - the prompt asks which period rather than guessing one
+    if (VAGUE_TIME_PATTERN.test(message) && !parseTemporalExpression(message)) {
+        return 'timeRange';
+    }
+
+    // An answered question already told us what the user wants - only missing details are asked for again
+    if (attempts === 0 && typeof decision.confidence === 'number' && decision.confidence < CLARIFICATION_CONFIDENCE_THRESHOLD) {
+        return 'intent';
+    }
+
+    return null;
+}
+
+/**
+ * Question asked when the model is not used (or fails)
+ * @param {string} slot - Missing slot
+ * @param {string} originalMessage - Request being clarified
+ * @returns {string}
+ */
+export function defaultClarificationQuestion(slot, originalMessage) {
+    switch (slot) {
+        case 'ticket':
+            return "Which ticket do you mean? You can give me a TicketID (like 13000030), a ticket number (like 2025010610000001) or the customer's email address.";
+        case 'timeRange':
+            return 'What timeframe are you interested in?';
+        default:
+            return `I'm not sure what you'd like me to do with "${originalMessage}". Did you mean one of these?`;
+    }
+}
+
+/**
+ * Options offered with the question
+ * @param {string} slot - Missing slot
+ * @param {string} originalMessage - Request being clarified
+ * @param {Object[]} candidateTickets - Recent or previously shown conversations, for the ticket slot
+ * @returns {Object[]} - [{ label, value }]
+ */
+export function buildClarificationOptions(slot, originalMessage, candidateTickets = []) {
+    if (slot === 'ticket') {
+        return candidateTickets
+            .map(conversation => conversation.data?.ticket)
+            .filter(Boolean)
+            .map(ticket => ({
+                label: `Ticket ${ticket.TicketID} (${ticket.TicketNumber || 'No Number'}) - ${ticket.Title || 'No Title'}`,
+                value: String(ticket.TicketID)
+            }));
+    }
+
+    if (slot === 'timeRange') {
+        return TIME_RANGE_OPTIONS;
+    }
+
+    // Whole requests to pick from - the last one is what used to happen without asking
+    const topic = originalMessage.replace(/[?.!]+$/, '').trim();
+    return [
+        { label: 'Show open tickets', value: 'show open tickets' },
+        { label: `Search tickets about "${topic}"`, value: `find tickets about ${topic}` },
+        { label: 'Show ticket counts per queue', value: 'how many tickets per queue' },
+        { label: 'List all tickets', value: 'list all tickets' }
+    ];
+}
+
+/**
+ * Question plus numbered options as shown in the chat
+ * @param {string} question - Clarifying question
+ * @param {Object[]} options - From buildClarificationOptions
+ * @returns {string}
+ */
+export function formatClarification(question, options = []) {
+    if (options.length === 0) return question;
+    const lines = options.map((option, i) => `${i + 1}. ${option.label}`);
+    return `${question}\n\n${lines.join('\n')}\n\nReply with a number, or just tell me.`;
+}
+
+/**
+ * Complete the pending request with the user's reply
+ * @param {Object} state - clarificationState stored when the question was asked
+ * @param {string} reply - The user's next message
+ * @returns {Object} - { merged, message } - merged is false when the reply is a new request instead of an answer
+ */
+export function mergeClarificationReply(state, reply) {
+    const original = state.originalMessage.replace(/[?.!]+$/, '').trim();
+    const text = reply.trim();
+    const options = state.options || [];
+
+    // "2" / "option 2" / the option text itself
+    const numberMatch = text.match(/^(?:option\s*)?#?(\d{1,2})[.)]?$/i);
+    const picked = numberMatch
+        ? options[parseInt(numberMatch[1]) - 1]
+        : options.find(option => option.label.toLowerCase() === text.toLowerCase() || option.value.toLowerCase() === text.toLowerCase());
+
+    if (state.slot === 'intent') {
+        if (picked) return { merged: true, message: picked.value };
+        // A few words add detail to the original request; a full sentence is a new request
+        return text.split(/\s+/).length <= 4
+            ? { merged: true, message: `${original} ${text}` }
+            : { merged: false, message: reply };
+    }
+
+    if (state.slot === 'ticket') {
+        const ticketId = picked?.value || text.match(TICKET_ID_PATTERN)?.[1];
+        if (ticketId) return { merged: true, message: `${original} for ticket ${ticketId}` };
+        const email = text.match(EMAIL_PATTERN)?.[1];
+        if (email) return { merged: true, message: `${original} for customer ${email.toLowerCase()}` };
+        return { merged: false, message: reply };
+    }
+
+    if (state.slot === 'timeRange') {
+        const timeRange = picked?.value || (parseTemporalExpression(text) ? text.replace(/[?.!]+$/, '') : null);
+        if (timeRange) {
+            const withoutVagueTime = original.replace(VAGUE_TIME_PATTERN, ' ').replace(/\s+/g, ' ').trim();
+            return { merged: true, message: `${withoutVagueTime} from ${timeRange}` };
+        }
+        return { merged: false, message: reply };
+    }
+
+    return { merged: false, message: reply };
+}
+
+export default {
+    findMissingSlot,
+    defaultClarificationQuestion,
+    buildClarificationOptions,
+    formatClarification,
+    mergeClarificationReply,
+    clarificationGuidelines,
+    CLARIFICATION_CONFIDENCE_THRESHOLD,
+    MAX_CLARIFICATION_ATTEMPTS
+};
@@ -1,38 +1,92 @@
-// src/services/conversationMemory.js - In-memory conversation context manager
+// src/services/conversationMemory.js - Conversation context manager backed by a pluggable session store
+import mongoConnection from '../db/mongodb.js';
+import { createSessionStore, SESSION_TTL_MS } from './sessionStore.js';
+
 class ConversationMemory {
-    constructor() {
-        // Store conversation contexts by session ID
-        this.conversations = new Map();
+    constructor(store = createSessionStore()) {
+        // Store conversation contexts by session ID (in memory or in MongoDB - see MEMORY_STORE)
+        this.store = store;
         this.maxHistoryLength = 10; // Keep last 10 interactions
         
         // Clean up old conversations every hour
-        setInterval(() => this.cleanup(), 3600000);
+        setInterval(() => {
+            this.cleanup().catch(error => console.error('❌ Session cleanup failed:', error.message));
+        }, 3600000).unref();
+
+        console.log(`💭 Conversation memory using ${this.store.type} session store`);
+    }
+
+    createSession(sessionId) {
+        return {
+            sessionId,
+            history: [],
+            context: {},
+            createdAt: Date.now(),
+            lastActivity: Date.now(),
+            messageCount: 0,
+            clarificationState: null,
+            // Only ticket IDs are kept between requests - documents are re-read with loadResults
+            lastResultIds: [],
+            lastQuery: null,
+            lastOffset: 0
+        };
     }
 
     // Get or create a conversation context
-    getContext(sessionId) {
-        if (!this.conversations.has(sessionId)) {
-            this.conversations.set(sessionId, {
-                history: [],
-                context: {},
-                lastActivity: Date.now(),
-                clarificationState: null
-            });
-        }
-        
-        const conv = this.conversations.get(sessionId);
+    async getContext(sessionId) {
+        const conv = await this.store.get(sessionId) || this.createSession(sessionId);
         conv.lastActivity = Date.now();
         return conv;
     }
 
+    /**
+     * Persist a context; lastResults set during the request are stored as their TicketIDs
+     * @param {string} sessionId - Conversation session
+     * @param {Object} conv - Context returned by getContext
+     */
+    async saveContext(sessionId, conv) {
+        const { lastResults, ...session } = conv;
+        if (lastResults) {
+            session.lastResultIds = lastResults
+                .map(result => result.data?.ticket?.TicketID)
+                .filter(id => id !== undefined && id !== null);
+        }
+        session.lastActivity = Date.now();
+        await this.store.set(sessionId, session);
+    }
+
+    /**
+     * Load result documents by TicketID, keeping the order of the IDs
+     * @param {number[]} ticketIds - IDs from lastResultIds (usually one page of them)
+     * @returns {Promise<Object[]>} - Conversations; tickets deleted since are skipped
+     */
+    async loadResults(ticketIds = []) {
+        if (ticketIds.length === 0) return [];
+
+        await mongoConnection.connect();
+        const conversations = await mongoConnection.findConversations({
+            'data.ticket.TicketID': { $in: ticketIds }
+        });
+        const byId = new Map(conversations.map(c => [c.data.ticket.TicketID, c]));
+        return ticketIds.filter(id => byId.has(id)).map(id => byId.get(id));
+    }
+
+    // Count a chat message against the session
+    async recordMessage(sessionId) {
+        const conv = await this.getContext(sessionId);
+        conv.messageCount = (conv.messageCount || 0) + 1;
+        await this.saveContext(sessionId, conv);
+        return conv;
+    }
+
     // Add interaction to history
-    addInteraction(sessionId, interaction) {
-        const context = this.getContext(sessionId);
+    async addInteraction(sessionId, interaction, conv = null) {
+        const context = conv || await this.getContext(sessionId);
         
         context.history.push({
             timestamp: new Date(),
             userMessage: interaction.userMessage,
-            intent: interaction.intent,
+            intent: this.compactIntent(interaction.intent),
             response: interaction.response,
             queryExecuted: interaction.queryExecuted,
             resultsFound: interaction.resultsFound
@@ -45,14 +99,26 @@ class ConversationMemory {
         
         // Update context based on interaction
         this.updateContext(context, interaction);
+        await this.saveContext(sessionId, context);
+    }
+
+    // Continuation decisions carry the whole previous result list - history only needs the decision
+    compactIntent(intent) {
+        if (!intent?.continuationData) return intent;
+        const { continuationData, ...rest } = intent;
+        return { ...rest, continuationData: { offset: continuationData.offset } };
     }
 
     updateContext(context, interaction) {
-        // Track frequently accessed entities
+        // Track frequently accessed entities (read back by the reference resolver for "it", "that customer", ...)
         if (interaction.intent?.filters?.customer) {
             context.context.lastCustomer = interaction.intent.filters.customer;
         }
-        if (interaction.intent?.filters?.ticketNumber) {
+        // A null ticket means the request covered several tickets - "it" no longer points at the old one
+        if (interaction.intent?.filters?.ticketId !== undefined) {
+            context.context.lastTicketId = interaction.intent.filters.ticketId;
+        }
+        if (interaction.intent?.filters?.ticketNumber !== undefined) {
             context.context.lastTicketNumber = interaction.intent.filters.ticketNumber;
         }
         if (interaction.intent?.filters?.queue) {
@@ -73,26 +139,28 @@ class ConversationMemory {
     }
 
     // Set clarification state
-    setClarificationState(sessionId, state) {
-        const context = this.getContext(sessionId);
+    async setClarificationState(sessionId, state) {
+        const context = await this.getContext(sessionId);
         context.clarificationState = state;
+        await this.saveContext(sessionId, context);
     }
 
     // Get clarification state
-    getClarificationState(sessionId) {
-        const context = this.getContext(sessionId);
+    async getClarificationState(sessionId) {
+        const context = await this.getContext(sessionId);
         return context.clarificationState;
     }
 
     // Clear clarification state
-    clearClarificationState(sessionId) {
-        const context = this.getContext(sessionId);
+    async clearClarificationState(sessionId) {
+        const context = await this.getContext(sessionId);
         context.clarificationState = null;
+        await this.saveContext(sessionId, context);
     }
 
     // Get conversation summary for AI context
-    getConversationSummary(sessionId) {
-        const context = this.getContext(sessionId);
+    async getConversationSummary(sessionId) {
+        const context = await this.getContext(sessionId);
         
         if (context.history.length === 0) {
             return null;
@@ -111,23 +179,30 @@ class ConversationMemory {
         };
     }
 
-    // Clean up old conversations (inactive for > 2 hours)
-    cleanup() {
-        const twoHoursAgo = Date.now() - (2 * 60 * 60 * 1000);
-        
-        for (const [sessionId, conv] of this.conversations.entries()) {
-            if (conv.lastActivity < twoHoursAgo) {
-                this.conversations.delete(sessionId);
-            }
-        }
+    async clearSession(sessionId) {
+        return await this.store.delete(sessionId);
+    }
+
+    async countSessions() {
+        return await this.store.count();
+    }
+
+    // createdAt, messageCount and lastActivity of every live session
+    async listSessionStats() {
+        return await this.store.listStats();
+    }
+
+    // Clean up old conversations (inactive for > 2 hours by default)
+    async cleanup(maxAge = SESSION_TTL_MS) {
+        return await this.store.cleanup(maxAge);
     }
 
     // Clear all memory (for server restart)
-    clear() {
-        this.conversations.clear();
+    async clear() {
+        await this.store.cleanup(-1);
     }
 }
 
 // Singleton instance
 const conversationMemory = new ConversationMemory();
-export default conversationMemory;
\ No newline at end of file
+export default conversationMemory;
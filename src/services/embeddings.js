@@ -0,0 +1,131 @@
+// src/services/embeddings.js - Pluggable text embedders for semantic retrieval
+import { OllamaEmbeddings } from "@langchain/ollama";
+import { createHash } from 'crypto';
+
+const LOCAL_DIMENSIONS = 512;
+
+/**
+ * L2-normalize a vector so cosine similarity becomes a dot product
+ * @param {number[]} vector - Raw vector
+ * @returns {number[]} - Unit length vector
+ */
+export function normalizeVector(vector) {
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return norm === 0 ? vector : vector.map(value => value / norm);
+}
+
+/**
+ * Cosine similarity of two vectors
+ * @param {number[]} a - First vector
+ * @param {number[]} b - Second vector
+ * @returns {number} - Similarity between -1 and 1
+ */
+export function cosineSimilarity(a, b) {
+    if (!a || !b || a.length !== b.length) return 0;
+
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+
+    return normA === 0 || normB === 0 ? 0 : dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+// Embeddings served by the local Ollama instance (e.g. nomic-embed-text)
+class OllamaEmbedder {
+    constructor() {
+        this.model = process.env.EMBEDDING_MODEL || 'nomic-embed-text';
+        this.id = `ollama:${this.model}`;
+        this.embeddings = new OllamaEmbeddings({
+            model: this.model,
+            baseUrl: process.env.OLLAMA_BASE_URL || 'http://localhost:11434'
+        });
+    }
+
+    async embedDocuments(texts) {
+        const vectors = await this.embeddings.embedDocuments(texts);
+        return vectors.map(normalizeVector);
+    }
+
+    async embedQuery(text) {
+        return normalizeVector(await this.embeddings.embedQuery(text));
+    }
+}
+
+// Dependency-free embedder: hashed word unigrams, bigrams and character trigrams.
+// Much weaker than a real model, but works offline and needs no Ollama model pull.
+class LocalHashingEmbedder {
+    constructor(dimensions = LOCAL_DIMENSIONS) {
+        this.dimensions = dimensions;
+        this.id = `local:hashing-${dimensions}`;
+    }
+
+    features(text) {
+        const words = (text || '').toLowerCase().match(/[a-z0-9]+/g) || [];
+        const features = [...words];
+
+        for (let i = 0; i < words.length - 1; i++) {
+            features.push(`${words[i]} ${words[i + 1]}`);
+        }
+
+        // Character trigrams let "crash", "crashes" and "crashing" share features
+        for (const word of words) {
+            const padded = `#${word}#`;
+            for (let i = 0; i < padded.length - 2; i++) {
+                features.push(`~${padded.slice(i, i + 3)}`);
+            }
+        }
+
+        return features;
+    }
+
+    embed(text) {
+        const vector = new Array(this.dimensions).fill(0);
+
+        for (const feature of this.features(text)) {
+            const digest = createHash('md5').update(feature).digest();
+            const index = digest.readUInt32BE(0) % this.dimensions;
+            const sign = digest[4] & 1 ? 1 : -1;
+            // Whole words weigh more than trigrams
+            vector[index] += sign * (feature.startsWith('~') ? 0.5 : 1);
+        }
+
+        return normalizeVector(vector);
+    }
+
+    async embedDocuments(texts) {
+        return texts.map(text => this.embed(text));
+    }
+
+    async embedQuery(text) {
+        return this.embed(text);
+    }
+}
+
+/**
+ * Create the embedder selected by EMBEDDING_PROVIDER ("ollama" or "local")
+ * @param {string} provider - Optional provider override
+ * @returns {Object} - Embedder with id, embedDocuments() and embedQuery()
+ */
+export function createEmbedder(provider = process.env.EMBEDDING_PROVIDER || 'ollama') {
+    switch (provider) {
+        case 'local':
+            return new LocalHashingEmbedder();
+        case 'ollama':
+            return new OllamaEmbedder();
+        default:
+            throw new Error(`Unknown EMBEDDING_PROVIDER "${provider}" (expected "ollama" or "local")`);
+    }
+}
+
+export { OllamaEmbedder, LocalHashingEmbedder };
+
+export default {
+    createEmbedder,
+    cosineSimilarity,
+    normalizeVector
+};
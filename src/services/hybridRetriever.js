@@ -0,0 +1,237 @@
+// src/services/hybridRetriever.js - Fuses exact-identifier, Mongo text score and vector rankings
+import { StringOutputParser } from "@langchain/core/output_parsers";
+import mongoConnection from '../db/mongodb.js';
+import semanticRetriever from './semanticRetriever.js';
+import { extractMetadataFilters } from './queryConstraints.js';
+import { createChatModel } from './modelProvider.js';
+import promptRegistry from './promptRegistry.js';
+
+// Reciprocal rank fusion constant - dampens the advantage of the very top ranks
+const RRF_K = 60;
+const CANDIDATES_PER_SIGNAL = 50;
+
+// An exact ticket number or error code hit should outrank any fuzzy match
+const DEFAULT_WEIGHTS = { exact: 3, text: 1, vector: 1 };
+
+// TicketIDs (7+ digits) and TicketNumbers (16 digits)
+const TICKET_IDENTIFIER_PATTERN = /\b\d{7,16}\b/g;
+// Error codes such as ERR-502, E1001, ORA-00942, AUTH_TIMEOUT_3 or 0x80070005 - an uppercase prefix
+// with at least three digits, an uppercase constant ending in a number, or hex. Case matters, so
+// ordinary words with a digit (q2, 2fa, ipv6, win10) stay out of the literal search.
+const ERROR_CODE_PATTERN = /\b(?:0x[0-9a-fA-F]{4,}|[A-Z]{1,10}[-_]?\d{3,}|[A-Z]+(?:_[A-Z]+)*_\d+)\b/g;
+
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+class HybridRetriever {
+    constructor() {
+        this.rerankModel = createChatModel('rerank');
+        this.rerankEnabled = process.env.HYBRID_RERANK === 'true';
+        console.log('🔀 Hybrid retriever initialized');
+    }
+
+    /**
+     * Pull ticket identifiers and error codes that must match literally
+     * @param {string} query - Search text
+     * @returns {Object} - { identifiers, codes }
+     */
+    extractExactTerms(query) {
+        const identifiers = [...new Set(query.match(TICKET_IDENTIFIER_PATTERN) || [])];
+        const codes = [...new Set((query.match(ERROR_CODE_PATTERN) || [])
+            .filter(code => !identifiers.includes(code) && code.length >= 3))];
+        return { identifiers, codes };
+    }
+
+    async exactSearch(query, filter) {
+        const { identifiers, codes } = this.extractExactTerms(query);
+        if (identifiers.length === 0 && codes.length === 0) return [];
+
+        const conditions = [];
+        for (const identifier of identifiers) {
+            conditions.push({ 'data.ticket.TicketID': Number(identifier) }, { 'data.ticket.TicketNumber': identifier });
+        }
+        for (const code of codes) {
+            const pattern = { $regex: escapeRegex(code), $options: 'i' };
+            conditions.push({ 'data.ticket.Title': pattern }, { 'data.article.Body': pattern });
+        }
+
+        const conversations = await mongoConnection.findConversations(
+            { ...filter, $or: conditions },
+            { limit: CANDIDATES_PER_SIGNAL }
+        );
+
+        return conversations.map(conversation => {
+            const ticket = conversation.data?.ticket || {};
+            const matched = [
+                ...identifiers.filter(id => String(ticket.TicketID) === id || ticket.TicketNumber === id),
+                ...codes.filter(code => {
+                    const pattern = new RegExp(escapeRegex(code), 'i');
+                    return pattern.test(ticket.Title || '') || (conversation.data?.article || []).some(a => pattern.test(a.Body || ''));
+                })
+            ];
+            return { conversation, matched };
+        });
+    }
+
+    async textSearch(query, filter) {
+        const conversations = await mongoConnection.searchConversationsByText(query, filter, CANDIDATES_PER_SIGNAL);
+        return conversations.map(conversation => ({ conversation, score: conversation.score }));
+    }
+
+    async vectorSearch(query, filter, debugLog) {
+        // Apply the metadata pre-filter by restricting the vector candidates to matching tickets
+        let ticketIds = null;
+        if (Object.keys(filter).length > 0) {
+            const candidates = await mongoConnection.findConversations(filter, { projection: { 'data.ticket.TicketID': 1 } });
+            ticketIds = candidates.map(c => c.data?.ticket?.TicketID).filter(id => id !== undefined);
+            if (ticketIds.length === 0) return [];
+        }
+
+        const result = await semanticRetriever.search(query, { k: CANDIDATES_PER_SIGNAL, ticketIds }, debugLog);
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+
+        return result.results.map(r => ({ conversation: r.conversation, score: r.score, matchedText: r.matchedText }));
+    }
+
+    /**
+     * Retrieve tickets for a query by fusing exact, text and vector rankings
+     * @param {string} query - Search text
+     * @param {Object} options - { k, filter, filterSource, rerank, weights }
+     *   filterSource is the text metadata constraints are read from (defaults to the query)
+     * @param {Function} debugLog - Debug logger
+     * @returns {Promise<Object>} - { success, results, criteria, signalErrors, reranked }
+     */
+    async retrieve(query, options = {}, debugLog = () => {}) {
+        const {
+            k = 10,
+            filter: explicitFilter = {},
+            filterSource = query,
+            rerank = this.rerankEnabled,
+            weights = DEFAULT_WEIGHTS
+        } = options;
+
+        await mongoConnection.connect();
+
+        const { filter: extractedFilter, criteria } = extractMetadataFilters(filterSource);
+        const filter = { ...extractedFilter, ...explicitFilter };
+        if (criteria.length > 0) debugLog(`🔀 Metadata pre-filters: ${criteria.join(', ')}`);
+
+        // Each signal may fail on its own (no text index, embedder down) without sinking the others
+        const signals = { exact: [], text: [], vector: [] };
+        const signalErrors = {};
+        const runners = {
+            exact: () => this.exactSearch(query, filter),
+            text: () => this.textSearch(query, filter),
+            vector: () => this.vectorSearch(query, filter, debugLog)
+        };
+
+        for (const [name, run] of Object.entries(runners)) {
+            try {
+                signals[name] = await run();
+                debugLog(`🔀 ${name} signal: ${signals[name].length} candidates`);
+            } catch (error) {
+                signalErrors[name] = error.message;
+                debugLog(`⚠️ ${name} signal failed: ${error.message}`);
+            }
+        }
+
+        if (Object.keys(signalErrors).length === Object.keys(runners).length) {
+            return {
+                success: false,
+                error: `All retrieval signals failed: ${Object.entries(signalErrors).map(([n, e]) => `${n}: ${e}`).join('; ')}`,
+                results: [],
+                criteria,
+                signalErrors
+            };
+        }
+
+        let results = this.fuse(signals, weights).slice(0, k);
+
+        let reranked = false;
+        if (rerank && results.length > 1) {
+            const rerankedResults = await this.rerank(query, results, debugLog);
+            if (rerankedResults) {
+                results = rerankedResults;
+                reranked = true;
+            }
+        }
+
+        return { success: true, results, criteria, signalErrors, reranked };
+    }
+
+    /**
+     * Reciprocal rank fusion: each signal contributes weight / (RRF_K + rank)
+     * @param {Object} signals - { exact, text, vector } ranked candidate lists
+     * @param {Object} weights - Per-signal weights
+     * @returns {Object[]} - Fused results with per-signal details, best first
+     */
+    fuse(signals, weights = DEFAULT_WEIGHTS) {
+        const fused = new Map();
+
+        for (const [name, candidates] of Object.entries(signals)) {
+            candidates.forEach((candidate, index) => {
+                const ticketId = String(candidate.conversation.data?.ticket?.TicketID ?? candidate.conversation._id);
+                const rank = index + 1;
+
+                if (!fused.has(ticketId)) {
+                    fused.set(ticketId, { conversation: candidate.conversation, score: 0, signals: {} });
+                }
+
+                const entry = fused.get(ticketId);
+                entry.score += (weights[name] || 0) / (RRF_K + rank);
+                entry.signals[name] = {
+                    rank,
+                    ...(candidate.score !== undefined && { score: candidate.score }),
+                    ...(candidate.matched && { matched: candidate.matched }),
+                    ...(candidate.matchedText && { matchedText: candidate.matchedText })
+                };
+            });
+        }
+
+        return [...fused.values()]
+            .map(entry => ({ ...entry, matchedBy: Object.keys(entry.signals) }))
+            .sort((a, b) => b.score - a.score);
+    }
+
+    // Ask the local LLM to reorder the fused top-k; keep the fused order on any failure
+    async rerank(query, results, debugLog) {
+        try {
+            const prompt = promptRegistry.template('search.rerank', debugLog);
+
+            const tickets = results.map(r => {
+                const ticket = r.conversation.data?.ticket || {};
+                const excerpt = r.signals.vector?.matchedText || r.conversation.data?.article?.[0]?.Body || '';
+                return `- ${ticket.TicketID}: ${ticket.Title || 'No Title'} | ${excerpt.substring(0, 200)}`;
+            }).join('\n');
+
+            const chain = prompt.pipe(this.rerankModel).pipe(new StringOutputParser());
+            const response = await chain.invoke({ query, tickets });
+
+            const arrayMatch = response.match(/\[[\s\S]*?\]/);
+            if (!arrayMatch) throw new Error('no JSON array in rerank response');
+            const order = JSON.parse(arrayMatch[0]).map(String);
+
+            const byId = new Map(results.map(r => [String(r.conversation.data?.ticket?.TicketID), r]));
+            const reordered = order.filter(id => byId.has(id)).map(id => byId.get(id));
+            // Anything the model forgot keeps its fused position at the end
+            const missing = results.filter(r => !reordered.includes(r));
+
+            debugLog(`🔀 Reranked ${reordered.length} of ${results.length} results with the LLM`);
+            return [...reordered, ...missing].map((r, i) => ({
+                ...r,
+                signals: { ...r.signals, rerank: { rank: i + 1 } }
+            }));
+        } catch (error) {
+            debugLog(`⚠️ LLM rerank failed, keeping fused order: ${error.message}`);
+            return null;
+        }
+    }
+}
+
+// Create singleton instance
+const hybridRetriever = new HybridRetriever();
+
+export default hybridRetriever;
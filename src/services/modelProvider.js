@@ -0,0 +1,278 @@
+// src/services/modelProvider.js - Chat models per role (Ollama, OpenAI-compatible or scripted mock) with timeouts, retries and token accounting
+import { ChatOllama } from "@langchain/ollama";
+import { ChatOpenAI } from "@langchain/openai";
+import { BaseChatModel } from "@langchain/core/language_models/chat_models";
+import { AIMessage, AIMessageChunk } from "@langchain/core/messages";
+import { ChatGenerationChunk } from "@langchain/core/outputs";
+import { retryWithBackoff, withTimeout, estimateTokens } from '../utils/helpers.js';
+
+// Each role reads <ROLE>_MODEL and <ROLE>_PROVIDER, falling back to MODEL_PROVIDER
+export const MODEL_ROLES = {
+    conversation: { modelEnv: 'CONVERSATION_MODEL', defaultModel: 'llama2:7b', temperature: 0.3 },
+    query: { modelEnv: 'QUERY_MODEL', defaultModel: 'deepseek-coder:6.7b', temperature: 0.1 },
+    summarization: { modelEnv: 'SUMMARIZATION_MODEL', defaultModel: 'mistral:7b', temperature: 0.3 },
+    // Structured (JSON) extraction - defaults to the summarization model
+    schema: { modelEnv: 'SCHEMA_MODEL', fallbackEnv: 'SUMMARIZATION_MODEL', defaultModel: 'mistral:7b', temperature: 0.1 },
+    rerank: { modelEnv: 'RERANK_MODEL', fallbackEnv: 'CONVERSATION_MODEL', defaultModel: 'llama2:7b', temperature: 0 }
+};
+
+export const MODEL_PROVIDERS = ['ollama', 'openai', 'mock'];
+
+const DEFAULT_TIMEOUT_MS = 120000;
+const DEFAULT_MAX_RETRIES = 2;
+const DEFAULT_RETRY_DELAY_MS = 1000;
+
+// role -> { calls, failures, promptTokens, completionTokens, estimatedCalls }
+const usage = new Map();
+
+function messageText(message) {
+    return typeof message.content === 'string' ? message.content : JSON.stringify(message.content);
+}
+
+function recordUsage(role, { promptTokens = 0, completionTokens = 0, estimated = false, failed = false }) {
+    const entry = usage.get(role) || { calls: 0, failures: 0, promptTokens: 0, completionTokens: 0, estimatedCalls: 0 };
+    entry.calls++;
+    if (failed) entry.failures++;
+    entry.promptTokens += promptTokens;
+    entry.completionTokens += completionTokens;
+    if (estimated) entry.estimatedCalls++;
+    usage.set(role, entry);
+}
+
+// Token counts reported by the backend, or estimated from the text when it reports none
+function measureTokens(messages, reply) {
+    const reported = reply?.usage_metadata;
+    if (reported && (reported.input_tokens || reported.output_tokens)) {
+        return { promptTokens: reported.input_tokens || 0, completionTokens: reported.output_tokens || 0, estimated: false };
+    }
+    return {
+        promptTokens: estimateTokens(messages.map(messageText).join('\n')),
+        completionTokens: estimateTokens(reply ? messageText(reply) : ''),
+        estimated: true
+    };
+}
+
+/**
+ * Scripted stand-in for tests and offline runs
+ * responses: replies in call order, or (messages) => reply; once exhausted every call gets `reply`
+ */
+export class ScriptedChatModel extends BaseChatModel {
+    static lc_name() {
+        return 'ScriptedChatModel';
+    }
+
+    constructor({ responses = [], reply = '', model = 'mock' } = {}) {
+        super({});
+        this.responses = responses;
+        this.reply = reply;
+        this.model = model;
+        this.callCount = 0;
+    }
+
+    _llmType() {
+        return 'scripted';
+    }
+
+    async _generate(messages) {
+        const index = this.callCount++;
+        const text = typeof this.responses === 'function'
+            ? await this.responses(messages, index)
+            : this.responses[index] ?? this.reply;
+
+        return { generations: [{ text: String(text), message: new AIMessage(String(text)) }] };
+    }
+}
+
+/**
+ * A backend chat model behind one timeout, retry and token accounting policy.
+ * Retries only happen before the first streamed token - a half-streamed answer is not restarted.
+ */
+export class ManagedChatModel extends BaseChatModel {
+    static lc_name() {
+        return 'ManagedChatModel';
+    }
+
+    constructor({ role, provider, model, backend, timeoutMs, maxRetries, retryDelayMs }) {
+        super({});
+        this.role = role;
+        this.provider = provider;
+        this.model = model;
+        this.backend = backend;
+        this.timeoutMs = timeoutMs;
+        this.maxRetries = maxRetries;
+        this.retryDelayMs = retryDelayMs;
+    }
+
+    _llmType() {
+        return `managed-${this.provider}`;
+    }
+
+    /**
+     * One attempt, cancelled on the backend when it runs past the timeout or the caller aborts
+     * @param {Function} call - (backendSignal) => Promise of the backend call
+     * @param {Object} options - { signal } of the caller
+     * @returns {Promise<Object>} - { result, controller }; a stream keeps the controller to cancel it later
+     */
+    async attempt(call, options = {}) {
+        const controller = new AbortController();
+        options.signal?.addEventListener('abort', () => controller.abort(), { once: true });
+        try {
+            const result = await withTimeout(call(controller.signal), this.timeoutMs, `${this.role} model (${this.model})`);
+            return { result, controller };
+        } catch (error) {
+            controller.abort();
+            throw error;
+        }
+    }
+
+    // Retry failed attempts, unless the caller gave up
+    async withRetries(call, signal) {
+        return await retryWithBackoff(
+            () => this.attempt(call, { signal }),
+            this.maxRetries,
+            this.retryDelayMs,
+            () => !signal?.aborted
+        );
+    }
+
+    async _generate(messages, options = {}) {
+        // The caller's signal and timeout are replaced by this model's own per-attempt ones
+        const { signal, timeout, ...callOptions } = options;
+        try {
+            const { result: reply } = await this.withRetries(
+                backendSignal => this.backend.invoke(messages, { ...callOptions, signal: backendSignal }),
+                signal
+            );
+            recordUsage(this.role, measureTokens(messages, reply));
+            return { generations: [{ text: messageText(reply), message: reply }] };
+        } catch (error) {
+            recordUsage(this.role, { failed: true });
+            throw error;
+        }
+    }
+
+    async *_streamResponseChunks(messages, options = {}, runManager) {
+        // The caller's signal and timeout are replaced by this model's own per-attempt ones
+        const { signal, timeout, ...callOptions } = options;
+        let text = '';
+        let usageChunk = null;
+        // Cancels the backend request when the stream stalls, fails or is abandoned by the consumer
+        let controller = null;
+        let completed = false;
+
+        try {
+            const started = await this.withRetries(
+                backendSignal => this.backend.stream(messages, { ...callOptions, signal: backendSignal }),
+                signal
+            );
+            controller = started.controller;
+            const iterator = started.result[Symbol.asyncIterator]();
+
+            while (true) {
+                // The timeout applies to each gap between chunks, so long answers are not cut off
+                const { value: chunk, done } = await withTimeout(iterator.next(), this.timeoutMs, `${this.role} model (${this.model}) stream`);
+                if (done) break;
+
+                const chunkText = messageText(chunk);
+                text += chunkText;
+                if (chunk.usage_metadata) usageChunk = chunk;
+
+                yield new ChatGenerationChunk({ text: chunkText, message: new AIMessageChunk({ content: chunkText }) });
+                await runManager?.handleLLMNewToken(chunkText);
+            }
+
+            completed = true;
+            recordUsage(this.role, measureTokens(messages, usageChunk ? { ...usageChunk, content: text } : new AIMessage(text)));
+        } catch (error) {
+            recordUsage(this.role, { failed: true });
+            throw error;
+        } finally {
+            if (!completed) controller?.abort();
+        }
+    }
+}
+
+/**
+ * Provider, model and limits for a role, from the environment unless overridden
+ * @param {string} role - One of MODEL_ROLES
+ * @param {Object} overrides - { provider, model, temperature, timeoutMs, maxRetries, ... }
+ * @returns {Object} - Resolved configuration
+ */
+export function getModelConfig(role, overrides = {}) {
+    const roleDefaults = MODEL_ROLES[role];
+    if (!roleDefaults) {
+        throw new Error(`Unknown model role "${role}" (expected ${Object.keys(MODEL_ROLES).join(', ')})`);
+    }
+
+    const envRole = role.toUpperCase();
+    const provider = overrides.provider || process.env[`${envRole}_PROVIDER`] || process.env.MODEL_PROVIDER || 'ollama';
+    if (!MODEL_PROVIDERS.includes(provider)) {
+        throw new Error(`Unknown model provider "${provider}" for ${role} (expected ${MODEL_PROVIDERS.join(', ')})`);
+    }
+
+    return {
+        role,
+        provider,
+        model: overrides.model || process.env[roleDefaults.modelEnv] ||
+            (roleDefaults.fallbackEnv && process.env[roleDefaults.fallbackEnv]) || roleDefaults.defaultModel,
+        temperature: overrides.temperature ?? roleDefaults.temperature,
+        timeoutMs: overrides.timeoutMs ?? parseInt(process.env.MODEL_TIMEOUT_MS || DEFAULT_TIMEOUT_MS),
+        maxRetries: overrides.maxRetries ?? parseInt(process.env.MODEL_MAX_RETRIES || DEFAULT_MAX_RETRIES),
+        retryDelayMs: overrides.retryDelayMs ?? parseInt(process.env.MODEL_RETRY_DELAY_MS || DEFAULT_RETRY_DELAY_MS),
+        responses: overrides.responses,
+        reply: overrides.reply ?? process.env.MOCK_MODEL_REPLY ?? ''
+    };
+}
+
+function createBackend(config) {
+    switch (config.provider) {
+        case 'openai':
+            // Any /v1/chat/completions server: llama.cpp, vLLM, LM Studio, or Ollama's own /v1
+            return new ChatOpenAI({
+                model: config.model,
+                temperature: config.temperature,
+                maxRetries: 0,
+                apiKey: process.env.OPENAI_API_KEY || 'ollama',
+                configuration: { baseURL: process.env.OPENAI_BASE_URL || 'http://localhost:11434/v1' }
+            });
+        case 'mock':
+            return new ScriptedChatModel({ responses: config.responses, reply: config.reply, model: config.model });
+        default:
+            return new ChatOllama({
+                model: config.model,
+                temperature: config.temperature,
+                baseUrl: process.env.OLLAMA_BASE_URL || 'http://localhost:11434'
+            });
+    }
+}
+
+/**
+ * Chat model for a role - use instead of constructing ChatOllama directly
+ * @param {string} role - conversation, query, summarization, schema or rerank
+ * @param {Object} overrides - Optional per-caller settings (temperature, provider, responses for the mock...)
+ * @returns {ManagedChatModel}
+ */
+export function createChatModel(role, overrides = {}) {
+    const config = getModelConfig(role, overrides);
+    return new ManagedChatModel({ ...config, backend: createBackend(config) });
+}
+
+/**
+ * Calls and tokens per role since start (or the last reset)
+ * @returns {Object} - { [role]: { calls, failures, promptTokens, completionTokens, estimatedCalls } }
+ */
+export function getModelUsage() {
+    return Object.fromEntries([...usage.entries()].map(([role, entry]) => [role, { ...entry }]));
+}
+
+export function resetModelUsage() {
+    usage.clear();
+}
+
+export default {
+    createChatModel,
+    getModelConfig,
+    getModelUsage,
+    resetModelUsage,
+    MODEL_ROLES
+};
@@ -0,0 +1,283 @@
+// src/services/promptRegistry.js - Named, versioned prompt templates loaded from the markdown files in prompts/
+import { readFileSync, readdirSync } from 'fs';
+import { join, relative } from 'path';
+import { fileURLToPath } from 'url';
+import { ChatPromptTemplate } from "@langchain/core/prompts";
+import { RunnableLambda } from "@langchain/core/runnables";
+import { MODEL_ROLES } from './modelProvider.js';
+
+const DEFAULT_PROMPTS_DIR = fileURLToPath(new URL('../../prompts/', import.meta.url));
+
+// A line that is exactly "[system]", "[human]" or "[ai]" starts a chat message
+const MESSAGE_MARKER = /^\[(system|human|ai)\]\s*$/;
+
+function parseValue(raw) {
+    const value = raw.trim();
+    if (value.startsWith('[') && value.endsWith(']')) {
+        return value.slice(1, -1).split(',').map(item => item.trim()).filter(Boolean);
+    }
+    if (/^\d+$/.test(value)) return parseInt(value);
+    return value.replace(/^(["'])(.*)\1$/, '$2');
+}
+
+/**
+ * Split a prompt file into front-matter and template body.
+ * Front-matter is the block between the leading "---" lines: `key: value` or `key: [a, b]` per line.
+ * @param {string} text - File contents
+ * @returns {Object|null} - { meta, body }, or null when the file has no front-matter
+ */
+export function parsePromptFile(text) {
+    const match = text.replace(/\r\n/g, '\n').match(/^---\n([\s\S]*?)\n---\n?([\s\S]*)$/);
+    if (!match) return null;
+
+    const meta = {};
+    for (const line of match[1].split('\n')) {
+        if (!line.trim() || line.trim().startsWith('#')) continue;
+
+        const separator = line.indexOf(':');
+        if (separator === -1) {
+            throw new Error(`Malformed front-matter line "${line}"`);
+        }
+        meta[line.slice(0, separator).trim()] = parseValue(line.slice(separator + 1));
+    }
+
+    return { meta, body: match[2] };
+}
+
+// One human message, unless the body is split into messages with [system] / [human] / [ai] lines
+function buildTemplate(body) {
+    const lines = body.split('\n');
+    if (!lines.some(line => MESSAGE_MARKER.test(line))) {
+        return ChatPromptTemplate.fromTemplate(body);
+    }
+
+    const messages = [];
+    for (const line of lines) {
+        const marker = line.match(MESSAGE_MARKER);
+        if (marker) {
+            messages.push({ type: marker[1], lines: [] });
+        } else if (messages.length > 0) {
+            messages[messages.length - 1].lines.push(line);
+        } else if (line.trim()) {
+            throw new Error('text before the first [system] / [human] / [ai] line');
+        }
+    }
+    return ChatPromptTemplate.fromMessages(messages.map(message => [message.type, message.lines.join('\n').trim()]));
+}
+
+// PROMPT_VERSIONS="query.plan=2,search.rerank=1"
+function parseVersionPins(spec = '') {
+    return new Map(spec.split(',')
+        .map(entry => entry.trim())
+        .filter(Boolean)
+        .map(entry => {
+            const [name, version] = entry.split('=').map(part => part.trim());
+            return [name, parseInt(version)];
+        }));
+}
+
+/**
+ * Prompts are markdown files with front-matter:
+ * ---
+ * name: query.plan          // unique id, shared by all versions of the prompt
+ * version: 2                // positive integer; the highest version is used unless pinned
+ * role: query               // model role the prompt is written for (see MODEL_ROLES)
+ * description: ...          // one line
+ * variables: [userMessage]  // required variables - must match the template's {placeholders}
+ * ---
+ * Files without front-matter (e.g. prompts/mongoQueryGeneration.md) are reference documents
+ * read by their users directly and are skipped here.
+ */
+class PromptRegistry {
+    constructor({ directory = DEFAULT_PROMPTS_DIR, versions = process.env.PROMPT_VERSIONS } = {}) {
+        this.directory = directory;
+        this.pins = parseVersionPins(versions);
+        // name -> Map(version -> prompt), loaded on first use
+        this.prompts = null;
+        // "name@vN" -> times formatted
+        this.usage = new Map();
+    }
+
+    listFiles(directory) {
+        return readdirSync(directory, { withFileTypes: true })
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .flatMap(entry => {
+                const path = join(directory, entry.name);
+                if (entry.isDirectory()) return this.listFiles(path);
+                return entry.name.endsWith('.md') ? [path] : [];
+            });
+    }
+
+    /**
+     * (Re)read every prompt file. Malformed prompts throw, so a bad edit fails at startup
+     * rather than on the request that first uses it.
+     * @returns {PromptRegistry}
+     */
+    load() {
+        const prompts = new Map();
+
+        for (const file of this.listFiles(this.directory)) {
+            const source = relative(this.directory, file);
+            const parsed = parsePromptFile(readFileSync(file, 'utf8'));
+            if (!parsed) continue;
+
+            const prompt = this.compile(parsed, source);
+            const versions = prompts.get(prompt.name) || new Map();
+            if (versions.has(prompt.version)) {
+                throw new Error(`Prompt ${prompt.id} is defined twice (${versions.get(prompt.version).source} and ${source})`);
+            }
+            versions.set(prompt.version, prompt);
+            prompts.set(prompt.name, versions);
+        }
+
+        for (const [name, version] of this.pins) {
+            if (!prompts.get(name)?.has(version)) {
+                throw new Error(`PROMPT_VERSIONS pins ${name}@v${version}, which does not exist`);
+            }
+        }
+
+        this.prompts = prompts;
+        return this;
+    }
+
+    compile({ meta, body }, source) {
+        const { name, version, role = null, description = '', variables = [] } = meta;
+        if (!name || !Number.isInteger(version) || version < 1) {
+            throw new Error(`Prompt ${source} needs a name and a positive integer version in its front-matter`);
+        }
+        if (role && !MODEL_ROLES[role]) {
+            throw new Error(`Prompt ${source} has unknown model role "${role}" (expected ${Object.keys(MODEL_ROLES).join(', ')})`);
+        }
+
+        let template;
+        try {
+            template = buildTemplate(body);
+        } catch (error) {
+            throw new Error(`Prompt ${source} is not a valid template: ${error.message}`);
+        }
+
+        const declared = Array.isArray(variables) ? variables : [variables];
+        const undeclared = template.inputVariables.filter(variable => !declared.includes(variable));
+        const unused = declared.filter(variable => !template.inputVariables.includes(variable));
+        if (undeclared.length > 0 || unused.length > 0) {
+            throw new Error(`Prompt ${source}: front-matter variables do not match the template` +
+                (undeclared.length ? ` (undeclared: ${undeclared.join(', ')})` : '') +
+                (unused.length ? ` (not in template: ${unused.join(', ')})` : ''));
+        }
+
+        return { name, version, id: `${name}@v${version}`, role, description, variables: declared, source, template };
+    }
+
+    getPrompts() {
+        if (!this.prompts) this.load();
+        return this.prompts;
+    }
+
+    /**
+     * Version used when none is asked for: the pinned one, else the highest
+     * @param {string} name - Prompt name
+     * @returns {number}
+     */
+    getActiveVersion(name) {
+        const versions = this.getPrompts().get(name);
+        if (!versions) {
+            throw new Error(`Unknown prompt "${name}"`);
+        }
+        return this.pins.get(name) ?? Math.max(...versions.keys());
+    }
+
+    /**
+     * @param {string} name - Prompt name
+     * @param {number} version - Optional, defaults to the active version
+     * @returns {Object} - { name, version, id, role, description, variables, source, template }
+     */
+    get(name, version = this.getActiveVersion(name)) {
+        const prompt = this.getPrompts().get(name)?.get(version);
+        if (!prompt) {
+            throw new Error(`Unknown prompt version ${name}@v${version}`);
+        }
+        return prompt;
+    }
+
+    /**
+     * Pin the version callers get - used by the eval harness to compare versions
+     * @param {string} name - Prompt name
+     * @param {number|null} version - Version to use, or null to go back to the highest
+     */
+    setActiveVersion(name, version) {
+        if (version === null) {
+            this.pins.delete(name);
+            return;
+        }
+        this.get(name, version);
+        this.pins.set(name, version);
+    }
+
+    /**
+     * Throw when a required variable is missing - an undefined value would otherwise be
+     * formatted into the prompt as text
+     * @param {Object} prompt - Prompt from get()
+     * @param {Object} input - Prompt variables
+     */
+    validate(prompt, input = {}) {
+        const missing = prompt.variables.filter(variable => input[variable] === undefined || input[variable] === null);
+        if (missing.length > 0) {
+            throw new Error(`Prompt ${prompt.id} is missing required variables: ${missing.join(', ')}`);
+        }
+    }
+
+    /**
+     * Template runnable for a named prompt - pipe it into a model like a ChatPromptTemplate.
+     * The version is resolved on every call, so pins set later still apply to chains built earlier.
+     * @param {string} name - Prompt name
+     * @param {Function} debugLog - Debug logger, told which prompt version was used
+     * @returns {Runnable}
+     */
+    template(name, debugLog = () => {}) {
+        this.getActiveVersion(name);
+
+        return RunnableLambda.from(async (input, config) => {
+            const prompt = this.get(name);
+            this.validate(prompt, input);
+
+            this.usage.set(prompt.id, (this.usage.get(prompt.id) || 0) + 1);
+            debugLog(`📝 Prompt ${prompt.id} (${prompt.source})`);
+            return await prompt.template.invoke(input, config);
+        });
+    }
+
+    /**
+     * @returns {Object[]} - [{ name, versions, activeVersion, role, description }] sorted by name
+     */
+    list() {
+        return [...this.getPrompts().entries()]
+            .sort(([a], [b]) => a.localeCompare(b))
+            .map(([name, versions]) => {
+                const active = this.get(name);
+                return {
+                    name,
+                    versions: [...versions.keys()].sort((a, b) => a - b),
+                    activeVersion: active.version,
+                    role: active.role,
+                    description: active.description
+                };
+            });
+    }
+
+    /**
+     * Times each prompt version was formatted since start (or the last reset)
+     * @returns {Object} - { "name@vN": count }
+     */
+    getUsage() {
+        return Object.fromEntries(this.usage);
+    }
+
+    resetUsage() {
+        this.usage.clear();
+    }
+}
+
+// Export singleton instance reading the repository's prompts/ directory
+const promptRegistry = new PromptRegistry();
+export { PromptRegistry };
+export default promptRegistry;
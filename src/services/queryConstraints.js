@@ -0,0 +1,110 @@
+// src/services/queryConstraints.js - Rule-based extraction of ticket metadata constraints from natural language
+import schemaKnowledge from './schemaKnowledge.js';
+
+const EMAIL_PATTERN = /([a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,})/;
+
+// Status words mapped onto the simplified StateType values
+const STATE_TYPE_RULES = [
+    { pattern: /\b(closed|resolved|solved|finished)\b/, value: 'closed', label: 'closed' },
+    { pattern: /\b(pending|waiting|on hold)\b/, value: 'pending', label: 'pending' },
+    { pattern: /\b(open|unresolved|active|outstanding)\b/, value: { $in: ['open', 'new', 'pending'] }, label: 'open (new, open, pending)' },
+    { pattern: /\bnew tickets?\b/, value: 'new', label: 'new' }
+];
+
+const PRIORITY_RULES = [
+    { pattern: /\bpriority\s*(?:id\s*)?(?:of\s*)?([1-5])\b/, value: match => parseInt(match[1]), label: match => `priority ${match[1]}` },
+    { pattern: /\b(very high|urgent|critical)\b/, value: () => 5, label: () => 'very high priority (5)' },
+    { pattern: /\b(high|important)(?:[\s-]priority)?\b/, value: () => ({ $gte: 4 }), label: () => 'high priority (4-5)' },
+    { pattern: /\b(very low)\b/, value: () => 1, label: () => 'very low priority (1)' },
+    { pattern: /\blow(?:[\s-]priority)?\b/, value: () => ({ $lte: 2 }), label: () => 'low priority (1-2)' },
+    { pattern: /\b(normal|medium)(?:[\s-]priority)?\b/, value: () => 3, label: () => 'normal priority (3)' }
+];
+
+// Short names people use for queues
+const QUEUE_ALIASES = {
+    'billing': 'Billing Support',
+    'technical': 'Technical Support',
+    'tech support': 'Technical Support',
+    'sales': 'Sales',
+    'helpdesk': 'IT Helpdesk',
+    'help desk': 'IT Helpdesk',
+    'product': 'Product Support',
+    'account management': 'Account Management',
+    'customer support': 'Customer Support'
+};
+
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Find the queue named in a message, by exact queue name first and alias second
+ * @param {string} message - User message
+ * @returns {string|null} - Queue name as stored in data.ticket.Queue
+ */
+export function extractQueue(message) {
+    const lowerMessage = message.toLowerCase();
+    const queues = schemaKnowledge.schema.ticket.Queue.values;
+
+    const exact = queues.find(queue => lowerMessage.includes(queue.toLowerCase()));
+    if (exact) return exact;
+
+    for (const [alias, queue] of Object.entries(QUEUE_ALIASES)) {
+        if (new RegExp(`\\b${escapeRegex(alias)}\\b`).test(lowerMessage)) {
+            return queue;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Extract StateType, PriorityID, Queue and CustomerID constraints from a message
+ * @param {string} message - User message
+ * @returns {Object} - { filter, criteria } where criteria are human readable descriptions
+ */
+export function extractMetadataFilters(message) {
+    const filter = {};
+    const criteria = [];
+
+    if (!message || typeof message !== 'string') {
+        return { filter, criteria };
+    }
+
+    // Emails contain words like "sales" - match them first and keep them out of the keyword rules
+    const emailMatch = message.match(EMAIL_PATTERN);
+    const lowerMessage = message.toLowerCase().replace(EMAIL_PATTERN, ' ');
+
+    if (emailMatch) {
+        filter['data.ticket.CustomerID'] = emailMatch[1].toLowerCase();
+        criteria.push(`customer ${emailMatch[1].toLowerCase()}`);
+    }
+
+    const stateRule = STATE_TYPE_RULES.find(rule => rule.pattern.test(lowerMessage));
+    if (stateRule) {
+        filter['data.ticket.StateType'] = stateRule.value;
+        criteria.push(`status ${stateRule.label}`);
+    }
+
+    for (const rule of PRIORITY_RULES) {
+        const match = lowerMessage.match(rule.pattern);
+        if (match) {
+            filter['data.ticket.PriorityID'] = rule.value(match);
+            criteria.push(rule.label(match));
+            break;
+        }
+    }
+
+    const queue = extractQueue(lowerMessage);
+    if (queue) {
+        filter['data.ticket.Queue'] = queue;
+        criteria.push(`queue "${queue}"`);
+    }
+
+    return { filter, criteria };
+}
+
+export default {
+    extractQueue,
+    extractMetadataFilters
+};
@@ -0,0 +1,135 @@
+// src/services/queryExplain.js - Summaries of MongoDB explain() output and optimization warnings for query plans
+import schemaKnowledge from './schemaKnowledge.js';
+
+// Plan stages that read an index rather than the documents
+const INDEX_STAGES = ['IXSCAN', 'COUNT_SCAN', 'DISTINCT_SCAN', 'EXPRESS_IXSCAN'];
+
+function walk(node, visit) {
+    if (Array.isArray(node)) {
+        node.forEach(item => walk(item, visit));
+        return;
+    }
+    if (!node || typeof node !== 'object') return;
+
+    visit(node);
+    for (const [key, value] of Object.entries(node)) {
+        // Plans the optimizer considered and discarded say nothing about how the query runs
+        if (key === 'rejectedPlans' || key === 'allPlansExecution') continue;
+        walk(value, visit);
+    }
+}
+
+/**
+ * Reduce explain('executionStats') output - of a find or an aggregation, classic or slot-based
+ * engine - to what a person checking the query needs
+ * @param {Object} explainOutput - Raw explain() document
+ * @returns {Object} - { indexes, collectionScan, docsExamined, keysExamined, returned, executionTimeMillis }
+ */
+export function summarizeExplainOutput(explainOutput) {
+    const indexes = new Map();
+    let collectionScan = false;
+    let stats = null;
+
+    walk(explainOutput, node => {
+        if (typeof node.stage === 'string') {
+            if (node.stage === 'COLLSCAN') collectionScan = true;
+            if (INDEX_STAGES.includes(node.stage) && node.indexName) {
+                indexes.set(node.indexName, { name: node.indexName, keyPattern: node.keyPattern || null });
+            }
+        }
+
+        // Aggregations report one executionStats per $cursor stage
+        const execution = node.executionStats;
+        if (execution && typeof execution.totalDocsExamined === 'number') {
+            stats = stats || { docsExamined: 0, keysExamined: 0, returned: 0, executionTimeMillis: 0 };
+            stats.docsExamined += execution.totalDocsExamined;
+            stats.keysExamined += execution.totalKeysExamined || 0;
+            stats.returned += execution.nReturned || 0;
+            stats.executionTimeMillis += execution.executionTimeMillis || 0;
+        }
+    });
+
+    return {
+        indexes: [...indexes.values()],
+        collectionScan,
+        docsExamined: stats?.docsExamined ?? null,
+        keysExamined: stats?.keysExamined ?? null,
+        returned: stats?.returned ?? null,
+        executionTimeMillis: stats?.executionTimeMillis ?? null
+    };
+}
+
+function filterOf(plan) {
+    if (plan.type !== 'aggregate') return plan.filter || {};
+    return plan.pipeline.find(stage => stage.$match)?.$match || {};
+}
+
+// Field paths a filter tests, including inside $and / $or / $nor
+function filterFields(filter, fields = new Set()) {
+    for (const [key, value] of Object.entries(filter || {})) {
+        if (['$and', '$or', '$nor'].includes(key) && Array.isArray(value)) {
+            value.forEach(clause => filterFields(clause, fields));
+        } else if (!key.startsWith('$')) {
+            fields.add(key);
+        }
+    }
+    return fields;
+}
+
+function usesRegex(value) {
+    if (value instanceof RegExp) return true;
+    if (Array.isArray(value)) return value.some(usesRegex);
+    if (!value || typeof value !== 'object' || value instanceof Date) return false;
+    return Object.entries(value).some(([key, nested]) => key === '$regex' || usesRegex(nested));
+}
+
+/**
+ * Warnings for a plan from schemaKnowledge.getOptimizationSuggestions and the explain() summary
+ * @param {Object} plan - Find or aggregate plan as it would run
+ * @param {Object|null} stats - From summarizeExplainOutput(), null when explain() was unavailable
+ * @returns {string[]} - Warnings, most important first
+ */
+export function buildPlanWarnings(plan, stats) {
+    const isAggregate = plan.type === 'aggregate';
+    const suggestions = schemaKnowledge.getOptimizationSuggestions(isAggregate ? 'analysis' : 'search');
+    const fields = filterFields(filterOf(plan));
+    const warnings = [];
+
+    if (stats?.collectionScan) {
+        warnings.push(fields.size > 0
+            ? `No index covers this filter, so MongoDB scans the whole collection (indexed fields include ${suggestions.indexedFields.join(', ')})`
+            : 'The query has no filter, so MongoDB scans the whole collection');
+    }
+
+    // "Use data.ticket.StateType instead of data.ticket.State ..." applies when the plan uses the latter
+    for (const practice of suggestions.bestPractices) {
+        const preferred = practice.match(/^Use (\S+) instead of (\S+)/);
+        if (preferred && fields.has(preferred[2])) warnings.push(practice);
+    }
+
+    if (usesRegex(filterOf(plan))) {
+        warnings.push('Prefer exact matches over regex when possible - an unanchored regex cannot use an index efficiently');
+    }
+
+    if (!isAggregate) {
+        const sort = plan.options?.sort;
+        if (!sort || Object.keys(sort).length === 0) {
+            warnings.push('Always include a sort order for consistent results');
+        }
+        const limit = plan.options?.limit;
+        if (limit === undefined) {
+            warnings.push(`No limit - every matching ticket is returned (suggested: ${suggestions.suggestedLimit})`);
+        } else if (limit > suggestions.suggestedLimit) {
+            warnings.push(`Limit ${limit} is above the suggested ${suggestions.suggestedLimit} for searches`);
+        }
+    } else if (!plan.pipeline.some(stage => '$limit' in stage || '$count' in stage)) {
+        warnings.push(`The pipeline has no $limit (suggested: ${suggestions.suggestedLimit} rows)`);
+    }
+
+    return warnings;
+}
+
+export default {
+    summarizeExplainOutput,
+    buildPlanWarnings
+};
@@ -0,0 +1,100 @@
+// src/services/queryPlanSchema.js - Zod contract for generated MongoDB query plans
+import { z } from 'zod';
+
+// Generated plans never return more than this many documents
+export const MAX_GENERATED_LIMIT = 100;
+export const DEFAULT_GENERATED_LIMIT = 20;
+
+// Aggregation plans may only use these stages - no $lookup/$out/$merge or other side effects
+export const ALLOWED_PIPELINE_STAGES = ['$match', '$group', '$sort', '$limit', '$project', '$unwind', '$count'];
+export const MAX_PIPELINE_STAGES = 10;
+export const MAX_AGGREGATION_ROWS = 100;
+
+// Models write sort directions in many ways - normalize them to 1 / -1
+const sortDirectionSchema = z.preprocess(value => {
+    if (value === 'asc' || value === 'ascending' || value === '1') return 1;
+    if (value === 'desc' || value === 'descending' || value === '-1') return -1;
+    return value;
+}, z.union([z.literal(1), z.literal(-1)]));
+
+const projectionValueSchema = z.preprocess(value => {
+    if (value === true) return 1;
+    if (value === false) return 0;
+    return value;
+}, z.union([z.literal(0), z.literal(1)]));
+
+const queryOptionsSchema = z.object({
+    sort: z.record(sortDirectionSchema).optional(),
+    projection: z.record(projectionValueSchema).optional(),
+    limit: z.number().int().positive()
+        .transform(limit => Math.min(limit, MAX_GENERATED_LIMIT))
+        .default(DEFAULT_GENERATED_LIMIT)
+}).strict();
+
+export const findQueryPlanSchema = z.object({
+    type: z.literal('find').default('find'),
+    filter: z.record(z.any()).default({}),
+    options: queryOptionsSchema.default({}),
+    isValid: z.boolean().optional(),
+    explanation: z.string().min(1).default('Generated query')
+});
+
+const pipelineStageSchema = z.record(z.any())
+    .refine(stage => Object.keys(stage).length === 1, {
+        message: 'each pipeline stage must contain exactly one stage operator'
+    })
+    .refine(stage => ALLOWED_PIPELINE_STAGES.includes(Object.keys(stage)[0]), stage => ({
+        message: `stage ${Object.keys(stage)[0]} is not allowed (allowed: ${ALLOWED_PIPELINE_STAGES.join(', ')})`
+    }))
+    .refine(stage => !('$limit' in stage) || (Number.isInteger(stage.$limit) && stage.$limit > 0 && stage.$limit <= MAX_AGGREGATION_ROWS), {
+        message: `$limit must be an integer between 1 and ${MAX_AGGREGATION_ROWS}`
+    });
+
+export const aggregateQueryPlanSchema = z.object({
+    type: z.literal('aggregate'),
+    pipeline: z.array(pipelineStageSchema).min(1).max(MAX_PIPELINE_STAGES)
+        // Every pipeline is bounded: append a $limit when the plan has none
+        .transform(pipeline => pipeline.some(stage => '$limit' in stage || '$count' in stage)
+            ? pipeline
+            : [...pipeline, { $limit: MAX_AGGREGATION_ROWS }]),
+    labels: z.record(z.string()).optional(),
+    isValid: z.boolean().optional(),
+    explanation: z.string().min(1).default('Generated aggregation')
+});
+
+/**
+ * Validate a candidate query plan produced by the query model
+ * @param {Object} candidate - Parsed model output
+ * @returns {Object} - { success, plan } or { success: false, errors }
+ */
+export function validateQueryPlan(candidate) {
+    const isAggregate = candidate?.type === 'aggregate' || Array.isArray(candidate?.pipeline);
+    const schema = isAggregate ? aggregateQueryPlanSchema : findQueryPlanSchema;
+    const parsed = schema.safeParse(isAggregate ? { ...candidate, type: 'aggregate' } : candidate);
+
+    if (!parsed.success) {
+        return {
+            success: false,
+            errors: parsed.error.issues.map(issue => `${issue.path.join('.') || 'plan'}: ${issue.message}`)
+        };
+    }
+
+    if (parsed.data.isValid === false) {
+        return {
+            success: false,
+            errors: ['plan: model marked the generated query as invalid']
+        };
+    }
+
+    return { success: true, plan: parsed.data };
+}
+
+export default {
+    findQueryPlanSchema,
+    aggregateQueryPlanSchema,
+    validateQueryPlan,
+    ALLOWED_PIPELINE_STAGES,
+    MAX_GENERATED_LIMIT,
+    DEFAULT_GENERATED_LIMIT,
+    MAX_AGGREGATION_ROWS
+};
@@ -0,0 +1,244 @@
+// src/services/queryRefinement.js - Narrow, re-sort or re-date the previous query from a follow-up message
+import { extractMetadataFilters } from './queryConstraints.js';
+import { parseTemporalExpression, buildDateFilter } from './temporalParser.js';
+
+// "just the billing ones", "only from last week", "of those, the urgent ones", "sort by priority"
+const REFINEMENT_CUE_PATTERNS = [
+    /^\s*(?:and\s+|now\s+|ok(?:ay)?,?\s+)?(?:just|only)\b/,
+    /\b(?:just|only)\s+(?:show\s+|keep\s+|list\s+)?(?:me\s+)?(?:the\s+)?(?:ones|those|these|tickets|results)\b/,
+    /\b(?:of|from|among)\s+(?:those|these|them|the results)\b/,
+    /\b(?:sort|order)(?:ed)?\s+(?:them\s+|those\s+|these\s+|it\s+|the results\s+)?by\b/,
+    /\b(?:filter|narrow)\s+(?:them|those|these|it|down|the results)\b/,
+    /\b(?:exclude|without|except)\s+(?:the\s+)?(?:closed|open|pending|new)\b/
+];
+
+// Fields people sort by, with the direction that reads naturally when none is given
+const SORT_FIELDS = [
+    { pattern: /\bpriority\b/, path: 'data.ticket.PriorityID', label: 'priority', defaultDirection: -1, descending: 'highest first', ascending: 'lowest first' },
+    { pattern: /\b(resolution|solution)(?:\s+time)?\b/, path: 'data.ticket.SolutionInMin', label: 'resolution time', defaultDirection: 1, descending: 'longest first', ascending: 'fastest first' },
+    { pattern: /\b(updated|changed|last change|activity)\b/, path: 'data.ticket.Changed', label: 'last update', defaultDirection: -1, descending: 'most recent first', ascending: 'least recent first' },
+    { pattern: /\b(newest|latest|most recent|oldest|created|creation|date|age)\b/, path: 'data.ticket.Created', label: 'creation date', defaultDirection: -1, descending: 'newest first', ascending: 'oldest first' },
+    { pattern: /\bcustomers?\b/, path: 'data.ticket.CustomerID', label: 'customer', defaultDirection: 1, descending: 'Z-A', ascending: 'A-Z' },
+    { pattern: /\bqueues?\b/, path: 'data.ticket.Queue', label: 'queue', defaultDirection: 1, descending: 'Z-A', ascending: 'A-Z' },
+    { pattern: /\b(status|state)\b/, path: 'data.ticket.StateType', label: 'status', defaultDirection: 1, descending: 'Z-A', ascending: 'A-Z' }
+];
+
+const DESCENDING_PATTERN = /\b(desc|descending|highest|newest|latest|most recent|longest|slowest|reverse)\b/;
+const ASCENDING_PATTERN = /\b(asc|ascending|lowest|oldest|earliest|shortest|fastest)\b/;
+
+const FIELD_LABELS = {
+    'data.ticket.TicketID': 'ticket',
+    'data.ticket.StateType': 'status',
+    'data.ticket.State': 'state',
+    'data.ticket.PriorityID': 'priority',
+    'data.ticket.Priority': 'priority',
+    'data.ticket.Queue': 'queue',
+    'data.ticket.CustomerID': 'customer',
+    'data.ticket.Owner': 'owner',
+    'data.ticket.Created': 'created',
+    'data.ticket.Changed': 'changed',
+    'data.ticket.Closed': 'closed'
+};
+
+/**
+ * Read the sort a follow-up message asks for
+ * @param {string} lowerMessage - Lower-cased message
+ * @returns {Object|null} - { sort, label }
+ */
+export function extractSort(lowerMessage) {
+    const sortMatch = lowerMessage.match(/\b(?:sort|order)(?:ed)?\s+(?:them\s+|those\s+|these\s+|it\s+|the results\s+)?by\s+(.+)$/);
+    // "newest first" / "oldest first" without the word sort
+    const firstMatch = !sortMatch && lowerMessage.match(/\b(newest|latest|oldest|highest priority|lowest priority)\s+first\b/);
+    const sortText = sortMatch ? sortMatch[1] : firstMatch ? firstMatch[1] : null;
+    if (!sortText) return null;
+
+    const field = SORT_FIELDS.find(candidate => candidate.pattern.test(sortText));
+    if (!field) return null;
+
+    let direction = field.defaultDirection;
+    if (DESCENDING_PATTERN.test(sortText)) direction = -1;
+    if (ASCENDING_PATTERN.test(sortText)) direction = 1;
+    // For dates "oldest" is ascending, for everything else the words above already agree
+    if (field.path === 'data.ticket.Created' && /\b(oldest|earliest)\b/.test(sortText)) direction = 1;
+
+    return {
+        sort: { [field.path]: direction },
+        label: `sorted by ${field.label} (${direction === -1 ? field.descending : field.ascending})`
+    };
+}
+
+/**
+ * Whether a message refines the previous results rather than starting a new request
+ * @param {string} message - User message
+ * @returns {boolean}
+ */
+export function isRefinementRequest(message) {
+    const lowerMessage = message.toLowerCase();
+    return REFINEMENT_CUE_PATTERNS.some(pattern => pattern.test(lowerMessage));
+}
+
+/**
+ * Extract the constraints a follow-up message adds
+ * @param {string} message - User message such as "only the high priority ones"
+ * @returns {Object|null} - { filter, criteria, sort, sortLabel } or null when nothing usable was found
+ */
+export function extractRefinement(message) {
+    const lowerMessage = message.toLowerCase();
+    const sortPart = extractSort(lowerMessage);
+
+    // The sort clause names fields ("by priority") that must not also become filters
+    const constraintText = lowerMessage.replace(/\b(?:sort|order)(?:ed)?\s+.*$/, ' ');
+    const { filter, criteria } = extractMetadataFilters(constraintText);
+
+    // "only the ones closed yesterday" filters Closed, "only from last week" Created
+    const dateRange = parseTemporalExpression(constraintText);
+    if (dateRange) {
+        Object.assign(filter, buildDateFilter(dateRange));
+        criteria.push(dateRange.label);
+    }
+
+    // "exclude closed" / "without the pending ones"
+    const exclusion = constraintText.match(/\b(?:exclude|without|except)\s+(?:the\s+)?(closed|open|pending|new)\b/);
+    if (exclusion) {
+        filter['data.ticket.StateType'] = exclusion[1] === 'open'
+            ? { $nin: ['open', 'new', 'pending'] }
+            : { $ne: exclusion[1] };
+        const statusIndex = criteria.findIndex(c => c.startsWith('status'));
+        if (statusIndex !== -1) criteria.splice(statusIndex, 1);
+        criteria.push(`status not ${exclusion[1]}`);
+    }
+
+    if (Object.keys(filter).length === 0 && !sortPart) {
+        return null;
+    }
+
+    return {
+        filter,
+        criteria,
+        sort: sortPart?.sort || null,
+        sortLabel: sortPart?.label || null
+    };
+}
+
+/**
+ * Merge a refinement into the previous query. New constraints replace earlier ones on the same field.
+ * @param {Object} lastQuery - Plan stored in the conversation context
+ * @param {Object} refinement - Result of extractRefinement
+ * @param {number[]} lastResultIds - TicketIDs of the previous results
+ * @returns {Object|null} - Plan for executeQuery, or null when there is nothing to refine
+ */
+export function applyRefinement(lastQuery, refinement, lastResultIds = []) {
+    if (!lastQuery && lastResultIds.length === 0) return null;
+
+    // Refining twice still describes the original request, not "... (refined) (refined)"
+    const baseExplanation = lastQuery?.refinedFrom || lastQuery?.explanation || null;
+
+    if (lastQuery?.type === 'aggregate') {
+        const pipeline = [...lastQuery.pipeline];
+        if (pipeline[0]?.$match) {
+            pipeline[0] = { $match: { ...pipeline[0].$match, ...refinement.filter } };
+        } else if (Object.keys(refinement.filter).length > 0) {
+            pipeline.unshift({ $match: refinement.filter });
+        }
+
+        return {
+            ...lastQuery,
+            pipeline,
+            explanation: `${baseExplanation || 'Aggregation'} (refined)`,
+            refinedFrom: baseExplanation,
+            source: 'refinement'
+        };
+    }
+
+    // Plain find plans are re-run with the merged filter, so the refinement can reach past the old limit
+    if (lastQuery && (lastQuery.filter || lastQuery.type === 'find')) {
+        const options = { ...(lastQuery.options || {}) };
+        if (refinement.sort) options.sort = refinement.sort;
+        if (!options.limit) options.limit = 100;
+
+        return {
+            type: 'find',
+            filter: { ...(lastQuery.filter || {}), ...refinement.filter },
+            options,
+            explanation: `${baseExplanation || 'Previous query'} (refined)`,
+            refinedFrom: baseExplanation,
+            source: 'refinement'
+        };
+    }
+
+    // Semantic and similar-ticket results have no re-runnable filter - narrow the tickets already found
+    return {
+        type: 'find',
+        filter: { 'data.ticket.TicketID': { $in: lastResultIds }, ...refinement.filter },
+        options: { sort: refinement.sort || { 'data.ticket.Created': -1 }, limit: Math.max(lastResultIds.length, 1) },
+        explanation: 'Previous results (refined)',
+        refinedFrom: lastQuery?.hybridSearch ? `tickets related to "${lastQuery.hybridSearch}"`
+            : lastQuery?.similarTo ? `tickets similar to ${lastQuery.similarTo}` : null,
+        source: 'refinement'
+    };
+}
+
+// Closed and article times are stored as "YYYY-MM-DD HH:MM:SS.sss" text
+const STORED_DATE_PATTERN = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}/;
+
+function describeValue(value) {
+    if (value instanceof Date) return value.toISOString().slice(0, 10);
+    if (typeof value === 'string' && STORED_DATE_PATTERN.test(value)) return value.slice(0, 10);
+    if (Array.isArray(value)) return value.map(describeValue).join(', ');
+    if (!value || typeof value !== 'object') return String(value);
+
+    const parts = [];
+    for (const [operator, operand] of Object.entries(value)) {
+        switch (operator) {
+            case '$in': parts.push(`one of ${describeValue(operand)}`); break;
+            case '$nin': parts.push(`not one of ${describeValue(operand)}`); break;
+            case '$ne': parts.push(`not ${describeValue(operand)}`); break;
+            case '$gte': parts.push(`>= ${describeValue(operand)}`); break;
+            case '$gt': parts.push(`> ${describeValue(operand)}`); break;
+            case '$lte': parts.push(`<= ${describeValue(operand)}`); break;
+            case '$lt': parts.push(`< ${describeValue(operand)}`); break;
+            case '$regex': parts.push(`matching "${operand}"`); break;
+            case '$options': break;
+            default: parts.push(`${operator} ${JSON.stringify(operand)}`);
+        }
+    }
+    return parts.join(' and ');
+}
+
+/**
+ * Human readable list of every constraint in a plan, e.g. for "Criteria used: ..."
+ * @param {Object} plan - Find or aggregate plan
+ * @returns {string[]} - Criteria descriptions
+ */
+export function describePlanCriteria(plan) {
+    const filter = plan.type === 'aggregate' ? (plan.pipeline.find(stage => stage.$match)?.$match || {}) : (plan.filter || {});
+    const criteria = [];
+
+    for (const [path, value] of Object.entries(filter)) {
+        if (path === 'data.ticket.TicketID' && Array.isArray(value?.$in) && value.$in.length > 5) {
+            criteria.push(`within the previous ${value.$in.length} results`);
+        } else if (path === '$text') {
+            criteria.push(`text "${value.$search}"`);
+        } else if (path.startsWith('$')) {
+            criteria.push(`custom ${path.slice(1)} condition`);
+        } else {
+            criteria.push(`${FIELD_LABELS[path] || path.replace(/^data\.(ticket|article)\./, '')} ${describeValue(value)}`);
+        }
+    }
+
+    const sort = plan.options?.sort;
+    if (plan.type !== 'aggregate' && sort) {
+        const [path, direction] = Object.entries(sort)[0] || [];
+        if (path) criteria.push(`sorted by ${FIELD_LABELS[path] || path.replace(/^data\.(ticket|article)\./, '')} ${direction === -1 ? 'descending' : 'ascending'}`);
+    }
+
+    return criteria;
+}
+
+export default {
+    isRefinementRequest,
+    extractRefinement,
+    extractSort,
+    applyRefinement,
+    describePlanCriteria
+};
@@ -0,0 +1,669 @@
+// src/services/queryValidator.js - Field, operator, limit and regex allowlists for MongoDB filters and pipelines
+import schemaKnowledge from './schemaKnowledge.js';
+import { ALLOWED_PIPELINE_STAGES, MAX_PIPELINE_STAGES } from './queryPlanSchema.js';
+
+// Internal callers read up to 1000 tickets at once (statistics, summaries); generated plans are capped lower
+export const MAX_QUERY_LIMIT = 1000;
+export const MAX_REGEX_LENGTH = 200;
+const MAX_UNBOUNDED_WILDCARDS = 3;
+
+// Joins may only read the collection the query already runs on
+const JOINABLE_COLLECTIONS = ['conversations'];
+
+// Sub-documents that are not fields themselves but are addressed as a whole ($size: '$data.article')
+const CONTAINER_PATHS = ['data', 'data.ticket', 'data.article', 'data.attachment'];
+
+const JAVASCRIPT_OPERATORS = ['$where', '$function', '$accumulator'];
+const WRITE_STAGES = ['$out', '$merge'];
+
+const LOGICAL_OPERATORS = ['$and', '$or', '$nor'];
+const TEXT_SEARCH_KEYS = ['$search', '$language', '$caseSensitive', '$diacriticSensitive'];
+
+// Operators allowed on a field in a filter ({ field: { $op: value } })
+const FIELD_OPERATORS = [
+    '$eq', '$ne', '$gt', '$gte', '$lt', '$lte', '$in', '$nin', '$all',
+    '$exists', '$type', '$size', '$mod', '$regex', '$options', '$not', '$elemMatch'
+];
+
+// Operators allowed inside $expr, $group, $project and $addFields expressions
+const EXPRESSION_OPERATORS = [
+    '$add', '$subtract', '$multiply', '$divide', '$mod', '$abs', '$ceil', '$floor', '$round', '$trunc',
+    '$eq', '$ne', '$gt', '$gte', '$lt', '$lte', '$cmp', '$and', '$or', '$not', '$cond', '$ifNull', '$switch',
+    '$size', '$arrayElemAt', '$first', '$last', '$filter', '$map', '$reduce', '$in', '$slice', '$isArray',
+    '$concatArrays', '$indexOfArray', '$setUnion', '$setIntersection', '$setDifference',
+    '$sum', '$avg', '$min', '$max',
+    '$concat', '$toLower', '$toUpper', '$substrCP', '$strLenCP', '$split', '$trim', '$strcasecmp',
+    '$regexMatch', '$regexFind', '$indexOfCP', '$replaceAll',
+    '$year', '$month', '$week', '$dayOfMonth', '$dayOfWeek', '$dayOfYear', '$hour',
+    '$dateToString', '$dateFromString', '$dateDiff', '$dateAdd', '$dateSubtract', '$dateTrunc',
+    '$toDate', '$toString', '$toInt', '$toDouble', '$toBool', '$convert', '$type',
+    '$literal', '$let', '$mergeObjects', '$meta'
+];
+
+const ACCUMULATORS = ['$sum', '$avg', '$min', '$max', '$first', '$last', '$push', '$addToSet', '$count'];
+
+const FIND_OPTIONS = ['projection', 'sort', 'limit', 'skip'];
+
+/**
+ * Thrown when a filter, find options or pipeline fails validation.
+ * `reasons` are "path: message" strings, written so the query model can fix its plan from them.
+ */
+export class QueryValidationError extends Error {
+    constructor(reasons) {
+        super(`Query rejected: ${reasons.join('; ')}`);
+        this.name = 'QueryValidationError';
+        this.reasons = reasons;
+    }
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+        !(value instanceof Date) && !(value instanceof RegExp);
+}
+
+function operatorKeys(value) {
+    return isPlainObject(value) ? Object.keys(value).filter(key => key.startsWith('$')) : [];
+}
+
+// Every schema path, for "did you mean" hints
+const KNOWN_PATHS = (() => {
+    const { root, ticket, article, attachment } = schemaKnowledge.schema;
+    return [
+        ...Object.keys(root),
+        ...Object.keys(ticket).map(key => `data.ticket.${key}`),
+        ...Object.keys(article).map(key => `data.article.${key}`),
+        ...Object.keys(attachment).map(key => `data.attachment.${key}`)
+    ];
+})();
+
+function isSchemaPath(path) {
+    // Array positions (data.article.0.Body) address the same field
+    const segments = path.split('.').filter(segment => !/^\d+$/.test(segment));
+    const normalized = segments.join('.');
+    if (CONTAINER_PATHS.includes(normalized) || schemaKnowledge.getFieldByPath(normalized)) return true;
+
+    // Sub-fields of array fields (data.ticket.DynamicField.Name, ref.entity)
+    for (let end = segments.length - 1; end > 0; end--) {
+        if (schemaKnowledge.getFieldByPath(segments.slice(0, end).join('.'))?.type === 'array') return true;
+    }
+    return false;
+}
+
+function suggestField(path) {
+    const lower = path.toLowerCase();
+    const parent = lower.split('.').slice(0, -1).join('.');
+    const lastSegment = lower.split('.').pop();
+    const candidates = KNOWN_PATHS.map(known => ({ known, lower: known.toLowerCase() }));
+    const match = candidates.find(candidate => candidate.lower === lower) ||
+        candidates.find(candidate => candidate.lower.split('.').pop() === lastSegment) ||
+        // "data.ticket.status" -> "data.ticket.State"
+        candidates.find(candidate => candidate.lower.startsWith(`${parent}.${lastSegment.slice(0, 4)}`));
+    return match ? match.known : null;
+}
+
+/**
+ * Report regexes likely to backtrack catastrophically: nested unbounded quantifiers ("(a+)+"),
+ * repeated alternations ("(a|aa)+", whose branches may overlap), backreferences and long chains
+ * of ".*" wildcards.
+ * @param {string|RegExp} pattern - Regex source or RegExp
+ * @returns {string|null} - Why the regex is rejected, or null when it is safe
+ */
+export function checkRegex(pattern) {
+    const source = pattern instanceof RegExp ? pattern.source : pattern;
+    if (typeof source !== 'string') {
+        return 'regex must be a string';
+    }
+    if (source.length > MAX_REGEX_LENGTH) {
+        return `regex is ${source.length} characters long (max ${MAX_REGEX_LENGTH})`;
+    }
+    try {
+        new RegExp(source);
+    } catch (error) {
+        return `regex /${source}/ is invalid: ${error.message}`;
+    }
+    if (/\\[1-9]|\\k</.test(source)) {
+        return `regex /${source}/ uses a backreference, which is not allowed`;
+    }
+
+    const wildcards = source.match(/(?<!\\)\.[*+]/g) || [];
+    if (wildcards.length > MAX_UNBOUNDED_WILDCARDS) {
+        return `regex /${source}/ has ${wildcards.length} ".*" wildcards (max ${MAX_UNBOUNDED_WILDCARDS}); match the distinctive words instead`;
+    }
+
+    // Walk the pattern tracking, per open group, whether it contains an unbounded quantifier or an alternation
+    const groups = [{ quantified: false, alternation: false }];
+    const unboundedAt = (index) => source[index] === '*' || source[index] === '+' || /^\{\d+,\}/.test(source.slice(index));
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        let atomEnd = i;
+
+        if (char === '\\') {
+            atomEnd = ++i;
+        } else if (char === '[') {
+            i++;
+            while (i < source.length && source[i] !== ']') {
+                if (source[i] === '\\') i++;
+                i++;
+            }
+            atomEnd = i;
+        } else if (char === '(') {
+            groups.push({ quantified: false, alternation: false });
+            continue;
+        } else if (char === '|') {
+            groups[groups.length - 1].alternation = true;
+            continue;
+        } else if (char === ')') {
+            const group = groups.pop();
+            const quantifiedAgain = unboundedAt(i + 1);
+            if (group.quantified && quantifiedAgain) {
+                return `regex /${source}/ nests unbounded quantifiers (like "(a+)+"), which can backtrack catastrophically; use a single quantifier`;
+            }
+            if (group.alternation && quantifiedAgain) {
+                return `regex /${source}/ repeats an alternation (like "(a|aa)+"), which can backtrack catastrophically; use a character class or drop the quantifier`;
+            }
+            if (group.quantified || quantifiedAgain) groups[groups.length - 1].quantified = true;
+            // "((a|b)c)+" repeats the inner alternation too
+            if (group.alternation) groups[groups.length - 1].alternation = true;
+            continue;
+        } else if ('*+?{^$'.includes(char)) {
+            continue;
+        }
+
+        if (unboundedAt(atomEnd + 1)) groups[groups.length - 1].quantified = true;
+    }
+
+    return null;
+}
+
+/**
+ * Fields available at a point in a pipeline: schema fields until a $group / $count replaces
+ * the documents, plus the names earlier stages computed
+ */
+function createScope() {
+    return { schema: true, computed: new Set(), replacedBy: null };
+}
+
+function checkField(path, scope, where, reasons) {
+    if (typeof path !== 'string' || path.length === 0) {
+        reasons.push(`${where}: field name must be a non-empty string`);
+        return;
+    }
+    if (path.startsWith('$')) {
+        reasons.push(`${where}: "${path}" is not a field name`);
+        return;
+    }
+
+    if (scope.computed.has(path.split('.')[0])) return;
+    if (scope.schema && isSchemaPath(path)) return;
+
+    if (!scope.schema) {
+        reasons.push(`${where}: field "${path}" does not exist after ${scope.replacedBy} (available: ${[...scope.computed].join(', ')})`);
+        return;
+    }
+
+    const suggestion = suggestField(path);
+    reasons.push(`${where}: unknown field "${path}"` + (suggestion ? ` (did you mean "${suggestion}"?)` : ''));
+}
+
+function checkRegexValue(value, where, reasons) {
+    const problem = checkRegex(value);
+    if (problem) reasons.push(`${where}: ${problem}`);
+}
+
+function checkForbiddenOperator(operator, where, reasons) {
+    if (JAVASCRIPT_OPERATORS.includes(operator)) {
+        reasons.push(`${where}: ${operator} runs JavaScript on the server and is not allowed`);
+        return true;
+    }
+    return false;
+}
+
+function validateExpression(expression, scope, where, reasons) {
+    if (typeof expression === 'string') {
+        // "$$ROOT", "$$this" and $let / $map variables
+        if (expression.startsWith('$$')) return;
+        if (expression.startsWith('$')) checkField(expression.slice(1), scope, where, reasons);
+        return;
+    }
+
+    if (Array.isArray(expression)) {
+        expression.forEach((item, index) => validateExpression(item, scope, `${where}.${index}`, reasons));
+        return;
+    }
+
+    if (!isPlainObject(expression)) return;
+
+    const operators = operatorKeys(expression);
+    if (operators.length === 0) {
+        // Object literal: { queue: "$data.ticket.Queue", state: "$data.ticket.State" }
+        for (const [key, value] of Object.entries(expression)) {
+            validateExpression(value, scope, `${where}.${key}`, reasons);
+        }
+        return;
+    }
+
+    if (operators.length > 1 || Object.keys(expression).length > 1) {
+        reasons.push(`${where}: an expression object must contain exactly one operator (found ${Object.keys(expression).join(', ')})`);
+        return;
+    }
+
+    const [operator] = operators;
+    const operand = expression[operator];
+    const path = `${where}.${operator}`;
+
+    if (checkForbiddenOperator(operator, path, reasons)) return;
+    if (!EXPRESSION_OPERATORS.includes(operator)) {
+        reasons.push(`${path}: expression operator ${operator} is not allowed`);
+        return;
+    }
+
+    if (operator === '$literal') return;
+    if ((operator === '$regexMatch' || operator === '$regexFind') && isPlainObject(operand)) {
+        checkRegexValue(operand.regex, `${path}.regex`, reasons);
+    }
+
+    validateExpression(operand, scope, path, reasons);
+}
+
+function validateCondition(condition, field, scope, where, reasons) {
+    if (condition instanceof RegExp) {
+        checkRegexValue(condition, where, reasons);
+        return;
+    }
+
+    const operators = operatorKeys(condition);
+    if (operators.length === 0) return;
+
+    if (operators.length !== Object.keys(condition).length) {
+        reasons.push(`${where}: cannot mix operators and field names in one condition`);
+        return;
+    }
+
+    for (const operator of operators) {
+        const operand = condition[operator];
+        const path = `${where}.${operator}`;
+
+        if (checkForbiddenOperator(operator, path, reasons)) continue;
+        if (!FIELD_OPERATORS.includes(operator)) {
+            reasons.push(`${path}: operator ${operator} is not allowed (allowed: ${FIELD_OPERATORS.join(', ')})`);
+            continue;
+        }
+
+        switch (operator) {
+            case '$in':
+            case '$nin':
+            case '$all':
+                if (!Array.isArray(operand)) {
+                    reasons.push(`${path}: ${operator} needs an array of values`);
+                } else {
+                    operand.forEach((item, index) => {
+                        if (item instanceof RegExp) checkRegexValue(item, `${path}.${index}`, reasons);
+                    });
+                }
+                break;
+            case '$regex':
+                checkRegexValue(operand, path, reasons);
+                break;
+            case '$options':
+                if (typeof operand !== 'string' || !/^[imsx]*$/.test(operand)) {
+                    reasons.push(`${path}: $options may only contain the flags i, m, s and x`);
+                }
+                break;
+            case '$size':
+                if (!Number.isInteger(operand) || operand < 0) {
+                    reasons.push(`${path}: $size needs a non-negative integer`);
+                }
+                break;
+            case '$not':
+                if (!(operand instanceof RegExp) && !isPlainObject(operand)) {
+                    reasons.push(`${path}: $not needs an operator object or a regex`);
+                } else {
+                    validateCondition(operand, field, scope, path, reasons);
+                }
+                break;
+            case '$elemMatch':
+                if (!isPlainObject(operand)) {
+                    reasons.push(`${path}: $elemMatch needs an object`);
+                } else if (operatorKeys(operand).length > 0 && operatorKeys(operand).length === Object.keys(operand).length) {
+                    validateCondition(operand, field, scope, path, reasons);
+                } else {
+                    validateFilterInto(operand, scope, path, reasons, `${field}.`);
+                }
+                break;
+        }
+    }
+
+    if (operators.includes('$options') && !operators.includes('$regex')) {
+        reasons.push(`${where}: $options is only allowed next to $regex`);
+    }
+}
+
+function validateFilterInto(filter, scope, where, reasons, prefix = '') {
+    if (!isPlainObject(filter)) {
+        reasons.push(`${where}: filter must be an object`);
+        return;
+    }
+
+    for (const [key, value] of Object.entries(filter)) {
+        const path = `${where}.${key}`;
+
+        if (!key.startsWith('$')) {
+            checkField(`${prefix}${key}`, scope, path, reasons);
+            validateCondition(value, `${prefix}${key}`, scope, path, reasons);
+            continue;
+        }
+
+        if (checkForbiddenOperator(key, path, reasons)) continue;
+
+        if (LOGICAL_OPERATORS.includes(key)) {
+            if (!Array.isArray(value) || value.length === 0) {
+                reasons.push(`${path}: ${key} needs a non-empty array of conditions`);
+            } else {
+                value.forEach((clause, index) => validateFilterInto(clause, scope, `${path}.${index}`, reasons, prefix));
+            }
+        } else if (key === '$expr' && !prefix) {
+            validateExpression(value, scope, path, reasons);
+        } else if (key === '$text' && !prefix) {
+            if (!isPlainObject(value) || typeof value.$search !== 'string') {
+                reasons.push(`${path}: $text needs { $search: "words" }`);
+            } else {
+                const unknown = Object.keys(value).filter(option => !TEXT_SEARCH_KEYS.includes(option));
+                if (unknown.length > 0) reasons.push(`${path}: unknown $text options ${unknown.join(', ')}`);
+            }
+        } else {
+            reasons.push(`${path}: operator ${key} is not allowed here (use ${LOGICAL_OPERATORS.join(', ')}, $expr or $text, or put the operator under a field)`);
+        }
+    }
+}
+
+function checkLimit(value, where, reasons) {
+    if (!Number.isInteger(value) || value < 1 || value > MAX_QUERY_LIMIT) {
+        reasons.push(`${where}: limit must be an integer between 1 and ${MAX_QUERY_LIMIT} (got ${JSON.stringify(value)})`);
+    }
+}
+
+function checkSortSpec(sort, scope, where, reasons) {
+    if (!isPlainObject(sort)) {
+        reasons.push(`${where}: sort must be an object of field: 1 | -1`);
+        return;
+    }
+    for (const [field, direction] of Object.entries(sort)) {
+        const isTextScore = isPlainObject(direction) && direction.$meta === 'textScore';
+        if (![1, -1, 'asc', 'desc'].includes(direction) && !isTextScore) {
+            reasons.push(`${where}.${field}: sort direction must be 1 or -1`);
+        }
+        if (!isTextScore) checkField(field, scope, `${where}.${field}`, reasons);
+    }
+}
+
+function checkJoinTarget(collection, stage, where, reasons) {
+    if (!JOINABLE_COLLECTIONS.includes(collection)) {
+        reasons.push(`${where}: ${stage} reads collection ${JSON.stringify(collection)}; only ${JOINABLE_COLLECTIONS.join(', ')} may be joined`);
+        return false;
+    }
+    return true;
+}
+
+function addComputed(scope, name) {
+    if (typeof name === 'string' && name) scope.computed.add(name.split('.')[0]);
+}
+
+// One validator per allowed stage; each may change the scope later stages see
+const STAGE_VALIDATORS = {
+    $match(spec, scope, where, reasons) {
+        validateFilterInto(spec, scope, where, reasons);
+    },
+
+    $group(spec, scope, where, reasons) {
+        if (!isPlainObject(spec) || !('_id' in spec)) {
+            reasons.push(`${where}: $group needs an _id (use null to group everything)`);
+            return;
+        }
+        validateExpression(spec._id, scope, `${where}._id`, reasons);
+
+        const outputs = ['_id'];
+        for (const [name, accumulator] of Object.entries(spec)) {
+            if (name === '_id') continue;
+            const operators = operatorKeys(accumulator);
+            if (operators.length !== 1 || Object.keys(accumulator).length !== 1) {
+                reasons.push(`${where}.${name}: each $group output needs exactly one accumulator (${ACCUMULATORS.join(', ')})`);
+                continue;
+            }
+            const [operator] = operators;
+            if (checkForbiddenOperator(operator, `${where}.${name}.${operator}`, reasons)) continue;
+            if (!ACCUMULATORS.includes(operator)) {
+                reasons.push(`${where}.${name}: accumulator ${operator} is not allowed (allowed: ${ACCUMULATORS.join(', ')})`);
+                continue;
+            }
+            validateExpression(accumulator[operator], scope, `${where}.${name}.${operator}`, reasons);
+            outputs.push(name);
+        }
+
+        scope.schema = false;
+        scope.computed = new Set(outputs);
+        scope.replacedBy = '$group';
+    },
+
+    $project(spec, scope, where, reasons) {
+        if (!isPlainObject(spec) || Object.keys(spec).length === 0) {
+            reasons.push(`${where}: $project needs an object of fields`);
+            return;
+        }
+        const computed = [];
+        for (const [name, value] of Object.entries(spec)) {
+            if ([0, 1, true, false].includes(value)) {
+                checkField(name, scope, `${where}.${name}`, reasons);
+            } else {
+                validateExpression(value, scope, `${where}.${name}`, reasons);
+                computed.push(name);
+            }
+        }
+        computed.forEach(name => addComputed(scope, name));
+    },
+
+    $addFields(spec, scope, where, reasons) {
+        if (!isPlainObject(spec)) {
+            reasons.push(`${where}: $addFields needs an object of fields`);
+            return;
+        }
+        for (const [name, value] of Object.entries(spec)) {
+            validateExpression(value, scope, `${where}.${name}`, reasons);
+        }
+        Object.keys(spec).forEach(name => addComputed(scope, name));
+    },
+
+    $sort(spec, scope, where, reasons) {
+        checkSortSpec(spec, scope, where, reasons);
+    },
+
+    $limit(spec, scope, where, reasons) {
+        checkLimit(spec, where, reasons);
+    },
+
+    $skip(spec, scope, where, reasons) {
+        if (!Number.isInteger(spec) || spec < 0) {
+            reasons.push(`${where}: $skip must be a non-negative integer`);
+        }
+    },
+
+    $unwind(spec, scope, where, reasons) {
+        const path = isPlainObject(spec) ? spec.path : spec;
+        if (typeof path !== 'string' || !path.startsWith('$')) {
+            reasons.push(`${where}: $unwind needs a field path such as "$data.article"`);
+            return;
+        }
+        checkField(path.slice(1), scope, where, reasons);
+        if (isPlainObject(spec)) addComputed(scope, spec.includeArrayIndex);
+    },
+
+    $count(spec, scope, where, reasons) {
+        if (typeof spec !== 'string' || !spec || spec.startsWith('$') || spec.includes('.')) {
+            reasons.push(`${where}: $count needs a plain output name such as "count"`);
+            return;
+        }
+        scope.schema = false;
+        scope.computed = new Set([spec]);
+        scope.replacedBy = '$count';
+    },
+
+    $lookup(spec, scope, where, reasons) {
+        if (!isPlainObject(spec) || !checkJoinTarget(spec.from, '$lookup', `${where}.from`, reasons)) return;
+
+        if (spec.localField !== undefined) checkField(spec.localField, scope, `${where}.localField`, reasons);
+        if (spec.foreignField !== undefined) checkField(spec.foreignField, createScope(), `${where}.foreignField`, reasons);
+        if (spec.let !== undefined) validateExpression(spec.let, scope, `${where}.let`, reasons);
+        if (spec.pipeline !== undefined) validatePipelineInto(spec.pipeline, `${where}.pipeline`, reasons);
+        addComputed(scope, spec.as);
+    },
+
+    $unionWith(spec, scope, where, reasons) {
+        const collection = isPlainObject(spec) ? spec.coll : spec;
+        if (!checkJoinTarget(collection, '$unionWith', where, reasons)) return;
+        if (isPlainObject(spec) && spec.pipeline !== undefined) {
+            validatePipelineInto(spec.pipeline, `${where}.pipeline`, reasons);
+        }
+    },
+
+    $graphLookup(spec, scope, where, reasons) {
+        if (!isPlainObject(spec) || !checkJoinTarget(spec.from, '$graphLookup', `${where}.from`, reasons)) return;
+
+        validateExpression(spec.startWith, scope, `${where}.startWith`, reasons);
+        checkField(spec.connectFromField, createScope(), `${where}.connectFromField`, reasons);
+        checkField(spec.connectToField, createScope(), `${where}.connectToField`, reasons);
+        if (spec.restrictSearchWithMatch !== undefined) {
+            validateFilterInto(spec.restrictSearchWithMatch, createScope(), `${where}.restrictSearchWithMatch`, reasons);
+        }
+        if (spec.maxDepth !== undefined && (!Number.isInteger(spec.maxDepth) || spec.maxDepth < 0)) {
+            reasons.push(`${where}.maxDepth: must be a non-negative integer`);
+        }
+        addComputed(scope, spec.as);
+        addComputed(scope, spec.depthField);
+    }
+};
+
+function validatePipelineInto(pipeline, where, reasons) {
+    if (!Array.isArray(pipeline) || pipeline.length === 0) {
+        reasons.push(`${where}: pipeline must be a non-empty array of stages`);
+        return;
+    }
+    if (pipeline.length > MAX_PIPELINE_STAGES) {
+        reasons.push(`${where}: pipeline has ${pipeline.length} stages (max ${MAX_PIPELINE_STAGES})`);
+    }
+
+    const scope = createScope();
+    pipeline.forEach((stage, index) => {
+        const path = `${where}.${index}`;
+        const keys = isPlainObject(stage) ? Object.keys(stage) : [];
+        if (keys.length !== 1) {
+            reasons.push(`${path}: each stage must contain exactly one stage operator`);
+            return;
+        }
+
+        const [name] = keys;
+        if (WRITE_STAGES.includes(name)) {
+            reasons.push(`${path}: ${name} writes to a collection and is not allowed`);
+            return;
+        }
+        if (!STAGE_VALIDATORS[name]) {
+            reasons.push(`${path}: stage ${name} is not allowed (allowed: ${Object.keys(STAGE_VALIDATORS).join(', ')})`);
+            return;
+        }
+        STAGE_VALIDATORS[name](stage[name], scope, `${path}.${name}`, reasons);
+    });
+}
+
+/**
+ * Check a find() filter and its options
+ * @param {Object} filter - MongoDB filter
+ * @param {Object} options - { projection, sort, limit, skip }
+ * @returns {Object} - { valid, reasons }
+ */
+export function validateFind(filter = {}, options = {}) {
+    const reasons = [];
+    const scope = createScope();
+
+    validateFilterInto(filter, scope, 'filter', reasons);
+
+    if (!isPlainObject(options)) {
+        reasons.push('options: must be an object');
+        return { valid: false, reasons };
+    }
+
+    const unknown = Object.keys(options).filter(option => !FIND_OPTIONS.includes(option));
+    if (unknown.length > 0) {
+        reasons.push(`options: ${unknown.join(', ')} not allowed (allowed: ${FIND_OPTIONS.join(', ')})`);
+    }
+
+    if (options.projection !== undefined) {
+        if (!isPlainObject(options.projection)) {
+            reasons.push('options.projection: must be an object of field: 0 | 1');
+        } else {
+            for (const [field, value] of Object.entries(options.projection)) {
+                // { score: { $meta: "textScore" } } adds a computed field
+                if (isPlainObject(value) && value.$meta === 'textScore') {
+                    addComputed(scope, field);
+                    continue;
+                }
+                if (![0, 1, true, false].includes(value)) {
+                    reasons.push(`options.projection.${field}: projection values must be 0 or 1`);
+                }
+                checkField(field, scope, `options.projection.${field}`, reasons);
+            }
+        }
+    }
+
+    if (options.sort !== undefined) checkSortSpec(options.sort, scope, 'options.sort', reasons);
+    if (options.limit !== undefined) checkLimit(options.limit, 'options.limit', reasons);
+    if (options.skip !== undefined && (!Number.isInteger(options.skip) || options.skip < 0)) {
+        reasons.push('options.skip: must be a non-negative integer');
+    }
+
+    return { valid: reasons.length === 0, reasons };
+}
+
+/**
+ * Check an aggregation pipeline. Stages are the plan schema's ALLOWED_PIPELINE_STAGES plus
+ * $skip, $addFields and joins that stay on the conversations collection.
+ * @param {Object[]} pipeline - Aggregation stages
+ * @returns {Object} - { valid, reasons }
+ */
+export function validatePipeline(pipeline) {
+    const reasons = [];
+    validatePipelineInto(pipeline, 'pipeline', reasons);
+    return { valid: reasons.length === 0, reasons };
+}
+
+/**
+ * @throws {QueryValidationError} - When the filter or options are rejected
+ */
+export function assertValidFind(filter, options) {
+    const { valid, reasons } = validateFind(filter, options);
+    if (!valid) throw new QueryValidationError(reasons);
+}
+
+/**
+ * @throws {QueryValidationError} - When the pipeline is rejected
+ */
+export function assertValidPipeline(pipeline) {
+    const { valid, reasons } = validatePipeline(pipeline);
+    if (!valid) throw new QueryValidationError(reasons);
+}
+
+// Stages the query model may generate must all be ones the validator knows how to check
+for (const stage of ALLOWED_PIPELINE_STAGES) {
+    if (!STAGE_VALIDATORS[stage]) {
+        throw new Error(`queryValidator has no check for allowed pipeline stage ${stage}`);
+    }
+}
+
+export default {
+    validateFind,
+    validatePipeline,
+    assertValidFind,
+    assertValidPipeline,
+    checkRegex,
+    QueryValidationError,
+    MAX_QUERY_LIMIT,
+    MAX_REGEX_LENGTH
+};
@@ -0,0 +1,139 @@
+// src/services/referenceResolver.js - Rewrite "it", "that customer", "his tickets" into the entities the session is talking about
+const EMAIL_PATTERN = /[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/;
+const TICKET_ID_PATTERN = /\b\d{7,}\b/;
+
+const ORDINALS = { first: 0, second: 1, third: 2, fourth: 3, fifth: 4 };
+
+// Verbs and prepositions that take a ticket as their object: "summarize it", "tickets similar to it", "was it resolved".
+// After "is"/"was"/... only a ticket state counts, so the dummy "it" in "is it possible" stays as it is
+const TICKET_PRONOUN_PATTERNS = [
+    /\b(?:this|that|the same|the previous) (?:ticket|conversation|one)\b/gi,
+    /(?<=\b(?:summari[sz]e|explain|describe|show|open|reopen|close|escalate|analy[sz]e|similar to|like|about|of|for|on|in|with)\s+)it\b/gi,
+    /(?<=\b(?:is|was|has|did|does)\s+)it\b(?=\s+(?:(?:still|already|ever|been|get|got|finally)\s+)*(?:resolved|closed|open|reopened|escalated|assigned|answered|fixed|solved|pending|overdue|urgent)\b)/gi
+];
+
+const CUSTOMER_PATTERNS = [
+    { pattern: /\b(?:this|that|the same) (?:customer|user|client|person)\b/gi, possessive: false },
+    // "her" is only possessive in front of the things a customer has: "her other tickets"
+    { pattern: /\bhis\b(?=\s+[a-z])|\bher\b(?=\s+(?:[a-z]+\s+)?(?:tickets?|issues?|messages?|conversations?|requests?|cases?|emails?|replies)\b)/gi, possessive: true },
+    { pattern: /\b(?:he|she|him|her)\b/gi, possessive: false }
+];
+
+const QUEUE_PATTERN = /\b(?:this|that|the same) queue\b/gi;
+
+/**
+ * The entities a follow-up can refer to, from what the session last looked at
+ * @param {Object} conversationContext - Context from conversationMemory.getContext
+ * @returns {Object} - { ticketId, customer, queue, resultIds }
+ */
+export function getReferenceTargets(conversationContext = {}) {
+    const tracked = conversationContext.context || {};
+    const resultIds = conversationContext.lastResultIds || [];
+
+    return {
+        // A single result is what "it" means even when no ticket was named explicitly
+        ticketId: tracked.lastTicketId || tracked.lastTicketNumber || (resultIds.length === 1 ? resultIds[0] : null),
+        customer: tracked.lastCustomer || null,
+        queue: tracked.lastQueue || null,
+        resultIds
+    };
+}
+
+function replaceReferences(state, pattern, replacement) {
+    state.message = state.message.replace(pattern, (phrase) => {
+        const text = typeof replacement === 'function' ? replacement(phrase) : replacement;
+        if (!text) return phrase;
+        state.interpretations.push({ phrase, replacement: text });
+        return text;
+    });
+}
+
+/**
+ * Replace ambiguous references with the ticket, customer or queue they point at
+ * @param {string} message - User message, e.g. "summarize it"
+ * @param {Object} conversationContext - Context from conversationMemory.getContext
+ * @returns {Object} - { message, originalMessage, resolved, interpretations: [{ phrase, replacement }] }
+ */
+export function resolveReferences(message, conversationContext = {}) {
+    const targets = getReferenceTargets(conversationContext);
+    const state = { message, interpretations: [] };
+
+    // "the second one" / "the last ticket" pick from the previous result list
+    if (targets.resultIds.length > 0) {
+        replaceReferences(state, /\bthe (first|second|third|fourth|fifth|last) (?:one|ticket|result)\b/gi, (phrase) => {
+            const position = phrase.split(' ')[1].toLowerCase();
+            const ticketId = position === 'last' ? targets.resultIds[targets.resultIds.length - 1] : targets.resultIds[ORDINALS[position]];
+            return ticketId ? `ticket ${ticketId}` : null;
+        });
+    }
+
+    // A message that already names a ticket or customer is not re-pointed at an older one
+    if (targets.ticketId && !TICKET_ID_PATTERN.test(state.message)) {
+        TICKET_PRONOUN_PATTERNS.forEach(pattern => {
+            replaceReferences(state, pattern, `ticket ${targets.ticketId}`);
+        });
+    }
+
+    if (targets.customer && !EMAIL_PATTERN.test(state.message)) {
+        CUSTOMER_PATTERNS.forEach(({ pattern, possessive }) => {
+            replaceReferences(state, pattern, possessive ? `customer ${targets.customer}'s` : `customer ${targets.customer}`);
+        });
+    }
+
+    if (targets.queue) {
+        replaceReferences(state, QUEUE_PATTERN, `the ${targets.queue} queue`);
+    }
+
+    return {
+        message: state.message,
+        originalMessage: message,
+        resolved: state.interpretations.length > 0,
+        interpretations: state.interpretations
+    };
+}
+
+/**
+ * One line telling the user how their references were read
+ * @param {Object[]} interpretations - From resolveReferences
+ * @returns {string} - e.g. "Interpreting 'it' as ticket 13000030"
+ */
+export function describeInterpretations(interpretations = []) {
+    if (interpretations.length === 0) return '';
+    return `Interpreting ${interpretations.map(i => `'${i.phrase}' as ${i.replacement.replace(/'s$/, '')}`).join(' and ')}`;
+}
+
+/**
+ * The ticket, customer and queue a processed request was about, for the next request to refer back to.
+ * ticketId is null (not undefined) when the request returned several tickets, so an older focus is dropped.
+ * @param {Object} decision - Decision that was executed
+ * @param {Object[]} results - Conversations the request returned (context.lastResults)
+ * @returns {Object} - { ticketId, ticketNumber, customer, queue }
+ */
+export function extractFocusEntities(decision = {}, results) {
+    if (decision.ticketId) {
+        return { ticketId: String(decision.ticketId), ticketNumber: null };
+    }
+    if (!results || results.length === 0) {
+        return {};
+    }
+
+    const tickets = results.map(r => r.data?.ticket).filter(Boolean);
+    const shared = (field) => {
+        const values = new Set(tickets.map(ticket => ticket[field]).filter(Boolean));
+        return values.size === 1 ? [...values][0] : undefined;
+    };
+
+    return {
+        ticketId: tickets.length === 1 ? String(tickets[0].TicketID) : null,
+        ticketNumber: tickets.length === 1 ? tickets[0].TicketNumber || null : null,
+        customer: shared('CustomerID'),
+        queue: shared('Queue')
+    };
+}
+
+export default {
+    getReferenceTargets,
+    resolveReferences,
+    describeInterpretations,
+    extractFocusEntities
+};
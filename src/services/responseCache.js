@@ -0,0 +1,341 @@
+// src/services/responseCache.js - Reuses chat answers for repeated questions while the tickets behind them are unchanged
+import { createHash } from 'crypto';
+import mongoConnection from '../db/mongodb.js';
+import intentRegistry from '../intents/intentRegistry.js';
+import { RuleClassifier } from '../intents/intentClassifier.js';
+import { createEmbedder, cosineSimilarity } from './embeddings.js';
+import { extractMetadataFilters } from './queryConstraints.js';
+import { ticketVersion } from '../utils/helpers.js';
+
+const DEFAULT_TTL_MS = 10 * 60 * 1000;
+const DEFAULT_MAX_ENTRIES = 500;
+// Reusing an answer needs a much closer question than a search result needs to be relevant,
+// so the cache has its own threshold rather than sharing SIMILARITY_THRESHOLD with semantic search
+const DEFAULT_SIMILARITY_THRESHOLD = 0.9;
+// Larger result sets are checked with the collection-wide version instead of ticket by ticket
+const MAX_TRACKED_TICKETS = 1000;
+
+const TIME_WORDS = /\b(today|yesterday|tomorrow|tonight|now|recent|latest|last|past|next|this|since|before|after|week|weeks|month|months|year|years|day|days|hour|hours|monday|tuesday|wednesday|thursday|friday|saturday|sunday)\b/g;
+
+function hash(value) {
+    return createHash('sha1').update(JSON.stringify(value)).digest('hex');
+}
+
+/**
+ * Lower-case, collapse whitespace and drop closing punctuation - "Show open tickets?" and
+ * "show  open tickets" share an entry
+ * @param {string} message - User message (after reference resolution)
+ * @returns {string}
+ */
+export function normalizeMessage(message) {
+    return (message || '').toLowerCase().replace(/\s+/g, ' ').replace(/[\s.!?]+$/, '').trim();
+}
+
+/**
+ * What a semantic match must agree on exactly: ticket numbers, emails and other figures,
+ * time words and the status/priority/queue/customer constraints. "Open tickets" and
+ * "closed tickets" embed close together but must never share an answer.
+ * @param {string} message - Normalized message
+ * @returns {string}
+ */
+export function messageSignature(message) {
+    const figures = message.match(/[^\s,;:!?"'()]*[\d@][^\s,;:!?"'()]*/g) || [];
+    const timeWords = message.match(TIME_WORDS) || [];
+    const { criteria } = extractMetadataFilters(message);
+    return [...new Set([...figures, ...timeWords])].sort().concat(criteria.sort()).join('|');
+}
+
+/**
+ * In-memory cache of chat answers. An entry is reused while:
+ * - it is younger than RESPONSE_CACHE_TTL_MS (and from today, when the question uses relative dates)
+ * - every ticket in its result set still has the updatedAt it had when the answer was built
+ *   (answers from aggregations or oversized result sets compare the collection's count and
+ *   latest updatedAt instead)
+ * - for answers that read the session's previous results (refinements, "show more", "summarize
+ *   them"), the session still points at the same results
+ */
+class ResponseCache {
+    constructor(options = {}) {
+        this.enabled = options.enabled ?? process.env.RESPONSE_CACHE_ENABLED !== 'false';
+        this.ttlMs = options.ttlMs ?? parseInt(process.env.RESPONSE_CACHE_TTL_MS || DEFAULT_TTL_MS);
+        this.maxEntries = options.maxEntries ?? parseInt(process.env.RESPONSE_CACHE_MAX_ENTRIES || DEFAULT_MAX_ENTRIES);
+        // Semantic mode also reuses answers for questions that embed within RESPONSE_CACHE_SIMILARITY_THRESHOLD
+        this.semantic = options.semantic ?? process.env.RESPONSE_CACHE_SEMANTIC === 'true';
+        this.threshold = options.threshold ?? parseFloat(process.env.RESPONSE_CACHE_SIMILARITY_THRESHOLD || DEFAULT_SIMILARITY_THRESHOLD);
+        this.embedder = options.embedder || null;
+        // key -> entry; Map keeps insertion order, so the first key is the oldest entry
+        this.entries = new Map();
+        this.stats = { hits: 0, semanticHits: 0, misses: 0, stale: 0, stored: 0 };
+        this.rules = new RuleClassifier(intentRegistry);
+    }
+
+    getEmbedder() {
+        if (!this.embedder) {
+            this.embedder = createEmbedder(process.env.RESPONSE_CACHE_EMBEDDING_PROVIDER || undefined);
+        }
+        return this.embedder;
+    }
+
+    // Session state an answer can depend on - the previous results and how far they were paged
+    sessionFingerprint(context) {
+        return hash({ lastResultIds: context.lastResultIds || [], lastQuery: context.lastQuery || null, lastOffset: context.lastOffset || 0 });
+    }
+
+    /**
+     * Describe a request before it is handled: its key and the session state it arrived in
+     * @param {string} message - Message after clarification merging and reference resolution
+     * @param {Object} context - Session context
+     * @returns {Object} - Request descriptor for lookup() and store()
+     */
+    describeRequest(message, context) {
+        const normalized = normalizeMessage(message);
+        // "Only the open ones" is a refinement when there are previous results and a new query when
+        // there are none - messages the rules send to a results-gated intent are keyed apart
+        const followUp = Boolean(this.rules.classify(message, context)?.intent.when);
+        return {
+            key: `${followUp ? 'follow-up' : 'new'}\n${normalized}`,
+            message: normalized,
+            followUp,
+            sessionFingerprint: this.sessionFingerprint(context)
+        };
+    }
+
+    /**
+     * Cached answer for a request, or null
+     * @param {Object} request - From describeRequest()
+     * @param {Function} debugLog - Debug logger
+     * @returns {Promise<Object|null>} - { entry, match: 'exact'|'semantic', similarity }
+     */
+    async lookup(request, debugLog = () => {}) {
+        if (!this.enabled) return null;
+
+        try {
+            const exact = this.entries.get(request.key);
+            if (exact && this.appliesTo(exact, request)) {
+                if (await this.isFresh(exact, debugLog)) {
+                    return this.hit(exact, 'exact', 1, debugLog);
+                }
+                this.entries.delete(request.key);
+                this.stats.stale++;
+            }
+
+            if (this.semantic) {
+                const semanticMatch = await this.findSimilar(request, debugLog);
+                if (semanticMatch) return semanticMatch;
+            }
+
+            this.stats.misses++;
+            return null;
+        } catch (error) {
+            // Cache problems must never block a chat answer - treat them as a miss
+            debugLog(`⚠️ Response cache lookup failed: ${error.message}`);
+            this.stats.misses++;
+            return null;
+        }
+    }
+
+    appliesTo(entry, request) {
+        return !entry.sessionDependent || entry.sessionFingerprint === request.sessionFingerprint;
+    }
+
+    async findSimilar(request, debugLog) {
+        const signature = messageSignature(request.message);
+        const candidates = [...this.entries.values()].filter(entry =>
+            entry.vector && !entry.sessionDependent && entry.followUp === request.followUp && entry.signature === signature
+        );
+        if (candidates.length === 0) return null;
+
+        const vector = await this.getEmbedder().embedQuery(request.message);
+        const ranked = candidates
+            .map(entry => ({ entry, similarity: cosineSimilarity(vector, entry.vector) }))
+            .filter(candidate => candidate.similarity >= this.threshold)
+            .sort((a, b) => b.similarity - a.similarity);
+
+        for (const { entry, similarity } of ranked) {
+            if (await this.isFresh(entry, debugLog)) {
+                return this.hit(entry, 'semantic', Math.round(similarity * 1000) / 1000, debugLog);
+            }
+            this.entries.delete(entry.key);
+            this.stats.stale++;
+        }
+        return null;
+    }
+
+    hit(entry, match, similarity, debugLog) {
+        entry.hits++;
+        this.stats.hits++;
+        if (match === 'semantic') {
+            this.stats.semanticHits++;
+            debugLog(`🗃️ Reusing cached answer to "${entry.message}" (similarity ${similarity})`);
+        } else {
+            debugLog(`🗃️ Reusing cached answer (${entry.hits} hit(s))`);
+        }
+        return { entry, match, similarity };
+    }
+
+    /**
+     * Whether an entry may still be served
+     * @param {Object} entry - Cache entry
+     * @param {Function} debugLog - Debug logger
+     * @returns {Promise<boolean>}
+     */
+    async isFresh(entry, debugLog = () => {}) {
+        if (Date.now() - entry.createdAt > this.ttlMs) {
+            debugLog('🗃️ Cached answer expired');
+            return false;
+        }
+        // "today" and "last week" mean something else after midnight
+        if (entry.day && entry.day !== new Date().toDateString()) {
+            debugLog('🗃️ Cached answer used relative dates from another day');
+            return false;
+        }
+
+        if (entry.ticketVersions) {
+            const current = await this.loadTicketVersions([...entry.ticketVersions.keys()]);
+            const changed = [...entry.ticketVersions].find(([ticketId, version]) => current.get(ticketId) !== version);
+            if (changed) {
+                debugLog(`🗃️ Cached answer is stale - ticket ${changed[0]} changed`);
+                return false;
+            }
+        }
+
+        if (entry.collectionVersion && entry.collectionVersion !== await this.getCollectionVersion()) {
+            debugLog('🗃️ Cached answer is stale - tickets were added or changed');
+            return false;
+        }
+
+        return true;
+    }
+
+    async loadTicketVersions(ticketIds) {
+        await mongoConnection.connect();
+        const conversations = await mongoConnection.findConversations(
+            { 'data.ticket.TicketID': { $in: ticketIds } },
+            { projection: { 'data.ticket.TicketID': 1, 'data.ticket.Changed': 1, updatedAt: 1 } }
+        );
+        return new Map(conversations.map(conversation => [conversation.data.ticket.TicketID, ticketVersion(conversation)]));
+    }
+
+    // Ticket count and latest updatedAt - moves whenever a ticket is added, removed or updated
+    async getCollectionVersion() {
+        await mongoConnection.connect();
+        const conversations = mongoConnection.getDb().collection('conversations');
+        const [count, latest] = await Promise.all([
+            conversations.countDocuments(),
+            conversations.find({}, { projection: { 'data.ticket.Changed': 1, updatedAt: 1 } }).sort({ updatedAt: -1 }).limit(1).toArray()
+        ]);
+        return `${count}:${latest[0] ? ticketVersion(latest[0]) : ''}`;
+    }
+
+    /**
+     * Remember an answer. Failures and clarifying questions are not cached.
+     * @param {Object} request - From describeRequest(), taken before the request was handled
+     * @param {Object} answer - { decision, response, data, success }
+     *   data: { type, resultType, resultCount, pagination, query, focus } (no documents)
+     * @param {Object} context - Session context after the request, with lastResults when it produced results
+     * @param {Function} debugLog - Debug logger
+     */
+    async store(request, answer, context, debugLog = () => {}) {
+        if (!this.enabled) return;
+
+        const { decision, data } = answer;
+        if (!answer.success || !data || data.success === false || data.type === 'error' || data.type === 'clarification' || data.clarification) {
+            return;
+        }
+
+        try {
+            const intent = intentRegistry.get(decision.intent);
+            if (intent?.cacheable === false) return;
+
+            const sessionDependent = typeof intent?.sessionDependent === 'function'
+                ? Boolean(intent.sessionDependent(decision))
+                : Boolean(intent?.sessionDependent);
+
+            const resultIds = context.lastResults
+                ? context.lastResults.map(result => result.data?.ticket?.TicketID).filter(id => id !== undefined && id !== null)
+                : [];
+            const ticketIds = [...new Set([...resultIds, ...(data.focus?.ticketId ? [Number(data.focus.ticketId)] : [])])];
+
+            let ticketVersions = null;
+            let collectionVersion = null;
+            if (ticketIds.length > 0 && ticketIds.length <= MAX_TRACKED_TICKETS) {
+                ticketVersions = await this.loadTicketVersions(ticketIds);
+            } else if (decision.needsData || ticketIds.length > 0) {
+                collectionVersion = await this.getCollectionVersion();
+            }
+
+            const entry = {
+                key: request.key,
+                message: request.message,
+                followUp: request.followUp,
+                signature: messageSignature(request.message),
+                vector: this.semantic && !sessionDependent ? await this.getEmbedder().embedQuery(request.message) : null,
+                sessionDependent,
+                sessionFingerprint: request.sessionFingerprint,
+                decision,
+                response: answer.response,
+                data,
+                // Restored on a hit so "show more", "it" and refinements keep working after a cached answer
+                sessionState: {
+                    lastResultIds: context.lastResults ? resultIds : (context.lastResultIds || []),
+                    lastQuery: context.lastQuery || null,
+                    lastOffset: context.lastOffset || 0
+                },
+                ticketVersions,
+                collectionVersion,
+                day: request.message.match(TIME_WORDS) ? new Date().toDateString() : null,
+                createdAt: Date.now(),
+                hits: 0
+            };
+
+            this.entries.delete(request.key);
+            if (this.entries.size >= this.maxEntries) {
+                this.entries.delete(this.entries.keys().next().value);
+            }
+            this.entries.set(request.key, entry);
+            this.stats.stored++;
+            debugLog(`🗃️ Cached answer (${ticketVersions ? `${ticketVersions.size} ticket(s) tracked` : collectionVersion ? 'collection tracked' : 'no data'}${sessionDependent ? ', session dependent' : ''})`);
+        } catch (error) {
+            debugLog(`⚠️ Response cache write failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Drop cached answers
+     * @param {Object} scope - { ticketId } drops answers built from that ticket; empty drops everything
+     * @returns {number} - Entries removed
+     */
+    purge({ ticketId } = {}) {
+        if (ticketId === undefined || ticketId === null) {
+            const count = this.entries.size;
+            this.entries.clear();
+            return count;
+        }
+
+        let removed = 0;
+        for (const [key, entry] of this.entries) {
+            if (entry.ticketVersions?.has(Number(ticketId))) {
+                this.entries.delete(key);
+                removed++;
+            }
+        }
+        return removed;
+    }
+
+    getStats() {
+        const lookups = this.stats.hits + this.stats.misses;
+        return {
+            enabled: this.enabled,
+            semantic: this.semantic,
+            threshold: this.semantic ? this.threshold : undefined,
+            entries: this.entries.size,
+            ...this.stats,
+            hitRate: lookups > 0 ? Math.round((this.stats.hits / lookups) * 1000) / 1000 : 0
+        };
+    }
+}
+
+// Export singleton instance configured from the environment
+const responseCache = new ResponseCache();
+export { ResponseCache };
+export default responseCache;
@@ -236,9 +236,10 @@ class EnhancedSchemaKnowledge {
                     mongoPath: "data.ticket.Changed"
                 },
                 Closed: {
-                    type: "Date/null",
+                    type: "string/null",
                     description: "When ticket was closed (null if still open)",
                     searchable: true,
+                    format: "YYYY-MM-DD HH:MM:SS.sss (UTC), compare as text",
                     queryPatterns: ["closed today", "resolved yesterday", "recently closed"],
                     mongoPath: "data.ticket.Closed"
                 },
@@ -387,7 +388,7 @@ class EnhancedSchemaKnowledge {
                     type: "string",
                     description: "When message was created",
                     searchable: true,
-                    format: "ISO datetime string",
+                    format: "YYYY-MM-DD HH:MM:SS.sss (UTC), compare as text",
                     queryPatterns: ["messages today", "recent messages"],
                     mongoPath: "data.article.CreateTime"
                 },
@@ -395,6 +396,7 @@ class EnhancedSchemaKnowledge {
                     type: "string",
                     description: "When message was last changed",
                     searchable: true,
+                    format: "YYYY-MM-DD HH:MM:SS.sss (UTC), compare as text",
                     mongoPath: "data.article.ChangeTime"
                 },
                 IsVisibleForCustomer: {
@@ -630,6 +632,47 @@ Files attached to messages:
         }
     }
 
+    // Resolve a MongoDB path (e.g. "data.ticket.PriorityID") to its schema field definition
+    getFieldByPath(mongoPath) {
+        if (!mongoPath || typeof mongoPath !== 'string') return null;
+
+        const sections = {
+            'data.ticket.': this.schema.ticket,
+            'data.article.': this.schema.article,
+            'data.attachment.': this.schema.attachment
+        };
+
+        for (const [prefix, section] of Object.entries(sections)) {
+            if (mongoPath.startsWith(prefix)) {
+                return section[mongoPath.slice(prefix.length)] || null;
+            }
+        }
+
+        return this.schema.root[mongoPath] || null;
+    }
+
+    // Compact, model-friendly field reference used by the query generation prompt
+    getQueryGenerationContext() {
+        const describe = (section) => Object.values(section)
+            .filter(field => field.searchable && field.mongoPath)
+            .map(field => {
+                let line = `- ${field.mongoPath} (${field.type}): ${field.description}`;
+                const values = field.values || field.commonValues;
+                if (values) line += ` | values: ${values.map(v => JSON.stringify(v)).join(', ')}`;
+                if (field.range) line += ` | range: ${field.range.join('-')}`;
+                if (field.format) line += ` | format: ${field.format}`;
+                return line;
+            })
+            .join('\n');
+
+        const rootFields = Object.entries(this.schema.root)
+            .filter(([, field]) => field.searchable)
+            .map(([name, field]) => `- ${name} (${field.type}): ${field.description}`)
+            .join('\n');
+
+        return `ROOT FIELDS:\n${rootFields}\n\nTICKET FIELDS:\n${describe(this.schema.ticket)}\n\nARTICLE FIELDS (array, match with dot paths or $elemMatch):\n${describe(this.schema.article)}\n\nATTACHMENT FIELDS (array):\n${describe(this.schema.attachment)}`;
+    }
+
     // Get query optimization suggestions
     getOptimizationSuggestions(queryType = 'general') {
         return {
@@ -0,0 +1,187 @@
+// src/services/semanticRetriever.js - Embedding based retrieval of tickets by meaning rather than keywords
+import mongoConnection from '../db/mongodb.js';
+import { createEmbedder } from './embeddings.js';
+import { VectorIndex, chunkConversation } from './vectorIndex.js';
+
+const EMBEDDING_BATCH_SIZE = 32;
+
+// Minimum cosine similarity for a search result, overridden by SIMILARITY_THRESHOLD
+const DEFAULT_SIMILARITY_THRESHOLD = 0.5;
+
+class SemanticRetriever {
+    constructor() {
+        this.embedder = createEmbedder();
+        this.index = new VectorIndex();
+        this.threshold = parseFloat(process.env.SIMILARITY_THRESHOLD || DEFAULT_SIMILARITY_THRESHOLD);
+        this.indexing = null;
+        console.log(`🧭 Semantic retriever initialized (${this.embedder.id}, threshold ${this.threshold})`);
+    }
+
+    getStatus() {
+        return {
+            embedder: this.embedder.id,
+            indexPath: this.index.filePath,
+            indexedTickets: this.index.ticketCount,
+            indexedChunks: this.index.chunkCount,
+            builtAt: this.index.builtAt,
+            threshold: this.threshold,
+            indexing: Boolean(this.indexing)
+        };
+    }
+
+    /**
+     * Embed every ticket that is new or changed since it was last indexed
+     * @param {Object} options - { full: true } re-embeds everything
+     * @param {Function} debugLog - Debug logger
+     * @returns {Promise<Object>} - Indexing statistics
+     */
+    async reindex({ full = false } = {}, debugLog = () => {}) {
+        // Concurrent callers share one indexing run
+        if (this.indexing) return this.indexing;
+
+        this.indexing = this.buildIndex(full, debugLog).finally(() => {
+            this.indexing = null;
+        });
+        return this.indexing;
+    }
+
+    async buildIndex(full, debugLog) {
+        const startTime = Date.now();
+        await mongoConnection.connect();
+        await this.index.load();
+
+        // Vectors from different embedders are not comparable
+        if (full || this.index.embedderId !== this.embedder.id) {
+            debugLog(`🧭 Rebuilding vector index from scratch with ${this.embedder.id}`);
+            this.index.reset(this.embedder.id);
+            this.index.loaded = true;
+        }
+
+        const conversations = await mongoConnection.findConversations({}, {
+            projection: {
+                'data.ticket.TicketID': 1,
+                'data.ticket.Title': 1,
+                'data.ticket.Changed': 1,
+                'data.article.ArticleID': 1,
+                'data.article.Subject': 1,
+                'data.article.Body': 1,
+                updatedAt: 1
+            }
+        });
+
+        const liveIds = new Set();
+        let embedded = 0;
+        let skipped = 0;
+
+        for (const conversation of conversations) {
+            const ticketId = conversation.data?.ticket?.TicketID;
+            if (ticketId === undefined || ticketId === null) continue;
+            liveIds.add(String(ticketId));
+
+            const changed = String(conversation.updatedAt || conversation.data.ticket.Changed || '');
+            if (!this.index.isStale(ticketId, changed)) {
+                skipped++;
+                continue;
+            }
+
+            const chunks = chunkConversation(conversation);
+            if (chunks.length === 0) continue;
+
+            const vectors = [];
+            for (let i = 0; i < chunks.length; i += EMBEDDING_BATCH_SIZE) {
+                const batch = chunks.slice(i, i + EMBEDDING_BATCH_SIZE);
+                vectors.push(...await this.embedder.embedDocuments(batch.map(chunk => chunk.text)));
+            }
+
+            this.index.upsert(ticketId, changed, chunks.map((chunk, i) => ({ ...chunk, vector: vectors[i] })));
+            embedded++;
+            if (embedded % 50 === 0) debugLog(`🧭 Embedded ${embedded} tickets...`);
+        }
+
+        // Drop tickets that no longer exist in MongoDB
+        let removed = 0;
+        for (const ticketId of [...this.index.tickets.keys()]) {
+            if (!liveIds.has(ticketId)) {
+                this.index.remove(ticketId);
+                removed++;
+            }
+        }
+
+        this.index.builtAt = new Date().toISOString();
+        await this.index.save();
+
+        const stats = {
+            success: true,
+            embedder: this.embedder.id,
+            embedded,
+            skipped,
+            removed,
+            indexedTickets: this.index.ticketCount,
+            indexedChunks: this.index.chunkCount,
+            durationMs: Date.now() - startTime
+        };
+        debugLog("🧭 Vector index updated:", stats);
+        return stats;
+    }
+
+    async ensureIndex(debugLog = () => {}) {
+        await this.index.load();
+        if (this.index.ticketCount === 0 || this.index.embedderId !== this.embedder.id) {
+            debugLog("🧭 Vector index is empty - building it before searching");
+            await this.reindex({}, debugLog);
+        }
+    }
+
+    /**
+     * Find tickets whose title or messages are semantically close to the query
+     * @param {string} query - Natural language description
+     * @param {Object} options - { k, threshold, ticketIds }
+     * @param {Function} debugLog - Debug logger
+     * @returns {Promise<Object>} - { success, results: [{ conversation, score, matchedText, matchedSource }] }
+     */
+    async search(query, { k = 10, threshold = this.threshold, ticketIds = null } = {}, debugLog = () => {}) {
+        try {
+            await this.ensureIndex(debugLog);
+
+            const queryVector = await this.embedder.embedQuery(query);
+            const matches = this.index.search(queryVector, { k, threshold, ticketIds });
+            debugLog(`🧭 Semantic search "${query}": ${matches.length} tickets above ${threshold}`);
+
+            if (matches.length === 0) {
+                return { success: true, results: [], threshold };
+            }
+
+            await mongoConnection.connect();
+            const conversations = await mongoConnection.findConversations({
+                'data.ticket.TicketID': { $in: matches.map(match => Number(match.ticketId)) }
+            });
+            const byId = new Map(conversations.map(c => [String(c.data?.ticket?.TicketID), c]));
+
+            // Keep the similarity order; skip tickets deleted since indexing
+            const results = matches
+                .filter(match => byId.has(match.ticketId))
+                .map(match => ({
+                    conversation: byId.get(match.ticketId),
+                    score: match.score,
+                    matchedText: match.chunk.text,
+                    matchedSource: match.chunk.source,
+                    matchedArticleId: match.chunk.articleId
+                }));
+
+            return { success: true, results, threshold };
+        } catch (error) {
+            debugLog("❌ Semantic search failed:", error.message);
+            return {
+                success: false,
+                error: error.message,
+                results: [],
+                threshold
+            };
+        }
+    }
+}
+
+// Create singleton instance
+const semanticRetriever = new SemanticRetriever();
+
+export default semanticRetriever;
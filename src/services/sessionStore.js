@@ -0,0 +1,149 @@
+// src/services/sessionStore.js - Pluggable storage for conversation sessions (in-memory or MongoDB)
+import mongoConnection from '../db/mongodb.js';
+
+// Sessions inactive for longer than this are dropped (2 hours by default)
+export const SESSION_TTL_MS = parseInt(process.env.SESSION_TTL_MS || String(2 * 60 * 60 * 1000), 10);
+
+/**
+ * Sessions kept in this process - lost on restart and not shared between instances
+ */
+export class InMemorySessionStore {
+    constructor() {
+        this.type = 'memory';
+        this.sessions = new Map();
+    }
+
+    // Copies keep callers from mutating stored state without saving it, like a real store
+    async get(sessionId) {
+        const session = this.sessions.get(sessionId);
+        return session ? structuredClone(session) : null;
+    }
+
+    async set(sessionId, session) {
+        this.sessions.set(sessionId, structuredClone(session));
+    }
+
+    async delete(sessionId) {
+        return this.sessions.delete(sessionId);
+    }
+
+    async count() {
+        return this.sessions.size;
+    }
+
+    async listStats() {
+        return [...this.sessions.values()].map(({ sessionId, createdAt, messageCount, lastActivity }) => ({
+            sessionId, createdAt, messageCount, lastActivity
+        }));
+    }
+
+    async cleanup(maxAge = SESSION_TTL_MS) {
+        const cutoff = Date.now() - maxAge;
+        let cleaned = 0;
+
+        for (const [sessionId, session] of this.sessions.entries()) {
+            if (session.lastActivity < cutoff) {
+                this.sessions.delete(sessionId);
+                cleaned++;
+            }
+        }
+        return cleaned;
+    }
+}
+
+/**
+ * Sessions in the MongoDB "sessions" collection - survive restarts and are shared behind a load balancer.
+ * A TTL index on expiresAt lets MongoDB delete abandoned sessions on its own.
+ */
+export class MongoSessionStore {
+    constructor() {
+        this.type = 'mongodb';
+    }
+
+    async collection() {
+        await mongoConnection.connect();
+        return mongoConnection.getDb().collection('sessions');
+    }
+
+    // Stored queries contain $-operators, which are not usable as field names - keep them as JSON text
+    serialize(session) {
+        return {
+            ...session,
+            lastQuery: session.lastQuery === undefined ? null : JSON.stringify(session.lastQuery),
+            history: (session.history || []).map(entry => ({
+                ...entry,
+                queryExecuted: entry.queryExecuted === undefined ? null : JSON.stringify(entry.queryExecuted)
+            }))
+        };
+    }
+
+    deserialize(document) {
+        const { _id, expiresAt, ...session } = document;
+        return {
+            ...session,
+            lastQuery: session.lastQuery ? JSON.parse(session.lastQuery) : null,
+            history: (session.history || []).map(entry => ({
+                ...entry,
+                queryExecuted: entry.queryExecuted ? JSON.parse(entry.queryExecuted) : null
+            }))
+        };
+    }
+
+    async get(sessionId) {
+        const sessions = await this.collection();
+        const document = await sessions.findOne({ _id: sessionId });
+        return document ? this.deserialize(document) : null;
+    }
+
+    async set(sessionId, session) {
+        const sessions = await this.collection();
+        await sessions.replaceOne(
+            { _id: sessionId },
+            { ...this.serialize(session), expiresAt: new Date(session.lastActivity + SESSION_TTL_MS) },
+            { upsert: true }
+        );
+    }
+
+    async delete(sessionId) {
+        const sessions = await this.collection();
+        const result = await sessions.deleteOne({ _id: sessionId });
+        return result.deletedCount > 0;
+    }
+
+    async count() {
+        const sessions = await this.collection();
+        return await sessions.countDocuments({ expiresAt: { $gt: new Date() } });
+    }
+
+    async listStats() {
+        const sessions = await this.collection();
+        return await sessions.find(
+            { expiresAt: { $gt: new Date() } },
+            { projection: { _id: 0, sessionId: 1, createdAt: 1, messageCount: 1, lastActivity: 1 } }
+        ).toArray();
+    }
+
+    // The TTL monitor only runs once a minute - this removes stale sessions immediately
+    async cleanup(maxAge = SESSION_TTL_MS) {
+        const sessions = await this.collection();
+        const result = await sessions.deleteMany({ lastActivity: { $lt: Date.now() - maxAge } });
+        return result.deletedCount;
+    }
+}
+
+/**
+ * Create the session store selected by MEMORY_STORE
+ * @param {string} type - "memory" (default) or "mongodb"
+ * @returns {InMemorySessionStore|MongoSessionStore}
+ */
+export function createSessionStore(type = process.env.MEMORY_STORE || 'memory') {
+    if (type === 'mongodb' || type === 'mongo') {
+        return new MongoSessionStore();
+    }
+    if (type !== 'memory') {
+        console.warn(`⚠️ Unknown MEMORY_STORE "${type}" - keeping sessions in memory`);
+    }
+    return new InMemorySessionStore();
+}
+
+export default createSessionStore;
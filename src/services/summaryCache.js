@@ -0,0 +1,105 @@
+// src/services/summaryCache.js - MongoDB cache of ticket summaries, invalidated when the ticket changes
+import mongoConnection from '../db/mongodb.js';
+import promptRegistry from './promptRegistry.js';
+
+// Bump when the summary format changes so older cached entries are regenerated
+export const SUMMARY_CACHE_VERSION = 1;
+
+class SummaryCache {
+    collection() {
+        return mongoConnection.getDb().collection('summaries');
+    }
+
+    /**
+     * The document version a summary was built from - changes whenever the ticket is updated
+     * @param {Object} conversation - Conversation document
+     * @returns {string} - Version string
+     */
+    getTicketVersion(conversation) {
+        const version = conversation.version ?? conversation.updatedAt ?? conversation.data?.ticket?.Changed ?? '';
+        return version instanceof Date ? version.toISOString() : String(version);
+    }
+
+    // Template summaries do not depend on a model
+    getModelName(mode) {
+        return mode === 'template' ? 'template' : (process.env.SUMMARIZATION_MODEL || 'mistral:7b');
+    }
+
+    // Active summarization prompt versions - a cached summary from other versions is stale
+    getPromptVersions(mode) {
+        if (mode === 'template') return '';
+        return promptRegistry.list()
+            .filter(prompt => prompt.name.startsWith('summarization.'))
+            .map(prompt => `${prompt.name}@v${prompt.activeVersion}`)
+            .join(',');
+    }
+
+    async get(conversation, mode, debugLog = () => {}) {
+        const ticket = conversation.data.ticket;
+        const entry = await this.collection().findOne({
+            ticketId: ticket.TicketID,
+            mode,
+            model: this.getModelName(mode)
+        });
+
+        if (!entry) {
+            debugLog(`🗃️ No cached ${mode} summary for ${ticket.TicketID}`);
+            return null;
+        }
+
+        if (entry.ticketVersion !== this.getTicketVersion(conversation) || entry.cacheVersion !== SUMMARY_CACHE_VERSION ||
+            (entry.promptVersions ?? '') !== this.getPromptVersions(mode)) {
+            debugLog(`🗃️ Cached ${mode} summary for ${ticket.TicketID} is stale - regenerating`);
+            return null;
+        }
+
+        debugLog(`🗃️ Using cached ${mode} summary for ${ticket.TicketID}`);
+        return entry;
+    }
+
+    async set(conversation, mode, summary) {
+        const ticket = conversation.data.ticket;
+        const key = { ticketId: ticket.TicketID, mode, model: this.getModelName(mode) };
+
+        await this.collection().updateOne(key, {
+            $set: {
+                ...key,
+                ticketNumber: ticket.TicketNumber,
+                queue: ticket.Queue,
+                ticketVersion: this.getTicketVersion(conversation),
+                cacheVersion: SUMMARY_CACHE_VERSION,
+                promptVersions: this.getPromptVersions(mode),
+                summary,
+                cachedAt: new Date()
+            }
+        }, { upsert: true });
+    }
+
+    /**
+     * Remove cached summaries
+     * @param {Object} scope - { queue, ticketId, mode } - an empty scope purges everything
+     * @returns {Promise<number>} - Number of entries removed
+     */
+    async purge({ queue, ticketId, mode } = {}) {
+        const filter = {};
+        if (queue) filter.queue = queue;
+        if (ticketId !== undefined && ticketId !== null) filter.ticketId = Number(ticketId);
+        if (mode) filter.mode = mode;
+
+        const result = await this.collection().deleteMany(filter);
+        return result.deletedCount;
+    }
+
+    async getStats() {
+        const byMode = await this.collection().aggregate([
+            { $group: { _id: '$mode', count: { $sum: 1 } } }
+        ]).toArray();
+
+        return Object.fromEntries(byMode.map(row => [row._id, row.count]));
+    }
+}
+
+// Create singleton instance
+const summaryCache = new SummaryCache();
+
+export default summaryCache;
@@ -0,0 +1,80 @@
+// src/services/summarySchema.js - Zod contract for machine-readable ticket summaries
+import { z } from 'zod';
+
+export const SENTIMENTS = ['positive', 'neutral', 'negative', 'mixed'];
+export const ENTITY_TYPES = ['email', 'ticket', 'error_code', 'file', 'person', 'product', 'organization', 'other'];
+
+const lowerCase = value => typeof value === 'string' ? value.trim().toLowerCase() : value;
+
+const stepSchema = z.object({
+    by: z.string().min(1),
+    action: z.string().min(1),
+    time: z.string().nullable().default(null)
+});
+
+const entitySchema = z.object({
+    // Unknown entity types from the model are kept as "other" rather than failing the summary
+    type: z.preprocess(lowerCase, z.enum(ENTITY_TYPES).catch('other')),
+    value: z.string().min(1)
+});
+
+// The part of the summary that describes the conversation - written by the model or the template extractor
+export const summaryContentSchema = z.object({
+    issue: z.string().min(1),
+    customerIntent: z.string().min(1),
+    stepsTaken: z.array(stepSchema).default([]),
+    resolution: z.string().nullable().default(null),
+    openQuestions: z.array(z.string()).default([]),
+    nextAction: z.string().min(1),
+    sentiment: z.preprocess(lowerCase, z.enum(SENTIMENTS)),
+    keyEntities: z.array(entitySchema).default([])
+});
+
+// Ticket facts always come from the database, never from the model
+const ticketFactsSchema = z.object({
+    id: z.number().nullable(),
+    number: z.string().nullable(),
+    title: z.string().nullable(),
+    customer: z.string().nullable(),
+    status: z.string().nullable(),
+    stateType: z.string().nullable(),
+    priority: z.string().nullable(),
+    queue: z.string().nullable(),
+    owner: z.string().nullable(),
+    created: z.string().nullable(),
+    closed: z.string().nullable(),
+    solutionInMin: z.number().nullable(),
+    messageCount: z.number().int()
+});
+
+export const structuredSummarySchema = summaryContentSchema.extend({
+    ticket: ticketFactsSchema,
+    generatedBy: z.enum(['template', 'ai'])
+});
+
+/**
+ * Validate a structured summary
+ * @param {Object} candidate - Structured summary object
+ * @param {Object} schema - Schema to validate against (defaults to the full summary)
+ * @returns {Object} - { success, summary } or { success: false, errors }
+ */
+export function validateStructuredSummary(candidate, schema = structuredSummarySchema) {
+    const parsed = schema.safeParse(candidate);
+
+    if (!parsed.success) {
+        return {
+            success: false,
+            errors: parsed.error.issues.map(issue => `${issue.path.join('.') || 'summary'}: ${issue.message}`)
+        };
+    }
+
+    return { success: true, summary: parsed.data };
+}
+
+export default {
+    summaryContentSchema,
+    structuredSummarySchema,
+    validateStructuredSummary,
+    SENTIMENTS,
+    ENTITY_TYPES
+};
@@ -0,0 +1,389 @@
+// src/services/temporalParser.js - Dates, date ranges and relative periods in requests, and the filters they become
+import schemaKnowledge from './schemaKnowledge.js';
+
+// Which timestamp a request is about, with the words that point at it
+export const DATE_FIELDS = {
+    created: { path: 'data.ticket.Created', label: 'created', cue: /\b(created|opened|submitted|raised|filed|came in)\b/g },
+    changed: { path: 'data.ticket.Changed', label: 'changed', cue: /\b(changed|updated|modified|edited|touched)\b/g },
+    closed: { path: 'data.ticket.Closed', label: 'closed', cue: /\b(closed|resolved|solved|finished)\b/g },
+    message: { path: 'data.article.CreateTime', label: 'message sent', cue: /\b(messages?|articles?|replies|replied|responded|wrote|sent)\b/g }
+};
+
+const DATE_FIELD_PATHS = Object.values(DATE_FIELDS).map(field => field.path);
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const NUMBER_WORDS = {
+    a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6,
+    seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12, couple: 2, few: 3
+};
+const QUARTER_WORDS = { first: 1, '1st': 1, second: 2, '2nd': 2, third: 3, '3rd': 3, fourth: 4, '4th': 4 };
+
+// Pattern fragments - a date "atom" is one day, month or year written out
+const MONTH = '(?:jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sept?(?:ember)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\\.?(?![a-z])';
+const DAY = '\\d{1,2}(?!\\d)(?:st|nd|rd|th)?';
+const YEAR = '(?:19|20)\\d{2}(?!\\d)';
+const ISO_DATE = '\\d{4}-\\d{1,2}-\\d{1,2}(?!\\d)';
+const ATOM = `(?:${ISO_DATE}|${MONTH}\\s+${YEAR}|${MONTH}\\s+${DAY}(?:,?\\s+${YEAR})?|${DAY}\\s+(?:of\\s+)?${MONTH}(?:,?\\s+${YEAR})?|${MONTH}|${YEAR})`;
+const NUMBER = `(\\d+|${Object.keys(NUMBER_WORDS).join('|')})`;
+const UNIT = '(minute|hour|day|week|month|quarter|year)s?';
+
+// "between March 3 and 10", "from 2025-01-06 to 2025-01-12", "from march 3 until today"
+const RANGE_PATTERN = new RegExp(`\\b(?:between|from)\\s+(${ATOM})\\s+(?:and|to|until|till|through|thru|-)\\s+(${ATOM}|${DAY}|today|now)`);
+// Words before an expression that make it open-ended
+const BOUND_PATTERN = /\b(since|after|before|until|till|by|prior to)\s+(?:the\s+)?$/;
+// Words that may come before "may" - "in may", "for may"
+const ATOM_PREPOSITION_PATTERN = /\b(in|during|of|for|from|since|after|before|until|till|by|on|prior to)\s+(?:the\s+)?$/;
+// A bare year needs a word that only takes a time ("in 2024"), or "from" / "for" / "of" with the year
+// ending the phrase ("tickets from 2024") - "for 2025 customers" is a number, not a year
+const YEAR_PREPOSITION_PATTERN = /\b(in|during|since|after|before|until|till|prior to)\s+$/;
+const WEAK_YEAR_PREPOSITION_PATTERN = /\b(from|for|of)\s+(?:the\s+)?$/;
+const PHRASE_END_PATTERN = /^\s*(?:$|[,.;:?!)]|(?:and|or|but|with|sorted|ordered|please)\b)/;
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+function toNumber(word) {
+    return NUMBER_WORDS[word] ?? parseInt(word);
+}
+
+function dayStart(date) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+// Last millisecond before the given start
+function before(date) {
+    return new Date(date.getTime() - 1);
+}
+
+function daySpan(year, month, day) {
+    return { start: new Date(year, month, day), end: before(new Date(year, month, day + 1)) };
+}
+
+function monthSpan(year, month, months = 1) {
+    return { start: new Date(year, month, 1), end: before(new Date(year, month + months, 1)) };
+}
+
+function quarterSpan(year, quarter) {
+    return monthSpan(year, (quarter - 1) * 3, 3);
+}
+
+function yearSpan(year) {
+    return monthSpan(year, 0, 12);
+}
+
+// Month or day written without a year is the most recent one that has started
+function latestYear(now, month, day = 1) {
+    return new Date(now.getFullYear(), month, day) > now ? now.getFullYear() - 1 : now.getFullYear();
+}
+
+// Start of the period `amount` units back - days and longer count from the start of today
+function subtract(now, amount, unit) {
+    const today = dayStart(now);
+    switch (unit) {
+        case 'minute': return new Date(now.getTime() - amount * 60 * 1000);
+        case 'hour': return new Date(now.getTime() - amount * 60 * 60 * 1000);
+        case 'day': return new Date(today.getFullYear(), today.getMonth(), today.getDate() - amount);
+        case 'week': return new Date(today.getFullYear(), today.getMonth(), today.getDate() - amount * 7);
+        case 'month': return new Date(today.getFullYear(), today.getMonth() - amount, today.getDate());
+        case 'quarter': return new Date(today.getFullYear(), today.getMonth() - amount * 3, today.getDate());
+        default: return new Date(today.getFullYear() - amount, today.getMonth(), today.getDate());
+    }
+}
+
+// Calendar period containing `now`, shifted by `offset` periods
+function calendarSpan(now, unit, offset) {
+    const year = now.getFullYear();
+    switch (unit) {
+        case 'week': {
+            // Weeks start on Sunday
+            const start = new Date(year, now.getMonth(), now.getDate() - now.getDay() + offset * 7);
+            return { start, end: before(new Date(start.getFullYear(), start.getMonth(), start.getDate() + 7)) };
+        }
+        case 'month': return monthSpan(year, now.getMonth() + offset);
+        case 'quarter': return monthSpan(year, Math.floor(now.getMonth() / 3) * 3 + offset * 3, 3);
+        default: return yearSpan(year + offset);
+    }
+}
+
+/**
+ * Span of one written date: a day, a month or a year
+ * @param {string} text - Lower-cased atom, e.g. "march 3", "3rd of march 2025", "2025-03-03", "2024"
+ * @param {Date} now - Reference time
+ * @param {Object} defaults - { year, month } for atoms that leave them out (the end of a range)
+ * @returns {Object|null} - { start, end, explicitYear }
+ */
+function parseAtom(text, now, defaults = {}) {
+    const iso = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+    if (iso) {
+        return { ...daySpan(parseInt(iso[1]), parseInt(iso[2]) - 1, parseInt(iso[3])), explicitYear: true };
+    }
+
+    const yearMatch = text.match(/\b((?:19|20)\d{2})$/);
+    const year = yearMatch ? parseInt(yearMatch[1]) : null;
+    const rest = (yearMatch ? text.slice(0, yearMatch.index) : text).replace(/[,.]/g, ' ').trim();
+    if (!rest) {
+        return year ? { ...yearSpan(year), explicitYear: true } : null;
+    }
+
+    const monthWord = rest.match(/[a-z]+/g)?.find(word => word !== 'of' && MONTH_NAMES.includes(word.slice(0, 3)));
+    const month = monthWord ? MONTH_NAMES.indexOf(monthWord.slice(0, 3)) : defaults.month;
+    const dayMatch = rest.match(/\d{1,2}/);
+    const day = dayMatch ? parseInt(dayMatch[0]) : null;
+    if (month === undefined || month === null) return null;
+
+    if (day === null) {
+        const spanYear = year ?? defaults.year ?? latestYear(now, month);
+        return { ...monthSpan(spanYear, month), explicitYear: year !== null };
+    }
+    if (day < 1 || day > 31) return null;
+
+    const spanYear = year ?? defaults.year ?? latestYear(now, month, day);
+    return { ...daySpan(spanYear, month, day), explicitYear: year !== null };
+}
+
+// Relative and calendar periods, most specific first; each returns { start, end } for its match
+const PERIOD_RULES = [
+    {
+        // "last 48 hours", "past 3 weeks", "within the last two days"
+        pattern: new RegExp(`\\b(?:last|past|previous)\\s+${NUMBER}\\s+${UNIT}\\b`),
+        span: (match, now) => ({ start: subtract(now, toNumber(match[1]), match[2]), end: now })
+    },
+    {
+        // "3 days ago" - the day it names
+        pattern: new RegExp(`\\b${NUMBER}\\s+${UNIT}\\s+ago\\b`),
+        span: (match, now) => {
+            const point = subtract(now, toNumber(match[1]), match[2]);
+            return daySpan(point.getFullYear(), point.getMonth(), point.getDate());
+        }
+    },
+    {
+        // "Q2", "Q2 2025", "2025 Q2", "the second quarter of 2025"
+        pattern: new RegExp(`\\b(?:q([1-4])(?:\\s*(${YEAR}))?|(${YEAR})\\s*q([1-4])|(first|1st|second|2nd|third|3rd|fourth|4th)\\s+quarter(?:\\s+(?:of\\s+)?(${YEAR}))?)\\b`),
+        span: (match, now) => {
+            const quarter = parseInt(match[1] || match[4]) || QUARTER_WORDS[match[5]];
+            const explicit = match[2] || match[3] || match[6];
+            const year = explicit ? parseInt(explicit) : latestYear(now, (quarter - 1) * 3);
+            return quarterSpan(year, quarter);
+        }
+    },
+    {
+        pattern: /\b(?:today|tonight)\b/,
+        span: (match, now) => daySpan(now.getFullYear(), now.getMonth(), now.getDate())
+    },
+    {
+        pattern: /\byesterday\b/,
+        span: (match, now) => daySpan(now.getFullYear(), now.getMonth(), now.getDate() - 1)
+    },
+    {
+        pattern: /\b(?:this|current)\s+(week|month|quarter|year)\b|\b(?:year to date|ytd)\b/,
+        span: (match, now) => ({ start: calendarSpan(now, match[1] || 'year', 0).start, end: now })
+    },
+    {
+        // "last week" / "last month" are the rolling 7 days / month, "last quarter" / "last year" the previous calendar ones
+        pattern: /\b(last|past|previous)\s+(week|month|quarter|year)\b/,
+        span: (match, now) => (['quarter', 'year'].includes(match[2]) && match[1] !== 'past')
+            ? calendarSpan(now, match[2], -1)
+            : { start: subtract(now, 1, match[2]), end: now }
+    },
+    {
+        pattern: /\bnext\s+(week|month|quarter|year)\b/,
+        span: (match, now) => calendarSpan(now, match[1], 1)
+    },
+    {
+        // "monday", "since tuesday" - the most recent one, today included; "last friday" is before today
+        pattern: new RegExp(`\\b(?:(last|past|previous|this)\\s+)?(${WEEKDAYS.join('|')})\\b`),
+        span: (match, now) => {
+            let daysBack = (now.getDay() - WEEKDAYS.indexOf(match[2]) + 7) % 7;
+            if (daysBack === 0 && match[1] && match[1] !== 'this') daysBack = 7;
+            return daySpan(now.getFullYear(), now.getMonth(), now.getDate() - daysBack);
+        }
+    }
+];
+
+// First written date in the text that can stand on its own
+function findAtom(text, now) {
+    const atomPattern = new RegExp(`(?<![a-z0-9-])${ATOM}`, 'g');
+    let match;
+    while ((match = atomPattern.exec(text)) !== null) {
+        const atom = match[0];
+        // A bare year or "may" needs a preposition - "in 2024", "during may" - so numbers and "may I" are not dates
+        const preceding = text.slice(0, match.index);
+        if (/^\d{4}$/.test(atom) && !YEAR_PREPOSITION_PATTERN.test(preceding) &&
+            !(WEAK_YEAR_PREPOSITION_PATTERN.test(preceding) && PHRASE_END_PATTERN.test(text.slice(match.index + atom.length)))) continue;
+        if (/^may\.?$/.test(atom) && !ATOM_PREPOSITION_PATTERN.test(preceding)) continue;
+
+        const span = parseAtom(atom, now);
+        if (span) return { index: match.index, text: atom, span };
+    }
+    return null;
+}
+
+function findRange(text, now) {
+    const match = text.match(RANGE_PATTERN);
+    if (!match) return null;
+
+    const first = parseAtom(match[1], now);
+    if (!first) return null;
+
+    let last;
+    if (match[2] === 'today' || match[2] === 'now') {
+        last = { start: now, end: now };
+    } else {
+        // "between march 3 and 10" - the end borrows the month and year of the start
+        const defaults = { year: first.start.getFullYear(), month: first.start.getMonth() };
+        last = parseAtom(match[2], now, defaults);
+        if (!last) return null;
+        // "between december 20 and january 5" runs into the next year
+        if (last.start < first.start && !last.explicitYear) {
+            last = parseAtom(match[2], now, { ...defaults, year: defaults.year + 1 });
+        }
+    }
+
+    return { index: match.index, text: match[0], span: { start: first.start, end: last.end } };
+}
+
+function findPeriod(text, now) {
+    for (const rule of PERIOD_RULES) {
+        const match = text.match(rule.pattern);
+        if (match) return { index: match.index, text: match[0], span: rule.span(match, now) };
+    }
+    return null;
+}
+
+// The field whose cue word is closest before the expression, else one right after it ("yesterday's closed tickets")
+function findField(text, expressionIndex, expressionEnd) {
+    let best = null;
+    for (const [name, field] of Object.entries(DATE_FIELDS)) {
+        for (const match of text.matchAll(field.cue)) {
+            const after = match.index - expressionEnd;
+            const distance = match.index < expressionIndex
+                ? expressionIndex - match.index
+                : after >= 0 && after <= 3 ? text.length + after : null;
+            if (distance !== null && (!best || distance < best.distance)) {
+                best = { name, distance };
+            }
+        }
+    }
+    return best ? best.name : 'created';
+}
+
+function pad(number) {
+    return String(number).padStart(2, '0');
+}
+
+// Day boundaries read as dates, anything else with the time
+function formatBound(date) {
+    const day = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    const atBoundary = (date.getHours() === 0 && date.getMinutes() === 0 && date.getSeconds() === 0) ||
+        (date.getHours() === 23 && date.getMinutes() === 59 && date.getSeconds() === 59);
+    return atBoundary ? day : `${day} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+function describeSpan(start, end) {
+    if (start && end && formatBound(start) === formatBound(end)) return `on ${formatBound(start)}`;
+    if (start && end) return `${formatBound(start)} to ${formatBound(end)}`;
+    if (start) return `since ${formatBound(start)}`;
+    return `up to ${formatBound(end)}`;
+}
+
+/**
+ * Find the date range a request talks about. Understood:
+ * - absolute dates and periods: "2025-03-03", "March 3", "3rd of March 2025", "in March", "during 2024"
+ * - ranges: "between March 3 and 10", "from Dec 20 to Jan 5", "from March 3 until today"
+ * - relative periods: "today", "yesterday", "last 48 hours", "past 3 weeks", "2 days ago",
+ *   "this month", "last week" (rolling 7 days), "last quarter" (previous calendar quarter), "Q2", "Q3 2025",
+ *   weekdays ("monday" is the most recent one, today included, "last friday" the one before today)
+ * - open ends: "since March 3", "after Q1", "before yesterday", "until March"
+ * Dates without a year are the most recent ones that have started. The field is the one the nearest
+ * cue word names ("closed last week", "updated since Monday", "messages from today"), else Created.
+ * @param {string} text - Request text
+ * @param {Date} now - Reference time, defaults to the current time
+ * @returns {Object|null} - { field, path, start, end, expression, label }, start or end is null for open ends
+ */
+export function parseTemporalExpression(text, now = new Date()) {
+    if (!text || typeof text !== 'string') return null;
+
+    const lowerText = text.toLowerCase();
+    const found = findRange(lowerText, now) || findPeriod(lowerText, now) || findAtom(lowerText, now);
+    if (!found) return null;
+
+    let { start, end } = found.span;
+    let expression = found.text;
+    let index = found.index;
+
+    const bound = lowerText.slice(0, index).match(BOUND_PATTERN);
+    if (bound) {
+        switch (bound[1]) {
+            case 'since': end = null; break;
+            case 'after': start = new Date(end.getTime() + 1); end = null; break;
+            case 'until': case 'till': case 'by': start = null; break;
+            default: end = before(start); start = null;
+        }
+        index = bound.index;
+        expression = lowerText.slice(index, found.index + found.text.length);
+    }
+
+    const field = findField(lowerText, index, index + expression.length);
+    return {
+        field,
+        path: DATE_FIELDS[field].path,
+        start,
+        end,
+        expression,
+        label: `${DATE_FIELDS[field].label} ${describeSpan(start, end)}`
+    };
+}
+
+/**
+ * How a date field is stored: Created and Changed are Date values, Closed and the article
+ * times are "YYYY-MM-DD HH:MM:SS.sss" strings in UTC, which compare correctly as text
+ * @param {string} path - MongoDB field path
+ * @returns {string|null} - "date", "string" or null for fields that are not dates
+ */
+export function getDateStorage(path) {
+    const field = schemaKnowledge.getFieldByPath(path);
+    if (!field) return null;
+    if (field.type === 'Date') return 'date';
+    return field.format?.startsWith('YYYY-MM-DD') ? 'string' : null;
+}
+
+/**
+ * A point in time as the given field stores it
+ * @param {string} path - MongoDB field path
+ * @param {Date} date - Point in time
+ * @returns {Date|string}
+ */
+export function toStoredDate(path, date) {
+    return getDateStorage(path) === 'string' ? date.toISOString().replace('T', ' ').replace('Z', '') : date;
+}
+
+/**
+ * Filter condition for a parsed range, with bounds in the field's storage format
+ * @param {Object} range - Result of parseTemporalExpression
+ * @returns {Object} - e.g. { "data.ticket.Closed": { $gte: "2025-03-03 00:00:00.000", $lte: "..." } }
+ */
+export function buildDateFilter(range) {
+    const condition = {};
+    if (range.start) condition.$gte = toStoredDate(range.path, range.start);
+    if (range.end) condition.$lte = toStoredDate(range.path, range.end);
+    return { [range.path]: condition };
+}
+
+/**
+ * Put a parsed range into a filter. The range replaces what the filter said about any date field,
+ * so a plan cannot keep a Created condition when the request asked about Closed.
+ * @param {Object} filter - Find filter or $match
+ * @param {Object} range - Result of parseTemporalExpression
+ * @returns {Object} - New filter
+ */
+export function mergeDateFilter(filter, range) {
+    const merged = Object.fromEntries(Object.entries(filter || {}).filter(([path]) => !DATE_FIELD_PATHS.includes(path)));
+    return { ...merged, ...buildDateFilter(range) };
+}
+
+export default {
+    DATE_FIELDS,
+    parseTemporalExpression,
+    getDateStorage,
+    toStoredDate,
+    buildDateFilter,
+    mergeDateFilter
+};
@@ -0,0 +1,190 @@
+// src/services/vectorIndex.js - Local, file-persisted vector index over ticket titles and article bodies
+import { readFile, writeFile, mkdir, rename } from 'fs/promises';
+import { dirname } from 'path';
+
+const INDEX_VERSION = 1;
+const DEFAULT_CHUNK_SIZE = 800;
+const DEFAULT_CHUNK_OVERLAP = 100;
+
+/**
+ * Split text into overlapping chunks, preferring paragraph and sentence boundaries
+ * @param {string} text - Text to split
+ * @param {number} chunkSize - Maximum characters per chunk
+ * @param {number} overlap - Characters repeated between consecutive chunks
+ * @returns {string[]} - Chunks
+ */
+export function chunkText(text, chunkSize = DEFAULT_CHUNK_SIZE, overlap = DEFAULT_CHUNK_OVERLAP) {
+    const clean = (text || '').replace(/\s+/g, ' ').trim();
+    if (!clean) return [];
+    if (clean.length <= chunkSize) return [clean];
+
+    const chunks = [];
+    let start = 0;
+    while (start < clean.length) {
+        let end = Math.min(start + chunkSize, clean.length);
+
+        if (end < clean.length) {
+            // Back off to the last sentence end or space inside the window
+            const window = clean.slice(start, end);
+            const sentenceEnd = Math.max(window.lastIndexOf('. '), window.lastIndexOf('? '), window.lastIndexOf('! '));
+            const breakAt = sentenceEnd > chunkSize / 2 ? sentenceEnd + 1 : window.lastIndexOf(' ');
+            if (breakAt > overlap) end = start + breakAt;
+        }
+
+        chunks.push(clean.slice(start, end).trim());
+        if (end >= clean.length) break;
+        start = end - overlap;
+    }
+
+    return chunks;
+}
+
+/**
+ * Turn a conversation document into indexable chunks (title + every article body)
+ * @param {Object} conversation - Conversation document
+ * @returns {Object[]} - Chunks with source, articleId and text
+ */
+export function chunkConversation(conversation) {
+    const ticket = conversation.data?.ticket || {};
+    const articles = conversation.data?.article || [];
+    const chunks = [];
+
+    if (ticket.Title) {
+        chunks.push({ source: 'title', articleId: null, text: ticket.Title });
+    }
+
+    for (const article of articles) {
+        // Prefix the subject so short bodies still carry their topic
+        const body = article.Subject && article.Subject !== ticket.Title
+            ? `${article.Subject}. ${article.Body || ''}`
+            : article.Body;
+
+        chunkText(body).forEach(text => {
+            chunks.push({ source: 'article', articleId: article.ArticleID ?? null, text });
+        });
+    }
+
+    return chunks;
+}
+
+class VectorIndex {
+    constructor(filePath = process.env.VECTOR_INDEX_PATH || 'data/vector-index.json') {
+        this.filePath = filePath;
+        this.reset();
+    }
+
+    reset(embedderId = null) {
+        this.embedderId = embedderId;
+        this.builtAt = null;
+        // TicketID -> { changed, chunks: [{ source, articleId, text, vector }] }
+        this.tickets = new Map();
+        this.loaded = false;
+    }
+
+    get ticketCount() {
+        return this.tickets.size;
+    }
+
+    get chunkCount() {
+        let count = 0;
+        for (const entry of this.tickets.values()) count += entry.chunks.length;
+        return count;
+    }
+
+    async load() {
+        if (this.loaded) return this;
+
+        try {
+            const stored = JSON.parse(await readFile(this.filePath, 'utf8'));
+            if (stored.version === INDEX_VERSION) {
+                this.embedderId = stored.embedderId;
+                this.builtAt = stored.builtAt;
+                this.tickets = new Map(Object.entries(stored.tickets || {}));
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('❌ Could not read vector index, starting empty:', error.message);
+            }
+        }
+
+        this.loaded = true;
+        return this;
+    }
+
+    async save() {
+        await mkdir(dirname(this.filePath), { recursive: true });
+
+        const payload = JSON.stringify({
+            version: INDEX_VERSION,
+            embedderId: this.embedderId,
+            builtAt: this.builtAt,
+            tickets: Object.fromEntries(this.tickets)
+        });
+
+        // Write then rename so a crash never leaves a half written index
+        const tempPath = `${this.filePath}.tmp`;
+        await writeFile(tempPath, payload, 'utf8');
+        await rename(tempPath, this.filePath);
+    }
+
+    isStale(ticketId, changed) {
+        const entry = this.tickets.get(String(ticketId));
+        return !entry || entry.changed !== changed;
+    }
+
+    upsert(ticketId, changed, chunks) {
+        this.tickets.set(String(ticketId), {
+            changed,
+            chunks: chunks.map(chunk => ({
+                ...chunk,
+                // Five decimals is plenty for ranking and keeps the file small
+                vector: chunk.vector.map(value => Math.round(value * 1e5) / 1e5)
+            }))
+        });
+    }
+
+    remove(ticketId) {
+        this.tickets.delete(String(ticketId));
+    }
+
+    /**
+     * Rank tickets by their best matching chunk
+     * @param {number[]} queryVector - Normalized query vector
+     * @param {Object} options - { k, threshold, ticketIds } where ticketIds restricts the candidates
+     * @returns {Object[]} - [{ ticketId, score, chunk }] best first
+     */
+    search(queryVector, { k = 10, threshold = 0, ticketIds = null } = {}) {
+        const allowed = ticketIds ? new Set(ticketIds.map(String)) : null;
+        const matches = [];
+
+        for (const [ticketId, entry] of this.tickets) {
+            if (allowed && !allowed.has(ticketId)) continue;
+
+            let best = null;
+            for (const chunk of entry.chunks) {
+                // Vectors are normalized at embedding time, so the dot product is the cosine
+                let score = 0;
+                for (let i = 0; i < queryVector.length; i++) score += queryVector[i] * chunk.vector[i];
+                if (!best || score > best.score) best = { score, chunk };
+            }
+
+            if (best && best.score >= threshold) {
+                matches.push({
+                    ticketId,
+                    score: best.score,
+                    chunk: { source: best.chunk.source, articleId: best.chunk.articleId, text: best.chunk.text }
+                });
+            }
+        }
+
+        return matches.sort((a, b) => b.score - a.score).slice(0, k);
+    }
+}
+
+export { VectorIndex };
+
+export default {
+    VectorIndex,
+    chunkText,
+    chunkConversation
+};
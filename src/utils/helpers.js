@@ -2,6 +2,7 @@
 /**
  * Utility functions for the Conversation AI Backend
  */
+import { parseTemporalExpression } from '../services/temporalParser.js';
 
 /**
  * Format dates consistently across the application
@@ -125,98 +126,46 @@ export function extractKeywords(text, minLength = 3) {
 }
 
 /**
- * Parse date range from natural language
+ * Parse date range from natural language (see services/temporalParser.js for what is understood)
  * @param {string} dateString - Natural language date string
- * @returns {Object} - Object with start and end dates
+ * @returns {Object} - Object with start and end dates, null when not mentioned (either end may be open)
  */
 export function parseDateRange(dateString) {
-    if (!dateString || typeof dateString !== 'string') {
-        return { start: null, end: null };
-    }
-    
-    const now = new Date();
-    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-    const lowerStr = dateString.toLowerCase();
-    
-    // Today
-    if (lowerStr.includes('today')) {
-        return {
-            start: today,
-            end: new Date(today.getTime() + 24 * 60 * 60 * 1000 - 1)
-        };
-    }
-    
-    // Yesterday
-    if (lowerStr.includes('yesterday')) {
-        const yesterday = new Date(today.getTime() - 24 * 60 * 60 * 1000);
-        return {
-            start: yesterday,
-            end: new Date(yesterday.getTime() + 24 * 60 * 60 * 1000 - 1)
-        };
-    }
-    
-    // Last week
-    if (lowerStr.includes('last week') || lowerStr.includes('past week')) {
-        const lastWeek = new Date(today.getTime() - 7 * 24 * 60 * 60 * 1000);
-        return {
-            start: lastWeek,
-            end: today
-        };
-    }
-    
-    // Last month
-    if (lowerStr.includes('last month') || lowerStr.includes('past month')) {
-        const lastMonth = new Date(today.getTime() - 30 * 24 * 60 * 60 * 1000);
-        return {
-            start: lastMonth,
-            end: today
-        };
-    }
-    
-    // This week
-    if (lowerStr.includes('this week')) {
-        const dayOfWeek = now.getDay();
-        const startOfWeek = new Date(today.getTime() - dayOfWeek * 24 * 60 * 60 * 1000);
-        return {
-            start: startOfWeek,
-            end: now
-        };
+    const range = parseTemporalExpression(dateString);
+    return range ? { start: range.start, end: range.end } : { start: null, end: null };
+}
+
+const STRIPPED_QUERY_OPERATORS = ['$where', '$expr', '$function', '$accumulator'];
+
+function sanitizeQueryValue(value) {
+    if (Array.isArray(value)) {
+        return value.map(sanitizeQueryValue);
     }
-    
-    // This month
-    if (lowerStr.includes('this month')) {
-        const startOfMonth = new Date(now.getFullYear(), now.getMonth(), 1);
-        return {
-            start: startOfMonth,
-            end: now
-        };
+    if (value && typeof value === 'object' && !(value instanceof Date) && !(value instanceof RegExp)) {
+        return sanitizeMongoQuery(value);
     }
-    
-    return { start: null, end: null };
+    return value;
 }
 
 /**
- * Sanitize MongoDB query to prevent injection
+ * Strip JavaScript-executing operators ($where, $function, ...) and $expr from a user-supplied
+ * filter, at any depth including inside $or / $and arrays. Fields, limits and regexes are
+ * checked later by queryValidator in front of every database call.
  * @param {Object} query - MongoDB query object
  * @returns {Object} - Sanitized query
  */
 export function sanitizeMongoQuery(query) {
-    if (!query || typeof query !== 'object') return {};
+    if (!query || typeof query !== 'object' || Array.isArray(query)) return {};
     
     const sanitized = {};
     
     for (const [key, value] of Object.entries(query)) {
         // Skip dangerous operators
-        if (key.startsWith('$') && ['$where', '$expr', '$function'].includes(key)) {
+        if (STRIPPED_QUERY_OPERATORS.includes(key)) {
             continue;
         }
         
-        // Recursively sanitize nested objects
-        if (value && typeof value === 'object' && !Array.isArray(value)) {
-            sanitized[key] = sanitizeMongoQuery(value);
-        } else {
-            sanitized[key] = value;
-        }
+        sanitized[key] = sanitizeQueryValue(value);
     }
     
     return sanitized;
@@ -310,9 +259,10 @@ export function logPerformance(operation, startTime, metadata = {}) {
  * @param {Function} fn - Function to retry
  * @param {number} maxRetries - Maximum number of retries
  * @param {number} baseDelay - Base delay in milliseconds
+ * @param {Function} shouldRetry - Optional (error) => boolean, false gives up at once
  * @returns {Promise} - Promise that resolves when function succeeds or max retries reached
  */
-export async function retryWithBackoff(fn, maxRetries = 3, baseDelay = 1000) {
+export async function retryWithBackoff(fn, maxRetries = 3, baseDelay = 1000, shouldRetry = () => true) {
     let lastError;
     
     for (let i = 0; i <= maxRetries; i++) {
@@ -321,7 +271,7 @@ export async function retryWithBackoff(fn, maxRetries = 3, baseDelay = 1000) {
         } catch (error) {
             lastError = error;
             
-            if (i === maxRetries) {
+            if (i === maxRetries || !shouldRetry(error)) {
                 throw lastError;
             }
             
@@ -333,6 +283,65 @@ export async function retryWithBackoff(fn, maxRetries = 3, baseDelay = 1000) {
     throw lastError;
 }
 
+/**
+ * Reject a promise that does not settle within a time limit
+ * @param {Promise} promise - Promise to race
+ * @param {number} ms - Time limit in milliseconds
+ * @param {string} label - Operation name used in the timeout error
+ * @returns {Promise} - Promise that rejects with a timeout error after ms
+ */
+export function withTimeout(promise, ms, label = 'Operation') {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`${label} timed out after ${ms}ms`)), ms);
+    });
+
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Rough token count for budgeting prompts (about 4 characters per token for English text)
+ * @param {string} text - Text to measure
+ * @returns {number} - Estimated token count
+ */
+export function estimateTokens(text) {
+    if (!text || typeof text !== 'string') return 0;
+    return Math.ceil(text.length / 4);
+}
+
+/**
+ * The field that changes whenever a ticket is modified
+ * @param {Object} conversation - Conversation document (updatedAt or data.ticket.Changed)
+ * @returns {string} - Comparable version string, empty when the ticket has neither
+ */
+export function ticketVersion(conversation) {
+    const version = conversation.updatedAt ?? conversation.data?.ticket?.Changed ?? '';
+    return version instanceof Date ? version.toISOString() : String(version);
+}
+
+/**
+ * Map over items with at most `limit` calls in flight, keeping the input order
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent calls
+ * @param {Function} fn - Async mapper (item, index) => result
+ * @returns {Promise<Array>} - Results in input order
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    };
+
+    const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker);
+    await Promise.all(workers);
+    return results;
+}
+
 export default {
     formatDate,
     timeAgo,
@@ -346,5 +355,9 @@ export default {
     formatConversationForDisplay,
     isValidConversationId,
     logPerformance,
-    retryWithBackoff
+    retryWithBackoff,
+    withTimeout,
+    estimateTokens,
+    ticketVersion,
+    mapWithConcurrency
 };
\ No newline at end of file
@@ -0,0 +1,63 @@
+// src/utils/sse.js - Server-Sent Events helpers for streaming chat progress
+const HEARTBEAT_INTERVAL_MS = 15000;
+
+/**
+ * Whether the client asked for an event stream instead of a single JSON response
+ * @param {Object} req - Express request
+ * @returns {boolean}
+ */
+export function wantsEventStream(req) {
+    return (req.get('accept') || '').includes('text/event-stream');
+}
+
+/**
+ * Switch a response into an event stream
+ * @param {Object} res - Express response
+ * @returns {Object} - { send(event, data), close(), isClosed() }
+ */
+export function openEventStream(res) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        // Stop nginx style proxies from buffering the stream until it ends
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    let closed = false;
+
+    // Comment lines keep idle proxies from dropping the connection during long model calls
+    const heartbeat = setInterval(() => {
+        if (!closed) res.write(': keep-alive\n\n');
+    }, HEARTBEAT_INTERVAL_MS);
+
+    // The response closes when the client disconnects - stop writing to it
+    res.on('close', () => {
+        closed = true;
+        clearInterval(heartbeat);
+    });
+
+    return {
+        send(event, data) {
+            if (closed) return false;
+            res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+            return true;
+        },
+        close() {
+            clearInterval(heartbeat);
+            if (!closed) {
+                closed = true;
+                res.end();
+            }
+        },
+        isClosed() {
+            return closed;
+        }
+    };
+}
+
+export default {
+    wantsEventStream,
+    openEventStream
+};
@@ -0,0 +1,77 @@
+// test/clarification.test.js - Missing slots, clarification options and merging the user's answer
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    findMissingSlot,
+    buildClarificationOptions,
+    formatClarification,
+    mergeClarificationReply,
+    MAX_CLARIFICATION_ATTEMPTS
+} from '../src/services/clarification.js';
+
+describe('findMissingSlot', () => {
+    it('asks for a ticket when there is nothing to point at', () => {
+        assert.equal(findMissingSlot({ action: 'summarize', confidence: 0.9 }, 'summarize the ticket'), 'ticket');
+        assert.equal(findMissingSlot({ action: 'last_message', confidence: 0.9 }, 'what did he say?'), 'ticket');
+    });
+
+    it('does not ask for a ticket the request or session already has', () => {
+        assert.equal(findMissingSlot({ action: 'summarize', confidence: 0.9 }, 'summarize ticket 13000030'), null);
+        assert.equal(findMissingSlot({ action: 'summarize', confidence: 0.9 }, 'summarize the ticket', { lastResultIds: [13000030] }), null);
+    });
+
+    it('asks for a period instead of guessing "recently"', () => {
+        assert.equal(findMissingSlot({ action: 'query', confidence: 0.9 }, 'tickets closed recently'), 'timeRange');
+        assert.equal(findMissingSlot({ action: 'query', confidence: 0.9 }, 'tickets closed recently, since March 3'), null);
+    });
+
+    it('confirms low-confidence decisions once', () => {
+        assert.equal(findMissingSlot({ action: 'query', confidence: 0.3 }, 'stuff'), 'intent');
+        assert.equal(findMissingSlot({ action: 'query', confidence: 0.3 }, 'stuff', {}, 1), null);
+    });
+
+    it('stops asking after the maximum number of questions', () => {
+        assert.equal(findMissingSlot({ action: 'summarize' }, 'summarize the ticket', {}, MAX_CLARIFICATION_ATTEMPTS), null);
+    });
+
+    it('ignores actions that need no slots', () => {
+        assert.equal(findMissingSlot({ action: 'chat', confidence: 0.1 }, 'hi'), null);
+    });
+});
+
+describe('buildClarificationOptions / formatClarification', () => {
+    it('offers candidate tickets', () => {
+        const options = buildClarificationOptions('ticket', 'summarize it', [{ data: { ticket: { TicketID: 13000030, TicketNumber: '2025010610000001', Title: 'Refund' } } }]);
+        assert.deepEqual(options, [{ label: 'Ticket 13000030 (2025010610000001) - Refund', value: '13000030' }]);
+    });
+
+    it('numbers the options under the question', () => {
+        const text = formatClarification('Which one?', [{ label: 'A', value: 'a' }, { label: 'B', value: 'b' }]);
+        assert.equal(text, 'Which one?\n\n1. A\n2. B\n\nReply with a number, or just tell me.');
+        assert.equal(formatClarification('Which one?'), 'Which one?');
+    });
+});
+
+describe('mergeClarificationReply', () => {
+    it('completes a ticket question with an ID, a picked option or an email', () => {
+        const state = { slot: 'ticket', originalMessage: 'summarize the ticket?', options: [{ label: 'Ticket 13000030', value: '13000030' }] };
+        assert.deepEqual(mergeClarificationReply(state, '1'), { merged: true, message: 'summarize the ticket for ticket 13000030' });
+        assert.deepEqual(mergeClarificationReply(state, 'it is 13000099'), { merged: true, message: 'summarize the ticket for ticket 13000099' });
+        assert.deepEqual(mergeClarificationReply(state, 'Anna@Example.com'), { merged: true, message: 'summarize the ticket for customer anna@example.com' });
+        assert.deepEqual(mergeClarificationReply(state, 'never mind'), { merged: false, message: 'never mind' });
+    });
+
+    it('replaces the vague time with the chosen period', () => {
+        const state = { slot: 'timeRange', originalMessage: 'tickets closed recently', options: buildClarificationOptions('timeRange', 'tickets closed recently') };
+        assert.deepEqual(mergeClarificationReply(state, '4'), { merged: true, message: 'tickets closed from last week' });
+        assert.deepEqual(mergeClarificationReply(state, 'march 2025.'), { merged: true, message: 'tickets closed from march 2025' });
+    });
+
+    it('adds short details to the original request but treats a sentence as a new request', () => {
+        const state = { slot: 'intent', originalMessage: 'stuff', options: buildClarificationOptions('intent', 'stuff') };
+        assert.deepEqual(mergeClarificationReply(state, '3'), { merged: true, message: 'how many tickets per queue' });
+        assert.deepEqual(mergeClarificationReply(state, 'about billing'), { merged: true, message: 'stuff about billing' });
+        const sentence = 'show me every ticket that was opened by anna';
+        assert.deepEqual(mergeClarificationReply(state, sentence), { merged: false, message: sentence });
+    });
+});
@@ -0,0 +1,51 @@
+// test/intentRules.test.js - Fast-path intent rules and the slots they extract
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { RuleClassifier } from '../src/intents/intentClassifier.js';
+
+const classifier = new RuleClassifier();
+const withResults = { lastResultIds: [13000001, 13000002], lastQuery: { type: 'find', filter: {} } };
+
+function classify(message, context = {}) {
+    const result = classifier.classify(message, context);
+    return result ? { intent: result.intent.name, slots: result.slots } : null;
+}
+
+describe('RuleClassifier', () => {
+    it('routes counts of tickets and customers to a query', () => {
+        for (const message of ['how many tickets are open', 'how many customers do we have', 'number of tickets per queue', 'how many ticket is that']) {
+            assert.equal(classify(message)?.intent, 'query', message);
+        }
+    });
+
+    it('extracts ticket IDs', () => {
+        assert.deepEqual(classify('summarize ticket 13000030'), { intent: 'summarize', slots: { ticketId: '13000030' } });
+        assert.deepEqual(classify('tickets similar to 13000030'), { intent: 'find_similar', slots: { ticketId: '13000030' } });
+        assert.deepEqual(classify('what was the last message on ticket 13000030'), {
+            intent: 'last_message',
+            slots: { ticketId: '13000030', customer: null }
+        });
+    });
+
+    it('extracts the topic of a semantic search', () => {
+        assert.deepEqual(classify('find tickets about refunds'), { intent: 'semantic_search', slots: { searchQuery: 'refunds' } });
+    });
+
+    it('unwraps explain-query requests', () => {
+        assert.deepEqual(classify('explain query: show open tickets'), { intent: 'explain_query', slots: { request: 'show open tickets' } });
+    });
+
+    it('only refines when there are previous results', () => {
+        assert.equal(classify('only the billing ones', withResults)?.intent, 'refine_query');
+        assert.notEqual(classify('only the billing ones')?.intent, 'refine_query');
+    });
+
+    it('treats a bare "see more" as pagination but not a new time period', () => {
+        assert.equal(classify('see more', withResults)?.intent, 'continue_query');
+        assert.notEqual(classify("show next week's tickets", withResults)?.intent, 'continue_query');
+    });
+
+    it('recognizes greetings', () => {
+        assert.equal(classify('hello')?.intent, 'greeting');
+    });
+});
@@ -0,0 +1,127 @@
+// test/queryRefinement.test.js - Follow-up detection, refinement extraction and merging into the previous plan
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { isRefinementRequest, extractRefinement, applyRefinement, describePlanCriteria } from '../src/services/queryRefinement.js';
+
+const openHighPriority = {
+    type: 'find',
+    filter: { 'data.ticket.StateType': 'open', 'data.ticket.PriorityID': { $gte: 4 } },
+    options: { sort: { 'data.ticket.Created': -1 }, limit: 50 },
+    explanation: 'Open high priority tickets'
+};
+
+describe('isRefinementRequest', () => {
+    it('recognizes follow-ups that narrow or re-sort the previous results', () => {
+        for (const message of ['only the high priority ones', 'just the billing ones', 'of those, the urgent ones', 'sort them by priority', 'exclude closed']) {
+            assert.equal(isRefinementRequest(message), true, message);
+        }
+    });
+
+    it('leaves new requests alone', () => {
+        for (const message of ['show open tickets', 'how many tickets per queue', 'summarize ticket 13000030']) {
+            assert.equal(isRefinementRequest(message), false, message);
+        }
+    });
+});
+
+describe('extractRefinement', () => {
+    it('reads metadata constraints', () => {
+        assert.deepEqual(extractRefinement('only the high priority ones'), {
+            filter: { 'data.ticket.PriorityID': { $gte: 4 } },
+            criteria: ['high priority (4-5)'],
+            sort: null,
+            sortLabel: null
+        });
+    });
+
+    it('keeps the fields named in a sort clause out of the filter', () => {
+        const refinement = extractRefinement('just the billing ones sorted by priority');
+        assert.deepEqual(refinement.filter, { 'data.ticket.Queue': 'Billing Support' });
+        assert.deepEqual(refinement.sort, { 'data.ticket.PriorityID': -1 });
+        assert.equal(refinement.sortLabel, 'sorted by priority (highest first)');
+    });
+
+    it('sorts dates oldest first when asked', () => {
+        assert.deepEqual(extractRefinement('sort them by oldest').sort, { 'data.ticket.Created': 1 });
+    });
+
+    it('turns exclusions into negated status conditions', () => {
+        assert.deepEqual(extractRefinement('exclude closed').filter, { 'data.ticket.StateType': { $ne: 'closed' } });
+        assert.deepEqual(extractRefinement('without the open ones').filter, { 'data.ticket.StateType': { $nin: ['open', 'new', 'pending'] } });
+    });
+
+    it('filters the date field the follow-up names', () => {
+        const refinement = extractRefinement('of those, the ones closed yesterday');
+        assert.ok(refinement.filter['data.ticket.Closed'].$gte);
+        assert.ok(refinement.filter['data.ticket.Closed'].$lte);
+        assert.equal(refinement.filter['data.ticket.Created'], undefined);
+    });
+
+    it('returns null when nothing usable was found', () => {
+        assert.equal(extractRefinement('what about the weather'), null);
+    });
+});
+
+describe('applyRefinement', () => {
+    it('adds new constraints to a find plan and re-sorts it', () => {
+        const plan = applyRefinement(openHighPriority, extractRefinement('only the billing ones sorted by priority'));
+        assert.deepEqual(plan, {
+            type: 'find',
+            filter: { 'data.ticket.StateType': 'open', 'data.ticket.PriorityID': { $gte: 4 }, 'data.ticket.Queue': 'Billing Support' },
+            options: { sort: { 'data.ticket.PriorityID': -1 }, limit: 50 },
+            explanation: 'Open high priority tickets (refined)',
+            refinedFrom: 'Open high priority tickets',
+            source: 'refinement'
+        });
+    });
+
+    it('replaces an earlier constraint on the same field', () => {
+        const plan = applyRefinement(openHighPriority, extractRefinement('exclude open'));
+        assert.deepEqual(plan.filter['data.ticket.StateType'], { $nin: ['open', 'new', 'pending'] });
+        assert.deepEqual(plan.filter['data.ticket.PriorityID'], { $gte: 4 });
+    });
+
+    it('describes the original request when refining twice', () => {
+        const once = applyRefinement(openHighPriority, extractRefinement('only the billing ones'));
+        const twice = applyRefinement(once, extractRefinement('sort them by oldest'));
+        assert.equal(twice.explanation, 'Open high priority tickets (refined)');
+        assert.equal(twice.refinedFrom, 'Open high priority tickets');
+        assert.deepEqual(twice.options.sort, { 'data.ticket.Created': 1 });
+    });
+
+    it('merges into the leading $match of an aggregation', () => {
+        const countPerQueue = {
+            type: 'aggregate',
+            pipeline: [{ $match: { 'data.ticket.StateType': 'open' } }, { $group: { _id: '$data.ticket.Queue', count: { $sum: 1 } } }],
+            explanation: 'Count per queue'
+        };
+        const plan = applyRefinement(countPerQueue, extractRefinement('only the billing ones'));
+        assert.deepEqual(plan.pipeline[0], { $match: { 'data.ticket.StateType': 'open', 'data.ticket.Queue': 'Billing Support' } });
+        assert.equal(plan.pipeline.length, 2);
+    });
+
+    it('adds a $match to an aggregation that had none', () => {
+        const plan = applyRefinement(
+            { type: 'aggregate', pipeline: [{ $group: { _id: '$data.ticket.Queue', count: { $sum: 1 } } }], explanation: 'Count per queue' },
+            extractRefinement('only the billing ones')
+        );
+        assert.deepEqual(plan.pipeline[0], { $match: { 'data.ticket.Queue': 'Billing Support' } });
+    });
+
+    it('narrows search results by their ticket IDs', () => {
+        const plan = applyRefinement({ hybridSearch: 'refund' }, extractRefinement('only closed ones'), [1, 2, 3]);
+        assert.deepEqual(plan.filter, { 'data.ticket.TicketID': { $in: [1, 2, 3] }, 'data.ticket.StateType': 'closed' });
+        assert.equal(plan.options.limit, 3);
+        assert.equal(plan.refinedFrom, 'tickets related to "refund"');
+    });
+
+    it('returns null without previous results', () => {
+        assert.equal(applyRefinement(null, extractRefinement('only closed ones'), []), null);
+    });
+});
+
+describe('describePlanCriteria', () => {
+    it('lists filters and sort in words', () => {
+        assert.deepEqual(describePlanCriteria(openHighPriority), ['status open', 'priority >= 4', 'sorted by created descending']);
+    });
+});
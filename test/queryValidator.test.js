@@ -0,0 +1,183 @@
+// test/queryValidator.test.js - Allowlist checks for generated MongoDB filters and pipelines
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    validateFind,
+    validatePipeline,
+    assertValidFind,
+    assertValidPipeline,
+    checkRegex,
+    QueryValidationError,
+    MAX_QUERY_LIMIT,
+    MAX_REGEX_LENGTH
+} from '../src/services/queryValidator.js';
+
+// The reasons must name what was rejected so the query model can fix its plan
+function assertRejected(result, pattern) {
+    assert.equal(result.valid, false);
+    assert.ok(result.reasons.some(reason => pattern.test(reason)), `no reason matches ${pattern}: ${result.reasons.join('; ')}`);
+}
+
+describe('validateFind', () => {
+    it('accepts schema fields with allowed operators and options', () => {
+        const result = validateFind(
+            {
+                'data.ticket.Queue': 'Billing Support',
+                'data.ticket.State': { $in: ['open', 'new'] },
+                $or: [{ 'data.ticket.Priority': /high/i }, { 'data.article.Body': { $regex: 'refund', $options: 'i' } }]
+            },
+            { sort: { 'data.ticket.Created': -1 }, limit: 20, projection: { 'data.ticket.Title': 1 } }
+        );
+        assert.deepEqual(result, { valid: true, reasons: [] });
+    });
+
+    it('rejects unknown fields and suggests the schema field', () => {
+        assertRejected(validateFind({ 'data.ticket.status': 'open' }), /unknown field "data\.ticket\.status" \(did you mean "data\.ticket\.State"\?\)/);
+    });
+
+    it('rejects operators outside the allowlist', () => {
+        assertRejected(validateFind({ 'data.ticket.Title': { $geoWithin: {} } }), /operator \$geoWithin is not allowed/);
+        assertRejected(validateFind({ $comment: 'x' }), /operator \$comment is not allowed here/);
+    });
+
+    it('rejects server-side JavaScript', () => {
+        assertRejected(validateFind({ $where: 'this.data.ticket.State == "open"' }), /\$where runs JavaScript/);
+        assertRejected(
+            validateFind({ $expr: { $function: { body: 'return true', args: [], lang: 'js' } } }),
+            /\$function runs JavaScript/
+        );
+    });
+
+    it('rejects unknown options', () => {
+        assertRejected(validateFind({}, { hint: { _id: 1 } }), /options: hint not allowed/);
+    });
+
+    it('bounds the limit', () => {
+        assert.equal(validateFind({}, { limit: 1 }).valid, true);
+        assert.equal(validateFind({}, { limit: MAX_QUERY_LIMIT }).valid, true);
+        for (const limit of [0, -5, MAX_QUERY_LIMIT + 1, 2.5, '10']) {
+            assertRejected(validateFind({}, { limit }), /options\.limit: limit must be an integer between 1 and/);
+        }
+    });
+
+    it('rejects catastrophic regexes in filters', () => {
+        assertRejected(validateFind({ 'data.ticket.Title': { $regex: '(a+)+$' } }), /nests unbounded quantifiers/);
+        assertRejected(validateFind({ 'data.ticket.Title': { $in: [/(\w*)*x/] } }), /nests unbounded quantifiers/);
+    });
+});
+
+describe('validatePipeline', () => {
+    it('accepts a grouped count and tracks computed fields', () => {
+        const result = validatePipeline([
+            { $match: { 'data.ticket.State': 'open' } },
+            { $group: { _id: '$data.ticket.Queue', count: { $sum: 1 } } },
+            { $sort: { count: -1 } },
+            { $limit: 10 }
+        ]);
+        assert.deepEqual(result, { valid: true, reasons: [] });
+    });
+
+    it('rejects schema fields after $group replaced the documents', () => {
+        assertRejected(
+            validatePipeline([{ $group: { _id: '$data.ticket.Queue', count: { $sum: 1 } } }, { $sort: { 'data.ticket.Created': -1 } }]),
+            /does not exist after \$group/
+        );
+    });
+
+    it('rejects $out and $merge', () => {
+        assertRejected(validatePipeline([{ $match: {} }, { $out: 'stolen' }]), /\$out writes to a collection/);
+        assertRejected(validatePipeline([{ $merge: { into: 'conversations' } }]), /\$merge writes to a collection/);
+    });
+
+    it('only joins the conversations collection', () => {
+        assertRejected(
+            validatePipeline([{ $lookup: { from: 'users', localField: 'data.ticket.CustomerID', foreignField: '_id', as: 'user' } }]),
+            /\$lookup reads collection "users"/
+        );
+        assertRejected(validatePipeline([{ $unionWith: 'sessions' }]), /\$unionWith reads collection "sessions"/);
+        assertRejected(
+            validatePipeline([{ $graphLookup: { from: 'users', startWith: '$data.ticket.CustomerID', connectFromField: 'data.ticket.CustomerID', connectToField: 'data.ticket.CustomerID', as: 'chain' } }]),
+            /\$graphLookup reads collection "users"/
+        );
+        assert.equal(
+            validatePipeline([{ $lookup: { from: 'conversations', localField: 'data.ticket.CustomerID', foreignField: 'data.ticket.CustomerID', as: 'sameCustomer' } }]).valid,
+            true
+        );
+    });
+
+    it('checks pipelines nested in joins', () => {
+        assertRejected(
+            validatePipeline([{ $lookup: { from: 'conversations', pipeline: [{ $out: 'copy' }], as: 'copy' } }]),
+            /\$out writes to a collection/
+        );
+    });
+
+    it('rejects stages and accumulators outside the allowlist', () => {
+        assertRejected(validatePipeline([{ $collStats: {} }]), /stage \$collStats is not allowed/);
+        assertRejected(
+            validatePipeline([{ $group: { _id: null, all: { $accumulator: {} } } }]),
+            /\$accumulator runs JavaScript/
+        );
+        assertRejected(validatePipeline([{ $group: { _id: null, all: { $stdDevPop: '$data.ticket.TicketID' } } }]), /accumulator \$stdDevPop is not allowed/);
+    });
+
+    it('bounds $limit and the number of stages', () => {
+        assertRejected(validatePipeline([{ $limit: 0 }]), /limit must be an integer between 1 and/);
+        assertRejected(validatePipeline([{ $limit: MAX_QUERY_LIMIT + 1 }]), /limit must be an integer between 1 and/);
+        assertRejected(validatePipeline(Array.from({ length: 11 }, () => ({ $match: {} }))), /stages \(max \d+\)/);
+        assertRejected(validatePipeline([]), /non-empty array of stages/);
+    });
+
+    it('rejects catastrophic regexes in expressions', () => {
+        assertRejected(
+            validatePipeline([{ $match: { $expr: { $regexMatch: { input: '$data.ticket.Title', regex: '(x+x+)+y' } } } }]),
+            /nests unbounded quantifiers/
+        );
+    });
+});
+
+describe('checkRegex', () => {
+    it('accepts ordinary patterns', () => {
+        for (const pattern of ['refund', '^billing', 'error [0-9]+', 'log(in|out)', /password reset/i, '(ab)+c', 'a{2,5}']) {
+            assert.equal(checkRegex(pattern), null, String(pattern));
+        }
+    });
+
+    it('rejects nested unbounded quantifiers', () => {
+        for (const pattern of ['(a+)+', '(a*)*b', '(\\d+)*$', '((ab)+)+', '(a{1,})+', '(.*a){2,}']) {
+            assert.match(checkRegex(pattern), /nests unbounded quantifiers/, pattern);
+        }
+    });
+
+    it('rejects alternations under an unbounded quantifier', () => {
+        for (const pattern of ['(a|aa)+$', '(a|a)*b', '(\\w|\\d)+x', '(?:foo|bar){2,}', '((a|b)c)+']) {
+            assert.match(checkRegex(pattern), /repeats an alternation|nests unbounded quantifiers/, pattern);
+        }
+        // Alternations that are not repeated, and "|" inside a character class, are fine
+        for (const pattern of ['(a|aa)$', '(open|closed)?', '[a|b]+', 'a\\|b+']) {
+            assert.equal(checkRegex(pattern), null, pattern);
+        }
+    });
+
+    it('rejects backreferences, wildcard chains, overlong and invalid patterns', () => {
+        assert.match(checkRegex('(a)\\1'), /backreference/);
+        assert.match(checkRegex('(?<word>a)\\k<word>'), /backreference/);
+        assert.match(checkRegex('a.*b.*c.*d.*e'), /4 ".\*" wildcards/);
+        assert.match(checkRegex('a'.repeat(MAX_REGEX_LENGTH + 1)), /characters long/);
+        assert.match(checkRegex('(unclosed'), /is invalid/);
+        assert.match(checkRegex(42), /must be a string/);
+    });
+});
+
+describe('assertValidFind / assertValidPipeline', () => {
+    it('throw a QueryValidationError carrying the reasons', () => {
+        assert.throws(() => assertValidFind({ $where: '1' }), (error) => {
+            assert.ok(error instanceof QueryValidationError);
+            assert.match(error.message, /^Query rejected: /);
+            assert.equal(error.reasons.length, 1);
+            return true;
+        });
+        assert.throws(() => assertValidPipeline([{ $out: 'x' }]), QueryValidationError);
+        assert.doesNotThrow(() => assertValidPipeline([{ $count: 'count' }]));
+    });
+});
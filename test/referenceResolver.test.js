@@ -0,0 +1,84 @@
+// test/referenceResolver.test.js - Rewriting "it", "the second one", "his tickets" into session entities
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveReferences, describeInterpretations, getReferenceTargets, extractFocusEntities } from '../src/services/referenceResolver.js';
+
+const session = {
+    context: { lastTicketId: '13000030', lastCustomer: 'anna@example.com', lastQueue: 'Billing Support' },
+    lastResultIds: [13000001, 13000002, 13000003]
+};
+
+function resolved(message, context = session) {
+    return resolveReferences(message, context).message;
+}
+
+describe('resolveReferences', () => {
+    it('points "it" and "this ticket" at the ticket in focus', () => {
+        assert.equal(resolved('summarize it'), 'summarize ticket 13000030');
+        assert.equal(resolved('tickets similar to it'), 'tickets similar to ticket 13000030');
+        assert.equal(resolved('who owns this ticket'), 'who owns ticket 13000030');
+    });
+
+    it('only reads "is/was/has it" as the ticket when a ticket state follows', () => {
+        assert.equal(resolved('was it resolved?'), 'was ticket 13000030 resolved?');
+        assert.equal(resolved('has it been closed yet'), 'has ticket 13000030 been closed yet');
+        assert.equal(resolved('is it still open'), 'is ticket 13000030 still open');
+        for (const message of ['is it possible to list open tickets?', 'does it matter', 'was it hard']) {
+            assert.equal(resolved(message), message);
+        }
+    });
+
+    it('picks ordinals from the previous results', () => {
+        assert.equal(resolved('show me the second one'), 'show me ticket 13000002');
+        assert.equal(resolved('what did the last ticket say'), 'what did ticket 13000003 say');
+    });
+
+    it('points customer pronouns and "that queue" at the session entities', () => {
+        assert.equal(resolved('show his other tickets'), "show customer anna@example.com's other tickets");
+        assert.equal(resolved('email her'), 'email customer anna@example.com');
+        assert.equal(resolved('tickets in that queue'), 'tickets in the Billing Support queue');
+    });
+
+    it('leaves messages that name their own ticket or customer alone', () => {
+        assert.equal(resolved('summarize ticket 13000099 and compare it'), 'summarize ticket 13000099 and compare it');
+        assert.equal(resolved('show his tickets for bob@example.com'), 'show his tickets for bob@example.com');
+    });
+
+    it('changes nothing without a session to refer to', () => {
+        const result = resolveReferences('summarize it', {});
+        assert.deepEqual(result, { message: 'summarize it', originalMessage: 'summarize it', resolved: false, interpretations: [] });
+    });
+
+    it('explains how references were read', () => {
+        const { interpretations } = resolveReferences('summarize it for him', session);
+        assert.equal(describeInterpretations(interpretations), "Interpreting 'it' as ticket 13000030 and 'him' as customer anna@example.com");
+        assert.equal(describeInterpretations([]), '');
+    });
+});
+
+describe('getReferenceTargets', () => {
+    it('treats a single previous result as "it"', () => {
+        assert.equal(getReferenceTargets({ lastResultIds: [13000005] }).ticketId, 13000005);
+        assert.equal(getReferenceTargets({ lastResultIds: [13000005, 13000006] }).ticketId, null);
+    });
+});
+
+describe('extractFocusEntities', () => {
+    const ticket = (TicketID, CustomerID, Queue) => ({ data: { ticket: { TicketID, TicketNumber: `N${TicketID}`, CustomerID, Queue } } });
+
+    it('focuses a single result', () => {
+        assert.deepEqual(extractFocusEntities({}, [ticket(13000001, 'anna@example.com', 'Billing Support')]), {
+            ticketId: '13000001',
+            ticketNumber: 'N13000001',
+            customer: 'anna@example.com',
+            queue: 'Billing Support'
+        });
+    });
+
+    it('drops the ticket for several results but keeps what they share', () => {
+        assert.deepEqual(
+            extractFocusEntities({}, [ticket(13000001, 'anna@example.com', 'Billing Support'), ticket(13000002, 'bob@example.com', 'Billing Support')]),
+            { ticketId: null, ticketNumber: null, customer: undefined, queue: 'Billing Support' }
+        );
+    });
+});
@@ -0,0 +1,125 @@
+// test/temporalParser.test.js - Date ranges read from requests and the filters they become
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseTemporalExpression, buildDateFilter, mergeDateFilter } from '../src/services/temporalParser.js';
+
+// Monday, 19 October 2026, 14:30 local time - ranges are built in local time, so expectations are too
+const now = new Date(2026, 9, 19, 14, 30);
+const endOfDay = (year, month, day) => new Date(year, month, day, 23, 59, 59, 999);
+
+function parse(text) {
+    return parseTemporalExpression(text, now);
+}
+
+function assertSpan(text, start, end) {
+    const range = parse(text);
+    assert.ok(range, `no range in "${text}"`);
+    assert.deepEqual([range.start, range.end], [start, end], text);
+}
+
+describe('parseTemporalExpression', () => {
+    it('reads single days', () => {
+        assertSpan('tickets from 2025-03-05', new Date(2025, 2, 5), endOfDay(2025, 2, 5));
+        assertSpan('messages from today', new Date(2026, 9, 19), endOfDay(2026, 9, 19));
+        assertSpan("yesterday's closed tickets", new Date(2026, 9, 18), endOfDay(2026, 9, 18));
+        assertSpan('tickets 3 days ago', new Date(2026, 9, 16), endOfDay(2026, 9, 16));
+    });
+
+    it('reads months, quarters and years, defaulting to the most recent one that started', () => {
+        assertSpan('tickets in march', new Date(2026, 2, 1), endOfDay(2026, 2, 31));
+        assertSpan('tickets during may', new Date(2026, 4, 1), endOfDay(2026, 4, 31));
+        assertSpan('how many tickets in Q2', new Date(2026, 3, 1), endOfDay(2026, 5, 30));
+        assertSpan('q3 2025 tickets', new Date(2025, 6, 1), endOfDay(2025, 8, 30));
+        assertSpan('the second quarter of 2025', new Date(2025, 3, 1), endOfDay(2025, 5, 30));
+        assertSpan('last quarter', new Date(2026, 6, 1), endOfDay(2026, 8, 30));
+        assertSpan('last year', new Date(2025, 0, 1), endOfDay(2025, 11, 31));
+    });
+
+    it('reads ranges, crossing the year when the end comes first', () => {
+        assertSpan('tickets created between March 3 and 10', new Date(2026, 2, 3), endOfDay(2026, 2, 10));
+        assertSpan('between december 20 and january 5', new Date(2025, 11, 20), endOfDay(2026, 0, 5));
+        assertSpan('from march 3 until today', new Date(2026, 2, 3), now);
+    });
+
+    it('reads rolling periods up to now', () => {
+        assertSpan('show me tickets from the last 48 hours', new Date(2026, 9, 17, 14, 30), now);
+        assertSpan('tickets closed last week', new Date(2026, 9, 12), now);
+        assertSpan('this month', new Date(2026, 9, 1), now);
+        assertSpan('ytd', new Date(2026, 0, 1), now);
+    });
+
+    it('reads open-ended ranges', () => {
+        assertSpan('tickets updated since March 3', new Date(2026, 2, 3), null);
+        assertSpan('tickets after march 2025', new Date(2025, 3, 1), null);
+        assertSpan('tickets before yesterday', null, endOfDay(2026, 9, 17));
+        assertSpan('until the 3rd of march', null, endOfDay(2026, 2, 3));
+    });
+
+    it('reads weekdays - a bare name includes today, "last" skips it', () => {
+        assertSpan('updated on monday', new Date(2026, 9, 19), endOfDay(2026, 9, 19));
+        assertSpan('last monday', new Date(2026, 9, 12), endOfDay(2026, 9, 12));
+        assertSpan('tickets from last friday', new Date(2026, 9, 16), endOfDay(2026, 9, 16));
+    });
+
+    it('only reads a bare year where it can be a time', () => {
+        assertSpan('tickets from 2024', new Date(2024, 0, 1), endOfDay(2024, 11, 31));
+        assertSpan('tickets from 2024 sorted by priority', new Date(2024, 0, 1), endOfDay(2024, 11, 31));
+        assertSpan('tickets for 2025', new Date(2025, 0, 1), endOfDay(2025, 11, 31));
+        assert.equal(parse('tickets for 2025 customers'), null);
+        assert.equal(parse('ticket 2025082010043337'), null);
+    });
+
+    it('ignores words that only look like dates', () => {
+        for (const text of ['may I see open tickets', 'tickets from customer x@y.com', 'sort by priority']) {
+            assert.equal(parse(text), null, text);
+        }
+    });
+
+    it('picks the date field from the nearest cue word', () => {
+        assert.equal(parse('tickets closed last week').field, 'closed');
+        assert.equal(parse('tickets updated since March 3').field, 'changed');
+        assert.equal(parse('messages from today').field, 'message');
+        assert.equal(parse('tickets in march').field, 'created');
+    });
+
+    it('labels the range and keeps the matched expression', () => {
+        const range = parse('tickets updated since March 3');
+        assert.equal(range.expression, 'since march 3');
+        assert.equal(range.label, 'changed since 2026-03-03');
+        assert.equal(range.path, 'data.ticket.Changed');
+    });
+});
+
+describe('buildDateFilter', () => {
+    it('uses Date bounds for Created and Changed', () => {
+        assert.deepEqual(buildDateFilter(parse('tickets in march')), {
+            'data.ticket.Created': { $gte: new Date(2026, 2, 1), $lte: endOfDay(2026, 2, 31) }
+        });
+    });
+
+    it('uses stored UTC strings for Closed and message times', () => {
+        const stored = (date) => date.toISOString().replace('T', ' ').replace('Z', '');
+        assert.deepEqual(buildDateFilter(parse("yesterday's closed tickets")), {
+            'data.ticket.Closed': { $gte: stored(new Date(2026, 9, 18)), $lte: stored(endOfDay(2026, 9, 18)) }
+        });
+        assert.deepEqual(buildDateFilter(parse('messages from today')), {
+            'data.article.CreateTime': { $gte: stored(new Date(2026, 9, 19)), $lte: stored(endOfDay(2026, 9, 19)) }
+        });
+    });
+
+    it('leaves out the missing bound of an open range', () => {
+        assert.deepEqual(buildDateFilter(parse('tickets updated since March 3')), {
+            'data.ticket.Changed': { $gte: new Date(2026, 2, 3) }
+        });
+    });
+});
+
+describe('mergeDateFilter', () => {
+    it('replaces conditions on every date field and keeps the rest', () => {
+        const filter = { 'data.ticket.StateType': 'closed', 'data.ticket.Created': { $gte: new Date(2020, 0, 1) } };
+        assert.deepEqual(mergeDateFilter(filter, parse('tickets closed 2 days ago')), {
+            'data.ticket.StateType': 'closed',
+            ...buildDateFilter(parse('tickets closed 2 days ago'))
+        });
+    });
+});
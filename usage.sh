@@ -13,4 +13,14 @@ curl -X POST http://localhost:3002/chat \
 
 curl -X POST http://localhost:3002/chat \
   -H "Content-Type: application/json" \
-  -d '{"message": "Show me open tickets from yesterday"}'
\ No newline at end of file
+  -d '{"message": "Show me open tickets from yesterday"}'
+
+# Ask again - answered from the response cache ("cached": true) while the tickets are unchanged
+curl -X POST http://localhost:3002/chat \
+  -H "Content-Type: application/json" \
+  -d '{"message": "Show me open tickets from yesterday"}'
+
+# Dry run - the query it would run, the indexes MongoDB would use and warnings, without tickets
+curl -X POST http://localhost:3002/query/explain \
+  -H "Content-Type: application/json" \
+  -d '{"message": "Show me open tickets from yesterday"}'